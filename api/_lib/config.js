@@ -0,0 +1,42 @@
+// Server-side configuration for the style transfer routes
+// 모델/버전과 업로드 제한은 서버에서만 결정 (클라이언트가 바꿀 수 없음)
+
+// XLabs FLUX Depth ControlNet (version 미지정 시 모델의 최신 버전 사용)
+const DEFAULT_MODEL = 'xlabs-ai/flux-dev-controlnet';
+
+export const IMAGE_LIMITS = {
+  // Vercel 요청 본문 한도(4.5MB)에 base64 오버헤드(4/3)를 고려한 값
+  maxBytes: Number(process.env.MAX_IMAGE_BYTES) || 3 * 1024 * 1024,
+  minDimension: 64,
+  maxDimension: Number(process.env.MAX_IMAGE_DIMENSION) || 2048,
+  mimeTypes: ['image/jpeg', 'image/png', 'image/webp']
+};
+
+export const PROMPT_MAX_LENGTH = 2000;
+
+export const getModelConfig = () => {
+  return {
+    model: process.env.REPLICATE_MODEL || DEFAULT_MODEL,
+    version: process.env.REPLICATE_MODEL_VERSION || null
+  };
+};
+
+// 기본 생성 파라미터 - 요청마다 사용자 옵션으로 일부를 덮어씀 (generation.js)
+export const GENERATION_PARAMS = {
+  control_type: 'depth',
+  control_strength: 0.5,
+  steps: 28,
+  guidance_scale: 3.5,
+  output_format: 'jpg',
+  output_quality: 90
+};
+
+// 모델 입력값 - Depth 컨트롤로 사진 구조 유지
+export const buildModelInput = ({ image, prompt, negativePrompt, params = GENERATION_PARAMS }) => {
+  return {
+    prompt,
+    ...(negativePrompt ? { negative_prompt: negativePrompt } : {}),
+    control_image: image,
+    ...params
+  };
+};
@@ -0,0 +1,50 @@
+// Idempotent create - 클라이언트가 만든 requestId → 그 요청으로 만든 예측 id
+// 예측 생성 후 응답이 5xx로 끊겨 클라이언트가 같은 요청을 다시 보내도
+// 새 (유료) 예측을 만들지 않고 이미 만든 예측을 돌려줌
+// 예측 id → 만든 클라이언트도 기록 - 취소는 만든 클라이언트만 (api/cancel-prediction.js)
+
+import { ApiError } from './http.js';
+import { getStore } from './store.js';
+
+const REQUEST_TTL_SECONDS = 60 * 60;
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// 다른 클라이언트의 requestId로 남의 예측을 받아가지 않도록 클라이언트별 키
+const requestKey = (client, requestId) => `create-request:${client.session || client.ip}:${requestId}`;
+const ownerKey = (predictionId) => `prediction-owner:${predictionId}`;
+
+// 세션 id가 있으면 세션으로, 없으면 IP로 비교 (세션 없이 만든 예측은 같은 IP만)
+const isSameClient = (owner, client) => {
+  return owner.session ? owner.session === client.session : owner.ip === client.ip;
+};
+
+// 요청 본문의 requestId 검사 (생략하면 null - 재시도 보호 없음)
+export const parseRequestId = (requestId) => {
+  if (requestId === undefined || requestId === null) return null;
+  if (typeof requestId !== 'string' || !REQUEST_ID_PATTERN.test(requestId)) {
+    throw new ApiError(400, 'INVALID_REQUEST_ID', 'requestId must be 8-64 characters of letters, digits, - or _');
+  }
+  return requestId;
+};
+
+// 같은 requestId로 이미 만든 예측 id (없으면 null)
+export const getCreatedPredictionId = async (client, requestId) => {
+  if (!requestId) return null;
+  return getStore().get(requestKey(client, requestId));
+};
+
+// 예측 생성 직후, 다른 기록보다 먼저 호출 (이후 단계가 실패해도 재시도가 같은 예측을 받도록)
+export const rememberCreatedPrediction = async (client, requestId, predictionId) => {
+  const store = getStore();
+  await store.set(ownerKey(predictionId), { ip: client.ip, session: client.session }, { ttlSeconds: REQUEST_TTL_SECONDS });
+  if (!requestId) return;
+  await store.set(requestKey(client, requestId), predictionId, { ttlSeconds: REQUEST_TTL_SECONDS });
+};
+
+// 이 클라이언트가 만든 예측인지 검사 (기록이 없거나 다른 클라이언트면 404 - 남의 예측 id 존재 여부도 숨김)
+export const assertPredictionOwner = async (client, predictionId) => {
+  const owner = await getStore().get(ownerKey(predictionId));
+  if (!owner || !isSameClient(owner, client)) {
+    throw new ApiError(404, 'PREDICTION_NOT_FOUND', 'Prediction not found');
+  }
+};
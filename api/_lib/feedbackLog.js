@@ -0,0 +1,70 @@
+// Feedback log - 결과 화면의 👍/👎/"다른 작품" 기록 (날짜별 목록)
+// 매칭 기록(matchLog)과 전략 id로 묶어서 전략별 만족도를 비교
+
+import { ApiError, assertPredictionId } from './http.js';
+import { STRATEGY_PATTERN } from './matchLog.js';
+import { getStore } from './store.js';
+
+const FEEDBACK_LOG_TTL_SECONDS = 90 * 24 * 60 * 60;
+const ARTWORK_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,100}$/;
+
+export const FEEDBACK_VERDICTS = ['up', 'down', 'another'];
+
+const feedbackKey = (day) => `feedback:${day}`;
+
+// 요청 본문 → { verdict, artworkId, predictionId, strategy }
+export const parseFeedback = (body) => {
+  const { verdict, artworkId, predictionId, strategy } = body || {};
+
+  if (!FEEDBACK_VERDICTS.includes(verdict)) {
+    throw new ApiError(400, 'INVALID_VERDICT', `verdict must be one of: ${FEEDBACK_VERDICTS.join(', ')}`);
+  }
+  if (typeof artworkId !== 'string' || !ARTWORK_ID_PATTERN.test(artworkId)) {
+    throw new ApiError(400, 'INVALID_ARTWORK_ID', 'artworkId must be a short identifier');
+  }
+  if (strategy !== undefined && strategy !== null &&
+      (typeof strategy !== 'string' || !STRATEGY_PATTERN.test(strategy))) {
+    throw new ApiError(400, 'INVALID_STRATEGY', 'strategy must look like "<id>@<version>"');
+  }
+
+  return {
+    verdict,
+    artworkId,
+    predictionId: predictionId ? assertPredictionId(predictionId) : null,
+    strategy: strategy || null
+  };
+};
+
+export const recordFeedback = async ({ feedback, client, now = Date.now() }) => {
+  const entry = {
+    ...feedback,
+    session: client.session,
+    createdAt: new Date(now).toISOString()
+  };
+
+  await getStore().append(feedbackKey(entry.createdAt.slice(0, 10)), entry, {
+    ttlSeconds: FEEDBACK_LOG_TTL_SECONDS
+  });
+
+  return entry;
+};
+
+// day: 'YYYY-MM-DD' (UTC) → { entries, byStrategy: { 'composition@2': { up, down, another, approval } } }
+// approval = 👍 / (👍 + 👎 + 다른 작품)
+export const getFeedbackLog = async (day) => {
+  const entries = await getStore().list(feedbackKey(day));
+  const byStrategy = {};
+
+  for (const entry of entries) {
+    const key = entry.strategy || 'unknown';
+    const stats = byStrategy[key] || (byStrategy[key] = { up: 0, down: 0, another: 0 });
+    stats[entry.verdict]++;
+  }
+
+  for (const stats of Object.values(byStrategy)) {
+    const total = stats.up + stats.down + stats.another;
+    stats.approval = total > 0 ? Math.round(stats.up / total * 1000) / 1000 : null;
+  }
+
+  return { entries, byStrategy };
+};
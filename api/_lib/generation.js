@@ -0,0 +1,74 @@
+// Generation options - 사용자가 조절하는 변환 옵션 검사 + 모델 파라미터로 변환
+// 클라이언트의 범위/프리셋은 src/data/generationPresets.js (범위를 바꾸면 양쪽 모두)
+//
+//   요청 본문 generation: { styleStrength, structureStrength, seed, outputSize } (모두 생략 가능)
+//   - styleStrength 0 ~ 1     → guidance_scale 2 ~ 5 (기본 0.5 → 3.5)
+//   - structureStrength 0 ~ 1 → control_strength 0.1 ~ 0.9 (기본 0.5 → 0.5)
+//   - seed: 0 ~ MAX_SEED 정수, null이면 모델이 매번 다른 시드 사용
+//   - outputSize: 사진의 긴 변 상한 (클라이언트가 이 크기로 줄여 보냄 → 결과도 같은 크기)
+
+import { ApiError } from './http.js';
+import { GENERATION_PARAMS } from './config.js';
+
+export const MAX_SEED = 2147483647;
+export const OUTPUT_SIZES = [768, 1024, 1536];
+
+export const DEFAULT_GENERATION = {
+  styleStrength: 0.5,
+  structureStrength: 0.5,
+  seed: null,
+  outputSize: 1024
+};
+
+const GUIDANCE_RANGE = [2, 5];
+const CONTROL_STRENGTH_RANGE = [0.1, 0.9];
+
+const invalid = (message) => new ApiError(400, 'INVALID_GENERATION_OPTIONS', message);
+
+const parseUnit = (value, name, fallback) => {
+  if (value === undefined) return fallback;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 1) {
+    throw invalid(`generation.${name} must be a number between 0 and 1`);
+  }
+  return Math.round(value * 100) / 100;
+};
+
+// 요청 본문의 generation → 검사한 옵션 (없으면 기본값)
+export const parseGenerationOptions = (generation) => {
+  if (generation === undefined || generation === null) return DEFAULT_GENERATION;
+  if (typeof generation !== 'object' || Array.isArray(generation)) {
+    throw invalid('generation must be an object');
+  }
+
+  const { seed = null, outputSize = DEFAULT_GENERATION.outputSize } = generation;
+  if (seed !== null && (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED)) {
+    throw invalid(`generation.seed must be an integer between 0 and ${MAX_SEED} or null`);
+  }
+  if (!OUTPUT_SIZES.includes(outputSize)) {
+    throw invalid(`generation.outputSize must be one of ${OUTPUT_SIZES.join(', ')}`);
+  }
+
+  return {
+    styleStrength: parseUnit(generation.styleStrength, 'styleStrength', DEFAULT_GENERATION.styleStrength),
+    structureStrength: parseUnit(generation.structureStrength, 'structureStrength', DEFAULT_GENERATION.structureStrength),
+    seed,
+    outputSize
+  };
+};
+
+// 사진이 요청한 출력 크기보다 크면 거절 (클라이언트가 줄여 보내야 함)
+export const assertOutputSize = ({ width, height }, { outputSize }) => {
+  if (Math.max(width, height) > outputSize) {
+    throw new ApiError(400, 'INVALID_IMAGE_DIMENSIONS', `Image must be at most ${outputSize}px on its longest side`);
+  }
+};
+
+const lerp = ([min, max], t) => Math.round((min + (max - min) * t) * 100) / 100;
+
+// 검사한 옵션 → 모델 입력값 (GENERATION_PARAMS 위에 덮어씀, 결과 캐시 키에도 포함)
+export const getGenerationParams = (options) => ({
+  ...GENERATION_PARAMS,
+  guidance_scale: lerp(GUIDANCE_RANGE, options.styleStrength),
+  control_strength: lerp(CONTROL_STRENGTH_RANGE, options.structureStrength),
+  ...(options.seed !== null ? { seed: options.seed } : {})
+});
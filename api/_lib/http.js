@@ -0,0 +1,142 @@
+// Shared HTTP helpers for the serverless routes
+// 모든 api/ 라우트는 withApi()로 감싸서 CORS, 메서드 검사, 에러 응답을 통일
+// 에러 응답 형식: { error: 사람이 읽을 메시지, code: 클라이언트가 분기할 코드 }
+
+export class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// ALLOWED_ORIGINS: 쉼표로 구분한 허용 origin 목록 (같은 호스트는 항상 허용)
+const getAllowedOrigins = () => {
+  return (process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+};
+
+const isSameHost = (origin, req) => {
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch {
+    return false;
+  }
+};
+
+export const isOriginAllowed = (origin, req) => {
+  if (!origin) return true; // 서버 간 호출, 같은 origin의 GET 요청
+  return isSameHost(origin, req) || getAllowedOrigins().includes(origin);
+};
+
+// 허용된 origin에만 CORS 헤더 (쿠키를 쓰지 않으므로 credentials 없음)
+const applyCors = (req, res, methods) => {
+  const origin = req.headers.origin;
+  res.setHeader('Vary', 'Origin');
+
+  if (!isOriginAllowed(origin, req)) {
+    throw new ApiError(403, 'ORIGIN_NOT_ALLOWED', 'Origin not allowed');
+  }
+
+  if (origin) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(','));
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,X-Session-Id');
+  }
+};
+
+// 예측 id 형식 검사 - upstream URL 경로에 들어가므로 엄격하게
+const PREDICTION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+export const assertPredictionId = (id, provider) => {
+  if (!id) {
+    throw new ApiError(400, 'PREDICTION_ID_REQUIRED', 'Prediction ID required');
+  }
+
+  const pattern = provider?.idPattern || PREDICTION_ID_PATTERN;
+  if (typeof id !== 'string' || !PREDICTION_ID_PATTERN.test(id) || !pattern.test(id)) {
+    throw new ApiError(400, 'INVALID_PREDICTION_ID', 'Invalid prediction ID');
+  }
+
+  return id;
+};
+
+// 라우트 공통 처리: CORS → OPTIONS → 메서드 검사 → handler → 에러 응답
+//   export default withApi({ methods: ['GET'] }, async (req, res) => { ... })
+// cors: false → 브라우저가 호출하지 않는 라우트 (웹훅)
+export const withApi = ({ methods, cors = true }, handler) => {
+  return async (req, res) => {
+    try {
+      if (cors) applyCors(req, res, methods);
+
+      if (req.method === 'OPTIONS' && cors) {
+        res.status(204).end();
+        return;
+      }
+
+      if (!methods.includes(req.method)) {
+        res.setHeader('Allow', methods.join(','));
+        throw new ApiError(405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+      }
+
+      await handler(req, res);
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+};
+
+export const sendError = (res, error) => {
+  // 스트리밍 응답 등 이미 헤더를 보낸 경우 본문만 종료
+  if (res.headersSent) {
+    console.error('API Error after response started:', error);
+    res.end();
+    return;
+  }
+
+  const { status, headers, body } = toErrorPayload(error);
+  for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+  return res.status(status).json(body);
+};
+
+// 에러 → { status, headers, body } (Node 형식과 Web 형식 라우트가 같은 응답을 보내도록)
+const toErrorPayload = (error) => {
+  if (error instanceof ApiError) {
+    return {
+      status: error.status,
+      // 429: 언제 다시 시도할 수 있는지 (details.retryAfter 초)
+      headers: error.details?.retryAfter ? { 'Retry-After': String(error.details.retryAfter) } : {},
+      body: {
+        error: error.message,
+        code: error.code,
+        ...(error.details ? { details: error.details } : {})
+      }
+    };
+  }
+
+  console.error('API Error:', error);
+  return {
+    status: 500,
+    headers: {},
+    body: { error: 'Internal server error', code: 'INTERNAL_ERROR' }
+  };
+};
+
+// Web Request/Response 형식 라우트 - 원본 요청 본문이 필요한 웹훅용
+// Vercel Node 런타임은 (req, res) 핸들러의 본문을 미리 읽어 파싱하므로 서명 검증에 쓸 원본을 얻을 수 없음
+// → 메서드 이름으로 export하면 request.text()로 원본 본문을 그대로 받음 (다른 메서드는 플랫폼이 405)
+//   export const POST = withWebApi(async (request) => Response.json({ ... }))
+export const withWebApi = (handler) => {
+  return async (request) => {
+    try {
+      return await handler(request);
+    } catch (error) {
+      const { status, headers, body } = toErrorPayload(error);
+      return Response.json(body, { status, headers });
+    }
+  };
+};
@@ -0,0 +1,157 @@
+// Base64 image payload validation
+// data URL 파싱 → MIME/매직 바이트 확인 → 크기/해상도 검사
+
+import { ApiError } from './http.js';
+import { IMAGE_LIMITS } from './config.js';
+
+const DATA_URL_PATTERN = /^data:([a-z]+\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/]+={0,2})$/i;
+
+// 파일 시그니처로 실제 형식 판별 (선언된 MIME만 믿지 않음)
+const detectMimeType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 8 && buffer.toString('hex', 0, 8) === '89504e470d0a1a0a') {
+    return 'image/png';
+  }
+  if (buffer.length >= 12 &&
+      buffer.toString('ascii', 0, 4) === 'RIFF' &&
+      buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+};
+
+const readJpegDimensions = (buffer) => {
+  let offset = 2;
+
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+
+    const marker = buffer[offset + 1];
+
+    // SOF0-SOF15 (DHT/JPG/DAC 제외)에 크기 정보가 있음
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7)
+      };
+    }
+
+    // 길이 필드가 없는 마커 (RST, SOI, padding)
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0xff) {
+      offset += marker === 0xff ? 1 : 2;
+      continue;
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  return null;
+};
+
+const readPngDimensions = (buffer) => {
+  if (buffer.length < 24 || buffer.toString('ascii', 12, 16) !== 'IHDR') return null;
+
+  return {
+    width: buffer.readUInt32BE(16),
+    height: buffer.readUInt32BE(20)
+  };
+};
+
+const readWebpDimensions = (buffer) => {
+  if (buffer.length < 30) return null;
+
+  const chunk = buffer.toString('ascii', 12, 16);
+
+  if (chunk === 'VP8 ') {
+    return {
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff
+    };
+  }
+
+  if (chunk === 'VP8L') {
+    const b0 = buffer[21], b1 = buffer[22], b2 = buffer[23], b3 = buffer[24];
+    return {
+      width: 1 + (((b1 & 0x3f) << 8) | b0),
+      height: 1 + (((b3 & 0x0f) << 10) | (b2 << 2) | ((b1 & 0xc0) >> 6))
+    };
+  }
+
+  if (chunk === 'VP8X') {
+    return {
+      width: 1 + buffer.readUIntLE(24, 3),
+      height: 1 + buffer.readUIntLE(27, 3)
+    };
+  }
+
+  return null;
+};
+
+export const getImageDimensions = (buffer, mimeType) => {
+  switch (mimeType) {
+    case 'image/jpeg': return readJpegDimensions(buffer);
+    case 'image/png': return readPngDimensions(buffer);
+    case 'image/webp': return readWebpDimensions(buffer);
+    default: return null;
+  }
+};
+
+// 클라이언트가 보낸 data URL을 검증하고 메타데이터 반환
+export const validateImageDataUrl = (dataUrl, limits = IMAGE_LIMITS) => {
+  if (typeof dataUrl !== 'string' || dataUrl.length === 0) {
+    throw new ApiError(400, 'IMAGE_REQUIRED', 'Image is required');
+  }
+
+  // base64 길이로 먼저 거르기 (디코딩 전에 큰 요청 차단)
+  if (dataUrl.length > Math.ceil(limits.maxBytes * 4 / 3) + 100) {
+    throw new ApiError(413, 'IMAGE_TOO_LARGE', `Image exceeds ${limits.maxBytes} bytes`);
+  }
+
+  const match = DATA_URL_PATTERN.exec(dataUrl);
+  if (!match) {
+    throw new ApiError(400, 'INVALID_IMAGE', 'Image must be a base64 data URL');
+  }
+
+  const declaredType = match[1].toLowerCase();
+  if (!limits.mimeTypes.includes(declaredType)) {
+    throw new ApiError(415, 'UNSUPPORTED_IMAGE_TYPE', `Unsupported image type: ${declaredType}`, {
+      allowed: limits.mimeTypes
+    });
+  }
+
+  const buffer = Buffer.from(match[2], 'base64');
+  if (buffer.length > limits.maxBytes) {
+    throw new ApiError(413, 'IMAGE_TOO_LARGE', `Image exceeds ${limits.maxBytes} bytes`);
+  }
+
+  const actualType = detectMimeType(buffer);
+  if (actualType !== declaredType) {
+    throw new ApiError(415, 'UNSUPPORTED_IMAGE_TYPE', 'Image content does not match its declared type');
+  }
+
+  const dimensions = getImageDimensions(buffer, actualType);
+  if (!dimensions) {
+    throw new ApiError(400, 'INVALID_IMAGE', 'Could not read image dimensions');
+  }
+
+  const { width, height } = dimensions;
+  if (Math.min(width, height) < limits.minDimension || Math.max(width, height) > limits.maxDimension) {
+    throw new ApiError(422, 'INVALID_IMAGE_DIMENSIONS',
+      `Image must be between ${limits.minDimension}px and ${limits.maxDimension}px per side`, {
+        width,
+        height
+      });
+  }
+
+  return {
+    mimeType: actualType,
+    bytes: buffer.length,
+    width,
+    height
+  };
+};
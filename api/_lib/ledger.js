@@ -0,0 +1,44 @@
+// Cost ledger - 생성된 예측을 모두 기록 (날짜별 목록)
+// 변환 1회마다 provider 비용이 발생하므로 누가/언제/어떤 모델로 만들었는지 남김
+
+import { getModelConfig } from './config.js';
+import { getStore } from './store.js';
+
+const LEDGER_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+// README 기준 약 $0.01/장 - fake provider는 비용 없음
+const getCostPerPrediction = (providerName) => {
+  if (providerName === 'fake') return 0;
+  const cost = Number(process.env.COST_PER_PREDICTION_USD);
+  return Number.isFinite(cost) && cost >= 0 ? cost : 0.01;
+};
+
+const ledgerKey = (day) => `ledger:${day}`;
+
+export const recordPrediction = async ({ prediction, provider, client, style, artworkId, promptVersion, now = Date.now() }) => {
+  const entry = {
+    id: prediction.id,
+    provider: provider.name,
+    model: provider.name === 'replicate' ? getModelConfig().model : null,
+    style: style || null,
+    artworkId: artworkId || null,
+    promptVersion: promptVersion || null, // 프롬프트 템플릿 버전 (api/_lib/prompts)
+    client: client.ip,
+    session: client.session,
+    estimatedCostUsd: getCostPerPrediction(provider.name),
+    createdAt: new Date(now).toISOString()
+  };
+
+  await getStore().append(ledgerKey(entry.createdAt.slice(0, 10)), entry, {
+    ttlSeconds: LEDGER_TTL_SECONDS
+  });
+
+  return entry;
+};
+
+// day: 'YYYY-MM-DD' (UTC) → { entries, count, totalCostUsd }
+export const getLedger = async (day) => {
+  const entries = await getStore().list(ledgerKey(day));
+  const totalCostUsd = entries.reduce((sum, entry) => sum + entry.estimatedCostUsd, 0);
+  return { entries, count: entries.length, totalCostUsd: Math.round(totalCostUsd * 10000) / 10000 };
+};
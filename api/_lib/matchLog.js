@@ -0,0 +1,65 @@
+// Match log - 결과마다 어떤 매칭 전략이 작품을 골랐는지 기록 (날짜별 목록)
+// 전략별로 결과 수를 세고, 이후 피드백/저장과 묶어서 어떤 전략의 결과를 사용자가 쓰는지 비교
+
+import { ApiError } from './http.js';
+import { getStore } from './store.js';
+
+const MATCH_LOG_TTL_SECONDS = 90 * 24 * 60 * 60;
+export const STRATEGY_PATTERN = /^[a-z0-9-]{1,40}@\d{1,4}$/; // 'composition@2'
+
+const matchLogKey = (day) => `matches:${day}`;
+
+// 요청 본문의 match → { strategy, score } 또는 null (없으면 기록만 생략)
+export const parseMatchInfo = (match) => {
+  if (match === undefined || match === null) return null;
+
+  if (typeof match !== 'object' || typeof match.strategy !== 'string' || !STRATEGY_PATTERN.test(match.strategy)) {
+    throw new ApiError(400, 'INVALID_MATCH', 'match.strategy must look like "<id>@<version>"');
+  }
+  if (typeof match.score !== 'number' || !Number.isFinite(match.score) || match.score < 0 || match.score > 1) {
+    throw new ApiError(400, 'INVALID_MATCH', 'match.score must be a number between 0 and 1');
+  }
+
+  return { strategy: match.strategy, score: Math.round(match.score * 1000) / 1000 };
+};
+
+export const recordMatchResult = async ({ predictionId, artworkId, style, promptVersion, match, cached, client, now = Date.now() }) => {
+  if (!match) return null;
+
+  const entry = {
+    predictionId,
+    artworkId: artworkId || null,
+    style: style || null,
+    promptVersion: promptVersion || null,
+    strategy: match.strategy,
+    score: match.score,
+    cached,
+    session: client.session,
+    createdAt: new Date(now).toISOString()
+  };
+
+  await getStore().append(matchLogKey(entry.createdAt.slice(0, 10)), entry, {
+    ttlSeconds: MATCH_LOG_TTL_SECONDS
+  });
+
+  return entry;
+};
+
+// day: 'YYYY-MM-DD' (UTC) → { entries, byStrategy: { 'composition@2': { count, averageScore } } }
+export const getMatchLog = async (day) => {
+  const entries = await getStore().list(matchLogKey(day));
+  const byStrategy = {};
+
+  for (const entry of entries) {
+    const stats = byStrategy[entry.strategy] || (byStrategy[entry.strategy] = { count: 0, totalScore: 0 });
+    stats.count++;
+    stats.totalScore += entry.score;
+  }
+
+  for (const stats of Object.values(byStrategy)) {
+    stats.averageScore = Math.round(stats.totalScore / stats.count * 1000) / 1000;
+    delete stats.totalScore;
+  }
+
+  return { entries, byStrategy };
+};
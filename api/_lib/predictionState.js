@@ -0,0 +1,51 @@
+// Latest prediction state pushed by provider webhooks
+// 웹훅이 저장하고 SSE 엔드포인트가 읽음
+
+import { getStore } from './store.js';
+import { storeResultIfPending } from './resultCache.js';
+import { getOutputUrl, isTerminalStatus } from './providers/shared.js';
+
+const STATE_TTL_SECONDS = 60 * 60;
+const stateKey = (id) => `prediction:${id}`;
+
+// tqdm 진행 로그("45%|████▌ | 13/28")에서 마지막 퍼센트 추출
+export const parseProgress = (logs) => {
+  if (typeof logs !== 'string' || logs.length === 0) return null;
+
+  const matches = [...logs.matchAll(/(\d{1,3})%\|/g)];
+  if (matches.length === 0) return null;
+
+  return Math.min(100, Number(matches[matches.length - 1][1]));
+};
+
+// 클라이언트로 보낼 형태 (입력값/전체 로그 제외)
+export const toClientState = (prediction, getResult = getOutputUrl) => {
+  const progress = prediction.status === 'succeeded'
+    ? 100
+    : parseProgress(prediction.logs);
+
+  return {
+    id: prediction.id,
+    status: prediction.status,
+    output: getResult(prediction),
+    error: prediction.error || null,
+    progress
+  };
+};
+
+export const savePredictionState = async (prediction) => {
+  const state = { ...toClientState(prediction), updatedAt: Date.now() };
+  await getStore().set(stateKey(prediction.id), state, { ttlSeconds: STATE_TTL_SECONDS });
+  await storeResultIfPending(state);
+  return state;
+};
+
+export const getPredictionState = (id) => getStore().get(stateKey(id));
+
+export { isTerminalStatus };
+
+// 웹훅 URL (PUBLIC_BASE_URL이 없으면 웹훅 미사용 → polling)
+export const getWebhookUrl = () => {
+  const baseUrl = process.env.PUBLIC_BASE_URL;
+  return baseUrl ? `${baseUrl.replace(/\/$/, '')}/api/prediction-webhook` : null;
+};
@@ -0,0 +1,107 @@
+// Prompt builder - 작품 id + 사진 종류 → 프롬프트 / negative 프롬프트 (서버에서만 조립)
+// 템플릿과 층은 ./templates.js - 바꿔도 클라이언트 배포 없이 적용됨
+//
+//   buildPrompt({ artworkId, subjectType }) → { prompt, negativePrompt, version, artwork }
+
+import { ApiError } from '../http.js';
+import { PROMPT_MAX_LENGTH } from '../config.js';
+import { ARTWORK_CATALOG, ARTWORK_MOVEMENTS } from '../../../src/data/artworkCatalog.js';
+import {
+  ARTIST_LAYERS,
+  ARTWORK_OVERRIDES,
+  BASE_NEGATIVE,
+  DEFAULT_MEDIUM_TEMPLATE,
+  DEFAULT_SUBJECT_TYPE,
+  MEDIUM_TEMPLATES,
+  MOVEMENT_LAYERS,
+  PROMPT_TEMPLATE_VERSION,
+  SUBJECT_TYPES
+} from './templates.js';
+
+export { DEFAULT_SUBJECT_TYPE, PROMPT_TEMPLATE_VERSION, SUBJECT_TYPES };
+
+const ARTWORKS_BY_ID = new Map(ARTWORK_CATALOG.map(artwork => [artwork.id, artwork]));
+const MOVEMENT_LABELS = new Map(ARTWORK_MOVEMENTS.map(movement => [movement.style, movement.label]));
+
+const DEFAULT_KEYWORDS = 'artistic painting style';
+
+// '{name}' → variables.name (없는 변수는 템플릿 오류)
+export const renderTemplate = (template, variables) => {
+  return template
+    .replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!(name in variables)) {
+        throw new Error(`Unknown prompt template variable: ${placeholder}`);
+      }
+      return variables[name];
+    })
+    // 빈 변수로 생긴 ", ," 정리
+    .replace(/(,\s*)+,/g, ',')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+};
+
+// 정의가 없는 사조 폴더 → 폴더 이름으로 기본 키워드
+const getMovementLayer = (style) => {
+  if (MOVEMENT_LAYERS[style]) return MOVEMENT_LAYERS[style];
+  const label = MOVEMENT_LABELS.get(style);
+  return label ? { keywords: `${label.toLowerCase()} painting style` } : {};
+};
+
+// 쉼표로 나눈 문구를 합치면서 중복 제거
+const joinNegatives = (negatives) => {
+  const terms = negatives
+    .filter(Boolean)
+    .flatMap(negative => negative.split(','))
+    .map(term => term.trim())
+    .filter(Boolean);
+  return [...new Set(terms)].join(', ');
+};
+
+// 카탈로그 작품 → 층을 합친 결과 (scripts/validate-catalog.js에서도 작품마다 검사)
+export const resolvePromptLayers = (artwork) => {
+  const medium = MEDIUM_TEMPLATES[artwork.medium] || MEDIUM_TEMPLATES[DEFAULT_MEDIUM_TEMPLATE];
+  const movement = getMovementLayer(artwork.style);
+  const artist = ARTIST_LAYERS[artwork.artistEn] || {};
+  const override = ARTWORK_OVERRIDES[artwork.id] || {};
+
+  // 작자 미상(그리스 조각, 비잔틴 모자이크 등)은 작품 제목을 기준으로
+  const artistName = artwork.artistEn || artwork.artist;
+  const source = override.source
+    || (/^unknown/i.test(artistName) && artwork.titleEn ? `the ${artwork.titleEn}` : artistName);
+
+  const keywords = [override.keywords || artist.keywords || movement.keywords || DEFAULT_KEYWORDS, override.details]
+    .filter(Boolean)
+    .join(', ');
+
+  return {
+    template: medium.template,
+    source,
+    keywords,
+    medium: override.medium || medium.medium,
+    negativePrompt: joinNegatives([BASE_NEGATIVE, medium.negative, movement.negative, artist.negative, override.negative])
+  };
+};
+
+export const buildPrompt = ({ artworkId, subjectType = DEFAULT_SUBJECT_TYPE }) => {
+  const artwork = typeof artworkId === 'string' ? ARTWORKS_BY_ID.get(artworkId) : null;
+  if (!artwork) {
+    throw new ApiError(400, 'UNKNOWN_ARTWORK', 'artworkId must be an artwork from the catalog');
+  }
+  if (!Object.hasOwn(SUBJECT_TYPES, subjectType)) {
+    throw new ApiError(400, 'INVALID_SUBJECT_TYPE', `subjectType must be one of ${Object.keys(SUBJECT_TYPES).join(', ')}`);
+  }
+
+  const { template, source, keywords, medium, negativePrompt } = resolvePromptLayers(artwork);
+  const prompt = renderTemplate(template, {
+    source,
+    keywords,
+    medium,
+    subject: SUBJECT_TYPES[subjectType]
+  });
+
+  if (prompt.length > PROMPT_MAX_LENGTH) {
+    throw new ApiError(500, 'PROMPT_TOO_LONG', `Prompt template for ${artwork.id} exceeds ${PROMPT_MAX_LENGTH} characters`);
+  }
+
+  return { prompt, negativePrompt, version: PROMPT_TEMPLATE_VERSION, artwork };
+};
@@ -0,0 +1,273 @@
+// Prompt templates - 작품 하나의 프롬프트를 만드는 층(layer)들
+// 아래 내용을 바꾸면 PROMPT_TEMPLATE_VERSION을 올릴 것 (결과 캐시 키 + 비용 기록에 남음)
+//
+// 층 순서: 재료(medium) → 사조(movement, 작품 style) → 작가(artist, artistEn) → 작품(artwork, id)
+// - keywords: 스타일 키워드 - 위 층이 있으면 아래 층을 대체 (작가 > 사조)
+// - details: 작품 층에서만, 키워드 뒤에 덧붙임 (그 작품만의 특징)
+// - negative: 층마다 이어 붙임 (지원하는 모델만 사용)
+// - 작품 층은 source(작가 이름 대신), medium(재료 문구)도 바꿀 수 있음
+//
+// 템플릿 변수: {source} 작가 이름 (작자 미상이면 작품 제목), {keywords}, {medium} 재료 문구, {subject} 사진 종류별 문구
+
+export const PROMPT_TEMPLATE_VERSION = 'v17-templates-1';
+
+// 모든 재료 공통 negative
+export const BASE_NEGATIVE = 'blurry, low quality, watermark, signature, text, deformed face, extra limbs';
+
+// 사진 종류 (요청의 subjectType) → {subject}
+export const SUBJECT_TYPES = {
+  auto: 'preserving the main subject, facial features and spatial relationships',
+  person: 'portrait of the person in the photo, preserving facial features, expression and pose',
+  landscape: 'scene from the photo, preserving the horizon, layout and depth of the landscape',
+  object: 'still life of the objects in the photo, preserving their shapes and proportions'
+};
+
+export const DEFAULT_SUBJECT_TYPE = 'auto';
+
+// ===== 재료 =====
+// 카탈로그의 artwork.medium (src/data/mediumRegistry.js의 id와 같음)
+export const MEDIUM_TEMPLATES = {
+  painting: {
+    medium: 'painting',
+    template:
+      'A beautiful high-quality {medium} in the style of {source}, {keywords}, ' +
+      '{subject}, visible brushwork and paint texture, masterpiece quality, detailed artistic rendering',
+    negative: 'photograph, photorealistic, 3d render, smooth digital art'
+  },
+  'marble-sculpture': {
+    medium: 'carved white marble sculpture',
+    template:
+      'A {medium} in the style of {source}, {keywords}, ' +
+      'chiselled stone surface with polished highlights, soft museum lighting, monochrome stone, ' +
+      '{subject}, masterpiece quality, detailed sculptural rendering',
+    negative: 'color, painted skin, photograph, modern clothing'
+  },
+  mosaic: {
+    medium: 'mosaic made of small glass and gold tesserae',
+    template:
+      'A {medium} in the style of {source}, {keywords}, ' +
+      'visible tile grid and grout lines, shimmering gold background, ' +
+      '{subject}, masterpiece quality, detailed mosaic rendering',
+    negative: 'photograph, smooth gradients, brush strokes'
+  },
+  tilework: {
+    medium: 'glazed ceramic tilework',
+    template:
+      '{medium} in the style of {source}, {keywords}, ' +
+      'intricate geometric and arabesque patterns, cobalt and turquoise glaze, ' +
+      'preserving the overall composition, masterpiece quality, detailed tile rendering',
+    negative: 'photograph, human figures, 3d render'
+  },
+  'woodblock-print': {
+    medium: 'Japanese woodblock print',
+    template:
+      'A {medium} in the style of {source}, {keywords}, ' +
+      'crisp carved black outlines, flat areas of colour, visible paper grain, ' +
+      '{subject}, masterpiece quality, detailed print rendering',
+    negative: 'photograph, soft shading, gradients, 3d render, oil paint'
+  },
+  'ink-wash': {
+    medium: 'monochrome ink wash painting',
+    template:
+      'A {medium} in the style of {source}, {keywords}, ' +
+      'graded black ink on rice paper, expressive brush strokes, generous empty space, ' +
+      '{subject}, masterpiece quality, detailed brush rendering',
+    negative: 'color, photograph, oil paint, heavy shading, 3d render'
+  },
+  'ink-and-color': {
+    medium: 'traditional East Asian ink and colour painting',
+    template:
+      'A {medium} in the style of {source}, {keywords}, ' +
+      'fine ink outlines with soft mineral colours on silk, ' +
+      '{subject}, masterpiece quality, detailed brush rendering',
+    negative: 'photograph, oil paint, saturated neon colors, 3d render'
+  }
+};
+
+export const DEFAULT_MEDIUM_TEMPLATE = 'painting';
+
+// ===== 사조 / 전통 =====
+// 작품 style → 키워드 (없으면 폴더 이름으로 기본 키워드)
+export const MOVEMENT_LAYERS = {
+  classical: {
+    keywords: 'idealized classical proportions, serene balanced composition, sculptural forms, ancient Greek and Roman style'
+  },
+  byzantine: {
+    keywords: 'shimmering gold background, flat iconic figures, jewel-toned mosaic colors, byzantine icon style'
+  },
+  renaissance: {
+    keywords: 'realistic proportions, balanced harmonious composition, sfumato modelling, classical beauty, renaissance style',
+    negative: 'modern clothing, neon colors'
+  },
+  baroque: {
+    keywords: 'dramatic chiaroscuro, rich deep colors, ornate details, theatrical lighting, baroque style'
+  },
+  rococo: {
+    keywords: 'soft pastel palette, delicate feathery brushwork, playful elegant atmosphere, ornamental curves, rococo style'
+  },
+  romanticism: {
+    keywords: 'dramatic lighting, emotional sublime atmosphere, heroic beauty, romantic style'
+  },
+  impressionism: {
+    keywords: 'soft broken brushstrokes, natural dappled light, outdoor atmosphere, atmospheric perspective, impressionist style',
+    negative: 'hard outlines, flat colors'
+  },
+  fauvism: {
+    keywords: 'wild vibrant non-naturalistic colors, simplified bold forms, decorative patterns, fauvist style',
+    negative: 'muted colors, realistic skin tones'
+  },
+  expressionism: {
+    keywords: 'emotional bold expression, dramatic colors, distorted expressive forms, psychological intensity, expressionist style'
+  },
+  cubism: {
+    keywords: 'geometric fragmented shapes, multiple perspectives, angular forms, recognizable subject, cubist analysis'
+  },
+  surrealism: {
+    keywords: 'dreamlike quality, imaginative elements, surreal atmosphere, crisp illusionistic detail, surrealist style'
+  },
+  'art-nouveau': {
+    keywords: 'flowing organic lines, ornamental flat patterns, gold leaf accents, art nouveau style'
+  },
+  'post-impressionism': {
+    keywords: 'thick expressive brushwork, bold symbolic colors, solid simplified forms, post-impressionist style'
+  },
+  symbolism: {
+    keywords: 'dreamlike symbolic imagery, melancholic monochrome mood, mystical atmosphere, symbolist style'
+  },
+  korean: {
+    keywords: 'Korean traditional painting, generous empty space, gentle brush lines, Joseon dynasty style'
+  },
+  chinese: {
+    keywords: 'Chinese ink painting, expressive brush strokes in graded ink tones, misty empty space, literati painting style'
+  },
+  japanese: {
+    keywords: 'Japanese ukiyo-e, bold outlines, flat areas of color, Edo period style'
+  }
+};
+
+// ===== 작가 =====
+// artistEn → 키워드 (사조 키워드 대신 사용)
+export const ARTIST_LAYERS = {
+  // 르네상스
+  'Leonardo da Vinci': {
+    keywords: 'soft sfumato shading, subtle smoky transitions, muted earthy palette, enigmatic calm expression, high renaissance masterpiece'
+  },
+  Raphael: {
+    keywords: 'graceful idealized figures, clear balanced composition, gentle luminous colors, serene harmony, high renaissance style'
+  },
+  'Sandro Botticelli': {
+    keywords: 'elegant flowing contour lines, pale luminous skin, delicate decorative detail, early renaissance tempera style'
+  },
+  Michelangelo: {
+    keywords: 'heroic muscular anatomy, powerful contrapposto, monumental presence, high renaissance sculpture'
+  },
+
+  // 바로크
+  'Rembrandt van Rijn': {
+    keywords: 'warm golden chiaroscuro, deep brown shadows, thick impasto highlights, introspective mood, dutch golden age portrait'
+  },
+  Caravaggio: {
+    keywords: 'extreme tenebrism, figures emerging from darkness, dramatic single light source, naturalistic detail, baroque realism'
+  },
+  'Johannes Vermeer': {
+    keywords: 'soft window light, luminous pearly highlights, calm domestic stillness, ultramarine and yellow accents, dutch golden age style'
+  },
+
+  // 낭만주의
+  'Eugène Delacroix': {
+    keywords: 'vigorous expressive brushwork, rich saturated reds and blues, dynamic diagonal movement, dramatic emotion, french romantic style'
+  },
+  'Caspar David Friedrich': {
+    keywords: 'vast contemplative landscape, misty atmospheric light, lone figures, sublime stillness, german romantic style'
+  },
+
+  // 인상주의 - 빛과 대기 표현
+  'Claude Monet': {
+    keywords: 'soft impressionist brushstrokes, dappled natural light, vibrant outdoor colors, atmospheric perspective, plein-air painting style'
+  },
+  'Pierre-Auguste Renoir': {
+    keywords: 'warm luminous tones, soft focus effects, joyful atmosphere with natural lighting, impressionist portrait style'
+  },
+  'Edgar Degas': {
+    keywords: 'dynamic off-center composition, ballet scene aesthetics, indoor natural lighting, pastel color palette, impressionist style'
+  },
+
+  // 후기인상주의 - 구조와 감정
+  'Vincent van Gogh': {
+    keywords: 'thick impasto oil paint texture, swirling dynamic brushwork, vibrant colors with emotional intensity, post-impressionist masterpiece'
+  },
+  'Paul Cézanne': {
+    keywords: 'geometric structured forms, balanced composition, muted natural colors, constructive brushstrokes, post-impressionist style'
+  },
+  'Paul Gauguin': {
+    keywords: 'bold flat color areas, decorative patterns, exotic tropical atmosphere, simplified forms, post-impressionist style'
+  },
+
+  // 야수주의 - 색채 표현
+  'Henri Matisse': {
+    keywords: 'bold vibrant colors, simplified decorative forms, ornate patterns and shapes, joyful composition, fauvist painting style'
+  },
+
+  // 표현주의 - 감정과 형태
+  'Edvard Munch': {
+    keywords: 'expressive emotional brushstrokes, swirling undulating forms, dramatic color palette, psychological intensity, expressionist masterpiece'
+  },
+  'Egon Schiele': {
+    keywords: 'angular expressive lines, emotional psychological depth, expressive gestures and poses, muted earth tones, expressionist portrait style'
+  },
+
+  // 입체주의 - 다시점 표현
+  'Pablo Picasso': {
+    keywords: 'geometric fragmented forms, analytical multiple perspectives, cubist angular shapes, earth tone palette, recognizable subject seen from multiple angles, modernist masterpiece'
+  },
+
+  // 아르누보 / 상징주의
+  'Gustav Klimt': {
+    keywords: 'ornate decorative patterns, gold leaf symbolic details, art nouveau elegance, Byzantine influences, Vienna Secession style'
+  },
+  'Odilon Redon': {
+    keywords: 'dreamlike symbolic imagery, mystical atmosphere, soft pastel colors, spiritual depth, symbolist style'
+  },
+
+  // 초현실주의 - 아직 작품은 없지만 surrealism 폴더가 생기면 바로 사용
+  'Salvador Dalí': {
+    keywords: 'hyper-detailed dreamlike imagery, melting soft forms, vast empty desert horizon, long crisp shadows, surrealist masterpiece'
+  },
+
+  // 동양화
+  'Katsushika Hokusai': {
+    keywords: 'dynamic curling wave forms, Prussian blue palette, bold confident outlines, dramatic landscape composition, ukiyo-e master style'
+  },
+  'Utagawa Hiroshige': {
+    keywords: 'poetic travel landscape, soft bokashi color gradation, rain and mist atmosphere, ukiyo-e landscape style'
+  },
+  'Jeong Seon': {
+    keywords: 'true-view landscape (jingyeong sansu), bold dark ink strokes for rocky peaks, dense wet dots for pine forests, Korean mountain scenery'
+  },
+  'Kim Hong-do': {
+    keywords: 'lively genre painting of everyday people, expressive simple brush lines, light washes of color, humorous warm atmosphere, Joseon genre style'
+  },
+  'Shin Yun-bok': {
+    keywords: 'elegant refined figures, delicate fine lines, vivid red and blue accents, romantic Joseon genre scene'
+  }
+};
+
+// ===== 작품 =====
+// 작품 id → 그 작품에만 적용할 값 (키워드는 작가/사조 층을 그대로 쓰고 details만 덧붙이는 것이 보통)
+export const ARTWORK_OVERRIDES = {
+  renaissance_01: { details: 'soft hazy landscape background, folded hands, subtle smile' },
+  renaissance_03: { medium: 'tempera painting on canvas', details: 'pale sea-green and gold palette, wind-blown flowing hair' },
+  renaissance_05: { medium: 'pen and ink drawing on paper', details: 'fine anatomical study lines, handwritten notes' },
+  renaissance_06: { medium: 'fresco', details: 'grand classical architecture with deep perspective' },
+  baroque_06: { details: 'dark plain background, ultramarine and yellow turban, single pearl highlight' },
+  romantic_01: { details: 'smoke-filled battlefield sky, tricolour flag, surging crowd' },
+  expressionist_06: { details: 'swirling blood-orange sky, wavy lines echoing through the whole scene' },
+  vangogh_01: { details: 'swirling night sky with glowing stars, deep blue and yellow palette' },
+  klimt_01: { details: 'shimmering gold robe with geometric and floral patterns' },
+  japanese_01: { details: 'huge clawing wave, white foam fingers, small Mount Fuji in the distance' },
+  korean_01: { details: 'mist after rain drifting between massive dark granite peaks' },
+  korean_15: { details: 'circle of onlookers around the centre, blank background' },
+  // 작자 미상 모자이크는 작품 제목보다 장소가 잘 알려져 있음
+  byzantine_02: { source: 'the Basilica of San Vitale mosaics in Ravenna' },
+  byzantine_03: { source: 'the Basilica of San Vitale mosaics in Ravenna' }
+};
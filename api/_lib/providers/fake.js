@@ -0,0 +1,138 @@
+// Deterministic local fake provider (오프라인 개발/테스트용)
+// Replicate predictions 형식 그대로 응답하고, 미리 정해진 명화 이미지를 결과로 반환
+//
+// - 상태는 id에 담긴 생성 시각으로 계산 → 인스턴스 간 상태 공유 불필요
+// - 같은 prompt + style + seed이면 항상 같은 결과 이미지
+// - FAKE_PROVIDER_FAIL=true이면 모든 예측이 실패로 끝남 (프롬프트는 서버가 만들므로 환경변수로 지정)
+
+import { ApiError } from '../http.js';
+import { getOutputUrl } from './shared.js';
+
+const CANNED_OUTPUTS = [
+  '/artworks/07_Impressionism/impressionist_02_impression_sunrise.jpg',
+  '/artworks/10_Masters/vangogh_01_starry_night.jpg',
+  '/artworks/10_Masters/klimt_01_kiss_full.jpg',
+  '/artworks/09_Expressionism/expressionist_06_munch_scream.jpg',
+  '/artworks/04_Baroque/baroque_06_girl_pearl_earring.jpg',
+  '/artworks/11_Oriental/japanese_01_great_wave.jpg'
+];
+
+const ID_PATTERN = /^fake-([0-9a-z]+)-([0-9a-z]+)-([0-9])$/;
+
+// 취소된 예측 (프로세스 메모리)
+const canceledIds = new Set();
+
+// 32-bit FNV-1a
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const parseId = (id) => {
+  const match = ID_PATTERN.exec(id || '');
+  if (!match) {
+    throw new ApiError(404, 'PREDICTION_NOT_FOUND', 'Prediction not found');
+  }
+
+  return {
+    createdAt: parseInt(match[1], 36),
+    outputIndex: parseInt(match[2], 36) % CANNED_OUTPUTS.length,
+    shouldFail: match[3] === '1'
+  };
+};
+
+// tqdm 스타일 로그 (Replicate 모델 로그와 같은 형식)
+const buildLogs = (percent) => {
+  const lines = [];
+  for (let p = 0; p <= percent; p += 20) {
+    lines.push(`${String(p).padStart(3)}%|${'█'.repeat(p / 10)}| ${Math.round(p * 28 / 100)}/28`);
+  }
+  return lines.join('\n');
+};
+
+export const createFakeProvider = ({
+  durationMs = Number(process.env.FAKE_PROVIDER_DURATION_MS) || 6000,
+  startupMs = 1000,
+  failAll = process.env.FAKE_PROVIDER_FAIL === 'true',
+  now = () => Date.now()
+} = {}) => {
+  const snapshot = (id) => {
+    const { createdAt, outputIndex, shouldFail } = parseId(id);
+    const elapsed = now() - createdAt;
+    const base = {
+      id,
+      model: 'picoart/fake',
+      created_at: new Date(createdAt).toISOString(),
+      started_at: null,
+      completed_at: null,
+      output: null,
+      error: null,
+      logs: ''
+    };
+
+    if (canceledIds.has(id)) {
+      return { ...base, status: 'canceled', completed_at: new Date(now()).toISOString() };
+    }
+
+    if (elapsed < startupMs) {
+      return { ...base, status: 'starting' };
+    }
+
+    const startedAt = new Date(createdAt + startupMs).toISOString();
+
+    if (elapsed < durationMs) {
+      const percent = Math.floor(((elapsed - startupMs) / (durationMs - startupMs)) * 100);
+      return { ...base, status: 'processing', started_at: startedAt, logs: buildLogs(percent) };
+    }
+
+    const completedAt = new Date(createdAt + durationMs).toISOString();
+
+    if (shouldFail) {
+      return {
+        ...base,
+        status: 'failed',
+        started_at: startedAt,
+        completed_at: completedAt,
+        error: 'Fake provider failure requested',
+        logs: buildLogs(40)
+      };
+    }
+
+    return {
+      ...base,
+      status: 'succeeded',
+      started_at: startedAt,
+      completed_at: completedAt,
+      output: [CANNED_OUTPUTS[outputIndex]],
+      logs: buildLogs(100)
+    };
+  };
+
+  return {
+    name: 'fake',
+    idPattern: ID_PATTERN,
+
+    create: async ({ prompt = '', style = '', params = {} }) => {
+      const outputIndex = hashString(`${style}:${prompt}:${params.seed ?? ''}`) % CANNED_OUTPUTS.length;
+      const shouldFail = failAll ? 1 : 0;
+      const id = `fake-${now().toString(36)}-${outputIndex.toString(36)}-${shouldFail}`;
+      return snapshot(id);
+    },
+
+    get: async (id) => snapshot(id),
+
+    cancel: async (id) => {
+      const prediction = snapshot(id);
+      if (prediction.status === 'starting' || prediction.status === 'processing') {
+        canceledIds.add(id);
+      }
+      return snapshot(id);
+    },
+
+    getResult: getOutputUrl
+  };
+};
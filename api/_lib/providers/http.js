@@ -0,0 +1,117 @@
+// Generic self-hosted inference server provider (ComfyUI / A1111 wrappers 등)
+// 비동기 서버: POST → { id, status }, 이후 GET으로 상태 조회
+// 동기 서버: POST → { images: [...] } 처럼 바로 결과 반환
+
+import { ApiError } from '../http.js';
+import { getStore } from '../store.js';
+import { getOutputUrl, normalizeStatus, requestJson } from './shared.js';
+
+const DEFAULT_PATHS = {
+  create: '/predictions',
+  status: '/predictions/{id}',
+  cancel: '/predictions/{id}/cancel'
+};
+
+// 동기 응답 결과 보관 - 서버에 상태 조회 경로가 없을 수 있으므로 재조회는 저장소에서
+// (인스턴스 간 공유, 결과 캐시처럼 TTL 후 만료)
+const SYNC_RESULT_TTL_SECONDS = 60 * 60;
+const syncResultKey = (id) => `http-sync-result:${id}`;
+const getSyncResult = (id) => getStore().get(syncResultKey(id));
+
+// base64만 오는 경우 data URL로 변환
+const toImageUrl = (value) => {
+  if (typeof value !== 'string') return null;
+  if (/^(https?:|data:|\/)/.test(value)) return value;
+  return `data:image/png;base64,${value}`;
+};
+
+// 서버 응답 → Replicate 형식
+const normalizePrediction = (data, fallbackId) => {
+  const rawOutput = data.output ?? data.images ?? data.image ?? data.result ?? null;
+  const output = Array.isArray(rawOutput)
+    ? rawOutput.map(toImageUrl).filter(Boolean)
+    : toImageUrl(rawOutput);
+
+  // status가 없고 결과만 있으면 동기 완료로 간주
+  const status = data.status
+    ? normalizeStatus(data.status)
+    : (output && output.length !== 0 ? 'succeeded' : 'processing');
+
+  return {
+    id: String(data.id ?? data.prompt_id ?? data.job_id ?? fallbackId),
+    status,
+    output: status === 'succeeded' ? output : null,
+    error: data.error || null,
+    logs: typeof data.logs === 'string' ? data.logs : '',
+    created_at: data.created_at || null,
+    completed_at: data.completed_at || null
+  };
+};
+
+export const createHttpProvider = ({
+  baseUrl = process.env.INFERENCE_URL,
+  apiKey = process.env.INFERENCE_API_KEY,
+  paths = {
+    create: process.env.INFERENCE_CREATE_PATH || DEFAULT_PATHS.create,
+    status: process.env.INFERENCE_STATUS_PATH || DEFAULT_PATHS.status,
+    cancel: process.env.INFERENCE_CANCEL_PATH || DEFAULT_PATHS.cancel
+  }
+} = {}) => {
+  const request = (path, options = {}) => {
+    if (!baseUrl) {
+      throw new ApiError(500, 'SERVER_MISCONFIGURED', 'INFERENCE_URL is not configured');
+    }
+
+    return requestJson(`${baseUrl.replace(/\/$/, '')}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        ...options.headers
+      }
+    }, 'Inference server');
+  };
+
+  const withId = (template, id) => template.replace('{id}', encodeURIComponent(id));
+
+  return {
+    name: 'http',
+
+    create: async ({ image, prompt, negativePrompt, params, style, webhook }) => {
+      const data = await request(paths.create, {
+        method: 'POST',
+        body: JSON.stringify({
+          // params: guidance_scale, control_strength, seed 등 (서버가 지원하는 것만 사용)
+          input: { image, prompt, negative_prompt: negativePrompt, style, params },
+          ...(webhook ? { webhook } : {})
+        })
+      });
+
+      const prediction = normalizePrediction(data || {}, `http-${Date.now().toString(36)}`);
+
+      if (prediction.status === 'succeeded') {
+        await getStore().set(syncResultKey(prediction.id), prediction, { ttlSeconds: SYNC_RESULT_TTL_SECONDS });
+      }
+
+      return prediction;
+    },
+
+    get: async (id) => {
+      const syncResult = await getSyncResult(id);
+      if (syncResult) return syncResult;
+
+      const data = await request(withId(paths.status, id));
+      return normalizePrediction(data || {}, id);
+    },
+
+    cancel: async (id) => {
+      const syncResult = await getSyncResult(id);
+      if (syncResult) return syncResult;
+
+      const data = await request(withId(paths.cancel, id), { method: 'POST' });
+      return normalizePrediction({ status: 'canceled', ...data }, id);
+    },
+
+    getResult: getOutputUrl
+  };
+};
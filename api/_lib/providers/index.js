@@ -0,0 +1,34 @@
+// Style transfer provider registry
+// STYLE_PROVIDER 환경변수로 선택: replicate (기본) | http | fake
+//
+// Provider interface:
+//   create({ image, prompt, style, webhook }) → prediction
+//                                    (webhook 미지원 provider는 무시)
+//   get(id)                          → prediction
+//   cancel(id)                       → prediction
+//   getResult(prediction)            → 결과 이미지 URL 또는 null
+
+import { ApiError } from '../http.js';
+import { createReplicateProvider } from './replicate.js';
+import { createHttpProvider } from './http.js';
+import { createFakeProvider } from './fake.js';
+
+const PROVIDER_FACTORIES = {
+  replicate: createReplicateProvider,
+  http: createHttpProvider,
+  fake: createFakeProvider
+};
+
+export const getProviderName = () => process.env.STYLE_PROVIDER || 'replicate';
+
+export const getProvider = (name = getProviderName()) => {
+  const factory = PROVIDER_FACTORIES[name];
+
+  if (!factory) {
+    throw new ApiError(500, 'SERVER_MISCONFIGURED', `Unknown style transfer provider: ${name}`);
+  }
+
+  return factory();
+};
+
+export { isTerminalStatus } from './shared.js';
@@ -0,0 +1,66 @@
+// Replicate provider
+// https://replicate.com/docs/reference/http#predictions
+
+import { ApiError } from '../http.js';
+import { buildModelInput, getModelConfig } from '../config.js';
+import { getOutputUrl, requestJson } from './shared.js';
+
+// REPLICATE_API_BASE로 로컬 stand-in 서버를 가리킬 수 있음
+const DEFAULT_API_BASE = 'https://api.replicate.com/v1';
+
+// Replicate 예측 id는 소문자+숫자 (로컬 stand-in 서버는 '-' 포함)
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+// 토큰은 서버 전용 - VITE_ 접두사 변수는 클라이언트 번들에 포함되므로 사용하지 않음
+const getToken = () => {
+  if (!process.env.REPLICATE_API_TOKEN && process.env.VITE_REPLICATE_API_KEY) {
+    console.warn('VITE_REPLICATE_API_KEY is ignored - rename it to REPLICATE_API_TOKEN');
+  }
+  return process.env.REPLICATE_API_TOKEN;
+};
+
+export const createReplicateProvider = ({
+  apiBase = process.env.REPLICATE_API_BASE || DEFAULT_API_BASE,
+  token = getToken(),
+  modelConfig = getModelConfig()
+} = {}) => {
+  const request = (path, options = {}) => {
+    if (!token) {
+      throw new ApiError(500, 'SERVER_MISCONFIGURED', 'Style transfer is not configured on the server');
+    }
+
+    return requestJson(`${apiBase}${path}`, {
+      ...options,
+      headers: {
+        'Authorization': `Token ${token}`,
+        'Content-Type': 'application/json',
+        ...options.headers
+      }
+    }, 'Replicate');
+  };
+
+  return {
+    name: 'replicate',
+    idPattern: ID_PATTERN,
+
+    create: async ({ image, prompt, negativePrompt, params, webhook }) => {
+      const { model, version } = modelConfig;
+      const body = {
+        input: buildModelInput({ image, prompt, negativePrompt, params }),
+        // 상태 변경 시 Replicate가 웹훅 호출 (polling 대신)
+        ...(webhook ? { webhook, webhook_events_filter: ['start', 'logs', 'completed'] } : {})
+      };
+
+      // version이 고정되어 있으면 해당 버전, 아니면 모델의 최신 버전
+      return version
+        ? request('/predictions', { method: 'POST', body: JSON.stringify({ version, ...body }) })
+        : request(`/models/${model}/predictions`, { method: 'POST', body: JSON.stringify(body) });
+    },
+
+    get: async (id) => request(`/predictions/${encodeURIComponent(id)}`),
+
+    cancel: async (id) => request(`/predictions/${encodeURIComponent(id)}/cancel`, { method: 'POST' }),
+
+    getResult: getOutputUrl
+  };
+};
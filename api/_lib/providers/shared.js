@@ -0,0 +1,79 @@
+// Helpers shared by the style transfer providers
+// 모든 provider는 Replicate predictions 형식으로 결과를 정규화
+// { id, status, output, error, logs, created_at, started_at, completed_at }
+
+import { ApiError } from '../http.js';
+
+export const TERMINAL_STATUSES = ['succeeded', 'failed', 'canceled'];
+
+export const isTerminalStatus = (status) => TERMINAL_STATUSES.includes(status);
+
+// 서버마다 다른 상태 이름 → Replicate 상태
+const STATUS_ALIASES = {
+  queued: 'starting',
+  pending: 'starting',
+  starting: 'starting',
+  running: 'processing',
+  in_progress: 'processing',
+  processing: 'processing',
+  completed: 'succeeded',
+  done: 'succeeded',
+  success: 'succeeded',
+  succeeded: 'succeeded',
+  error: 'failed',
+  failed: 'failed',
+  cancelled: 'canceled',
+  canceled: 'canceled'
+};
+
+export const normalizeStatus = (status) => {
+  return STATUS_ALIASES[String(status || '').toLowerCase()] || 'processing';
+};
+
+// 결과 이미지 URL (output은 문자열 또는 배열)
+export const getOutputUrl = (prediction) => {
+  if (!prediction || prediction.status !== 'succeeded') return null;
+  const output = Array.isArray(prediction.output) ? prediction.output[0] : prediction.output;
+  return typeof output === 'string' && output.length > 0 ? output : null;
+};
+
+// provider HTTP 에러 상태 → 클라이언트용 에러 코드
+export const mapProviderError = (status, body, providerName = 'provider') => {
+  const detail = body?.detail || body?.error || `${providerName} responded with ${status}`;
+
+  if (status === 401 || status === 403) {
+    return new ApiError(500, 'PROVIDER_AUTH_FAILED', 'Style transfer provider is misconfigured');
+  }
+  if (status === 402) {
+    return new ApiError(402, 'PROVIDER_QUOTA_EXCEEDED', 'Style transfer credit is exhausted');
+  }
+  if (status === 404) {
+    return new ApiError(404, 'PREDICTION_NOT_FOUND', 'Prediction not found');
+  }
+  if (status === 422) {
+    return new ApiError(422, 'PROVIDER_REJECTED', detail);
+  }
+  if (status === 429) {
+    return new ApiError(429, 'PROVIDER_RATE_LIMITED', 'Too many requests, please try again shortly');
+  }
+  return new ApiError(502, 'PROVIDER_ERROR', detail);
+};
+
+// fetch + JSON 파싱 + 에러 매핑
+export const requestJson = async (url, options, providerName) => {
+  let response;
+
+  try {
+    response = await fetch(url, options);
+  } catch (error) {
+    throw new ApiError(502, 'PROVIDER_UNREACHABLE', `${providerName} is unreachable: ${error.message}`);
+  }
+
+  const data = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    throw mapProviderError(response.status, data, providerName);
+  }
+
+  return data;
+};
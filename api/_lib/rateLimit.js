@@ -0,0 +1,124 @@
+// Per-client rate limits and daily quotas
+// 클라이언트 = IP + 세션 id (X-Session-Id 헤더) - 둘 중 하나라도 한도를 넘으면 429
+//
+// - 분당 요청 수: 고정 윈도우 카운터 (route 종류별)
+// - 하루 변환 수: 예측 생성 전에 먼저 증가(예약), 한도 초과나 생성 실패면 되돌림 (UTC 날짜 기준)
+
+import crypto from 'node:crypto';
+import { ApiError } from './http.js';
+import { getStore } from './store.js';
+
+const readLimit = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// 0 = 제한 없음
+export const RATE_LIMITS = {
+  create: { windowSeconds: 60, max: readLimit('RATE_LIMIT_CREATE_PER_MINUTE', 5) },
+  read: { windowSeconds: 60, max: readLimit('RATE_LIMIT_READ_PER_MINUTE', 120) },
+  cancel: { windowSeconds: 60, max: readLimit('RATE_LIMIT_CANCEL_PER_MINUTE', 20) }
+};
+
+export const DAILY_QUOTAS = {
+  ip: readLimit('DAILY_QUOTA_PER_IP', 50),
+  session: readLimit('DAILY_QUOTA_PER_SESSION', 20)
+};
+
+const DAY_SECONDS = 24 * 60 * 60;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Vercel은 x-forwarded-for 첫 번째 값이 실제 클라이언트
+const getClientIp = (req) => {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (typeof forwarded === 'string' && forwarded.trim()) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.headers['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+};
+
+// 저장소 키/기록에는 IP 원문 대신 해시 사용
+const hashValue = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+
+export const getClient = (req) => {
+  const sessionId = req.headers['x-session-id'];
+  return {
+    ip: hashValue(getClientIp(req)),
+    session: typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId) ? sessionId : null
+  };
+};
+
+const secondsUntilNextDay = (now) => {
+  const nextDay = new Date(now);
+  nextDay.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((nextDay.getTime() - now) / 1000);
+};
+
+const dayKey = (now) => new Date(now).toISOString().slice(0, 10);
+
+const scopes = (client) => [
+  ['ip', client.ip],
+  ...(client.session ? [['session', client.session]] : [])
+];
+
+// 분당 요청 수 검사 (호출할 때마다 1 증가)
+export const enforceRateLimit = async (req, bucket, { now = Date.now() } = {}) => {
+  const { windowSeconds, max } = RATE_LIMITS[bucket];
+  const client = getClient(req);
+  if (!max) return client;
+
+  const store = getStore();
+  const windowStart = Math.floor(now / 1000 / windowSeconds) * windowSeconds;
+  const retryAfter = windowStart + windowSeconds - Math.floor(now / 1000);
+
+  for (const [scope, id] of scopes(client)) {
+    const count = await store.incr(`ratelimit:${bucket}:${scope}:${id}:${windowStart}`, {
+      ttlSeconds: windowSeconds
+    });
+
+    if (count > max) {
+      throw new ApiError(429, 'RATE_LIMITED', 'Too many requests', {
+        scope,
+        limit: max,
+        windowSeconds,
+        retryAfter
+      });
+    }
+  }
+
+  return client;
+};
+
+const quotaKey = (scope, id, day) => `quota:${scope}:${id}:${day}`;
+
+// 예약한 하루 사용량 되돌리기 (한도 초과 / 예측 생성 실패 시)
+export const releaseDailyQuota = async (reservation) => {
+  const store = getStore();
+  await Promise.all(reservation.keys.map(key => store.decr(key)));
+};
+
+// 하루 변환 한도 예약 (예측 생성 전) → 예약 정보 (생성 실패 시 releaseDailyQuota로 되돌림)
+// 먼저 증가시킨 값으로 판단 - 조회 후 증가하면 동시 요청이 함께 검사를 통과해 한도를 넘을 수 있음
+export const reserveDailyQuota = async (client, { now = Date.now() } = {}) => {
+  const store = getStore();
+  const day = dayKey(now);
+  const reservation = { keys: [] };
+
+  for (const [scope, id] of scopes(client)) {
+    const key = quotaKey(scope, id, day);
+    const used = await store.incr(key, { ttlSeconds: DAY_SECONDS });
+    reservation.keys.push(key);
+
+    const limit = DAILY_QUOTAS[scope];
+    if (limit && used > limit) {
+      await releaseDailyQuota(reservation);
+      throw new ApiError(429, 'DAILY_QUOTA_EXCEEDED', 'Daily transformation limit reached', {
+        scope,
+        limit,
+        retryAfter: secondsUntilNextDay(now)
+      });
+    }
+  }
+
+  return reservation;
+};
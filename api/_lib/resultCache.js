@@ -0,0 +1,88 @@
+// Result cache - 같은 사진 + 같은 작품 + 같은 프롬프트/파라미터면 이전 결과 재사용
+// (재시도/새로고침마다 유료 예측을 새로 만들지 않도록)
+//
+// key = sha256(사진 내용 해시, 작품 id, 프롬프트 버전, provider/모델, 생성 파라미터)
+// 예측 생성 시 id → key를 기록해두고, 성공 상태가 저장될 때 결과를 key에 저장
+// 결과 URL이 만료됐거나(적중 시 확인) 사용자가 👎로 평가한 결과는 캐시에서 제거
+
+import crypto from 'node:crypto';
+import { GENERATION_PARAMS, getModelConfig } from './config.js';
+import { getStore } from './store.js';
+
+// Replicate 결과 URL은 1시간 후 만료 → 그보다 짧게
+const CACHE_TTL_SECONDS = Number(process.env.RESULT_CACHE_TTL_SECONDS) || 50 * 60;
+const PENDING_TTL_SECONDS = 60 * 60;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const cacheKey = (key) => `result:${key}`;
+const pendingKey = (predictionId) => `result-pending:${predictionId}`;
+const resultOfKey = (predictionId) => `result-of:${predictionId}`;
+
+const STALE_CHECK_TIMEOUT_MS = 3000;
+
+export const isResultCacheEnabled = () => process.env.RESULT_CACHE !== 'off';
+
+// image: 클라이언트가 resizeImage로 줄인 사진의 data URL
+export const getResultCacheKey = ({ image, artworkId, subjectType, promptVersion, providerName, params = GENERATION_PARAMS }) => {
+  return sha256(JSON.stringify({
+    photo: sha256(image),
+    artworkId,
+    subjectType,
+    promptVersion,
+    provider: providerName,
+    model: providerName === 'replicate' ? getModelConfig() : null,
+    params
+  }));
+};
+
+// → { predictionId, output, cachedAt } 또는 null
+export const getCachedResult = (key) => getStore().get(cacheKey(key));
+
+export const evictCachedResult = (key) => getStore().delete(cacheKey(key));
+
+// 이 예측의 결과가 캐시에 있으면 제거 (👎 평가 - 같은 요청에 다시 돌려주지 않도록)
+export const evictResultForPrediction = async (predictionId) => {
+  const store = getStore();
+  const key = await store.get(resultOfKey(predictionId));
+  if (!key) return false;
+
+  await Promise.all([evictCachedResult(key), store.delete(resultOfKey(predictionId))]);
+  return true;
+};
+
+// 캐시된 결과 URL이 아직 받아지는지 (provider 결과 URL은 만료됨)
+// 상태 코드가 실패일 때만 만료로 판단 - 확인 요청 자체가 실패하면 그대로 사용 (새 유료 예측을 만들지 않음)
+export const isCachedOutputAvailable = async (output) => {
+  const url = Array.isArray(output) ? output[0] : output;
+  if (typeof url !== 'string' || !/^https?:/.test(url)) return true;
+
+  try {
+    const response = await fetch(url, { method: 'HEAD', signal: AbortSignal.timeout(STALE_CHECK_TIMEOUT_MS) });
+    return response.ok;
+  } catch {
+    return true;
+  }
+};
+
+// 예측 생성 직후 - 완료되면 이 key로 결과 저장
+export const trackPendingResult = (predictionId, key) => {
+  return getStore().set(pendingKey(predictionId), key, { ttlSeconds: PENDING_TTL_SECONDS });
+};
+
+// 예측 상태 저장 시 호출 (웹훅 / SSE / polling 어느 경로든)
+export const storeResultIfPending = async (state) => {
+  if (state.status !== 'succeeded' || !state.output) return;
+
+  const store = getStore();
+  const key = await store.get(pendingKey(state.id));
+  if (!key) return;
+
+  await store.set(cacheKey(key), {
+    predictionId: state.id,
+    output: state.output,
+    cachedAt: Date.now()
+  }, { ttlSeconds: CACHE_TTL_SECONDS });
+  await store.set(resultOfKey(state.id), key, { ttlSeconds: CACHE_TTL_SECONDS });
+  await store.delete(pendingKey(state.id));
+};
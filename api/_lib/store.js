@@ -0,0 +1,182 @@
+// Key-value store for state shared between serverless routes
+// (웹훅 → SSE 상태 전달, rate limit 카운터, 비용 기록 등)
+//
+// Store interface (모두 async):
+//   get(key)                         → value 또는 null
+//   set(key, value, { ttlSeconds })
+//   delete(key)
+//   incr(key, { ttlSeconds })        → 증가된 값 (키가 처음 생길 때만 TTL 설정)
+//   decr(key)                        → 감소된 값 (incr로 예약한 것을 되돌릴 때, TTL 유지)
+//   append(key, value, { ttlSeconds }) → 목록 끝에 추가
+//   list(key)                        → 목록 전체
+//
+// KV_REST_API_URL + KV_REST_API_TOKEN이 있으면 KV 저장소 (Vercel KV / Upstash REST),
+// 없으면 프로세스 메모리 (서버리스 인스턴스 간 공유 안 됨)
+
+import { ApiError } from './http.js';
+
+// 프로세스 메모리 저장소 - 로컬 개발 / 단일 인스턴스용
+// maxEntries를 넘으면 가장 오래 사용하지 않은 키부터 제거 (LRU)
+export const createMemoryStore = ({
+  now = () => Date.now(),
+  maxEntries = Number(process.env.MEMORY_STORE_MAX_ENTRIES) || 5000
+} = {}) => {
+  const entries = new Map(); // key → { value, expiresAt } (Map 순서 = 최근 사용 순)
+
+  const isExpired = (entry) => entry.expiresAt !== null && entry.expiresAt <= now();
+
+  const put = (key, entry) => {
+    entries.delete(key);
+    entries.set(key, entry);
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  return {
+    name: 'memory',
+
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        entries.delete(key);
+        return null;
+      }
+      put(key, entry);
+      return entry.value;
+    },
+
+    set: async (key, value, { ttlSeconds } = {}) => {
+      put(key, {
+        value,
+        expiresAt: ttlSeconds ? now() + ttlSeconds * 1000 : null
+      });
+    },
+
+    delete: async (key) => {
+      entries.delete(key);
+    },
+
+    incr: async (key, { ttlSeconds } = {}) => {
+      const entry = entries.get(key);
+      if (!entry || isExpired(entry)) {
+        put(key, { value: 1, expiresAt: ttlSeconds ? now() + ttlSeconds * 1000 : null });
+        return 1;
+      }
+      entry.value += 1;
+      return entry.value;
+    },
+
+    decr: async (key) => {
+      const entry = entries.get(key);
+      if (!entry || isExpired(entry)) return 0;
+      entry.value -= 1;
+      return entry.value;
+    },
+
+    append: async (key, value, { ttlSeconds } = {}) => {
+      const entry = entries.get(key);
+      if (!entry || isExpired(entry)) {
+        put(key, { value: [value], expiresAt: ttlSeconds ? now() + ttlSeconds * 1000 : null });
+        return;
+      }
+      entry.value.push(value);
+    },
+
+    list: async (key) => {
+      const entry = entries.get(key);
+      if (!entry || isExpired(entry)) return [];
+      return [...entry.value];
+    }
+  };
+};
+
+// Redis 호환 REST 저장소 - 명령을 JSON 배열로 전송 (["SET", key, value, "EX", ttl])
+export const createKvStore = ({
+  url = process.env.KV_REST_API_URL,
+  token = process.env.KV_REST_API_TOKEN
+} = {}) => {
+  const request = async (path, commands) => {
+    let response;
+    try {
+      response = await fetch(`${url.replace(/\/$/, '')}${path}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(commands)
+      });
+    } catch (error) {
+      throw new ApiError(503, 'STORE_UNAVAILABLE', `KV store is unreachable: ${error.message}`);
+    }
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok || !data) {
+      throw new ApiError(503, 'STORE_UNAVAILABLE', `KV store error: ${data?.error || response.status}`);
+    }
+    return data;
+  };
+
+  const command = async (...args) => {
+    const data = await request('', args);
+    if (data.error) throw new ApiError(503, 'STORE_UNAVAILABLE', `KV store error: ${data.error}`);
+    return data.result;
+  };
+
+  // 여러 명령을 한 번에 (결과 배열)
+  const pipeline = async (...commands) => {
+    const results = await request('/pipeline', commands);
+    const failed = results.find(item => item.error);
+    if (failed) throw new ApiError(503, 'STORE_UNAVAILABLE', `KV store error: ${failed.error}`);
+    return results.map(item => item.result);
+  };
+
+  const parse = (raw) => (raw === null || raw === undefined ? null : JSON.parse(raw));
+
+  return {
+    name: 'kv',
+
+    get: async (key) => parse(await command('GET', key)),
+
+    set: async (key, value, { ttlSeconds } = {}) => {
+      const args = ['SET', key, JSON.stringify(value)];
+      if (ttlSeconds) args.push('EX', ttlSeconds);
+      await command(...args);
+    },
+
+    delete: async (key) => {
+      await command('DEL', key);
+    },
+
+    // EXPIRE NX: 윈도우 시작 시점에만 TTL 설정
+    incr: async (key, { ttlSeconds } = {}) => {
+      if (!ttlSeconds) return command('INCR', key);
+      const [count] = await pipeline(['INCR', key], ['EXPIRE', key, ttlSeconds, 'NX']);
+      return count;
+    },
+
+    decr: async (key) => command('DECR', key),
+
+    append: async (key, value, { ttlSeconds } = {}) => {
+      const commands = [['RPUSH', key, JSON.stringify(value)]];
+      if (ttlSeconds) commands.push(['EXPIRE', key, ttlSeconds, 'NX']);
+      await pipeline(...commands);
+    },
+
+    list: async (key) => (await command('LRANGE', key, 0, -1)).map(parse)
+  };
+};
+
+let sharedStore = null;
+
+export const getStore = () => {
+  if (!sharedStore) {
+    sharedStore = process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN
+      ? createKvStore()
+      : createMemoryStore();
+  }
+  return sharedStore;
+};
@@ -0,0 +1,21 @@
+import { assertPredictionId, withApi } from './_lib/http.js';
+import { assertPredictionOwner } from './_lib/createRequests.js';
+import { getProvider } from './_lib/providers/index.js';
+import { enforceRateLimit } from './_lib/rateLimit.js';
+
+// 사용자가 변환을 취소하거나 화면을 떠났을 때 provider의 예측도 취소 (비용 방지)
+// 예측을 만든 클라이언트만 취소 가능 - id만 알면 남의 유료 작업을 취소할 수 있으면 안 됨
+export default withApi({ methods: ['POST'] }, async (req, res) => {
+  const client = await enforceRateLimit(req, 'cancel');
+  const provider = getProvider();
+  const id = assertPredictionId((req.body || {}).id, provider);
+  await assertPredictionOwner(client, id);
+  const prediction = await provider.cancel(id);
+
+  console.log(`Prediction ${id} cancel requested → ${prediction.status}`);
+
+  res.status(200).json({
+    id: prediction.id,
+    status: prediction.status
+  });
+});
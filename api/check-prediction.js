@@ -1,36 +1,17 @@
-export default async function handler(req, res) {
-  // CORS 헤더
-  res.setHeader('Access-Control-Allow-Credentials', true);
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+import { assertPredictionId, withApi } from './_lib/http.js';
+import { getProvider } from './_lib/providers/index.js';
+import { enforceRateLimit } from './_lib/rateLimit.js';
+import { savePredictionState, toClientState } from './_lib/predictionState.js';
 
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
-  }
+export default withApi({ methods: ['GET'] }, async (req, res) => {
+  await enforceRateLimit(req, 'read');
+  const provider = getProvider();
+  const id = assertPredictionId(req.query.id, provider);
+  const prediction = await provider.get(id);
 
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+  // 웹훅/SSE와 같은 저장소에 기록 (완료 시 결과 캐시에도 저장됨)
+  await savePredictionState(prediction);
 
-  try {
-    const { id } = req.query;
-
-    if (!id) {
-      return res.status(400).json({ error: 'Prediction ID required' });
-    }
-
-    const response = await fetch(`https://api.replicate.com/v1/predictions/${id}`, {
-      headers: {
-        'Authorization': `Token ${process.env.VITE_REPLICATE_API_KEY}`
-      }
-    });
-
-    const data = await response.json();
-    res.status(200).json(data);
-  } catch (error) {
-    console.error('API Error:', error);
-    res.status(500).json({ error: error.message });
-  }
-}
+  // 입력값(base64 이미지 등)은 돌려주지 않고 필요한 필드만 반환
+  res.status(200).json(toClientState(prediction, provider.getResult));
+});
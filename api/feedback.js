@@ -0,0 +1,19 @@
+import { withApi } from './_lib/http.js';
+import { parseFeedback, recordFeedback } from './_lib/feedbackLog.js';
+import { enforceRateLimit } from './_lib/rateLimit.js';
+import { evictResultForPrediction } from './_lib/resultCache.js';
+
+// 결과에 대한 사용자 평가 기록 (VITE_SEND_FEEDBACK=true일 때 클라이언트가 전송)
+// 순위 보정은 브라우저에서 하고, 서버는 전략별 만족도 집계용으로 보관
+// 👎 평가한 결과는 결과 캐시에서 제거 (같은 사진 + 작품으로 다시 변환하면 새로 생성)
+export default withApi({ methods: ['POST'] }, async (req, res) => {
+  const client = await enforceRateLimit(req, 'read');
+  const feedback = parseFeedback(req.body);
+
+  await recordFeedback({ feedback, client });
+  if (feedback.verdict === 'down' && feedback.predictionId) {
+    await evictResultForPrediction(feedback.predictionId);
+  }
+
+  res.status(201).json({ ok: true });
+});
@@ -0,0 +1,99 @@
+import { assertPredictionId, withApi } from './_lib/http.js';
+import { getProvider } from './_lib/providers/index.js';
+import { enforceRateLimit } from './_lib/rateLimit.js';
+import {
+  getPredictionState,
+  getWebhookUrl,
+  isTerminalStatus,
+  savePredictionState
+} from './_lib/predictionState.js';
+
+// Server-Sent Events: 예측 상태 변경을 브라우저로 push
+//   event: status   data: { id, status, output, error, progress }
+//   event: failure  data: { error, code }  → 클라이언트는 polling으로 전환
+// 함수 실행 시간 제한 전에 스트림을 닫으면 EventSource가 자동 재연결
+
+const STREAM_DURATION_MS = Number(process.env.SSE_STREAM_DURATION_MS) || 25000;
+const STORE_CHECK_INTERVAL_MS = 1000;
+const PROVIDER_CHECK_INTERVAL_MS = 3000;
+const KEEPALIVE_INTERVAL_MS = 15000;
+
+// 웹훅 상태가 이 시간 동안 없으면 provider에 직접 조회 (웹훅 미설정/지연 대비)
+const WEBHOOK_GRACE_MS = 5000;
+const STALE_STATE_MS = 20000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export default withApi({ methods: ['GET'] }, async (req, res) => {
+  // 스트림을 열기 전에 검사 → 실패는 일반 JSON 에러 응답
+  // (EventSource는 헤더를 못 보내므로 IP 기준으로만 제한)
+  await enforceRateLimit(req, 'read');
+  const provider = getProvider();
+  const id = assertPredictionId(req.query.id, provider);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 1000\n\n');
+
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const startedAt = Date.now();
+  const webhooksEnabled = Boolean(getWebhookUrl());
+  let lastSent = null;
+  let lastProviderCheck = 0;
+  let lastWrite = Date.now();
+
+  try {
+    while (!closed && Date.now() - startedAt < STREAM_DURATION_MS) {
+      let state = await getPredictionState(id);
+
+      const waitedForWebhook = Date.now() - startedAt > WEBHOOK_GRACE_MS;
+      const isStale = state?.updatedAt && Date.now() - state.updatedAt > STALE_STATE_MS;
+      const needsProviderCheck = !webhooksEnabled || isStale || (!state && waitedForWebhook);
+
+      // 직접 조회한 상태도 저장 → 웹훅 상태와 같은 곳에서 읽음
+      if (needsProviderCheck && Date.now() - lastProviderCheck >= PROVIDER_CHECK_INTERVAL_MS) {
+        lastProviderCheck = Date.now();
+        state = await savePredictionState(await provider.get(id));
+      }
+
+      if (state) {
+        const serialized = JSON.stringify([state.status, state.progress, state.output, state.error]);
+        if (serialized !== lastSent) {
+          lastSent = serialized;
+          lastWrite = Date.now();
+          send('status', {
+            id,
+            status: state.status,
+            output: state.output,
+            error: state.error,
+            progress: state.progress
+          });
+        }
+
+        if (isTerminalStatus(state.status)) break;
+      }
+
+      if (Date.now() - lastWrite >= KEEPALIVE_INTERVAL_MS) {
+        lastWrite = Date.now();
+        res.write(': keepalive\n\n');
+      }
+
+      await sleep(STORE_CHECK_INTERVAL_MS);
+    }
+  } catch (error) {
+    console.error('SSE error:', error);
+    send('failure', { error: error.message, code: error.code || 'INTERNAL_ERROR' });
+  }
+
+  res.end();
+});
@@ -0,0 +1,83 @@
+import crypto from 'node:crypto';
+import { ApiError, assertPredictionId, withWebApi } from './_lib/http.js';
+import { savePredictionState } from './_lib/predictionState.js';
+import { getProviderName } from './_lib/providers/index.js';
+
+// Provider(Replicate)가 예측 상태가 바뀔 때마다 호출하는 웹훅
+// 최신 상태를 저장소에 기록 → /api/prediction-events가 브라우저로 전달
+
+// 서명 허용 시간차 (재전송 공격 방지)
+const MAX_TIMESTAMP_SKEW_SECONDS = 5 * 60;
+
+// Replicate 웹훅 서명 검증 (Standard Webhooks 형식)
+// signed content = "{webhook-id}.{webhook-timestamp}.{body}", HMAC-SHA256
+const verifySignature = (headers, rawBody, secret) => {
+  const webhookId = headers.get('webhook-id');
+  const timestamp = headers.get('webhook-timestamp');
+  const signatureHeader = headers.get('webhook-signature');
+
+  if (!webhookId || !timestamp || !signatureHeader) {
+    throw new ApiError(401, 'INVALID_SIGNATURE', 'Missing webhook signature headers');
+  }
+
+  const skew = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(skew) || skew > MAX_TIMESTAMP_SKEW_SECONDS) {
+    throw new ApiError(401, 'INVALID_SIGNATURE', 'Webhook timestamp is too old');
+  }
+
+  const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+  const expected = crypto
+    .createHmac('sha256', key)
+    .update(`${webhookId}.${timestamp}.${rawBody}`)
+    .digest();
+
+  // 헤더: "v1,<base64> v1,<base64>" (키 교체 중에는 여러 개)
+  const valid = signatureHeader.split(' ').some((entry) => {
+    const [, signature] = entry.split(',');
+    if (!signature) return false;
+    const actual = Buffer.from(signature, 'base64');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  });
+
+  if (!valid) {
+    throw new ApiError(401, 'INVALID_SIGNATURE', 'Webhook signature mismatch');
+  }
+};
+
+// 서명 없는 웹훅은 로컬 개발에서만 (fake provider 또는 WEBHOOK_ALLOW_UNSIGNED=true)
+// 그 외에는 누구나 성공 상태 + 임의의 결과 URL을 보내 결과 캐시를 오염시킬 수 있으므로 거절
+const allowsUnsignedWebhooks = () => {
+  return getProviderName() === 'fake' || process.env.WEBHOOK_ALLOW_UNSIGNED === 'true';
+};
+
+// 브라우저가 호출하지 않으므로 CORS 없음
+// 서명은 받은 그대로의 본문으로 검증해야 하므로 Web Request 형식 (request.text())
+export const POST = withWebApi(async (request) => {
+  const rawBody = await request.text();
+  const secret = process.env.REPLICATE_WEBHOOK_SECRET;
+
+  if (secret) {
+    verifySignature(request.headers, rawBody, secret);
+  } else if (allowsUnsignedWebhooks()) {
+    console.warn('REPLICATE_WEBHOOK_SECRET is not set - webhook signature not verified (local mode)');
+  } else {
+    throw new ApiError(500, 'SERVER_MISCONFIGURED', 'REPLICATE_WEBHOOK_SECRET is required to accept webhooks');
+  }
+
+  let prediction;
+  try {
+    prediction = JSON.parse(rawBody);
+  } catch {
+    throw new ApiError(400, 'INVALID_PAYLOAD', 'Webhook body must be JSON');
+  }
+
+  if (!prediction || typeof prediction.status !== 'string') {
+    throw new ApiError(400, 'INVALID_PAYLOAD', 'Webhook body must be a prediction');
+  }
+  assertPredictionId(prediction.id);
+
+  const state = await savePredictionState(prediction);
+  console.log(`Webhook: prediction ${state.id} → ${state.status}`, state.progress ?? '');
+
+  return Response.json({ received: true });
+});
@@ -0,0 +1,124 @@
+import { withApi } from './_lib/http.js';
+import { getCreatedPredictionId, parseRequestId, rememberCreatedPrediction } from './_lib/createRequests.js';
+import { assertOutputSize, getGenerationParams, parseGenerationOptions } from './_lib/generation.js';
+import { validateImageDataUrl } from './_lib/image.js';
+import { buildPrompt, DEFAULT_SUBJECT_TYPE } from './_lib/prompts/index.js';
+import { getProvider } from './_lib/providers/index.js';
+import { getWebhookUrl, savePredictionState, toClientState } from './_lib/predictionState.js';
+import { enforceRateLimit, releaseDailyQuota, reserveDailyQuota } from './_lib/rateLimit.js';
+import { recordPrediction } from './_lib/ledger.js';
+import { parseMatchInfo, recordMatchResult } from './_lib/matchLog.js';
+import {
+  evictCachedResult,
+  getCachedResult,
+  getResultCacheKey,
+  isCachedOutputAvailable,
+  isResultCacheEnabled,
+  trackPendingResult
+} from './_lib/resultCache.js';
+
+// 프롬프트 템플릿 버전과 생성 파라미터가 키에 들어가므로 둘 중 하나라도 바뀌면 이전 결과를 재사용하지 않음
+const getCacheKeyFor = ({ image, artworkId, subjectType, promptVersion, params }, provider) => {
+  if (!isResultCacheEnabled()) return null;
+  return getResultCacheKey({ image, artworkId, subjectType, promptVersion, params, providerName: provider.name });
+};
+
+export default withApi({ methods: ['POST'] }, async (req, res) => {
+  const client = await enforceRateLimit(req, 'create');
+
+  const { image, artworkId, subjectType = DEFAULT_SUBJECT_TYPE, generation, match, requestId } = req.body || {};
+
+  // 프롬프트는 서버의 템플릿으로 조립 (클라이언트는 작품 id와 사진 종류만 보냄)
+  const { prompt, negativePrompt, version: promptVersion, artwork } = buildPrompt({ artworkId, subjectType });
+  const style = artwork.style;
+
+  const imageInfo = validateImageDataUrl(image);
+  const generationOptions = parseGenerationOptions(generation);
+  assertOutputSize(imageInfo, generationOptions);
+  const params = getGenerationParams(generationOptions);
+  const matchInfo = parseMatchInfo(match);
+  const createRequestId = parseRequestId(requestId);
+
+  const provider = getProvider();
+
+  // 이미 처리한 요청의 재시도 → 새 예측 없이 그때 만든 예측의 현재 상태 (한도/비용 기록 없음)
+  const existingId = await getCreatedPredictionId(client, createRequestId);
+  if (existingId) {
+    const prediction = await provider.get(existingId);
+    await savePredictionState(prediction);
+    console.log(`Prediction ${existingId} returned again for retried request ${createRequestId}`);
+    res.status(200).json({
+      ...toClientState(prediction, provider.getResult),
+      promptVersion
+    });
+    return;
+  }
+
+  const cacheKey = getCacheKeyFor({ image, artworkId, subjectType, promptVersion, params }, provider);
+
+  // 같은 사진/작품/프롬프트의 이전 결과 → 새 예측 없이 반환 (하루 한도 차감 없음)
+  let cached = cacheKey && await getCachedResult(cacheKey);
+
+  // 결과 URL이 이미 만료됐으면 캐시에서 지우고 새로 생성
+  if (cached && !(await isCachedOutputAvailable(cached.output))) {
+    console.log(`Cached result of prediction ${cached.predictionId} expired, evicting`);
+    await evictCachedResult(cacheKey);
+    cached = null;
+  }
+
+  if (cached) {
+    console.log(`Prediction ${cached.predictionId} served from cache`, { style, artworkId });
+    await recordMatchResult({ predictionId: cached.predictionId, artworkId, style, promptVersion, match: matchInfo, cached: true, client });
+    res.status(200).json({
+      id: cached.predictionId,
+      status: 'succeeded',
+      output: cached.output,
+      cached: true,
+      promptVersion
+    });
+    return;
+  }
+
+  // 한도는 생성 전에 먼저 차감 - provider가 예측을 만들지 못하면 되돌림
+  const quota = await reserveDailyQuota(client);
+
+  let prediction;
+  try {
+    prediction = await provider.create({
+      image,
+      prompt,
+      negativePrompt,
+      params,
+      style,
+      webhook: getWebhookUrl()
+    });
+  } catch (error) {
+    await releaseDailyQuota(quota);
+    throw error;
+  }
+  await rememberCreatedPrediction(client, createRequestId, prediction.id);
+  if (cacheKey) await trackPendingResult(prediction.id, cacheKey);
+  await savePredictionState(prediction);
+
+  // 예측이 생성된 시점부터 비용 발생 → 사용량/비용 기록
+  await Promise.all([
+    recordPrediction({ prediction, provider, client, style, artworkId, promptVersion }),
+    recordMatchResult({ predictionId: prediction.id, artworkId, style, promptVersion, match: matchInfo, cached: false, client })
+  ]);
+
+  console.log(`Prediction ${prediction.id} created`, {
+    provider: provider.name,
+    style,
+    artworkId,
+    promptVersion,
+    generation: generationOptions,
+    width: imageInfo.width,
+    height: imageInfo.height
+  });
+
+  // 동기 서버(http provider)는 이미 끝난 예측과 결과를 바로 돌려줌 → output까지 포함해서 응답
+  res.status(201).json({
+    ...toClientState(prediction, provider.getResult),
+    promptVersion
+  });
+});
@@ -0,0 +1,238 @@
+// Build the artwork catalog from the images in public/artworks
+// 폴더를 스캔해 파일명(<movement>_<nn>_<slug>)을 파싱하고, 실제 픽셀에서
+// 색상 팔레트 / 밝기 / 방향 / 구도·질감 특징을 계산한 뒤 메타데이터(제목, 작가, 연도, 재료)와 합쳐 모듈로 저장
+// 팔레트와 특징은 사진 분석과 같은 코드(src/utils/palette.js, imageFeatures.js) 사용 (scripts/image-analysis.js)
+//
+//   npm run catalog            → src/data/artworkCatalog.js 생성
+//   npm run catalog -- --check → 생성 결과가 커밋된 파일과 다르면 실패 (CI용)
+//
+// 파일 확장자는 .jpg여도 실제로는 JPEG/WebP/PNG가 섞여 있음 → sharp로 내용 기준 디코딩
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DEFAULT_MEDIUM, MEDIUMS } from '../src/data/mediumRegistry.js';
+import { analyzeImage } from './image-analysis.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const ARTWORKS_DIR = path.join(ROOT, 'public', 'artworks');
+const METADATA_FILE = path.join(ROOT, 'src', 'data', 'artworkMetadata.json');
+const OUTPUT_FILE = path.join(ROOT, 'src', 'data', 'artworkCatalog.js');
+
+const FILENAME_PATTERN = /^([a-z]+)_(\d{2})_(.+)\.(jpe?g|png|webp)$/i;
+
+// 폴더 이름이 사조와 다르거나 회화가 아닐 때만 적어둠 (Masters, Oriental 폴더는 파일 접두사로 결정)
+// 나머지 <nn>_<Name> 폴더는 이름에서 사조 id를 만듦: 12_Art_Deco → art-deco
+const FOLDER_OVERRIDES = {
+  '01_Greek_Roman': { style: 'classical', medium: 'marble-sculpture' },
+  '02_Byzantine_Islamic': { style: 'byzantine', medium: 'mosaic' },
+  '10_Masters': { style: null },
+  '11_Oriental': { style: null, category: 'oriental' }
+};
+
+const FOLDER_PATTERN = /^(\d{2})_([A-Za-z][A-Za-z_]*)$/;
+
+// 폴더 → { style, category, label } (사조 폴더가 아니면 style: null)
+const describeFolder = (folder) => {
+  const match = FOLDER_PATTERN.exec(folder);
+  if (!match) {
+    throw new Error(`Unexpected artwork folder "${folder}" - expected <nn>_<Name>, e.g. 12_Art_Deco`);
+  }
+
+  const label = match[2].replace(/_/g, ' ');
+  return {
+    style: label.toLowerCase().replace(/ /g, '-'),
+    category: 'western',
+    medium: DEFAULT_MEDIUM,
+    label,
+    ...FOLDER_OVERRIDES[folder]
+  };
+};
+
+const PREFIX_STYLES = {
+  klimt: 'art-nouveau',
+  matisse: 'fauvism',
+  munch: 'expressionism',
+  picasso: 'cubism',
+  vangogh: 'post-impressionism',
+  korean: 'korean',
+  chinese: 'chinese',
+  japanese: 'japanese'
+};
+
+// 동양화 기본 재료 (채색화 등 예외는 메타데이터의 medium)
+const PREFIX_MEDIUMS = {
+  korean: 'ink-wash',
+  chinese: 'ink-wash',
+  japanese: 'woodblock-print'
+};
+
+// 작가 → masterTag (메타데이터에 masterTag가 있으면 우선)
+const MASTER_TAGS = {
+  'Gustav Klimt': 'klimt',
+  'Henri Matisse': 'matisse',
+  'Edvard Munch': 'munch',
+  'Pablo Picasso': 'picasso',
+  'Vincent van Gogh': 'vangogh',
+  'Claude Monet': 'monet',
+  'Leonardo da Vinci': 'da-vinci',
+  'Raphael': 'raphael',
+  'Rembrandt van Rijn': 'rembrandt',
+  'Eugène Delacroix': 'delacroix'
+};
+
+const humanize = (slug) => slug
+  .replace(/[_-]+/g, ' ')
+  .replace(/\b\w/g, letter => letter.toUpperCase());
+
+const scanArtworks = async () => {
+  const folders = (await fs.readdir(ARTWORKS_DIR, { withFileTypes: true }))
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+
+  const files = [];
+  for (const folder of folders) {
+    describeFolder(folder);
+    const names = (await fs.readdir(path.join(ARTWORKS_DIR, folder))).sort();
+    for (const name of names) {
+      const match = FILENAME_PATTERN.exec(name);
+      if (!match) {
+        console.warn(`⚠️  Skipping ${folder}/${name}: expected <movement>_<nn>_<slug>.jpg`);
+        continue;
+      }
+      const [, prefix, number, slug] = match;
+      files.push({ folder, name, prefix: prefix.toLowerCase(), number, slug });
+    }
+  }
+
+  return files;
+};
+
+const buildEntry = async (file, metadata) => {
+  const id = `${file.prefix}_${file.number}`;
+  const meta = metadata[id] || {};
+  const folder = describeFolder(file.folder);
+  const relativePath = `${file.folder}/${file.name}`;
+
+  if (!metadata[id]) {
+    console.warn(`⚠️  No metadata for ${id} (${relativePath}) - using the file name as title`);
+  }
+
+  const style = meta.style || folder.style || PREFIX_STYLES[file.prefix];
+  if (!style) {
+    throw new Error(`Cannot determine style for ${relativePath}`);
+  }
+
+  const medium = meta.medium || PREFIX_MEDIUMS[file.prefix] || folder.medium;
+  if (!MEDIUMS[medium]) {
+    throw new Error(`Unknown medium "${medium}" for ${relativePath} - expected one of ${Object.keys(MEDIUMS).join(', ')}`);
+  }
+
+  const analysis = await analyzeImage(path.join(ARTWORKS_DIR, file.folder, file.name));
+
+  return {
+    id,
+    title: meta.title || humanize(file.slug),
+    titleEn: meta.titleEn || humanize(file.slug),
+    artist: meta.artist || '작자 미상',
+    artistEn: meta.artistEn || 'Unknown',
+    year: meta.year ?? null,
+    style,
+    masterTag: meta.masterTag ?? MASTER_TAGS[meta.artistEn] ?? null,
+    category: folder.category,
+    medium,
+    palette: analysis.palette,
+    brightness: analysis.brightness,
+    orientation: analysis.orientation,
+    features: analysis.features,
+    width: analysis.width,
+    height: analysis.height,
+    filename: relativePath,
+    imageUrl: encodeURI(`/artworks/${relativePath}`)
+  };
+};
+
+// 기존 데이터 파일과 같은 형태의 JS 리터럴 (작은따옴표, 배열/객체 값은 한 줄)
+const toLiteral = (value) => {
+  if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  if (Array.isArray(value)) return `[${value.map(toLiteral).join(', ')}]`;
+  if (value && typeof value === 'object') {
+    return `{ ${Object.entries(value).map(([key, item]) => `${key}: ${toLiteral(item)}`).join(', ')} }`;
+  }
+  return String(value);
+};
+
+const serializeObject = (entry) => {
+  const fields = Object.entries(entry).map(([key, value]) => `    ${key}: ${toLiteral(value)}`);
+  return `  {\n${fields.join(',\n')}\n  }`;
+};
+
+const serializeInline = (entry) => {
+  const fields = Object.entries(entry).map(([key, value]) => `${key}: ${toLiteral(value)}`);
+  return `  { ${fields.join(', ')} }`;
+};
+
+// 사조 폴더 목록 (폴더 순서 = 연대순) → 스타일 레지스트리가 선택지로 사용
+const listMovementFolders = (files) => {
+  const folders = [...new Set(files.map(file => file.folder))];
+  return folders
+    .map(folder => ({ folder, ...describeFolder(folder) }))
+    .filter(folder => folder.style)
+    .map(({ folder, style, label }) => ({ style, label, folder }));
+};
+
+const serialize = (catalog, movements) => {
+  const body = catalog.map(serializeObject).join(',\n');
+  const movementBody = movements.map(serializeInline).join(',\n');
+
+  return `// Artwork catalog - ${catalog.length} artworks in public/artworks
+// 자동 생성 파일 - 직접 수정하지 마세요 (npm run catalog)
+// 제목/작가/연도/재료: src/data/artworkMetadata.json, 팔레트/밝기/방향/구도·질감 특징: 이미지 픽셀에서 계산
+
+// 사조별 폴더 (연대순)
+export const ARTWORK_MOVEMENTS = [
+${movementBody}
+];
+
+export const ARTWORK_CATALOG = [
+${body}
+];
+`;
+};
+
+const main = async () => {
+  const checkOnly = process.argv.includes('--check');
+  const metadata = JSON.parse(await fs.readFile(METADATA_FILE, 'utf8'));
+  const files = await scanArtworks();
+
+  const catalog = [];
+  for (const file of files) {
+    catalog.push(await buildEntry(file, metadata));
+  }
+
+  const ids = new Set(catalog.map(entry => entry.id));
+  for (const id of Object.keys(metadata)) {
+    if (!ids.has(id)) console.warn(`⚠️  Metadata for ${id} has no matching image`);
+  }
+
+  const output = serialize(catalog, listMovementFolders(files));
+
+  if (checkOnly) {
+    const current = await fs.readFile(OUTPUT_FILE, 'utf8').catch(() => '');
+    if (current !== output) {
+      console.error(`❌ ${path.relative(ROOT, OUTPUT_FILE)} is out of date - run npm run catalog`);
+      process.exit(1);
+    }
+    console.log(`✅ ${path.relative(ROOT, OUTPUT_FILE)} is up to date (${catalog.length} artworks)`);
+    return;
+  }
+
+  await fs.writeFile(OUTPUT_FILE, output);
+  console.log(`✅ Wrote ${catalog.length} artworks to ${path.relative(ROOT, OUTPUT_FILE)}`);
+};
+
+main().catch((error) => {
+  console.error('❌ Failed to build artwork catalog:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,255 @@
+// Offline matcher evaluation - 정답을 적어둔 사진 폴더로 매칭 전략의 적중률을 측정
+// 사진은 sharp로 분석 (브라우저 canvas 없이, 카탈로그와 같은 코드), 순위는 앱과 같은 매칭 전략
+//
+//   npm run eval:matcher -- <photos-dir>                                  → 기본 전략 평가
+//   npm run eval:matcher -- <photos-dir> --strategies composition,legacy  → 두 전략을 나란히 비교
+//   npm run eval:matcher -- <photos-dir> --baseline eval-report/report.json → 이전 실행 결과와 비교
+//   --out <dir>  결과 폴더 (기본 eval-report) → report.json, report.html
+//
+// <photos-dir>/labels.json - 사진별 정답 (artworks, styles 중 하나 이상)
+//   {
+//     "beach.jpg": { "artworks": ["impressionist_02"], "styles": ["impressionism"] },
+//     "hanok.jpg": { "styles": ["korean"], "option": { "type": "oriental", "id": "korean" } }
+//   }
+//   option이 있으면 앱에서 그 스타일을 고른 것처럼 해당 작품 안에서만 매칭
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { ARTWORK_CATALOG } from '../src/data/artworkCatalog.js';
+import { resolveStyleOption } from '../src/data/catalogQuery.js';
+import { compareReports, evaluateMatcher, TOP_K } from '../src/utils/matcherEvaluation.js';
+import { DEFAULT_STRATEGY, MATCHING_STRATEGIES } from '../src/utils/matchingStrategies.js';
+import { analyzeImage } from './image-analysis.js';
+
+const LABELS_FILE = 'labels.json';
+const DEFAULT_OUT_DIR = 'eval-report';
+
+const readOption = (args, name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? null : args[index + 1];
+};
+
+const parseArgs = (args) => {
+  const photosDir = args.find((arg, index) => !arg.startsWith('--') && !args[index - 1]?.startsWith('--'));
+  if (!photosDir) {
+    throw new Error('Usage: npm run eval:matcher -- <photos-dir> [--strategies a,b] [--baseline report.json] [--out dir]');
+  }
+
+  const strategies = (readOption(args, '--strategies') || DEFAULT_STRATEGY).split(',').map(id => id.trim());
+  for (const id of strategies) {
+    if (!MATCHING_STRATEGIES[id]) {
+      throw new Error(`Unknown strategy "${id}" - expected one of ${Object.keys(MATCHING_STRATEGIES).join(', ')}`);
+    }
+  }
+  if (strategies.length > 2) {
+    throw new Error('Compare at most two strategies at a time');
+  }
+
+  return {
+    photosDir: path.resolve(photosDir),
+    strategies,
+    baseline: readOption(args, '--baseline'),
+    outDir: path.resolve(readOption(args, '--out') || DEFAULT_OUT_DIR)
+  };
+};
+
+// labels.json → 평가 케이스 (사진 분석 포함)
+const loadCases = async (photosDir) => {
+  const labels = JSON.parse(await fs.readFile(path.join(photosDir, LABELS_FILE), 'utf8'));
+  const knownIds = new Set(ARTWORK_CATALOG.map(artwork => artwork.id));
+  const cases = [];
+
+  for (const [name, label] of Object.entries(labels)) {
+    const expected = { artworks: label.artworks || [], styles: label.styles || [] };
+    if (expected.artworks.length === 0 && expected.styles.length === 0) {
+      throw new Error(`${name}: label needs "artworks" or "styles"`);
+    }
+    for (const id of expected.artworks) {
+      if (!knownIds.has(id)) console.warn(`⚠️  ${name}: unknown artwork id "${id}"`);
+    }
+
+    cases.push({
+      name,
+      analysis: await analyzeImage(path.join(photosDir, name)),
+      expected,
+      option: label.option || null
+    });
+  }
+
+  return cases;
+};
+
+// 이전 실행의 report.json → 첫 번째 전략 결과
+const loadBaseline = async (file) => {
+  const report = JSON.parse(await fs.readFile(file, 'utf8'));
+  const baseline = report.reports?.[0];
+  if (!baseline?.results) {
+    throw new Error(`${file} is not an evaluation report`);
+  }
+  return baseline;
+};
+
+// ===== HTML =====
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatRate = (value) => (value === null || value === undefined ? '-' : `${Math.round(value * 1000) / 10}%`);
+
+const formatDelta = (value) => {
+  if (value === null || value === undefined) return '-';
+  const points = Math.round(value * 1000) / 10;
+  const className = points > 0 ? 'up' : points < 0 ? 'down' : '';
+  return `<span class="${className}">${points > 0 ? '+' : ''}${points}</span>`;
+};
+
+const table = (headers, rows) => `
+<table>
+  <tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr>
+  ${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('\n  ')}
+</table>`;
+
+const renderHistogram = (summary) => {
+  const max = Math.max(1, ...summary.histogram);
+  return summary.histogram.map((count, index) => `
+  <div class="bar-row">
+    <span class="bar-label">${(index / summary.histogram.length).toFixed(1)}</span>
+    <span class="bar" style="width: ${count / max * 100}%"></span>
+    <span class="bar-count">${count}</span>
+  </div>`).join('');
+};
+
+const renderReport = (report) => {
+  const styles = Object.keys(report.confusion).sort();
+  const predicted = [...new Set(styles.flatMap(style => Object.keys(report.confusion[style])))].sort();
+
+  return `
+<section>
+  <h2>${escapeHtml(report.strategy)}</h2>
+  <p>${report.summary.cases}장 · top-1 ${formatRate(report.summary.top1)} · top-${TOP_K} ${formatRate(report.summary.top3)}</p>
+
+  <h3>스타일별</h3>
+  ${table(['정답 스타일', '사진 수', 'top-1', `top-${TOP_K}`], Object.entries(report.byStyle).map(([style, stats]) => [
+    escapeHtml(style), stats.cases, formatRate(stats.top1), formatRate(stats.top3)
+  ]))}
+
+  <h3>혼동 행렬 (행: 정답, 열: 1위 작품의 스타일)</h3>
+  ${table(['', ...predicted], styles.map(style => [
+    `<strong>${escapeHtml(style)}</strong>`,
+    ...predicted.map(column => report.confusion[style][column] || '')
+  ]))}
+
+  <h3>점수 분포</h3>
+  <div class="histograms">
+    <div><h4>1위 작품 (평균 ${report.scores.top.mean ?? '-'})</h4>${renderHistogram(report.scores.top)}</div>
+    <div><h4>가장 높은 정답 작품 (평균 ${report.scores.expected.mean ?? '-'})</h4>${renderHistogram(report.scores.expected)}</div>
+  </div>
+
+  <h3>사진별</h3>
+  ${table(['사진', '후보 수', '정답 순위', `상위 ${TOP_K}`], report.results.map(result => [
+    escapeHtml(result.name),
+    result.candidates,
+    result.hitRank ?? '-',
+    result.top.map(match => `${escapeHtml(match.id)} (${match.score})`).join('<br>')
+  ]))}
+</section>`;
+};
+
+const renderComparison = (comparison) => `
+<section>
+  <h2>비교: ${escapeHtml(comparison.before)} → ${escapeHtml(comparison.after)}</h2>
+  ${table(['지표', comparison.before, comparison.after, '차이 (%p)'], [
+    ['top-1', formatRate(comparison.summary.top1.before), formatRate(comparison.summary.top1.after), formatDelta(comparison.summary.top1.delta)],
+    [`top-${TOP_K}`, formatRate(comparison.summary.top3.before), formatRate(comparison.summary.top3.after), formatDelta(comparison.summary.top3.delta)],
+    ['1위 평균 점수', comparison.summary.meanTopScore.before ?? '-', comparison.summary.meanTopScore.after ?? '-', comparison.summary.meanTopScore.delta ?? '-']
+  ])}
+
+  <h3>스타일별 top-${TOP_K}</h3>
+  ${table(['스타일', comparison.before, comparison.after, '차이 (%p)'], Object.entries(comparison.byStyle).map(([style, stats]) => [
+    escapeHtml(style), formatRate(stats.before), formatRate(stats.after), formatDelta(stats.delta)
+  ]))}
+
+  <h3>결과가 바뀐 사진 (${comparison.changed.length}장)</h3>
+  ${table(['사진', '이전 1위 (정답 순위)', '이후 1위 (정답 순위)'], comparison.changed.map(change => [
+    escapeHtml(change.name),
+    `${escapeHtml(change.before.top1)} (${change.before.hitRank ?? '-'})`,
+    `${escapeHtml(change.after.top1)} (${change.after.hitRank ?? '-'})`
+  ]))}
+</section>`;
+
+const renderHtml = (output) => `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="utf-8">
+<title>PicoArt matcher evaluation</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, sans-serif; margin: 2rem; color: #333; }
+  h1 { color: #764ba2; }
+  section { margin-bottom: 3rem; }
+  table { border-collapse: collapse; margin: 0.5rem 0 1.5rem; font-size: 0.9rem; }
+  th, td { border: 1px solid #ddd; padding: 0.3rem 0.6rem; text-align: left; vertical-align: top; }
+  th { background: #f8f7ff; }
+  .up { color: #00b894; }
+  .down { color: #d63031; }
+  .histograms { display: flex; gap: 2rem; }
+  .histograms > div { flex: 1; }
+  .bar-row { display: flex; align-items: center; gap: 0.5rem; font-size: 0.8rem; }
+  .bar-label { width: 2rem; color: #888; }
+  .bar { height: 0.8rem; background: #667eea; }
+</style>
+</head>
+<body>
+<h1>🎨 Matcher evaluation</h1>
+<p>${escapeHtml(output.photos)} · ${escapeHtml(output.generatedAt)}</p>
+${output.comparison ? renderComparison(output.comparison) : ''}
+${output.reports.map(renderReport).join('\n')}
+</body>
+</html>
+`;
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const cases = await loadCases(options.photosDir);
+
+  const reports = options.strategies.map(id => evaluateMatcher({
+    cases,
+    strategy: MATCHING_STRATEGIES[id],
+    artworks: ARTWORK_CATALOG,
+    resolveOption: resolveStyleOption
+  }));
+
+  let comparison = null;
+  if (options.baseline) {
+    comparison = compareReports(await loadBaseline(options.baseline), reports[0]);
+  } else if (reports.length === 2) {
+    comparison = compareReports(reports[0], reports[1]);
+  }
+
+  const output = {
+    generatedAt: new Date().toISOString(),
+    photos: options.photosDir,
+    reports,
+    comparison
+  };
+
+  await fs.mkdir(options.outDir, { recursive: true });
+  await fs.writeFile(path.join(options.outDir, 'report.json'), `${JSON.stringify(output, null, 2)}\n`);
+  await fs.writeFile(path.join(options.outDir, 'report.html'), renderHtml(output));
+
+  for (const report of reports) {
+    console.log(`📊 ${report.strategy}: ${report.summary.cases} photos, top-1 ${formatRate(report.summary.top1)}, top-${TOP_K} ${formatRate(report.summary.top3)}`);
+  }
+  if (comparison) {
+    const points = (value) => (value === null ? '-' : `${value > 0 ? '+' : ''}${Math.round(value * 1000) / 10}%p`);
+    console.log(`↔️  ${comparison.before} → ${comparison.after}: top-1 ${points(comparison.summary.top1.delta)}, top-${TOP_K} ${points(comparison.summary.top3.delta)}, ${comparison.changed.length} photos changed`);
+  }
+  console.log(`✅ Wrote ${path.relative(process.cwd(), path.join(options.outDir, 'report.json'))} and report.html`);
+};
+
+main().catch((error) => {
+  console.error('❌ Failed to evaluate matcher:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,75 @@
+// Local Replicate-compatible stand-in server
+// 실제 Replicate provider를 오프라인에서 그대로 테스트할 때 사용
+//
+//   node scripts/fake-replicate-server.js
+//   REPLICATE_API_BASE=http://localhost:8787/v1 npm run dev
+
+import http from 'node:http';
+import { createFakeProvider } from '../api/_lib/providers/fake.js';
+
+const PORT = Number(process.env.FAKE_REPLICATE_PORT) || 8787;
+const provider = createFakeProvider();
+
+const sendJson = (res, status, data) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+const readJson = (req) => new Promise((resolve) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+    } catch {
+      resolve(null);
+    }
+  });
+});
+
+const routes = [
+  {
+    method: 'POST',
+    pattern: /^\/v1\/(?:predictions|models\/[^/]+\/[^/]+\/predictions)$/,
+    handle: async (req, res) => {
+      const body = await readJson(req);
+      if (!body || typeof body.input !== 'object') {
+        return sendJson(res, 422, { detail: 'input is required' });
+      }
+      const { prompt, style } = body.input;
+      sendJson(res, 201, await provider.create({ prompt, style }));
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/v1\/predictions\/([^/]+)$/,
+    handle: async (req, res, [, id]) => sendJson(res, 200, await provider.get(id))
+  },
+  {
+    method: 'POST',
+    pattern: /^\/v1\/predictions\/([^/]+)\/cancel$/,
+    handle: async (req, res, [, id]) => sendJson(res, 200, await provider.cancel(id))
+  }
+];
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+
+  for (const route of routes) {
+    const match = req.method === route.method && route.pattern.exec(pathname);
+    if (!match) continue;
+
+    try {
+      await route.handle(req, res, match);
+    } catch (error) {
+      sendJson(res, error.status || 500, { detail: error.message });
+    }
+    return;
+  }
+
+  sendJson(res, 404, { detail: 'Not found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`Fake Replicate API listening on http://localhost:${PORT}/v1`);
+});
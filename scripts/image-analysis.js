@@ -0,0 +1,49 @@
+// sharp로 이미지를 분석 - 카탈로그 생성과 오프라인 매칭 평가가 공유
+// 브라우저의 사진 분석(src/utils/photoAnalysis.js)과 같은 크기/같은 코드로 계산
+// 파일 확장자와 상관없이 내용 기준으로 JPEG/WebP/PNG 디코딩, EXIF 회전 적용
+
+import sharp from 'sharp';
+import { computeImageFeatures, getOrientation } from '../src/utils/imageFeatures.js';
+import { extractPalette } from '../src/utils/palette.js';
+
+const ANALYSIS_SIZE = 64; // 사진 분석(photoAnalysis)과 같은 크기
+
+// 사진 분석(photoAnalysis.analyzePhoto)과 같은 방식: RGB 평균 / 255 * 100
+const computeBrightness = (pixels) => {
+  let sum = 0;
+  for (let i = 0; i < pixels.length; i++) sum += pixels[i];
+  return Math.floor(sum / pixels.length / 255 * 100);
+};
+
+// → { width, height, orientation, palette, brightness, features }
+export const analyzeImage = async (file) => {
+  const metadata = await sharp(file).metadata();
+
+  // EXIF 회전(5-8)은 가로/세로가 바뀜
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  const { data, info } = await sharp(file)
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    width,
+    height,
+    orientation: getOrientation(width, height),
+    palette: extractPalette(data, { channels: 3 }),
+    brightness: computeBrightness(data),
+    features: computeImageFeatures(data, {
+      width: info.width,
+      height: info.height,
+      channels: 3,
+      sourceWidth: width,
+      sourceHeight: height
+    })
+  };
+};
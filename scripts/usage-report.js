@@ -0,0 +1,141 @@
+// Usage report - 서버가 저장소(KV)에 남긴 날짜별 기록을 모아서 출력 (관리자용, 브라우저 route 없음)
+// 비용 기록(ledger), 매칭 전략 A/B 기록(matchLog), 결과 평가(feedbackLog) - 전략별 결과 수와 만족도를 나란히
+//
+//   npm run report                          → 오늘 (UTC)
+//   npm run report -- 2026-10-01            → 그 날짜
+//   npm run report -- 2026-10-01 --days 7   → 그 날짜부터 7일
+//   --json  결과를 JSON으로 출력
+//
+// KV_REST_API_URL + KV_REST_API_TOKEN 필요 (메모리 저장소는 서버 프로세스 밖에서 읽을 수 없음)
+//   node --env-file=.env scripts/usage-report.js 처럼 서버와 같은 환경변수로 실행
+
+import { getFeedbackLog } from '../api/_lib/feedbackLog.js';
+import { getLedger } from '../api/_lib/ledger.js';
+import { getMatchLog } from '../api/_lib/matchLog.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_DAYS = 90; // 기록 보관 기간 (ledger TTL)
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const readOption = (args, name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? null : args[index + 1];
+};
+
+const parseArgs = (args) => {
+  const start = args.find((arg, index) => !arg.startsWith('--') && !args[index - 1]?.startsWith('--'))
+    || new Date().toISOString().slice(0, 10);
+  if (!DAY_PATTERN.test(start) || Number.isNaN(Date.parse(start))) {
+    throw new Error('Usage: npm run report -- [YYYY-MM-DD] [--days N] [--json]');
+  }
+
+  const days = Number(readOption(args, '--days') || 1);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+    throw new Error(`--days must be an integer between 1 and ${MAX_DAYS}`);
+  }
+
+  return { start, days, json: args.includes('--json') };
+};
+
+const listDays = (start, count) => {
+  const first = Date.parse(start);
+  return Array.from({ length: count }, (_, index) => new Date(first + index * DAY_MS).toISOString().slice(0, 10));
+};
+
+const formatUsd = (value) => `$${value.toFixed(2)}`;
+
+// 하루치 기록 → 요약 (entries는 --json에서만 출력)
+const loadDay = async (day) => ({
+  day,
+  ledger: await getLedger(day),
+  matches: await getMatchLog(day),
+  feedback: await getFeedbackLog(day)
+});
+
+// 매칭 전략(A/B)별 결과 수와 평균 전략 점수
+const printStrategies = (byStrategy) => {
+  for (const [strategy, stats] of Object.entries(byStrategy)) {
+    console.log(`    ${strategy.padEnd(18)} ${String(stats.count).padStart(5)} results, avg score ${stats.averageScore.toFixed(3)}`);
+  }
+};
+
+// 전략별 👍/👎/다른 작품 수와 만족도 (👍 비율)
+const printFeedback = (byStrategy) => {
+  for (const [strategy, stats] of Object.entries(byStrategy)) {
+    const approval = stats.approval === null ? '-' : `${Math.round(stats.approval * 100)}%`;
+    console.log(`    ${strategy.padEnd(18)} 👍 ${stats.up} 👎 ${stats.down} ↻ ${stats.another}, approval ${approval}`);
+  }
+};
+
+const printDay = ({ day, ledger, matches, feedback }) => {
+  console.log(`\n📅 ${day}`);
+  console.log(`  💰 ${ledger.count} predictions, ${formatUsd(ledger.totalCostUsd)} estimated`);
+  console.log(`  🧭 ${matches.entries.length} matched results`);
+  printStrategies(matches.byStrategy);
+  console.log(`  💬 ${feedback.entries.length} feedback`);
+  printFeedback(feedback.byStrategy);
+};
+
+// 여러 날의 전략별 통계 합치기 (평균은 결과 수로 가중)
+const mergeStrategies = (report) => {
+  const merged = {};
+  for (const { matches } of report) {
+    for (const [strategy, stats] of Object.entries(matches.byStrategy)) {
+      const total = merged[strategy] || (merged[strategy] = { count: 0, totalScore: 0 });
+      total.count += stats.count;
+      total.totalScore += stats.averageScore * stats.count;
+    }
+  }
+  return Object.fromEntries(Object.entries(merged).map(([strategy, { count, totalScore }]) => (
+    [strategy, { count, averageScore: Math.round(totalScore / count * 1000) / 1000 }]
+  )));
+};
+
+const mergeFeedback = (report) => {
+  const merged = {};
+  for (const { feedback } of report) {
+    for (const [strategy, stats] of Object.entries(feedback.byStrategy)) {
+      const total = merged[strategy] || (merged[strategy] = { up: 0, down: 0, another: 0 });
+      total.up += stats.up;
+      total.down += stats.down;
+      total.another += stats.another;
+    }
+  }
+  for (const stats of Object.values(merged)) {
+    const total = stats.up + stats.down + stats.another;
+    stats.approval = total > 0 ? Math.round(stats.up / total * 1000) / 1000 : null;
+  }
+  return merged;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (!process.env.KV_REST_API_URL || !process.env.KV_REST_API_TOKEN) {
+    throw new Error('KV_REST_API_URL and KV_REST_API_TOKEN are required to read server records');
+  }
+
+  const report = [];
+  for (const day of listDays(options.start, options.days)) {
+    report.push(await loadDay(day));
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  report.forEach(printDay);
+
+  if (report.length > 1) {
+    const count = report.reduce((sum, { ledger }) => sum + ledger.count, 0);
+    const cost = report.reduce((sum, { ledger }) => sum + ledger.totalCostUsd, 0);
+    console.log(`\n📊 Total: ${count} predictions, ${formatUsd(cost)} estimated`);
+    printStrategies(mergeStrategies(report));
+    printFeedback(mergeFeedback(report));
+  }
+};
+
+main().catch((error) => {
+  console.error('❌ Failed to build usage report:', error.message);
+  process.exit(1);
+});
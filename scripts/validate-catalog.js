@@ -0,0 +1,82 @@
+// Validate the artwork catalog against style options, education content, images on disk and prompt templates
+// 문제가 있으면 목록을 출력하고 exit 1 (경고만 있으면 통과)
+//
+//   npm run validate:catalog
+//   npm run validate:catalog -- --json   → 결과를 JSON으로 출력
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { buildPrompt, resolvePromptLayers, SUBJECT_TYPES } from '../api/_lib/prompts/index.js';
+import { ARTWORKS_DB } from '../src/data/artworksDB.js';
+import { resolveStyleOption } from '../src/data/catalogQuery.js';
+import { getAllStyleOptions, STYLE_EDUCATION } from '../src/data/styleRegistry.js';
+import { validateCatalog } from '../src/data/validateCatalog.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const ARTWORKS_DIR = path.join(ROOT, 'public', 'artworks');
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|webp)$/i;
+
+// public/artworks 아래 이미지 → 상대 경로 목록
+const listImageFiles = async (dir = ARTWORKS_DIR) => {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listImageFiles(fullPath));
+    } else if (IMAGE_EXTENSIONS.test(entry.name)) {
+      files.push(path.relative(ARTWORKS_DIR, fullPath).split(path.sep).join('/'));
+    }
+  }
+
+  return files.sort();
+};
+
+// 작품 → 프롬프트 층이 비지 않고, 모든 사진 종류로 프롬프트가 조립되는지
+const checkPrompt = (artwork) => {
+  const problems = [];
+  const layers = resolvePromptLayers(artwork);
+  for (const field of ['template', 'source', 'keywords']) {
+    if (!layers[field]) problems.push(`prompt ${field} resolves to nothing`);
+  }
+
+  for (const subjectType of Object.keys(SUBJECT_TYPES)) {
+    try {
+      buildPrompt({ artworkId: artwork.id, subjectType });
+    } catch (error) {
+      problems.push(`prompt for "${subjectType}" fails: ${error.message}`);
+    }
+  }
+  return problems;
+};
+
+const main = async () => {
+  const result = validateCatalog({
+    styleOptions: getAllStyleOptions(),
+    artworksDb: ARTWORKS_DB,
+    education: STYLE_EDUCATION,
+    imageFiles: await listImageFiles(),
+    resolveStyle: resolveStyleOption,
+    checkPrompt
+  });
+
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    for (const warning of result.warnings) console.warn(`⚠️  [${warning.type}] ${warning.message}`);
+    for (const error of result.errors) console.error(`❌ [${error.type}] ${error.message}`);
+
+    console.log(result.valid
+      ? `✅ Catalog is valid (${result.warnings.length} warnings)`
+      : `❌ ${result.errors.length} errors, ${result.warnings.length} warnings`);
+  }
+
+  process.exit(result.valid ? 0 : 1);
+};
+
+main().catch((error) => {
+  console.error('❌ Failed to validate catalog:', error.message);
+  process.exit(1);
+});
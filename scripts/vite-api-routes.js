@@ -0,0 +1,139 @@
+// Vite dev server plugin: api/*.js 서버리스 함수를 로컬에서 실행
+// `vercel dev` 없이 `npm run dev`만으로 전체 흐름을 테스트할 수 있음
+// (Vercel의 req.query / req.body / res.status / res.json을 흉내냄)
+// 메서드 이름으로 export한 Web 형식 핸들러(export const POST = (request) => Response)도 지원
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const ROUTE_PATTERN = /^[a-z0-9-]+$/;
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new Error('Request body too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+
+  req.on('error', reject);
+});
+
+const parseBody = (raw) => {
+  const text = raw.toString('utf8');
+  if (!text) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+const decorateResponse = (res) => {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (data) => {
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    }
+    res.end(JSON.stringify(data));
+    return res;
+  };
+  res.send = (data) => {
+    if (data !== null && typeof data === 'object' && !Buffer.isBuffer(data)) {
+      return res.json(data);
+    }
+    res.end(data);
+    return res;
+  };
+  return res;
+};
+
+// Node 요청 → Web Request (본문은 받은 그대로)
+const toWebRequest = (req, url, rawBody) => {
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (Array.isArray(value)) value.forEach(item => headers.append(name, item));
+    else if (value !== undefined) headers.set(name, value);
+  }
+
+  return new Request(url, {
+    method: req.method,
+    headers,
+    body: rawBody && rawBody.length > 0 ? rawBody : undefined
+  });
+};
+
+// Web Response → Node 응답
+const sendWebResponse = async (res, response) => {
+  res.statusCode = response.status;
+  response.headers.forEach((value, name) => res.setHeader(name, value));
+  res.end(Buffer.from(await response.arrayBuffer()));
+};
+
+const WEB_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Web 형식 라우트: 요청 메서드의 export가 없으면 405 (Vercel과 같게)
+const runWebHandler = async (module, req, res, url) => {
+  const handler = module[req.method];
+  if (!handler) {
+    res.statusCode = 405;
+    res.setHeader('Allow', WEB_METHODS.filter(method => module[method]).join(','));
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify({ error: 'Method not allowed', code: 'METHOD_NOT_ALLOWED' }));
+    return;
+  }
+
+  const rawBody = req.method === 'GET' || req.method === 'HEAD' ? null : await readBody(req);
+  await sendWebResponse(res, await handler(toWebRequest(req, url, rawBody)));
+};
+
+export const apiRoutes = ({ apiDir = path.resolve('api') } = {}) => ({
+  name: 'picoart-api-routes',
+
+  configureServer(server) {
+    server.middlewares.use('/api', async (req, res, next) => {
+      const url = new URL(req.url, 'http://localhost');
+      const routeName = url.pathname.replace(/^\/+|\/+$/g, '');
+      const file = path.join(apiDir, `${routeName}.js`);
+
+      if (!ROUTE_PATTERN.test(routeName) || !fs.existsSync(file)) {
+        return next();
+      }
+
+      try {
+        const module = await server.ssrLoadModule(file);
+        if (!module.default) {
+          await runWebHandler(module, req, res, new URL(req.url, `http://${req.headers.host || 'localhost'}`));
+          return;
+        }
+        const handler = module.default;
+
+        req.query = Object.fromEntries(url.searchParams);
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+          req.body = parseBody(await readBody(req));
+        }
+
+        await handler(req, decorateResponse(res));
+      } catch (error) {
+        server.config.logger.error(`[api/${routeName}] ${error.stack || error.message}`);
+        if (!res.headersSent) {
+          res.statusCode = 500;
+          res.setHeader('Content-Type', 'application/json; charset=utf-8');
+          res.end(JSON.stringify({ error: 'Internal server error', code: 'INTERNAL_ERROR' }));
+        }
+      }
+    });
+  }
+});
@@ -1,39 +1,92 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import UploadScreen from './components/UploadScreen';
 import StyleSelection from './components/StyleSelection';
+import GenerationOptions from './components/GenerationOptions';
 import ProcessingScreen from './components/ProcessingScreen';
 import ResultScreen from './components/ResultScreen';
+import { normalizeGenerationOptions } from './data/generationPresets';
+import { loadGenerationOptions, saveGenerationOptions } from './utils/generationOptions';
+import { clearJob, loadPendingJob, savePhoto } from './utils/jobPersistence';
 import './styles/App.css';
 
 function App() {
-  const [currentScreen, setCurrentScreen] = useState('upload'); // upload, style, processing, result
+  const [currentScreen, setCurrentScreen] = useState('upload'); // upload, style, options, processing, result
   const [uploadedPhoto, setUploadedPhoto] = useState(null);
   const [selectedStyle, setSelectedStyle] = useState(null);
+  const [generationOptions, setGenerationOptions] = useState(loadGenerationOptions); // 화풍 강도, 구조 유지, 시드, 출력 크기
   const [matchedArtwork, setMatchedArtwork] = useState(null);
-  const [resultImage, setResultImage] = useState(null);
+  const [transferResult, setTransferResult] = useState(null); // { resultUrl, isMock, cached, ... }
+  const [matchInfo, setMatchInfo] = useState(null); // { explanation, candidateCount, match, breakdown }
+  const [seenArtworkIds, setSeenArtworkIds] = useState([]); // "다른 작품"으로 넘긴 작품 (같은 사진 + 스타일)
+  const [processingKey, setProcessingKey] = useState(0); // 다시 매칭할 때 처리 화면을 새로 시작
+  const [resumeJob, setResumeJob] = useState(null); // 새로고침 전 진행 중이던 작업
+
+  // 새로고침 후 끝나지 않은 변환이 있으면 이어서 진행
+  useEffect(() => {
+    loadPendingJob().then((pending) => {
+      if (!pending) return;
+      setUploadedPhoto(pending.photo);
+      setSelectedStyle(pending.job.selectedStyle);
+      if (pending.job.generation) setGenerationOptions(normalizeGenerationOptions(pending.job.generation));
+      setResumeJob(pending.job);
+      setCurrentScreen('processing');
+    });
+  }, []);
 
   const handlePhotoUpload = (file) => {
     setUploadedPhoto(file);
+    savePhoto(file);
     setCurrentScreen('style');
   };
 
   const handleStyleSelect = (style) => {
     setSelectedStyle(style);
+    setCurrentScreen('options');
+  };
+
+  // 변환 옵션을 정하면 매칭 + 변환 시작 (다음 변환도 같은 옵션으로 시작하도록 저장)
+  const handleOptionsConfirm = (options) => {
+    setGenerationOptions(options);
+    saveGenerationOptions(options);
+    setSeenArtworkIds([]);
     setCurrentScreen('processing');
   };
 
-  const handleProcessingComplete = (artwork, result) => {
+  const handleProcessingComplete = (artwork, result, match) => {
+    clearJob();
+    setResumeJob(null);
     setMatchedArtwork(artwork);
-    setResultImage(result);
+    setTransferResult(result);
+    setMatchInfo(match);
     setCurrentScreen('result');
   };
 
+  // 결과 화면 "다른 작품" → 이 작품을 빼고 같은 사진 + 스타일로 다시 매칭
+  const handleTryAnother = () => {
+    savePhoto(uploadedPhoto); // 완료 시 지운 사진 - 새로고침 후 이어서 진행할 수 있도록 다시 보관
+    setSeenArtworkIds(ids => [...ids, matchedArtwork.id]);
+    setProcessingKey(key => key + 1);
+    setCurrentScreen('processing');
+  };
+
+  // 처리 중 오류 → 스타일 다시 선택
+  const handleBackToStyle = () => {
+    clearJob({ keepPhoto: true });
+    setResumeJob(null);
+    setSelectedStyle(null);
+    setCurrentScreen('style');
+  };
+
   const handleReset = () => {
+    clearJob();
+    setResumeJob(null);
     setCurrentScreen('upload');
     setUploadedPhoto(null);
     setSelectedStyle(null);
     setMatchedArtwork(null);
-    setResultImage(null);
+    setTransferResult(null);
+    setMatchInfo(null);
+    setSeenArtworkIds([]);
   };
 
   return (
@@ -52,20 +105,40 @@ function App() {
           <StyleSelection onSelect={handleStyleSelect} onBack={handleReset} />
         )}
 
+        {currentScreen === 'options' && (
+          <GenerationOptions
+            selectedStyle={selectedStyle}
+            initialOptions={generationOptions}
+            onStart={handleOptionsConfirm}
+            onBack={() => setCurrentScreen('style')}
+          />
+        )}
+
         {currentScreen === 'processing' && (
           <ProcessingScreen
+            key={processingKey}
             photo={uploadedPhoto}
             selectedStyle={selectedStyle}
+            generationOptions={generationOptions}
+            resumeJob={resumeJob}
+            excludeArtworkIds={seenArtworkIds}
             onComplete={handleProcessingComplete}
+            onBack={handleBackToStyle}
+            onReset={handleReset}
           />
         )}
 
         {currentScreen === 'result' && (
           <ResultScreen
             originalPhoto={uploadedPhoto}
-            resultImage={resultImage}
+            resultImage={transferResult.resultUrl}
+            isMock={transferResult.isMock}
+            isCached={transferResult.cached}
             artwork={matchedArtwork}
             selectedStyle={selectedStyle}
+            matchInfo={matchInfo}
+            predictionId={transferResult.predictionId}
+            onTryAnother={handleTryAnother}
             onReset={handleReset}
           />
         )}
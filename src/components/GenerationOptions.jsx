@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import {
+  applyPreset,
+  findPreset,
+  GENERATION_PRESETS,
+  MAX_SEED,
+  OUTPUT_SIZES,
+  SUBJECT_TYPES
+} from '../data/generationPresets';
+
+const randomSeed = () => Math.floor(Math.random() * MAX_SEED);
+
+const toPercent = (value) => `${Math.round(value * 100)}%`;
+
+// 스타일 선택 → 처리 화면 사이: 프리셋을 고르거나 고급 옵션을 직접 조정
+function GenerationOptions({ selectedStyle, initialOptions, onStart, onBack }) {
+  const [options, setOptions] = useState(initialOptions);
+  const [showAdvanced, setShowAdvanced] = useState(!findPreset(initialOptions) || initialOptions.seed !== null);
+
+  const activePreset = findPreset(options);
+  const update = (changes) => setOptions(current => ({ ...current, ...changes }));
+
+  // 입력을 지운 상태('')는 Number('') === 0이 되므로 무시하고 이전 시드 유지
+  const handleSeedInput = (event) => {
+    if (event.target.value.trim() === '') return;
+    const seed = Number(event.target.value);
+    if (Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED) update({ seed });
+  };
+
+  return (
+    <div className="generation-options">
+      <button className="back-button" onClick={onBack}>
+        ← 스타일 다시 선택
+      </button>
+
+      <h2>어떻게 변환할까요?</h2>
+      <p className="subtitle">
+        {selectedStyle.icon} {selectedStyle.name} · 사진을 얼마나 살릴지, 화풍을 얼마나 강하게 입힐지 고르세요
+      </p>
+
+      <div className="preset-grid">
+        {GENERATION_PRESETS.map(preset => (
+          <button
+            key={preset.id}
+            className={`preset-card ${activePreset?.id === preset.id ? 'selected' : ''}`}
+            onClick={() => setOptions(current => applyPreset(current, preset.id))}
+          >
+            <span className="preset-icon">{preset.icon}</span>
+            <strong>{preset.name}</strong>
+            <span className="preset-description">{preset.description}</span>
+          </button>
+        ))}
+      </div>
+      {!activePreset && <p className="preset-custom">직접 조정한 설정</p>}
+
+      <button className="advanced-toggle" onClick={() => setShowAdvanced(shown => !shown)}>
+        {showAdvanced ? '▾ 고급 옵션 닫기' : '▸ 고급 옵션'}
+      </button>
+
+      {showAdvanced && (
+        <div className="advanced-options">
+          <label className="option-row">
+            <span className="option-label">
+              화풍 강도 <em>{toPercent(options.styleStrength)}</em>
+            </span>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={options.styleStrength}
+              onChange={(event) => update({ styleStrength: Number(event.target.value) })}
+            />
+            <span className="option-hint">낮으면 사진에 가깝게, 높으면 원작 화풍을 강하게</span>
+          </label>
+
+          <label className="option-row">
+            <span className="option-label">
+              구조 유지 <em>{toPercent(options.structureStrength)}</em>
+            </span>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={options.structureStrength}
+              onChange={(event) => update({ structureStrength: Number(event.target.value) })}
+            />
+            <span className="option-hint">높을수록 사진의 윤곽과 원근을 그대로 따름</span>
+          </label>
+
+          <div className="option-row">
+            <span className="option-label">사진 종류</span>
+            <div className="option-choices">
+              {SUBJECT_TYPES.map(type => (
+                <button
+                  key={type.value}
+                  className={`option-choice ${options.subjectType === type.value ? 'selected' : ''}`}
+                  onClick={() => update({ subjectType: type.value })}
+                >
+                  {type.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="option-row">
+            <span className="option-label">출력 크기</span>
+            <div className="option-choices">
+              {OUTPUT_SIZES.map(size => (
+                <button
+                  key={size.value}
+                  className={`option-choice ${options.outputSize === size.value ? 'selected' : ''}`}
+                  onClick={() => update({ outputSize: size.value })}
+                >
+                  {size.label} <small>{size.description}</small>
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="option-row">
+            <label className="option-label seed-toggle">
+              <input
+                type="checkbox"
+                checked={options.seed !== null}
+                onChange={(event) => update({ seed: event.target.checked ? randomSeed() : null })}
+              />
+              시드 고정
+            </label>
+            {options.seed !== null && (
+              <div className="seed-input">
+                <input type="number" min="0" max={MAX_SEED} value={options.seed} onChange={handleSeedInput} />
+                <button className="option-choice" onClick={() => update({ seed: randomSeed() })}>🎲 새 시드</button>
+              </div>
+            )}
+            <span className="option-hint">같은 시드면 같은 사진 + 작품에서 같은 결과가 나옵니다</span>
+          </div>
+        </div>
+      )}
+
+      <button className="start-button" onClick={() => onStart(options)}>
+        🎨 변환 시작
+      </button>
+    </div>
+  );
+}
+
+export default GenerationOptions;
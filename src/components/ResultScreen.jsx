@@ -1,6 +1,51 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { getMedium } from '../data/mediumRegistry';
+import { loadFeedback, recordFeedback, resetFeedback } from '../utils/feedback';
+
+function ResultScreen({
+  originalPhoto,
+  resultImage,
+  isMock,
+  isCached,
+  artwork,
+  selectedStyle,
+  matchInfo,
+  predictionId,
+  onTryAnother,
+  onReset
+}) {
+  const medium = getMedium(artwork.medium);
+  const explanation = matchInfo?.explanation; // 새로고침 후 재개한 작업은 없음
+  const [verdict, setVerdict] = useState(null); // 'up' | 'down' - 한 결과에 한 번만
+  const [feedbackCount, setFeedbackCount] = useState(() => loadFeedback().length);
+
+  const sendFeedback = (value) => {
+    recordFeedback({
+      verdict: value,
+      artworkId: artwork.id,
+      predictionId,
+      strategy: matchInfo?.match?.strategy,
+      breakdown: matchInfo?.breakdown
+    });
+    setFeedbackCount(count => count + 1);
+  };
+
+  const handleVerdict = (value) => {
+    if (verdict) return;
+    setVerdict(value);
+    sendFeedback(value);
+  };
+
+  const handleTryAnother = () => {
+    sendFeedback('another');
+    onTryAnother();
+  };
+
+  const handleResetFeedback = () => {
+    resetFeedback();
+    setFeedbackCount(0);
+  };
 
-function ResultScreen({ originalPhoto, resultImage, artwork, selectedStyle, onReset }) {
   const handleDownload = () => {
     const link = document.createElement('a');
     link.href = resultImage;
@@ -13,6 +58,18 @@ function ResultScreen({ originalPhoto, resultImage, artwork, selectedStyle, onRe
       <div className="result-container">
         <h2>✨ 완성!</h2>
 
+        {isMock && (
+          <div className="mock-banner">
+            ⚠️ 데모 모드 결과입니다. 실제 스타일 변환 없이 원본 사진이 표시됩니다.
+          </div>
+        )}
+
+        {isCached && (
+          <div className="cached-banner">
+            ⚡ 같은 사진과 작품으로 만든 이전 결과를 다시 보여드립니다 (추가 변환 없음)
+          </div>
+        )}
+
         <div className="result-images">
           <div className="result-image-container">
             <img src={resultImage} alt="Transformed artwork" className="result-image" />
@@ -38,6 +95,9 @@ function ResultScreen({ originalPhoto, resultImage, artwork, selectedStyle, onRe
                   <strong>제작년도:</strong> {artwork.year}
                 </p>
               )}
+              <p className="artwork-medium">
+                <strong>재료:</strong> {medium.name}
+              </p>
               {artwork.style && (
                 <p className="artwork-style">
                   <strong>스타일:</strong> {selectedStyle.name}
@@ -47,15 +107,62 @@ function ResultScreen({ originalPhoto, resultImage, artwork, selectedStyle, onRe
 
             <div className="artwork-explanation">
               <p className="explanation-title">💡 왜 이 작품?</p>
+              {explanation ? (
+                <>
+                  <p className="explanation-text">
+                    선택하신 {selectedStyle.name} 작품 {matchInfo.candidateCount}점을 사진과 비교했습니다.
+                    {' '}{explanation.summary}
+                  </p>
+                  <ul className="reason-list">
+                    {explanation.reasons.map(reason => <li key={reason}>{reason}</li>)}
+                  </ul>
+                </>
+              ) : (
+                <p className="explanation-text">
+                  선택하신 {selectedStyle.name} 작품 중에서 고른 작품입니다.
+                </p>
+              )}
               <p className="explanation-text">
-                선택하신 {selectedStyle.name} 중에서 사진의 색감과 구도가 
-                이 작품과 가장 잘 어울립니다. AI가 143개의 명화 데이터베이스에서 
-                자동으로 최적의 작품을 선택했습니다.
+                {medium.resultDescription}
               </p>
             </div>
           </div>
         </div>
 
+        {/* 다음 매칭의 순위 보정에 사용 (데모 결과는 평가하지 않음) */}
+        {!isMock && (
+          <div className="feedback-panel">
+            <p className="feedback-question">이 작품, 사진과 잘 어울리나요?</p>
+            <div className="feedback-actions">
+              <button
+                className={`feedback-button ${verdict === 'up' ? 'selected' : ''}`}
+                onClick={() => handleVerdict('up')}
+                disabled={Boolean(verdict)}
+              >
+                👍 잘 어울려요
+              </button>
+              <button
+                className={`feedback-button ${verdict === 'down' ? 'selected' : ''}`}
+                onClick={() => handleVerdict('down')}
+                disabled={Boolean(verdict)}
+              >
+                👎 별로예요
+              </button>
+              <button className="feedback-button" onClick={handleTryAnother}>
+                🔁 다른 작품으로
+              </button>
+            </div>
+            {verdict && (
+              <p className="feedback-thanks">평가해주셔서 감사합니다. 다음 매칭부터 반영됩니다.</p>
+            )}
+            {feedbackCount > 0 && (
+              <button className="feedback-reset" onClick={handleResetFeedback}>
+                내 평가 기록 지우기 ({feedbackCount}개)
+              </button>
+            )}
+          </div>
+        )}
+
         <div className="result-actions">
           <button className="download-button" onClick={handleDownload}>
             💾 저장하기
@@ -1,12 +1,18 @@
 import React, { useState } from 'react';
-import { STYLE_OPTIONS } from '../data/styleOptions';
+import { getSelectableStyleOptions } from '../data/catalogQuery';
+
+// 탭 → 스타일 옵션 type
+const CATEGORY_TYPES = {
+  movements: 'movement',
+  masters: 'master',
+  oriental: 'oriental'
+};
 
 function StyleSelection({ onSelect, onBack }) {
   const [selectedCategory, setSelectedCategory] = useState('movements');
 
-  const handleStyleClick = (style, type) => {
-    onSelect({ ...style, type });
-  };
+  // 작품이 있는 옵션만 표시 (빈 목록으로 매칭 실패하지 않도록)
+  const styles = getSelectableStyleOptions(CATEGORY_TYPES[selectedCategory]);
 
   return (
     <div className="style-selection">
@@ -39,37 +45,11 @@ function StyleSelection({ onSelect, onBack }) {
       </div>
 
       <div className="styles-grid">
-        {selectedCategory === 'movements' && STYLE_OPTIONS.movements.map(style => (
-          <div
-            key={style.id}
-            className="style-card"
-            onClick={() => handleStyleClick(style, 'movement')}
-          >
-            <div className="style-icon">{style.icon}</div>
-            <h3>{style.name}</h3>
-            <p className="style-name-en">{style.nameEn}</p>
-            <p className="style-description">{style.description}</p>
-          </div>
-        ))}
-
-        {selectedCategory === 'masters' && STYLE_OPTIONS.masters.map(style => (
-          <div
-            key={style.id}
-            className="style-card"
-            onClick={() => handleStyleClick(style, 'master')}
-          >
-            <div className="style-icon">{style.icon}</div>
-            <h3>{style.name}</h3>
-            <p className="style-name-en">{style.nameEn}</p>
-            <p className="style-description">{style.description}</p>
-          </div>
-        ))}
-
-        {selectedCategory === 'oriental' && STYLE_OPTIONS.oriental.map(style => (
+        {styles.map(style => (
           <div
             key={style.id}
             className="style-card"
-            onClick={() => handleStyleClick(style, 'oriental')}
+            onClick={() => onSelect(style)}
           >
             <div className="style-icon">{style.icon}</div>
             <h3>{style.name}</h3>
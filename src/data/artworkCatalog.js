@@ -0,0 +1,2799 @@
+// Artwork catalog - 139 artworks in public/artworks
+// 자동 생성 파일 - 직접 수정하지 마세요 (npm run catalog)
+// 제목/작가/연도/재료: src/data/artworkMetadata.json, 팔레트/밝기/방향/구도·질감 특징: 이미지 픽셀에서 계산
+
+// 사조별 폴더 (연대순)
+export const ARTWORK_MOVEMENTS = [
+  { style: 'classical', label: 'Greek Roman', folder: '01_Greek_Roman' },
+  { style: 'byzantine', label: 'Byzantine Islamic', folder: '02_Byzantine_Islamic' },
+  { style: 'renaissance', label: 'Renaissance', folder: '03_Renaissance' },
+  { style: 'baroque', label: 'Baroque', folder: '04_Baroque' },
+  { style: 'rococo', label: 'Rococo', folder: '05_Rococo' },
+  { style: 'romanticism', label: 'Romanticism', folder: '06_Romanticism' },
+  { style: 'impressionism', label: 'Impressionism', folder: '07_Impressionism' },
+  { style: 'fauvism', label: 'Fauvism', folder: '08_Fauvism' },
+  { style: 'expressionism', label: 'Expressionism', folder: '09_Expressionism' }
+];
+
+export const ARTWORK_CATALOG = [
+  {
+    id: 'greek_01',
+    title: '프리마 포르타의 아우구스투스',
+    titleEn: 'Augustus of Prima Porta',
+    artist: '작자 미상 (로마)',
+    artistEn: 'Unknown Roman sculptor',
+    year: 20,
+    style: 'classical',
+    masterTag: null,
+    category: 'western',
+    medium: 'marble-sculpture',
+    palette: [{ color: '#394349', weight: 0.509 }, { color: '#9C9280', weight: 0.137 }, { color: '#5A6C83', weight: 0.135 }, { color: '#C7C2BA', weight: 0.12 }, { color: '#726550', weight: 0.098 }],
+    brightness: 39,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.667, contrast: 0.366, saturation: 0.231, lumaHistogram: [0.001, 0.273, 0.295, 0.18, 0.099, 0.088, 0.061, 0.005], saturationHistogram: [0.189, 0.353, 0.39, 0.057, 0.01, 0.001, 0, 0], edgeDensity: 0.199, textureEnergy: 0.128, center: { x: 0.599, y: 0.461 }, horizontality: 0.427 },
+    width: 1500,
+    height: 2250,
+    filename: '01_Greek_Roman/greek_01_augustus_prima_porta.jpg',
+    imageUrl: '/artworks/01_Greek_Roman/greek_01_augustus_prima_porta.jpg'
+  },
+  {
+    id: 'greek_02',
+    title: '벨베데레의 아폴론',
+    titleEn: 'Apollo Belvedere',
+    artist: '레오카레스 (로마 모각)',
+    artistEn: 'Leochares (Roman copy)',
+    year: 130,
+    style: 'classical',
+    masterTag: null,
+    category: 'western',
+    medium: 'marble-sculpture',
+    palette: [{ color: '#2F241D', weight: 0.641 }, { color: '#C2B8B7', weight: 0.142 }, { color: '#A29691', weight: 0.122 }, { color: '#766A63', weight: 0.096 }],
+    brightness: 30,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.503, contrast: 0.474, saturation: 0.295, lumaHistogram: [0.309, 0.295, 0.059, 0.065, 0.085, 0.142, 0.045, 0], saturationHistogram: [0.255, 0.182, 0.163, 0.261, 0.129, 0.008, 0.002, 0.001], edgeDensity: 0.188, textureEnergy: 0.129, center: { x: 0.49, y: 0.555 }, horizontality: 0.442 },
+    width: 275,
+    height: 183,
+    filename: '01_Greek_Roman/greek_02_apollo_belvedere.jpg',
+    imageUrl: '/artworks/01_Greek_Roman/greek_02_apollo_belvedere.jpg'
+  },
+  {
+    id: 'greek_03',
+    title: '페리클레스 흉상',
+    titleEn: 'Bust of Pericles',
+    artist: '크레실라스 (로마 모각)',
+    artistEn: 'Kresilas (Roman copy)',
+    year: -430,
+    style: 'classical',
+    masterTag: null,
+    category: 'western',
+    medium: 'marble-sculpture',
+    palette: [{ color: '#292B30', weight: 0.529 }, { color: '#B5AEA4', weight: 0.142 }, { color: '#625748', weight: 0.131 }, { color: '#DDD7CE', weight: 0.102 }, { color: '#888079', weight: 0.097 }],
+    brightness: 36,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.665, contrast: 0.504, saturation: 0.217, lumaHistogram: [0.128, 0.39, 0.118, 0.068, 0.071, 0.111, 0.086, 0.028], saturationHistogram: [0.257, 0.43, 0.178, 0.087, 0.035, 0.009, 0.003, 0.001], edgeDensity: 0.171, textureEnergy: 0.125, center: { x: 0.468, y: 0.427 }, horizontality: 0.525 },
+    width: 250,
+    height: 376,
+    filename: '01_Greek_Roman/greek_03_pericles_bust.jpg',
+    imageUrl: '/artworks/01_Greek_Roman/greek_03_pericles_bust.jpg'
+  },
+  {
+    id: 'greek_04',
+    title: '밀로의 비너스',
+    titleEn: 'Venus de Milo',
+    artist: '안티오크의 알렉산드로스',
+    artistEn: 'Alexandros of Antioch',
+    year: -130,
+    style: 'classical',
+    masterTag: null,
+    category: 'western',
+    medium: 'marble-sculpture',
+    palette: [{ color: '#322722', weight: 0.701 }, { color: '#BBBCC2', weight: 0.137 }, { color: '#645954', weight: 0.082 }, { color: '#867D7B', weight: 0.081 }],
+    brightness: 28,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.592, contrast: 0.425, saturation: 0.261, lumaHistogram: [0.12, 0.553, 0.073, 0.08, 0.042, 0.075, 0.05, 0.007], saturationHistogram: [0.225, 0.186, 0.385, 0.171, 0.03, 0.002, 0, 0], edgeDensity: 0.138, textureEnergy: 0.112, center: { x: 0.485, y: 0.547 }, horizontality: 0.388 },
+    width: 173,
+    height: 292,
+    filename: '01_Greek_Roman/greek_04_venus_de_milo.jpg',
+    imageUrl: '/artworks/01_Greek_Roman/greek_04_venus_de_milo.jpg'
+  },
+  {
+    id: 'greek_05',
+    title: '라오콘 군상',
+    titleEn: 'Laocoön and His Sons',
+    artist: '아게산드로스 외',
+    artistEn: 'Agesander, Athenodoros and Polydorus',
+    year: -40,
+    style: 'classical',
+    masterTag: null,
+    category: 'western',
+    medium: 'marble-sculpture',
+    palette: [{ color: '#2A2A29', weight: 0.478 }, { color: '#BDADA0', weight: 0.264 }, { color: '#65564A', weight: 0.129 }, { color: '#907F71', weight: 0.129 }],
+    brightness: 36,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.667, contrast: 0.46, saturation: 0.175, lumaHistogram: [0.14, 0.287, 0.142, 0.091, 0.111, 0.184, 0.044, 0], saturationHistogram: [0.359, 0.389, 0.21, 0.041, 0, 0, 0, 0], edgeDensity: 0.196, textureEnergy: 0.135, center: { x: 0.505, y: 0.552 }, horizontality: 0.488 },
+    width: 1000,
+    height: 1500,
+    filename: '01_Greek_Roman/greek_05_laocoon_group.jpg',
+    imageUrl: '/artworks/01_Greek_Roman/greek_05_laocoon_group.jpg'
+  },
+  {
+    id: 'greek_06',
+    title: '창을 든 사람',
+    titleEn: 'Doryphoros',
+    artist: '폴리클레이토스 (로마 모각)',
+    artistEn: 'Polykleitos (Roman copy)',
+    year: -440,
+    style: 'classical',
+    masterTag: null,
+    category: 'western',
+    medium: 'marble-sculpture',
+    palette: [{ color: '#342D23', weight: 0.597 }, { color: '#5A4D35', weight: 0.273 }, { color: '#8A754F', weight: 0.075 }, { color: '#B29E72', weight: 0.055 }],
+    brightness: 24,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.604, contrast: 0.253, saturation: 0.359, lumaHistogram: [0.004, 0.63, 0.208, 0.083, 0.052, 0.021, 0.001, 0], saturationHistogram: [0, 0.009, 0.704, 0.225, 0.051, 0.01, 0, 0], edgeDensity: 0.061, textureEnergy: 0.071, center: { x: 0.469, y: 0.456 }, horizontality: 0.406 },
+    width: 250,
+    height: 414,
+    filename: '01_Greek_Roman/greek_06_doryphoros.jpg',
+    imageUrl: '/artworks/01_Greek_Roman/greek_06_doryphoros.jpg'
+  },
+  {
+    id: 'greek_07',
+    title: '원반 던지는 사람',
+    titleEn: 'Discobolus',
+    artist: '미론 (로마 모각)',
+    artistEn: 'Myron (Roman copy)',
+    year: -450,
+    style: 'classical',
+    masterTag: null,
+    category: 'western',
+    medium: 'marble-sculpture',
+    palette: [{ color: '#CCCBCB', weight: 0.72 }, { color: '#32342C', weight: 0.148 }, { color: '#656255', weight: 0.087 }, { color: '#928C81', weight: 0.045 }],
+    brightness: 65,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.62, contrast: 0.462, saturation: 0.043, lumaHistogram: [0.005, 0.117, 0.068, 0.054, 0.031, 0.031, 0.695, 0], saturationHistogram: [0.828, 0.142, 0.027, 0.004, 0, 0, 0, 0], edgeDensity: 0.208, textureEnergy: 0.117, center: { x: 0.519, y: 0.477 }, horizontality: 0.464 },
+    width: 250,
+    height: 403,
+    filename: '01_Greek_Roman/greek_07_discus_thrower.jpg',
+    imageUrl: '/artworks/01_Greek_Roman/greek_07_discus_thrower.jpg'
+  },
+  {
+    id: 'byzantine_01',
+    title: '전능하신 그리스도',
+    titleEn: 'Christ Pantocrator',
+    artist: '작자 미상 (비잔틴)',
+    artistEn: 'Unknown Byzantine artist',
+    year: 550,
+    style: 'byzantine',
+    masterTag: null,
+    category: 'western',
+    medium: 'mosaic',
+    palette: [{ color: '#A98940', weight: 0.268 }, { color: '#8A7240', weight: 0.203 }, { color: '#494843', weight: 0.165 }, { color: '#676356', weight: 0.14 }, { color: '#AEAC9F', weight: 0.136 }, { color: '#9C9275', weight: 0.088 }],
+    brightness: 44,
+    orientation: 'square',
+    features: { aspectRatio: 0.916, contrast: 0.252, saturation: 0.383, lumaHistogram: [0, 0.035, 0.196, 0.304, 0.332, 0.13, 0.003, 0], saturationHistogram: [0.192, 0.132, 0.171, 0.112, 0.188, 0.206, 0.001, 0], edgeDensity: 0.042, textureEnergy: 0.093, center: { x: 0.516, y: 0.594 }, horizontality: 0.479 },
+    width: 501,
+    height: 547,
+    filename: '02_Byzantine_Islamic/byzantine_01_christ_pantocrator.jpg',
+    imageUrl: '/artworks/02_Byzantine_Islamic/byzantine_01_christ_pantocrator.jpg'
+  },
+  {
+    id: 'byzantine_02',
+    title: '유스티니아누스 황제와 수행원들',
+    titleEn: 'Emperor Justinian and His Attendants',
+    artist: '작자 미상 (비잔틴)',
+    artistEn: 'Unknown Byzantine artist',
+    year: 547,
+    style: 'byzantine',
+    masterTag: null,
+    category: 'western',
+    medium: 'mosaic',
+    palette: [{ color: '#BA8C35', weight: 0.427 }, { color: '#4A3424', weight: 0.213 }, { color: '#80562F', weight: 0.188 }, { color: '#8C764F', weight: 0.09 }, { color: '#E0C58D', weight: 0.082 }],
+    brightness: 42,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.722, contrast: 0.345, saturation: 0.605, lumaHistogram: [0.016, 0.115, 0.186, 0.219, 0.311, 0.104, 0.038, 0.012], saturationHistogram: [0.001, 0.02, 0.074, 0.155, 0.264, 0.261, 0.214, 0.011], edgeDensity: 0.23, textureEnergy: 0.169, center: { x: 0.473, y: 0.573 }, horizontality: 0.506 },
+    width: 1000,
+    height: 1386,
+    filename: '02_Byzantine_Islamic/byzantine_02_justinian_mosaic.jpg',
+    imageUrl: '/artworks/02_Byzantine_Islamic/byzantine_02_justinian_mosaic.jpg'
+  },
+  {
+    id: 'byzantine_03',
+    title: '테오도라 황후와 수행원들',
+    titleEn: 'Empress Theodora and Her Attendants',
+    artist: '작자 미상 (비잔틴)',
+    artistEn: 'Unknown Byzantine artist',
+    year: 547,
+    style: 'byzantine',
+    masterTag: null,
+    category: 'western',
+    medium: 'mosaic',
+    palette: [{ color: '#705C45', weight: 0.372 }, { color: '#332C27', weight: 0.204 }, { color: '#494F44', weight: 0.188 }, { color: '#807C74', weight: 0.13 }, { color: '#A8A6A1', weight: 0.107 }],
+    brightness: 35,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.771, contrast: 0.286, saturation: 0.262, lumaHistogram: [0.029, 0.189, 0.367, 0.258, 0.092, 0.06, 0.005, 0], saturationHistogram: [0.285, 0.197, 0.213, 0.237, 0.054, 0.015, 0, 0], edgeDensity: 0.139, textureEnergy: 0.139, center: { x: 0.471, y: 0.587 }, horizontality: 0.467 },
+    width: 462,
+    height: 599,
+    filename: '02_Byzantine_Islamic/byzantine_03_theodora_mosaic.jpg',
+    imageUrl: '/artworks/02_Byzantine_Islamic/byzantine_03_theodora_mosaic.jpg'
+  },
+  {
+    id: 'byzantine_04',
+    title: '성모자와 성인들 (시나이)',
+    titleEn: 'Virgin and Child with Saints (Sinai)',
+    artist: '작자 미상 (비잔틴)',
+    artistEn: 'Unknown Byzantine artist',
+    year: 600,
+    style: 'byzantine',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#403B4C', weight: 0.287 }, { color: '#E1B66A', weight: 0.256 }, { color: '#6C514F', weight: 0.193 }, { color: '#C4905E', weight: 0.148 }, { color: '#A16A54', weight: 0.115 }],
+    brightness: 45,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.751, contrast: 0.395, saturation: 0.403, lumaHistogram: [0, 0.178, 0.262, 0.12, 0.135, 0.231, 0.073, 0.001], saturationHistogram: [0.049, 0.134, 0.221, 0.262, 0.314, 0.016, 0.003, 0.001], edgeDensity: 0.134, textureEnergy: 0.122, center: { x: 0.523, y: 0.499 }, horizontality: 0.425 },
+    width: 340,
+    height: 453,
+    filename: '02_Byzantine_Islamic/byzantine_04_virgin_child_sinai.jpg',
+    imageUrl: '/artworks/02_Byzantine_Islamic/byzantine_04_virgin_child_sinai.jpg'
+  },
+  {
+    id: 'byzantine_05',
+    title: '알함브라 궁전 문양',
+    titleEn: 'Alhambra Geometric Pattern',
+    artist: '작자 미상 (나스르 왕조)',
+    artistEn: 'Unknown Nasrid artisan',
+    year: 1354,
+    style: 'byzantine',
+    masterTag: null,
+    category: 'western',
+    medium: 'tilework',
+    palette: [{ color: '#191625', weight: 0.208 }, { color: '#3D5565', weight: 0.192 }, { color: '#ADAAA3', weight: 0.171 }, { color: '#778184', weight: 0.154 }, { color: '#D6D5D0', weight: 0.152 }, { color: '#9A6326', weight: 0.124 }],
+    brightness: 44,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.662, contrast: 0.505, saturation: 0.352, lumaHistogram: [0.146, 0.094, 0.17, 0.164, 0.144, 0.126, 0.124, 0.032], saturationHistogram: [0.296, 0.187, 0.113, 0.101, 0.093, 0.09, 0.057, 0.063], edgeDensity: 0.651, textureEnergy: 0.331, center: { x: 0.521, y: 0.516 }, horizontality: 0.511 },
+    width: 420,
+    height: 634,
+    filename: '02_Byzantine_Islamic/byzantine_05_alhambra_pattern.jpg',
+    imageUrl: '/artworks/02_Byzantine_Islamic/byzantine_05_alhambra_pattern.jpg'
+  },
+  {
+    id: 'byzantine_06',
+    title: '이스파한 타일 장식',
+    titleEn: 'Isfahan Tilework',
+    artist: '작자 미상 (사파비 왕조)',
+    artistEn: 'Unknown Safavid artisan',
+    year: 1619,
+    style: 'byzantine',
+    masterTag: null,
+    category: 'western',
+    medium: 'tilework',
+    palette: [{ color: '#8C7B56', weight: 0.322 }, { color: '#70787D', weight: 0.188 }, { color: '#5F5F52', weight: 0.186 }, { color: '#516073', weight: 0.171 }, { color: '#3F474A', weight: 0.133 }],
+    brightness: 40,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.501, contrast: 0.174, saturation: 0.269, lumaHistogram: [0, 0.037, 0.304, 0.495, 0.16, 0.005, 0, 0], saturationHistogram: [0.218, 0.277, 0.25, 0.171, 0.067, 0.013, 0.003, 0.001], edgeDensity: 0.004, textureEnergy: 0.067, center: { x: 0.513, y: 0.51 }, horizontality: 0.506 },
+    width: 1024,
+    height: 682,
+    filename: '02_Byzantine_Islamic/byzantine_06_isfahan_tilework.jpg',
+    imageUrl: '/artworks/02_Byzantine_Islamic/byzantine_06_isfahan_tilework.jpg'
+  },
+  {
+    id: 'byzantine_07',
+    title: '바위의 돔',
+    titleEn: 'Dome of the Rock',
+    artist: '작자 미상 (우마이야 왕조)',
+    artistEn: 'Unknown Umayyad artisan',
+    year: 691,
+    style: 'byzantine',
+    masterTag: null,
+    category: 'western',
+    medium: 'tilework',
+    palette: [{ color: '#605C61', weight: 0.294 }, { color: '#FCF6F2', weight: 0.188 }, { color: '#A4B0C9', weight: 0.178 }, { color: '#847D7E', weight: 0.155 }, { color: '#3D3A42', weight: 0.115 }, { color: '#A97324', weight: 0.071 }],
+    brightness: 55,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.646, contrast: 0.495, saturation: 0.233, lumaHistogram: [0.009, 0.048, 0.232, 0.249, 0.134, 0.101, 0.049, 0.178], saturationHistogram: [0.364, 0.304, 0.16, 0.074, 0.028, 0.01, 0.025, 0.036], edgeDensity: 0.123, textureEnergy: 0.11, center: { x: 0.607, y: 0.452 }, horizontality: 0.576 },
+    width: 512,
+    height: 311,
+    filename: '02_Byzantine_Islamic/byzantine_07_dome_of_rock.jpg',
+    imageUrl: '/artworks/02_Byzantine_Islamic/byzantine_07_dome_of_rock.jpg'
+  },
+  {
+    id: 'renaissance_01',
+    title: '모나리자',
+    titleEn: 'Mona Lisa',
+    artist: '레오나르도 다빈치',
+    artistEn: 'Leonardo da Vinci',
+    year: 1503,
+    style: 'renaissance',
+    masterTag: 'da-vinci',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#1C1122', weight: 0.279 }, { color: '#3E2828', weight: 0.194 }, { color: '#584F38', weight: 0.177 }, { color: '#7E8655', weight: 0.169 }, { color: '#875F2F', weight: 0.092 }, { color: '#C0A559', weight: 0.089 }],
+    brightness: 27,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.671, contrast: 0.375, saturation: 0.474, lumaHistogram: [0.254, 0.225, 0.2, 0.149, 0.129, 0.033, 0.012, 0], saturationHistogram: [0.001, 0.049, 0.28, 0.233, 0.22, 0.177, 0.039, 0.002], edgeDensity: 0.091, textureEnergy: 0.098, center: { x: 0.507, y: 0.473 }, horizontality: 0.527 },
+    width: 330,
+    height: 492,
+    filename: '03_Renaissance/renaissance_01_mona_lisa.jpg',
+    imageUrl: '/artworks/03_Renaissance/renaissance_01_mona_lisa.jpg'
+  },
+  {
+    id: 'renaissance_02',
+    title: '자화상',
+    titleEn: 'Self-Portrait',
+    artist: '라파엘로',
+    artistEn: 'Raphael',
+    year: 1506,
+    style: 'renaissance',
+    masterTag: 'raphael',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#23161E', weight: 0.484 }, { color: '#614031', weight: 0.409 }, { color: '#F7CC8C', weight: 0.069 }, { color: '#C6895A', weight: 0.038 }],
+    brightness: 24,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.738, contrast: 0.4, saturation: 0.453, lumaHistogram: [0.294, 0.286, 0.307, 0.013, 0.018, 0.025, 0.044, 0.014], saturationHistogram: [0, 0.019, 0.246, 0.348, 0.34, 0.043, 0.004, 0], edgeDensity: 0.077, textureEnergy: 0.074, center: { x: 0.44, y: 0.493 }, horizontality: 0.469 },
+    width: 395,
+    height: 535,
+    filename: '03_Renaissance/renaissance_02_raphael_self_portrait.jpg',
+    imageUrl: '/artworks/03_Renaissance/renaissance_02_raphael_self_portrait.jpg'
+  },
+  {
+    id: 'renaissance_03',
+    title: '비너스의 탄생 (부분)',
+    titleEn: 'The Birth of Venus (detail)',
+    artist: '산드로 보티첼리',
+    artistEn: 'Sandro Botticelli',
+    year: 1485,
+    style: 'renaissance',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#D6CFB2', weight: 0.249 }, { color: '#C2AF81', weight: 0.204 }, { color: '#997645', weight: 0.157 }, { color: '#343121', weight: 0.133 }, { color: '#64573B', weight: 0.13 }, { color: '#968F70', weight: 0.126 }],
+    brightness: 53,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.594, contrast: 0.43, saturation: 0.332, lumaHistogram: [0.014, 0.108, 0.107, 0.15, 0.179, 0.209, 0.206, 0.027], saturationHistogram: [0.098, 0.289, 0.216, 0.209, 0.133, 0.043, 0.011, 0.001], edgeDensity: 0.191, textureEnergy: 0.153, center: { x: 0.525, y: 0.484 }, horizontality: 0.545 },
+    width: 330,
+    height: 207,
+    filename: '03_Renaissance/renaissance_03_venus_birth_face.jpg',
+    imageUrl: '/artworks/03_Renaissance/renaissance_03_venus_birth_face.jpg'
+  },
+  {
+    id: 'renaissance_04',
+    title: '다비드',
+    titleEn: 'David',
+    artist: '미켈란젤로',
+    artistEn: 'Michelangelo',
+    year: 1504,
+    style: 'renaissance',
+    masterTag: null,
+    category: 'western',
+    medium: 'marble-sculpture',
+    palette: [{ color: '#868887', weight: 0.522 }, { color: '#4E473D', weight: 0.267 }, { color: '#6D6B66', weight: 0.158 }, { color: '#BABABD', weight: 0.052 }],
+    brightness: 45,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.667, contrast: 0.259, saturation: 0.094, lumaHistogram: [0.003, 0.061, 0.208, 0.276, 0.391, 0.043, 0.019, 0], saturationHistogram: [0.762, 0.114, 0.095, 0.022, 0.006, 0, 0, 0], edgeDensity: 0.092, textureEnergy: 0.093, center: { x: 0.465, y: 0.415 }, horizontality: 0.501 },
+    width: 2215,
+    height: 3323,
+    filename: '03_Renaissance/renaissance_04_david_michelangelo.jpg',
+    imageUrl: '/artworks/03_Renaissance/renaissance_04_david_michelangelo.jpg'
+  },
+  {
+    id: 'renaissance_05',
+    title: '비트루비우스적 인간',
+    titleEn: 'Vitruvian Man',
+    artist: '레오나르도 다빈치',
+    artistEn: 'Leonardo da Vinci',
+    year: 1490,
+    style: 'renaissance',
+    masterTag: 'da-vinci',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#F8F7F5', weight: 0.947 }, { color: '#BDB6A9', weight: 0.043 }, { color: '#7B7060', weight: 0.01 }],
+    brightness: 95,
+    orientation: 'square',
+    features: { aspectRatio: 0.98, contrast: 0.187, saturation: 0.023, lumaHistogram: [0, 0.001, 0.002, 0.003, 0.006, 0.028, 0.127, 0.833], saturationHistogram: [0.972, 0.024, 0.003, 0.001, 0, 0, 0, 0], edgeDensity: 0.051, textureEnergy: 0.074, center: { x: 0.455, y: 0.466 }, horizontality: 0.492 },
+    width: 338,
+    height: 345,
+    filename: '03_Renaissance/renaissance_05_vitruvian_man.jpg',
+    imageUrl: '/artworks/03_Renaissance/renaissance_05_vitruvian_man.jpg'
+  },
+  {
+    id: 'renaissance_06',
+    title: '아테네 학당 (부분)',
+    titleEn: 'The School of Athens (detail)',
+    artist: '라파엘로',
+    artistEn: 'Raphael',
+    year: 1511,
+    style: 'renaissance',
+    masterTag: 'raphael',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#72593D', weight: 0.391 }, { color: '#9E8563', weight: 0.175 }, { color: '#B9A57E', weight: 0.168 }, { color: '#3D2D17', weight: 0.164 }, { color: '#D3C9A3', weight: 0.102 }],
+    brightness: 43,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.503, contrast: 0.382, saturation: 0.425, lumaHistogram: [0.023, 0.135, 0.223, 0.203, 0.188, 0.164, 0.056, 0.009], saturationHistogram: [0.017, 0.096, 0.307, 0.306, 0.159, 0.068, 0.029, 0.017], edgeDensity: 0.229, textureEnergy: 0.174, center: { x: 0.487, y: 0.537 }, horizontality: 0.48 },
+    width: 275,
+    height: 183,
+    filename: '03_Renaissance/renaissance_06_school_athens_detail.jpg',
+    imageUrl: '/artworks/03_Renaissance/renaissance_06_school_athens_detail.jpg'
+  },
+  {
+    id: 'renaissance_07',
+    title: '담비를 안은 여인',
+    titleEn: 'Lady with an Ermine',
+    artist: '레오나르도 다빈치',
+    artistEn: 'Leonardo da Vinci',
+    year: 1490,
+    style: 'renaissance',
+    masterTag: 'da-vinci',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#282826', weight: 0.693 }, { color: '#544439', weight: 0.177 }, { color: '#8C755F', weight: 0.068 }, { color: '#BA9A77', weight: 0.061 }],
+    brightness: 22,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.743, contrast: 0.275, saturation: 0.187, lumaHistogram: [0.003, 0.765, 0.09, 0.058, 0.053, 0.03, 0.001, 0], saturationHistogram: [0.501, 0.178, 0.174, 0.143, 0.003, 0, 0, 0], edgeDensity: 0.081, textureEnergy: 0.067, center: { x: 0.529, y: 0.53 }, horizontality: 0.487 },
+    width: 330,
+    height: 444,
+    filename: '03_Renaissance/renaissance_07_lady_ermine.jpg',
+    imageUrl: '/artworks/03_Renaissance/renaissance_07_lady_ermine.jpg'
+  },
+  {
+    id: 'baroque_01',
+    title: '바쿠스',
+    titleEn: 'Bacchus',
+    artist: '카라바조',
+    artistEn: 'Caravaggio',
+    year: 1596,
+    style: 'baroque',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#504129', weight: 0.4 }, { color: '#282219', weight: 0.234 }, { color: '#D0C19A', weight: 0.125 }, { color: '#AD9B74', weight: 0.124 }, { color: '#897956', weight: 0.118 }],
+    brightness: 34,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.878, contrast: 0.433, saturation: 0.392, lumaHistogram: [0.082, 0.343, 0.198, 0.087, 0.116, 0.106, 0.066, 0.002], saturationHistogram: [0.006, 0.117, 0.313, 0.323, 0.237, 0.004, 0, 0], edgeDensity: 0.149, textureEnergy: 0.114, center: { x: 0.431, y: 0.545 }, horizontality: 0.521 },
+    width: 2633,
+    height: 3000,
+    filename: '04_Baroque/baroque_01_caravaggio_bacchus.jpg',
+    imageUrl: '/artworks/04_Baroque/baroque_01_caravaggio_bacchus.jpg'
+  },
+  {
+    id: 'baroque_02',
+    title: '자화상',
+    titleEn: 'Self-Portrait',
+    artist: '렘브란트 판 레인',
+    artistEn: 'Rembrandt van Rijn',
+    year: 1659,
+    style: 'baroque',
+    masterTag: 'rembrandt',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#19110A', weight: 0.534 }, { color: '#3A2716', weight: 0.44 }, { color: '#AF7851', weight: 0.026 }],
+    brightness: 11,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.772, contrast: 0.174, saturation: 0.602, lumaHistogram: [0.609, 0.346, 0.021, 0.011, 0.01, 0.003, 0.001, 0], saturationHistogram: [0, 0, 0.014, 0.144, 0.373, 0.431, 0.038, 0], edgeDensity: 0.022, textureEnergy: 0.038, center: { x: 0.545, y: 0.36 }, horizontality: 0.553 },
+    width: 250,
+    height: 324,
+    filename: '04_Baroque/baroque_02_rembrandt_self_portrait.jpg',
+    imageUrl: '/artworks/04_Baroque/baroque_02_rembrandt_self_portrait.jpg'
+  },
+  {
+    id: 'baroque_03',
+    title: '홀로페르네스의 목을 베는 유디트',
+    titleEn: 'Judith Slaying Holofernes',
+    artist: '아르테미시아 젠틸레스키',
+    artistEn: 'Artemisia Gentileschi',
+    year: 1620,
+    style: 'baroque',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#130E08', weight: 0.504 }, { color: '#3B1E13', weight: 0.157 }, { color: '#693826', weight: 0.154 }, { color: '#D2C7AE', weight: 0.096 }, { color: '#987459', weight: 0.09 }],
+    brightness: 20,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.358, contrast: 0.462, saturation: 0.544, lumaHistogram: [0.547, 0.168, 0.103, 0.046, 0.04, 0.034, 0.043, 0.018], saturationHistogram: [0.083, 0.061, 0.115, 0.148, 0.159, 0.177, 0.179, 0.079], edgeDensity: 0.256, textureEnergy: 0.174, center: { x: 0.543, y: 0.536 }, horizontality: 0.54 },
+    width: 262,
+    height: 193,
+    filename: '04_Baroque/baroque_03_judith_holofernes.jpg',
+    imageUrl: '/artworks/04_Baroque/baroque_03_judith_holofernes.jpg'
+  },
+  {
+    id: 'baroque_04',
+    title: '다비드',
+    titleEn: 'David',
+    artist: '잔 로렌초 베르니니',
+    artistEn: 'Gian Lorenzo Bernini',
+    year: 1624,
+    style: 'baroque',
+    masterTag: null,
+    category: 'western',
+    medium: 'marble-sculpture',
+    palette: [{ color: '#0C0E10', weight: 0.617 }, { color: '#8A7D45', weight: 0.111 }, { color: '#58572F', weight: 0.09 }, { color: '#B5A86C', weight: 0.085 }, { color: '#E1D9A7', weight: 0.06 }, { color: '#312D1A', weight: 0.038 }],
+    brightness: 21,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.718, contrast: 0.509, saturation: 0.32, lumaHistogram: [0.623, 0.038, 0.068, 0.084, 0.075, 0.053, 0.042, 0.018], saturationHistogram: [0.01, 0.049, 0.692, 0.122, 0.087, 0.029, 0.011, 0], edgeDensity: 0.245, textureEnergy: 0.138, center: { x: 0.469, y: 0.527 }, horizontality: 0.472 },
+    width: 2400,
+    height: 3341,
+    filename: '04_Baroque/baroque_04_bernini_david.jpg',
+    imageUrl: '/artworks/04_Baroque/baroque_04_bernini_david.jpg'
+  },
+  {
+    id: 'baroque_05',
+    title: '마리 드 메디시스의 마르세유 도착',
+    titleEn: 'The Disembarkation at Marseilles',
+    artist: '페테르 파울 루벤스',
+    artistEn: 'Peter Paul Rubens',
+    year: 1625,
+    style: 'baroque',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#1E1915', weight: 0.491 }, { color: '#3F1E15', weight: 0.187 }, { color: '#53402A', weight: 0.11 }, { color: '#826D4C', weight: 0.106 }, { color: '#C5AD82', weight: 0.106 }],
+    brightness: 21,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.752, contrast: 0.387, saturation: 0.404, lumaHistogram: [0.417, 0.306, 0.088, 0.062, 0.048, 0.056, 0.023, 0], saturationHistogram: [0.09, 0.161, 0.218, 0.19, 0.164, 0.121, 0.053, 0.003], edgeDensity: 0.153, textureEnergy: 0.116, center: { x: 0.407, y: 0.567 }, horizontality: 0.39 },
+    width: 902,
+    height: 1200,
+    filename: '04_Baroque/baroque_05_rubens_marie_medici.jpg',
+    imageUrl: '/artworks/04_Baroque/baroque_05_rubens_marie_medici.jpg'
+  },
+  {
+    id: 'baroque_06',
+    title: '진주 귀고리를 한 소녀',
+    titleEn: 'Girl with a Pearl Earring',
+    artist: '요하네스 페르메이르',
+    artistEn: 'Johannes Vermeer',
+    year: 1665,
+    style: 'baroque',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#1F1110', weight: 0.655 }, { color: '#5A4540', weight: 0.098 }, { color: '#C09762', weight: 0.089 }, { color: '#8D6B52', weight: 0.084 }, { color: '#BDACB5', weight: 0.074 }],
+    brightness: 22,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.869, contrast: 0.45, saturation: 0.494, lumaHistogram: [0.588, 0.088, 0.079, 0.069, 0.086, 0.065, 0.021, 0.004], saturationHistogram: [0.018, 0.059, 0.096, 0.318, 0.308, 0.157, 0.037, 0.006], edgeDensity: 0.144, textureEnergy: 0.104, center: { x: 0.545, y: 0.509 }, horizontality: 0.396 },
+    width: 743,
+    height: 855,
+    filename: '04_Baroque/baroque_06_girl_pearl_earring.jpg',
+    imageUrl: '/artworks/04_Baroque/baroque_06_girl_pearl_earring.jpg'
+  },
+  {
+    id: 'baroque_07',
+    title: '시녀들 (부분)',
+    titleEn: 'Las Meninas (detail)',
+    artist: '디에고 벨라스케스',
+    artistEn: 'Diego Velázquez',
+    year: 1656,
+    style: 'baroque',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#130F0A', weight: 0.567 }, { color: '#332515', weight: 0.319 }, { color: '#694C2E', weight: 0.061 }, { color: '#90704E', weight: 0.053 }],
+    brightness: 11,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.868, contrast: 0.22, saturation: 0.497, lumaHistogram: [0.671, 0.211, 0.06, 0.045, 0.012, 0.001, 0.001, 0], saturationHistogram: [0.003, 0.02, 0.169, 0.334, 0.261, 0.157, 0.051, 0.005], edgeDensity: 0.062, textureEnergy: 0.075, center: { x: 0.535, y: 0.693 }, horizontality: 0.454 },
+    width: 330,
+    height: 380,
+    filename: '04_Baroque/baroque_07_las_meninas_detail.jpg',
+    imageUrl: '/artworks/04_Baroque/baroque_07_las_meninas_detail.jpg'
+  },
+  {
+    id: 'rococo_01',
+    title: '그네',
+    titleEn: 'The Swing',
+    artist: '장 오노레 프라고나르',
+    artistEn: 'Jean-Honoré Fragonard',
+    year: 1767,
+    style: 'rococo',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#252328', weight: 0.462 }, { color: '#494C45', weight: 0.333 }, { color: '#6B7464', weight: 0.116 }, { color: '#949985', weight: 0.089 }],
+    brightness: 26,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.796, contrast: 0.296, saturation: 0.216, lumaHistogram: [0.187, 0.342, 0.254, 0.123, 0.072, 0.021, 0.001, 0], saturationHistogram: [0.241, 0.404, 0.252, 0.082, 0.017, 0.003, 0.001, 0], edgeDensity: 0.05, textureEnergy: 0.101, center: { x: 0.479, y: 0.529 }, horizontality: 0.499 },
+    width: 1529,
+    height: 1920,
+    filename: '05_Rococo/rococo_01_fragonard_swing.jpg',
+    imageUrl: '/artworks/05_Rococo/rococo_01_fragonard_swing.jpg'
+  },
+  {
+    id: 'rococo_02',
+    title: '키테라섬의 순례',
+    titleEn: 'Pilgrimage to Cythera',
+    artist: '장 앙투안 바토',
+    artistEn: 'Jean-Antoine Watteau',
+    year: 1717,
+    style: 'rococo',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#594831', weight: 0.255 }, { color: '#DCCDBD', weight: 0.244 }, { color: '#342A21', weight: 0.222 }, { color: '#7B6642', weight: 0.172 }, { color: '#A38E64', weight: 0.108 }],
+    brightness: 42,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.506, contrast: 0.49, saturation: 0.345, lumaHistogram: [0.032, 0.225, 0.261, 0.143, 0.078, 0.066, 0.14, 0.055], saturationHistogram: [0.124, 0.153, 0.272, 0.251, 0.185, 0.015, 0, 0], edgeDensity: 0.083, textureEnergy: 0.114, center: { x: 0.446, y: 0.429 }, horizontality: 0.505 },
+    width: 1211,
+    height: 804,
+    filename: '05_Rococo/rococo_02_watteau_cythera.jpg',
+    imageUrl: '/artworks/05_Rococo/rococo_02_watteau_cythera.jpg'
+  },
+  {
+    id: 'rococo_03',
+    title: '퐁파두르 부인의 초상',
+    titleEn: 'Portrait of Madame de Pompadour',
+    artist: '프랑수아 부셰',
+    artistEn: 'François Boucher',
+    year: 1756,
+    style: 'rococo',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#49453E', weight: 0.516 }, { color: '#78624F', weight: 0.188 }, { color: '#65776D', weight: 0.141 }, { color: '#2A2524', weight: 0.078 }, { color: '#A1967F', weight: 0.076 }],
+    brightness: 32,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.78, contrast: 0.238, saturation: 0.226, lumaHistogram: [0.02, 0.243, 0.397, 0.251, 0.068, 0.018, 0.004, 0], saturationHistogram: [0.234, 0.358, 0.295, 0.105, 0.007, 0, 0, 0], edgeDensity: 0.054, textureEnergy: 0.095, center: { x: 0.561, y: 0.562 }, horizontality: 0.454 },
+    width: 1598,
+    height: 2048,
+    filename: '05_Rococo/rococo_03_pompadour_portrait.jpg',
+    imageUrl: '/artworks/05_Rococo/rococo_03_pompadour_portrait.jpg'
+  },
+  {
+    id: 'rococo_04',
+    title: '비눗방울',
+    titleEn: 'Soap Bubbles',
+    artist: '장 바티스트 시메옹 샤르댕',
+    artistEn: 'Jean-Baptiste-Siméon Chardin',
+    year: 1734,
+    style: 'rococo',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#271F20', weight: 0.78 }, { color: '#60413B', weight: 0.098 }, { color: '#8B6354', weight: 0.08 }, { color: '#CAA58D', weight: 0.043 }],
+    brightness: 19,
+    orientation: 'square',
+    features: { aspectRatio: 1.043, contrast: 0.281, saturation: 0.226, lumaHistogram: [0.395, 0.405, 0.095, 0.051, 0.027, 0.015, 0.013, 0], saturationHistogram: [0.224, 0.367, 0.282, 0.097, 0.03, 0, 0, 0], edgeDensity: 0.08, textureEnergy: 0.074, center: { x: 0.485, y: 0.527 }, horizontality: 0.531 },
+    width: 949,
+    height: 910,
+    filename: '05_Rococo/rococo_04_chardin_soap_bubbles.jpg',
+    imageUrl: '/artworks/05_Rococo/rococo_04_chardin_soap_bubbles.jpg'
+  },
+  {
+    id: 'rococo_05',
+    title: '소녀의 얼굴',
+    titleEn: 'Head of a Young Girl',
+    artist: '장 바티스트 그뢰즈',
+    artistEn: 'Jean-Baptiste Greuze',
+    year: 1765,
+    style: 'rococo',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#2B2115', weight: 0.315 }, { color: '#A29279', weight: 0.286 }, { color: '#4F3B1E', weight: 0.176 }, { color: '#756144', weight: 0.114 }, { color: '#D9BA9A', weight: 0.109 }],
+    brightness: 36,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.826, contrast: 0.451, saturation: 0.407, lumaHistogram: [0.124, 0.295, 0.116, 0.11, 0.156, 0.142, 0.056, 0], saturationHistogram: [0.049, 0.148, 0.278, 0.312, 0.069, 0.034, 0.063, 0.047], edgeDensity: 0.053, textureEnergy: 0.079, center: { x: 0.499, y: 0.49 }, horizontality: 0.553 },
+    width: 1346,
+    height: 1629,
+    filename: '05_Rococo/rococo_05_greuze_girl_head.jpg',
+    imageUrl: '/artworks/05_Rococo/rococo_05_greuze_girl_head.jpg'
+  },
+  {
+    id: 'rococo_06',
+    title: '비너스의 화장',
+    titleEn: 'The Toilet of Venus',
+    artist: '프랑수아 부셰',
+    artistEn: 'François Boucher',
+    year: 1751,
+    style: 'rococo',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#8D8E7E', weight: 0.222 }, { color: '#443029', weight: 0.189 }, { color: '#65563D', weight: 0.182 }, { color: '#B4A68D', weight: 0.153 }, { color: '#887555', weight: 0.145 }, { color: '#69746D', weight: 0.108 }],
+    brightness: 42,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.797, contrast: 0.303, saturation: 0.282, lumaHistogram: [0.001, 0.154, 0.174, 0.276, 0.281, 0.113, 0.001, 0], saturationHistogram: [0.227, 0.241, 0.238, 0.182, 0.091, 0.02, 0.001, 0], edgeDensity: 0.06, textureEnergy: 0.093, center: { x: 0.5, y: 0.615 }, horizontality: 0.564 },
+    width: 2549,
+    height: 3200,
+    filename: '05_Rococo/rococo_06_boucher_venus.jpg',
+    imageUrl: '/artworks/05_Rococo/rococo_06_boucher_venus.jpg'
+  },
+  {
+    id: 'rococo_07',
+    title: '질 (피에로)',
+    titleEn: 'Pierrot (Gilles)',
+    artist: '장 앙투안 바토',
+    artistEn: 'Jean-Antoine Watteau',
+    year: 1719,
+    style: 'rococo',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#191722', weight: 0.268 }, { color: '#433429', weight: 0.19 }, { color: '#5F5238', weight: 0.187 }, { color: '#8B724F', weight: 0.154 }, { color: '#F0E3E5', weight: 0.12 }, { color: '#B69B83', weight: 0.082 }],
+    brightness: 35,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.759, contrast: 0.521, saturation: 0.347, lumaHistogram: [0.201, 0.213, 0.211, 0.141, 0.074, 0.038, 0.047, 0.076], saturationHistogram: [0.143, 0.199, 0.234, 0.174, 0.156, 0.088, 0.006, 0.001], edgeDensity: 0.202, textureEnergy: 0.142, center: { x: 0.485, y: 0.517 }, horizontality: 0.434 },
+    width: 972,
+    height: 1280,
+    filename: '05_Rococo/rococo_07_watteau_gilles.jpg',
+    imageUrl: '/artworks/05_Rococo/rococo_07_watteau_gilles.jpg'
+  },
+  {
+    id: 'romantic_01',
+    title: '민중을 이끄는 자유의 여신',
+    titleEn: 'Liberty Leading the People',
+    artist: '외젠 들라크루아',
+    artistEn: 'Eugène Delacroix',
+    year: 1830,
+    style: 'romanticism',
+    masterTag: 'delacroix',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#201F16', weight: 0.234 }, { color: '#423B29', weight: 0.232 }, { color: '#706958', weight: 0.15 }, { color: '#94866D', weight: 0.15 }, { color: '#6A4E33', weight: 0.137 }, { color: '#BAAD91', weight: 0.097 }],
+    brightness: 31,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.247, contrast: 0.365, saturation: 0.368, lumaHistogram: [0.124, 0.269, 0.227, 0.176, 0.125, 0.064, 0.016, 0], saturationHistogram: [0.055, 0.239, 0.233, 0.225, 0.168, 0.069, 0.011, 0], edgeDensity: 0.137, textureEnergy: 0.142, center: { x: 0.534, y: 0.466 }, horizontality: 0.515 },
+    width: 1000,
+    height: 802,
+    filename: '06_Romanticism/romantic_01_liberty_leading.jpg',
+    imageUrl: '/artworks/06_Romanticism/romantic_01_liberty_leading.jpg'
+  },
+  {
+    id: 'romantic_02',
+    title: '메두사호의 뗏목',
+    titleEn: 'The Raft of the Medusa',
+    artist: '테오도르 제리코',
+    artistEn: 'Théodore Géricault',
+    year: 1819,
+    style: 'romanticism',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#241A11', weight: 0.421 }, { color: '#523F24', weight: 0.38 }, { color: '#7D643D', weight: 0.108 }, { color: '#B2935E', weight: 0.091 }],
+    brightness: 22,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.466, contrast: 0.306, saturation: 0.524, lumaHistogram: [0.25, 0.36, 0.227, 0.081, 0.06, 0.02, 0.004, 0], saturationHistogram: [0.011, 0.019, 0.077, 0.233, 0.475, 0.173, 0.011, 0.001], edgeDensity: 0.139, textureEnergy: 0.137, center: { x: 0.479, y: 0.457 }, horizontality: 0.557 },
+    width: 500,
+    height: 341,
+    filename: '06_Romanticism/romantic_02_medusa_raft.jpg',
+    imageUrl: '/artworks/06_Romanticism/romantic_02_medusa_raft.jpg'
+  },
+  {
+    id: 'romantic_03',
+    title: '안개 바다 위의 방랑자',
+    titleEn: 'Wanderer above the Sea of Fog',
+    artist: '카스파르 다비트 프리드리히',
+    artistEn: 'Caspar David Friedrich',
+    year: 1818,
+    style: 'romanticism',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#95969F', weight: 0.357 }, { color: '#C1BDBF', weight: 0.293 }, { color: '#2F281D', weight: 0.285 }, { color: '#62635F', weight: 0.065 }],
+    brightness: 50,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.78, contrast: 0.477, saturation: 0.164, lumaHistogram: [0.011, 0.263, 0.034, 0.08, 0.187, 0.291, 0.132, 0.003], saturationHistogram: [0.614, 0.135, 0.068, 0.131, 0.049, 0.002, 0, 0], edgeDensity: 0.121, textureEnergy: 0.102, center: { x: 0.515, y: 0.617 }, horizontality: 0.611 },
+    width: 330,
+    height: 423,
+    filename: '06_Romanticism/romantic_03_wanderer_sea_fog.jpg',
+    imageUrl: '/artworks/06_Romanticism/romantic_03_wanderer_sea_fog.jpg'
+  },
+  {
+    id: 'romantic_04',
+    title: '쇼팽의 초상',
+    titleEn: 'Portrait of Frédéric Chopin',
+    artist: '외젠 들라크루아',
+    artistEn: 'Eugène Delacroix',
+    year: 1838,
+    style: 'romanticism',
+    masterTag: 'delacroix',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#CEC8C1', weight: 0.521 }, { color: '#362F2F', weight: 0.172 }, { color: '#837363', weight: 0.134 }, { color: '#A69A8C', weight: 0.09 }, { color: '#5E4B44', weight: 0.083 }],
+    brightness: 58,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.742, contrast: 0.482, saturation: 0.125, lumaHistogram: [0.005, 0.168, 0.078, 0.106, 0.083, 0.15, 0.409, 0], saturationHistogram: [0.772, 0.078, 0.061, 0.055, 0.026, 0.005, 0.002, 0.002], edgeDensity: 0.125, textureEnergy: 0.096, center: { x: 0.532, y: 0.504 }, horizontality: 0.474 },
+    width: 1000,
+    height: 1348,
+    filename: '06_Romanticism/romantic_04_chopin_portrait.jpg',
+    imageUrl: '/artworks/06_Romanticism/romantic_04_chopin_portrait.jpg'
+  },
+  {
+    id: 'romantic_05',
+    title: '리비에르 부인의 초상',
+    titleEn: 'Portrait of Madame Rivière',
+    artist: '장 오귀스트 도미니크 앵그르',
+    artistEn: 'Jean-Auguste-Dominique Ingres',
+    year: 1805,
+    style: 'romanticism',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#030305', weight: 0.234 }, { color: '#E4DBD5', weight: 0.228 }, { color: '#A3775B', weight: 0.16 }, { color: '#C3B0A1', weight: 0.144 }, { color: '#22222D', weight: 0.143 }, { color: '#526C9A', weight: 0.091 }],
+    brightness: 44,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.763, contrast: 0.667, saturation: 0.265, lumaHistogram: [0.323, 0.042, 0.051, 0.111, 0.111, 0.101, 0.154, 0.107], saturationHistogram: [0.357, 0.177, 0.152, 0.137, 0.102, 0.044, 0.008, 0.023], edgeDensity: 0.2, textureEnergy: 0.152, center: { x: 0.466, y: 0.481 }, horizontality: 0.487 },
+    width: 196,
+    height: 257,
+    filename: '06_Romanticism/romantic_05_madame_riviere.jpg',
+    imageUrl: '/artworks/06_Romanticism/romantic_05_madame_riviere.jpg'
+  },
+  {
+    id: 'romantic_06',
+    title: '사르다나팔루스의 죽음',
+    titleEn: 'The Death of Sardanapalus',
+    artist: '외젠 들라크루아',
+    artistEn: 'Eugène Delacroix',
+    year: 1827,
+    style: 'romanticism',
+    masterTag: 'delacroix',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#342F2A', weight: 0.488 }, { color: '#525554', weight: 0.156 }, { color: '#805233', weight: 0.131 }, { color: '#937C69', weight: 0.123 }, { color: '#BDB6B3', weight: 0.102 }],
+    brightness: 31,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.279, contrast: 0.36, saturation: 0.303, lumaHistogram: [0.054, 0.376, 0.259, 0.148, 0.072, 0.053, 0.036, 0.002], saturationHistogram: [0.225, 0.238, 0.197, 0.15, 0.112, 0.056, 0.022, 0.001], edgeDensity: 0.137, textureEnergy: 0.133, center: { x: 0.488, y: 0.544 }, horizontality: 0.495 },
+    width: 330,
+    height: 258,
+    filename: '06_Romanticism/romantic_06_death_sardanapalus.jpg',
+    imageUrl: '/artworks/06_Romanticism/romantic_06_death_sardanapalus.jpg'
+  },
+  {
+    id: 'romantic_07',
+    title: '자화상',
+    titleEn: 'Self-Portrait',
+    artist: '카스파르 다비트 프리드리히',
+    artistEn: 'Caspar David Friedrich',
+    year: 1800,
+    style: 'romanticism',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#4F431F', weight: 0.63 }, { color: '#221D10', weight: 0.181 }, { color: '#7A6943', weight: 0.144 }, { color: '#C6A581', weight: 0.044 }],
+    brightness: 24,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.772, contrast: 0.264, saturation: 0.546, lumaHistogram: [0.103, 0.37, 0.36, 0.116, 0.023, 0.02, 0.008, 0], saturationHistogram: [0.003, 0.024, 0.107, 0.189, 0.366, 0.253, 0.056, 0.001], edgeDensity: 0.038, textureEnergy: 0.076, center: { x: 0.447, y: 0.492 }, horizontality: 0.435 },
+    width: 500,
+    height: 648,
+    filename: '06_Romanticism/romantic_07_caspar_david_self.jpg',
+    imageUrl: '/artworks/06_Romanticism/romantic_07_caspar_david_self.jpg'
+  },
+  {
+    id: 'impressionist_01',
+    title: '물랭 드 라 갈레트의 무도회',
+    titleEn: 'Bal du moulin de la Galette',
+    artist: '피에르 오귀스트 르누아르',
+    artistEn: 'Pierre-Auguste Renoir',
+    year: 1876,
+    style: 'impressionism',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#131E1F', weight: 0.463 }, { color: '#3E4C4B', weight: 0.153 }, { color: '#665F48', weight: 0.15 }, { color: '#423F21', weight: 0.144 }, { color: '#838071', weight: 0.091 }],
+    brightness: 21,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.347, contrast: 0.279, saturation: 0.432, lumaHistogram: [0.292, 0.293, 0.258, 0.115, 0.04, 0.002, 0, 0], saturationHistogram: [0.103, 0.186, 0.182, 0.146, 0.146, 0.095, 0.076, 0.066], edgeDensity: 0.144, textureEnergy: 0.144, center: { x: 0.461, y: 0.529 }, horizontality: 0.492 },
+    width: 330,
+    height: 245,
+    filename: '07_Impressionism/impressionist_01_moulin_galette.jpg',
+    imageUrl: '/artworks/07_Impressionism/impressionist_01_moulin_galette.jpg'
+  },
+  {
+    id: 'impressionist_02',
+    title: '인상, 해돋이',
+    titleEn: 'Impression, Sunrise',
+    artist: '클로드 모네',
+    artistEn: 'Claude Monet',
+    year: 1872,
+    style: 'impressionism',
+    masterTag: 'monet',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#808579', weight: 0.778 }, { color: '#A1836F', weight: 0.134 }, { color: '#5C6E62', weight: 0.088 }],
+    brightness: 49,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.289, contrast: 0.103, saturation: 0.164, lumaHistogram: [0, 0.003, 0.011, 0.423, 0.556, 0.008, 0, 0], saturationHistogram: [0.357, 0.486, 0.131, 0.024, 0.002, 0, 0, 0], edgeDensity: 0.002, textureEnergy: 0.034, center: { x: 0.45, y: 0.532 }, horizontality: 0.575 },
+    width: 330,
+    height: 256,
+    filename: '07_Impressionism/impressionist_02_impression_sunrise.jpg',
+    imageUrl: '/artworks/07_Impressionism/impressionist_02_impression_sunrise.jpg'
+  },
+  {
+    id: 'impressionist_03',
+    title: '올랭피아',
+    titleEn: 'Olympia',
+    artist: '에두아르 마네',
+    artistEn: 'Édouard Manet',
+    year: 1863,
+    style: 'impressionism',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#D1CEC9', weight: 0.359 }, { color: '#1E1C1D', weight: 0.299 }, { color: '#ACA499', weight: 0.162 }, { color: '#3A2A23', weight: 0.132 }, { color: '#7A6E63', weight: 0.048 }],
+    brightness: 47,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.48, contrast: 0.624, saturation: 0.191, lumaHistogram: [0.213, 0.206, 0.024, 0.023, 0.065, 0.17, 0.257, 0.042], saturationHistogram: [0.447, 0.286, 0.122, 0.033, 0.086, 0.018, 0.008, 0.001], edgeDensity: 0.138, textureEnergy: 0.13, center: { x: 0.485, y: 0.493 }, horizontality: 0.545 },
+    width: 330,
+    height: 223,
+    filename: '07_Impressionism/impressionist_03_olympia_manet.jpg',
+    imageUrl: '/artworks/07_Impressionism/impressionist_03_olympia_manet.jpg'
+  },
+  {
+    id: 'impressionist_04',
+    title: '발레 수업',
+    titleEn: 'The Ballet Class',
+    artist: '에드가 드가',
+    artistEn: 'Edgar Degas',
+    year: 1874,
+    style: 'impressionism',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#908470', weight: 0.437 }, { color: '#6D6351', weight: 0.217 }, { color: '#4C473A', weight: 0.158 }, { color: '#C1B5AD', weight: 0.1 }, { color: '#1F2019', weight: 0.088 }],
+    brightness: 42,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.871, contrast: 0.327, saturation: 0.234, lumaHistogram: [0.041, 0.089, 0.186, 0.32, 0.251, 0.089, 0.023, 0.002], saturationHistogram: [0.153, 0.439, 0.329, 0.055, 0.016, 0.007, 0.002, 0.001], edgeDensity: 0.171, textureEnergy: 0.137, center: { x: 0.4, y: 0.457 }, horizontality: 0.412 },
+    width: 330,
+    height: 379,
+    filename: '07_Impressionism/impressionist_04_ballet_class.jpg',
+    imageUrl: '/artworks/07_Impressionism/impressionist_04_ballet_class.jpg'
+  },
+  {
+    id: 'impressionist_05',
+    title: '파리의 거리, 비 오는 날',
+    titleEn: 'Paris Street; Rainy Day',
+    artist: '귀스타브 카유보트',
+    artistEn: 'Gustave Caillebotte',
+    year: 1877,
+    style: 'impressionism',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#959692', weight: 0.4 }, { color: '#CAC5BB', weight: 0.166 }, { color: '#1D242B', weight: 0.156 }, { color: '#6A6567', weight: 0.153 }, { color: '#3F474D', weight: 0.125 }],
+    brightness: 47,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.289, contrast: 0.429, saturation: 0.16, lumaHistogram: [0.063, 0.137, 0.12, 0.162, 0.231, 0.181, 0.107, 0], saturationHistogram: [0.531, 0.261, 0.118, 0.058, 0.025, 0.006, 0.001, 0], edgeDensity: 0.158, textureEnergy: 0.131, center: { x: 0.566, y: 0.524 }, horizontality: 0.387 },
+    width: 500,
+    height: 388,
+    filename: '07_Impressionism/impressionist_05_paris_rainy_day.jpg',
+    imageUrl: '/artworks/07_Impressionism/impressionist_05_paris_rainy_day.jpg'
+  },
+  {
+    id: 'impressionist_06',
+    title: '뱃놀이 일행의 점심',
+    titleEn: 'Luncheon of the Boating Party',
+    artist: '피에르 오귀스트 르누아르',
+    artistEn: 'Pierre-Auguste Renoir',
+    year: 1881,
+    style: 'impressionism',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#999389', weight: 0.31 }, { color: '#3C3B3F', weight: 0.257 }, { color: '#5F5F5B', weight: 0.202 }, { color: '#916C5B', weight: 0.135 }, { color: '#BFC1BE', weight: 0.096 }],
+    brightness: 44,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.354, contrast: 0.344, saturation: 0.197, lumaHistogram: [0, 0.154, 0.215, 0.239, 0.217, 0.128, 0.047, 0], saturationHistogram: [0.37, 0.291, 0.226, 0.09, 0.023, 0, 0, 0], edgeDensity: 0.113, textureEnergy: 0.132, center: { x: 0.487, y: 0.593 }, horizontality: 0.496 },
+    width: 1200,
+    height: 886,
+    filename: '07_Impressionism/impressionist_06_luncheon_boating.jpg',
+    imageUrl: '/artworks/07_Impressionism/impressionist_06_luncheon_boating.jpg'
+  },
+  {
+    id: 'impressionist_07',
+    title: '파라솔을 든 여인',
+    titleEn: 'Woman with a Parasol',
+    artist: '클로드 모네',
+    artistEn: 'Claude Monet',
+    year: 1875,
+    style: 'impressionism',
+    masterTag: 'monet',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#8C9CA8', weight: 0.227 }, { color: '#465039', weight: 0.212 }, { color: '#AFB1AD', weight: 0.162 }, { color: '#667D93', weight: 0.159 }, { color: '#676B4B', weight: 0.149 }, { color: '#7C8078', weight: 0.09 }],
+    brightness: 48,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.805, contrast: 0.285, saturation: 0.23, lumaHistogram: [0, 0.043, 0.206, 0.273, 0.267, 0.194, 0.017, 0], saturationHistogram: [0.279, 0.31, 0.245, 0.119, 0.04, 0.008, 0.001, 0], edgeDensity: 0.013, textureEnergy: 0.071, center: { x: 0.494, y: 0.552 }, horizontality: 0.527 },
+    width: 330,
+    height: 410,
+    filename: '07_Impressionism/impressionist_07_woman_parasol.jpg',
+    imageUrl: '/artworks/07_Impressionism/impressionist_07_woman_parasol.jpg'
+  },
+  {
+    id: 'fauvism_01',
+    title: '런던 다리',
+    titleEn: 'London Bridge',
+    artist: '앙드레 드랭',
+    artistEn: 'André Derain',
+    year: 1906,
+    style: 'fauvism',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#819472', weight: 0.234 }, { color: '#69755F', weight: 0.214 }, { color: '#394952', weight: 0.164 }, { color: '#ABA472', weight: 0.149 }, { color: '#4B5D76', weight: 0.138 }, { color: '#A2785A', weight: 0.101 }],
+    brightness: 44,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.5, contrast: 0.245, saturation: 0.309, lumaHistogram: [0, 0.052, 0.228, 0.291, 0.353, 0.075, 0.001, 0], saturationHistogram: [0.089, 0.234, 0.361, 0.241, 0.07, 0.004, 0, 0], edgeDensity: 0.087, textureEnergy: 0.119, center: { x: 0.529, y: 0.498 }, horizontality: 0.569 },
+    width: 2000,
+    height: 1333,
+    filename: '08_Fauvism/fauvism_01_derain_london_bridge.jpg',
+    imageUrl: '/artworks/08_Fauvism/fauvism_01_derain_london_bridge.jpg'
+  },
+  {
+    id: 'fauvism_02',
+    title: '젊은 남자의 초상',
+    titleEn: 'Portrait of a Young Man',
+    artist: '앙드레 드랭',
+    artistEn: 'André Derain',
+    year: 1905,
+    style: 'fauvism',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#334B62', weight: 0.282 }, { color: '#20222B', weight: 0.203 }, { color: '#7D6C2C', weight: 0.197 }, { color: '#D4A333', weight: 0.15 }, { color: '#E0B986', weight: 0.108 }, { color: '#AC8760', weight: 0.061 }],
+    brightness: 37,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.776, contrast: 0.427, saturation: 0.557, lumaHistogram: [0.099, 0.193, 0.23, 0.159, 0.093, 0.183, 0.033, 0.01], saturationHistogram: [0.041, 0.05, 0.058, 0.141, 0.31, 0.256, 0.144, 0], edgeDensity: 0.138, textureEnergy: 0.122, center: { x: 0.431, y: 0.507 }, horizontality: 0.43 },
+    width: 488,
+    height: 629,
+    filename: '08_Fauvism/fauvism_02_derain_portrait_young_man.jpg',
+    imageUrl: '/artworks/08_Fauvism/fauvism_02_derain_portrait_young_man.jpg'
+  },
+  {
+    id: 'fauvism_03',
+    title: '샤투의 센강',
+    titleEn: 'The River Seine at Chatou',
+    artist: '모리스 드 블라맹크',
+    artistEn: 'Maurice de Vlaminck',
+    year: 1906,
+    style: 'fauvism',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#A59C8A', weight: 0.291 }, { color: '#A86A31', weight: 0.236 }, { color: '#7A7A73', weight: 0.216 }, { color: '#5B534B', weight: 0.139 }, { color: '#2E2F3B', weight: 0.118 }],
+    brightness: 44,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.229, contrast: 0.289, saturation: 0.335, lumaHistogram: [0.011, 0.103, 0.145, 0.3, 0.338, 0.1, 0.003, 0], saturationHistogram: [0.212, 0.31, 0.135, 0.095, 0.065, 0.062, 0.088, 0.032], edgeDensity: 0.128, textureEnergy: 0.138, center: { x: 0.563, y: 0.509 }, horizontality: 0.514 },
+    width: 1844,
+    height: 1500,
+    filename: '08_Fauvism/fauvism_03_The River Seine at Chatou.jpg',
+    imageUrl: '/artworks/08_Fauvism/fauvism_03_The%20River%20Seine%20at%20Chatou.jpg'
+  },
+  {
+    id: 'fauvism_04',
+    title: '파이프를 문 남자',
+    titleEn: 'Man with a Pipe',
+    artist: '모리스 드 블라맹크',
+    artistEn: 'Maurice de Vlaminck',
+    year: 1900,
+    style: 'fauvism',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#DC7A1D', weight: 0.249 }, { color: '#BAA289', weight: 0.178 }, { color: '#DFCDB7', weight: 0.172 }, { color: '#3D3636', weight: 0.16 }, { color: '#AF421A', weight: 0.121 }, { color: '#7E7062', weight: 0.118 }],
+    brightness: 50,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.805, contrast: 0.403, saturation: 0.459, lumaHistogram: [0.013, 0.087, 0.172, 0.176, 0.195, 0.196, 0.152, 0.008], saturationHistogram: [0.139, 0.299, 0.091, 0.055, 0.054, 0.068, 0.092, 0.202], edgeDensity: 0.236, textureEnergy: 0.166, center: { x: 0.508, y: 0.487 }, horizontality: 0.49 },
+    width: 800,
+    height: 994,
+    filename: '08_Fauvism/fauvism_04_vlaminck_portrait_pipe.jpg',
+    imageUrl: '/artworks/08_Fauvism/fauvism_04_vlaminck_portrait_pipe.jpg'
+  },
+  {
+    id: 'fauvism_05',
+    title: '레스타크의 풍경',
+    titleEn: 'Landscape at L\'Estaque',
+    artist: '조르주 브라크',
+    artistEn: 'Georges Braque',
+    year: 1906,
+    style: 'fauvism',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#DDC9B3', weight: 0.416 }, { color: '#897971', weight: 0.165 }, { color: '#455866', weight: 0.164 }, { color: '#9DA196', weight: 0.155 }, { color: '#CB9271', weight: 0.099 }],
+    brightness: 61,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.212, contrast: 0.369, saturation: 0.253, lumaHistogram: [0, 0.023, 0.091, 0.147, 0.195, 0.222, 0.267, 0.055], saturationHistogram: [0.186, 0.408, 0.208, 0.114, 0.062, 0.019, 0.004, 0.001], edgeDensity: 0.297, textureEnergy: 0.202, center: { x: 0.479, y: 0.531 }, horizontality: 0.707 },
+    width: 600,
+    height: 495,
+    filename: '08_Fauvism/fauvism_05_braque_landscape_estaque.jpg',
+    imageUrl: '/artworks/08_Fauvism/fauvism_05_braque_landscape_estaque.jpg'
+  },
+  {
+    id: 'fauvism_06',
+    title: '초록색 선 (마티스 부인의 초상)',
+    titleEn: 'The Green Stripe',
+    artist: '앙리 마티스',
+    artistEn: 'Henri Matisse',
+    year: 1905,
+    style: 'fauvism',
+    masterTag: 'matisse',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#B85C2E', weight: 0.204 }, { color: '#5B8572', weight: 0.188 }, { color: '#22292F', weight: 0.186 }, { color: '#C27869', weight: 0.179 }, { color: '#DEB392', weight: 0.149 }, { color: '#545349', weight: 0.093 }],
+    brightness: 43,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.801, contrast: 0.372, saturation: 0.47, lumaHistogram: [0.042, 0.15, 0.099, 0.344, 0.201, 0.104, 0.057, 0.004], saturationHistogram: [0.028, 0.124, 0.228, 0.214, 0.179, 0.078, 0.129, 0.02], edgeDensity: 0.156, textureEnergy: 0.134, center: { x: 0.493, y: 0.455 }, horizontality: 0.454 },
+    width: 330,
+    height: 412,
+    filename: '08_Fauvism/fauvism_06_matisse_green_line.jpg',
+    imageUrl: '/artworks/08_Fauvism/fauvism_06_matisse_green_line.jpg'
+  },
+  {
+    id: 'fauvism_07',
+    title: '깃발로 장식된 거리',
+    titleEn: 'Street Decked with Flags',
+    artist: '라울 뒤피',
+    artistEn: 'Raoul Dufy',
+    year: 1906,
+    style: 'fauvism',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#CAD8B9', weight: 0.229 }, { color: '#587F6D', weight: 0.188 }, { color: '#8FA488', weight: 0.186 }, { color: '#38554B', weight: 0.186 }, { color: '#162A26', weight: 0.122 }, { color: '#B34F36', weight: 0.089 }],
+    brightness: 47,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.765, contrast: 0.457, saturation: 0.339, lumaHistogram: [0.044, 0.114, 0.176, 0.22, 0.146, 0.102, 0.165, 0.033], saturationHistogram: [0.099, 0.36, 0.202, 0.118, 0.079, 0.083, 0.043, 0.016], edgeDensity: 0.32, textureEnergy: 0.2, center: { x: 0.518, y: 0.473 }, horizontality: 0.448 },
+    width: 900,
+    height: 1176,
+    filename: '08_Fauvism/fauvism_07_dufy_street_flags.jpg',
+    imageUrl: '/artworks/08_Fauvism/fauvism_07_dufy_street_flags.jpg'
+  },
+  {
+    id: 'expressionist_01',
+    title: '베를린 거리 풍경',
+    titleEn: 'Berlin Street Scene',
+    artist: '에른스트 루트비히 키르히너',
+    artistEn: 'Ernst Ludwig Kirchner',
+    year: 1913,
+    style: 'expressionism',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#101318', weight: 0.268 }, { color: '#673E57', weight: 0.169 }, { color: '#DC9DB5', weight: 0.169 }, { color: '#303443', weight: 0.166 }, { color: '#6B93A5', weight: 0.145 }, { color: '#C05179', weight: 0.084 }],
+    brightness: 35,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.755, contrast: 0.468, saturation: 0.429, lumaHistogram: [0.24, 0.208, 0.143, 0.107, 0.149, 0.111, 0.031, 0.01], saturationHistogram: [0.133, 0.13, 0.158, 0.207, 0.17, 0.091, 0.056, 0.056], edgeDensity: 0.29, textureEnergy: 0.189, center: { x: 0.491, y: 0.498 }, horizontality: 0.359 },
+    width: 330,
+    height: 437,
+    filename: '09_Expressionism/expressionist_01_kirchner_street_berlin.jpg',
+    imageUrl: '/artworks/09_Expressionism/expressionist_01_kirchner_street_berlin.jpg'
+  },
+  {
+    id: 'expressionist_02',
+    title: '군인으로서의 자화상',
+    titleEn: 'Self-Portrait as a Soldier',
+    artist: '에른스트 루트비히 키르히너',
+    artistEn: 'Ernst Ludwig Kirchner',
+    year: 1915,
+    style: 'expressionism',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#393838', weight: 0.353 }, { color: '#DDAB45', weight: 0.148 }, { color: '#584B40', weight: 0.143 }, { color: '#96683E', weight: 0.138 }, { color: '#C86E4A', weight: 0.127 }, { color: '#F2E9DD', weight: 0.091 }],
+    brightness: 41,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.894, contrast: 0.458, saturation: 0.339, lumaHistogram: [0, 0.318, 0.185, 0.161, 0.123, 0.105, 0.044, 0.063], saturationHistogram: [0.362, 0.124, 0.074, 0.058, 0.112, 0.203, 0.066, 0], edgeDensity: 0.255, textureEnergy: 0.171, center: { x: 0.497, y: 0.471 }, horizontality: 0.391 },
+    width: 500,
+    height: 559,
+    filename: '09_Expressionism/expressionist_02_kirchner_self_portrait.jpg',
+    imageUrl: '/artworks/09_Expressionism/expressionist_02_kirchner_self_portrait.jpg'
+  },
+  {
+    id: 'expressionist_03',
+    title: '꽈리 열매가 있는 자화상',
+    titleEn: 'Self-Portrait with Physalis',
+    artist: '에곤 실레',
+    artistEn: 'Egon Schiele',
+    year: 1912,
+    style: 'expressionism',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#CFCCBD', weight: 0.406 }, { color: '#313438', weight: 0.317 }, { color: '#AFA28E', weight: 0.117 }, { color: '#967D68', weight: 0.1 }, { color: '#8E4A37', weight: 0.059 }],
+    brightness: 52,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.236, contrast: 0.525, saturation: 0.181, lumaHistogram: [0.001, 0.29, 0.059, 0.064, 0.105, 0.189, 0.21, 0.083], saturationHistogram: [0.449, 0.371, 0.102, 0.019, 0.017, 0.031, 0.011, 0], edgeDensity: 0.142, textureEnergy: 0.114, center: { x: 0.564, y: 0.53 }, horizontality: 0.436 },
+    width: 330,
+    height: 267,
+    filename: '09_Expressionism/expressionist_03_schiele_self_portrait.jpg',
+    imageUrl: '/artworks/09_Expressionism/expressionist_03_schiele_self_portrait.jpg'
+  },
+  {
+    id: 'expressionist_04',
+    title: '포옹',
+    titleEn: 'The Embrace',
+    artist: '에곤 실레',
+    artistEn: 'Egon Schiele',
+    year: 1917,
+    style: 'expressionism',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#BD987A', weight: 0.234 }, { color: '#CBBAB5', weight: 0.205 }, { color: '#9A9CA6', weight: 0.179 }, { color: '#967D66', weight: 0.153 }, { color: '#2B3026', weight: 0.144 }, { color: '#6C6240', weight: 0.085 }],
+    brightness: 53,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.675, contrast: 0.373, saturation: 0.254, lumaHistogram: [0.035, 0.092, 0.055, 0.107, 0.31, 0.313, 0.088, 0], saturationHistogram: [0.267, 0.244, 0.264, 0.15, 0.056, 0.015, 0.004, 0], edgeDensity: 0.06, textureEnergy: 0.111, center: { x: 0.639, y: 0.427 }, horizontality: 0.513 },
+    width: 2048,
+    height: 1223,
+    filename: '09_Expressionism/expressionist_04_schiele_embrace.jpg',
+    imageUrl: '/artworks/09_Expressionism/expressionist_04_schiele_embrace.jpg'
+  },
+  {
+    id: 'expressionist_05',
+    title: '가면 정물',
+    titleEn: 'Mask Still Life',
+    artist: '에밀 놀데',
+    artistEn: 'Emil Nolde',
+    year: 1911,
+    style: 'expressionism',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#191E18', weight: 0.29 }, { color: '#385D46', weight: 0.275 }, { color: '#5D3011', weight: 0.163 }, { color: '#AA8118', weight: 0.118 }, { color: '#953C1C', weight: 0.116 }, { color: '#D2D0B4', weight: 0.038 }],
+    brightness: 25,
+    orientation: 'square',
+    features: { aspectRatio: 1.068, contrast: 0.347, saturation: 0.633, lumaHistogram: [0.18, 0.285, 0.301, 0.136, 0.059, 0.011, 0.015, 0.013], saturationHistogram: [0.02, 0.051, 0.077, 0.132, 0.192, 0.16, 0.175, 0.193], edgeDensity: 0.117, textureEnergy: 0.129, center: { x: 0.618, y: 0.48 }, horizontality: 0.477 },
+    width: 300,
+    height: 281,
+    filename: '09_Expressionism/expressionist_05_nolde_masks.jpg',
+    imageUrl: '/artworks/09_Expressionism/expressionist_05_nolde_masks.jpg'
+  },
+  {
+    id: 'expressionist_06',
+    title: '절규',
+    titleEn: 'The Scream',
+    artist: '에드바르 뭉크',
+    artistEn: 'Edvard Munch',
+    year: 1893,
+    style: 'expressionism',
+    masterTag: 'munch',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#5B5350', weight: 0.449 }, { color: '#866E58', weight: 0.28 }, { color: '#A66647', weight: 0.271 }],
+    brightness: 39,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.805, contrast: 0.152, saturation: 0.323, lumaHistogram: [0, 0.02, 0.338, 0.549, 0.093, 0, 0, 0], saturationHistogram: [0.19, 0.213, 0.215, 0.153, 0.157, 0.069, 0.003, 0], edgeDensity: 0, textureEnergy: 0.064, center: { x: 0.526, y: 0.461 }, horizontality: 0.563 },
+    width: 330,
+    height: 410,
+    filename: '09_Expressionism/expressionist_06_munch_scream.jpg',
+    imageUrl: '/artworks/09_Expressionism/expressionist_06_munch_scream.jpg'
+  },
+  {
+    id: 'expressionist_07',
+    title: '초상',
+    titleEn: 'Portrait',
+    artist: '오스카 코코슈카',
+    artistEn: 'Oskar Kokoschka',
+    year: 1910,
+    style: 'expressionism',
+    masterTag: null,
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#415156', weight: 0.252 }, { color: '#1F282F', weight: 0.197 }, { color: '#65777B', weight: 0.185 }, { color: '#8D7B61', weight: 0.128 }, { color: '#A49B85', weight: 0.119 }, { color: '#705948', weight: 0.119 }],
+    brightness: 36,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.757, contrast: 0.301, saturation: 0.292, lumaHistogram: [0.073, 0.158, 0.277, 0.294, 0.161, 0.037, 0, 0], saturationHistogram: [0.108, 0.37, 0.253, 0.149, 0.092, 0.028, 0, 0], edgeDensity: 0.149, textureEnergy: 0.137, center: { x: 0.521, y: 0.549 }, horizontality: 0.468 },
+    width: 605,
+    height: 799,
+    filename: '09_Expressionism/expressionist_07_kokoschka_portrait.jpg',
+    imageUrl: '/artworks/09_Expressionism/expressionist_07_kokoschka_portrait.jpg'
+  },
+  {
+    id: 'klimt_01',
+    title: '키스',
+    titleEn: 'The Kiss',
+    artist: '구스타프 클림트',
+    artistEn: 'Gustav Klimt',
+    year: 1908,
+    style: 'art-nouveau',
+    masterTag: 'klimt',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#8B7740', weight: 0.518 }, { color: '#B8A258', weight: 0.273 }, { color: '#8C8D6F', weight: 0.162 }, { color: '#574928', weight: 0.048 }],
+    brightness: 46,
+    orientation: 'square',
+    features: { aspectRatio: 0.997, contrast: 0.196, saturation: 0.489, lumaHistogram: [0.001, 0.012, 0.05, 0.39, 0.397, 0.148, 0.001, 0], saturationHistogram: [0.018, 0.077, 0.093, 0.242, 0.421, 0.147, 0.002, 0], edgeDensity: 0.031, textureEnergy: 0.068, center: { x: 0.52, y: 0.421 }, horizontality: 0.431 },
+    width: 330,
+    height: 331,
+    filename: '10_Masters/klimt_01_kiss_full.jpg',
+    imageUrl: '/artworks/10_Masters/klimt_01_kiss_full.jpg'
+  },
+  {
+    id: 'klimt_02',
+    title: '아델레 블로흐바우어의 초상 I',
+    titleEn: 'Portrait of Adele Bloch-Bauer I',
+    artist: '구스타프 클림트',
+    artistEn: 'Gustav Klimt',
+    year: 1907,
+    style: 'art-nouveau',
+    masterTag: 'klimt',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#C2852F', weight: 0.471 }, { color: '#905F1F', weight: 0.408 }, { color: '#403316', weight: 0.071 }, { color: '#B99E84', weight: 0.05 }],
+    brightness: 41,
+    orientation: 'square',
+    features: { aspectRatio: 0.999, contrast: 0.251, saturation: 0.741, lumaHistogram: [0.011, 0.034, 0.172, 0.342, 0.343, 0.092, 0.006, 0], saturationHistogram: [0.003, 0.028, 0.029, 0.035, 0.063, 0.288, 0.351, 0.204], edgeDensity: 0.028, textureEnergy: 0.078, center: { x: 0.525, y: 0.447 }, horizontality: 0.498 },
+    width: 1415,
+    height: 1416,
+    filename: '10_Masters/klimt_02_portrait_adele_bloch.jpg',
+    imageUrl: '/artworks/10_Masters/klimt_02_portrait_adele_bloch.jpg'
+  },
+  {
+    id: 'klimt_03',
+    title: '유디트 I',
+    titleEn: 'Judith and the Head of Holofernes',
+    artist: '구스타프 클림트',
+    artistEn: 'Gustav Klimt',
+    year: 1901,
+    style: 'art-nouveau',
+    masterTag: 'klimt',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#B18F5C', weight: 0.4 }, { color: '#827765', weight: 0.207 }, { color: '#89612E', weight: 0.155 }, { color: '#271B19', weight: 0.13 }, { color: '#5C4B39', weight: 0.108 }],
+    brightness: 41,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.491, contrast: 0.326, saturation: 0.444, lumaHistogram: [0.091, 0.051, 0.136, 0.319, 0.299, 0.099, 0.006, 0], saturationHistogram: [0.046, 0.122, 0.204, 0.233, 0.202, 0.13, 0.063, 0.001], edgeDensity: 0.131, textureEnergy: 0.134, center: { x: 0.537, y: 0.436 }, horizontality: 0.436 },
+    width: 250,
+    height: 509,
+    filename: '10_Masters/klimt_03_judith_holofernes.jpg',
+    imageUrl: '/artworks/10_Masters/klimt_03_judith_holofernes.jpg'
+  },
+  {
+    id: 'klimt_04',
+    title: '생명의 나무',
+    titleEn: 'The Tree of Life',
+    artist: '구스타프 클림트',
+    artistEn: 'Gustav Klimt',
+    year: 1909,
+    style: 'art-nouveau',
+    masterTag: 'klimt',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#BBA68F', weight: 0.496 }, { color: '#9F8166', weight: 0.435 }, { color: '#7A604B', weight: 0.069 }],
+    brightness: 56,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.514, contrast: 0.19, saturation: 0.299, lumaHistogram: [0, 0.005, 0.012, 0.157, 0.455, 0.346, 0.025, 0], saturationHistogram: [0.039, 0.31, 0.425, 0.183, 0.043, 0.001, 0, 0], edgeDensity: 0.029, textureEnergy: 0.1, center: { x: 0.525, y: 0.561 }, horizontality: 0.489 },
+    width: 250,
+    height: 486,
+    filename: '10_Masters/klimt_04_tree_of_life.jpg',
+    imageUrl: '/artworks/10_Masters/klimt_04_tree_of_life.jpg'
+  },
+  {
+    id: 'klimt_05',
+    title: '물뱀 II',
+    titleEn: 'Water Serpents II',
+    artist: '구스타프 클림트',
+    artistEn: 'Gustav Klimt',
+    year: 1907,
+    style: 'art-nouveau',
+    masterTag: 'klimt',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#D3B8A0', weight: 0.336 }, { color: '#BD7C58', weight: 0.268 }, { color: '#B3928C', weight: 0.164 }, { color: '#856B62', weight: 0.153 }, { color: '#423538', weight: 0.079 }],
+    brightness: 56,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.73, contrast: 0.312, saturation: 0.33, lumaHistogram: [0.014, 0.028, 0.049, 0.162, 0.328, 0.278, 0.14, 0], saturationHistogram: [0.038, 0.321, 0.315, 0.15, 0.14, 0.034, 0.001, 0], edgeDensity: 0.082, textureEnergy: 0.109, center: { x: 0.574, y: 0.513 }, horizontality: 0.646 },
+    width: 500,
+    height: 289,
+    filename: '10_Masters/klimt_05_water_serpents.jpg',
+    imageUrl: '/artworks/10_Masters/klimt_05_water_serpents.jpg'
+  },
+  {
+    id: 'klimt_06',
+    title: '죽음과 삶',
+    titleEn: 'Death and Life',
+    artist: '구스타프 클림트',
+    artistEn: 'Gustav Klimt',
+    year: 1915,
+    style: 'art-nouveau',
+    masterTag: 'klimt',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#293030', weight: 0.441 }, { color: '#A38172', weight: 0.162 }, { color: '#AFACA7', weight: 0.14 }, { color: '#75726F', weight: 0.131 }, { color: '#565550', weight: 0.126 }],
+    brightness: 35,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.149, contrast: 0.383, saturation: 0.216, lumaHistogram: [0.06, 0.325, 0.167, 0.165, 0.172, 0.088, 0.023, 0], saturationHistogram: [0.273, 0.383, 0.212, 0.1, 0.03, 0.002, 0, 0], edgeDensity: 0.073, textureEnergy: 0.097, center: { x: 0.571, y: 0.528 }, horizontality: 0.418 },
+    width: 796,
+    height: 693,
+    filename: '10_Masters/klimt_06_death_and_life.jpg',
+    imageUrl: '/artworks/10_Masters/klimt_06_death_and_life.jpg'
+  },
+  {
+    id: 'klimt_07',
+    title: '성취',
+    titleEn: 'Fulfillment',
+    artist: '구스타프 클림트',
+    artistEn: 'Gustav Klimt',
+    year: 1909,
+    style: 'art-nouveau',
+    masterTag: 'klimt',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#B3903E', weight: 0.26 }, { color: '#8F6326', weight: 0.216 }, { color: '#DDB94E', weight: 0.183 }, { color: '#4C3B2C', weight: 0.153 }, { color: '#83786A', weight: 0.132 }, { color: '#C3B6A1', weight: 0.057 }],
+    brightness: 46,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.594, contrast: 0.334, saturation: 0.553, lumaHistogram: [0.012, 0.054, 0.15, 0.237, 0.283, 0.195, 0.061, 0.007], saturationHistogram: [0.078, 0.079, 0.07, 0.081, 0.206, 0.311, 0.129, 0.046], edgeDensity: 0.202, textureEnergy: 0.166, center: { x: 0.515, y: 0.524 }, horizontality: 0.506 },
+    width: 535,
+    height: 900,
+    filename: '10_Masters/klimt_07_fulfillment.jpg',
+    imageUrl: '/artworks/10_Masters/klimt_07_fulfillment.jpg'
+  },
+  {
+    id: 'matisse_01',
+    title: '춤',
+    titleEn: 'Dance',
+    artist: '앙리 마티스',
+    artistEn: 'Henri Matisse',
+    year: 1910,
+    style: 'fauvism',
+    masterTag: 'matisse',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#243E46', weight: 0.5 }, { color: '#AA3733', weight: 0.271 }, { color: '#474859', weight: 0.117 }, { color: '#6C2C31', weight: 0.112 }],
+    brightness: 27,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.52, contrast: 0.15, saturation: 0.553, lumaHistogram: [0.017, 0.435, 0.453, 0.095, 0, 0, 0, 0], saturationHistogram: [0.003, 0.036, 0.116, 0.259, 0.163, 0.326, 0.096, 0], edgeDensity: 0, textureEnergy: 0.057, center: { x: 0.499, y: 0.489 }, horizontality: 0.469 },
+    width: 874,
+    height: 575,
+    filename: '10_Masters/matisse_01_dance.jpg',
+    imageUrl: '/artworks/10_Masters/matisse_01_dance.jpg'
+  },
+  {
+    id: 'matisse_02',
+    title: '모자를 쓴 여인',
+    titleEn: 'Woman with a Hat',
+    artist: '앙리 마티스',
+    artistEn: 'Henri Matisse',
+    year: 1905,
+    style: 'fauvism',
+    masterTag: 'matisse',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#C6B8AB', weight: 0.226 }, { color: '#9F9A97', weight: 0.22 }, { color: '#618A8D', weight: 0.167 }, { color: '#306A79', weight: 0.142 }, { color: '#9D695F', weight: 0.123 }, { color: '#213E54', weight: 0.122 }],
+    brightness: 51,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.735, contrast: 0.345, saturation: 0.345, lumaHistogram: [0.005, 0.081, 0.15, 0.197, 0.259, 0.236, 0.072, 0], saturationHistogram: [0.17, 0.312, 0.145, 0.126, 0.093, 0.058, 0.051, 0.046], edgeDensity: 0.151, textureEnergy: 0.133, center: { x: 0.496, y: 0.518 }, horizontality: 0.506 },
+    width: 250,
+    height: 340,
+    filename: '10_Masters/matisse_02_woman_with_hat.jpg',
+    imageUrl: '/artworks/10_Masters/matisse_02_woman_with_hat.jpg'
+  },
+  {
+    id: 'matisse_03',
+    title: '금붕어',
+    titleEn: 'Goldfish',
+    artist: '앙리 마티스',
+    artistEn: 'Henri Matisse',
+    year: 1912,
+    style: 'fauvism',
+    masterTag: 'matisse',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#377E49', weight: 0.238 }, { color: '#333A31', weight: 0.233 }, { color: '#7EA372', weight: 0.187 }, { color: '#C5AE98', weight: 0.137 }, { color: '#A48077', weight: 0.127 }, { color: '#A85837', weight: 0.077 }],
+    brightness: 41,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.664, contrast: 0.346, saturation: 0.378, lumaHistogram: [0.015, 0.151, 0.195, 0.227, 0.231, 0.15, 0.03, 0], saturationHistogram: [0.083, 0.308, 0.214, 0.123, 0.093, 0.067, 0.058, 0.054], edgeDensity: 0.18, textureEnergy: 0.154, center: { x: 0.478, y: 0.502 }, horizontality: 0.494 },
+    width: 500,
+    height: 753,
+    filename: '10_Masters/matisse_03_goldfish.jpg',
+    imageUrl: '/artworks/10_Masters/matisse_03_goldfish.jpg'
+  },
+  {
+    id: 'matisse_04',
+    title: '푸른 누드 II',
+    titleEn: 'Blue Nude II',
+    artist: '앙리 마티스',
+    artistEn: 'Henri Matisse',
+    year: 1952,
+    style: 'fauvism',
+    masterTag: 'matisse',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#103690', weight: 0.453 }, { color: '#EAE9D8', weight: 0.422 }, { color: '#4C5F9D', weight: 0.075 }, { color: '#9099B6', weight: 0.051 }],
+    brightness: 56,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.803, contrast: 0.665, saturation: 0.488, lumaHistogram: [0.005, 0.395, 0.091, 0.041, 0.028, 0.021, 0.037, 0.383], saturationHistogram: [0.399, 0.053, 0.026, 0.03, 0.026, 0.032, 0.133, 0.302], edgeDensity: 0.279, textureEnergy: 0.193, center: { x: 0.488, y: 0.506 }, horizontality: 0.467 },
+    width: 200,
+    height: 249,
+    filename: '10_Masters/matisse_04_blue_nude.jpg',
+    imageUrl: '/artworks/10_Masters/matisse_04_blue_nude.jpg'
+  },
+  {
+    id: 'matisse_05',
+    title: '붉은색의 조화',
+    titleEn: 'The Dessert: Harmony in Red',
+    artist: '앙리 마티스',
+    artistEn: 'Henri Matisse',
+    year: 1908,
+    style: 'fauvism',
+    masterTag: 'matisse',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#851232', weight: 0.531 }, { color: '#242F35', weight: 0.175 }, { color: '#43546A', weight: 0.118 }, { color: '#B26C32', weight: 0.098 }, { color: '#BFAD9A', weight: 0.078 }],
+    brightness: 30,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.214, contrast: 0.312, saturation: 0.661, lumaHistogram: [0.029, 0.593, 0.191, 0.067, 0.068, 0.031, 0.01, 0.011], saturationHistogram: [0.055, 0.052, 0.085, 0.099, 0.103, 0.147, 0.149, 0.311], edgeDensity: 0.159, textureEnergy: 0.12, center: { x: 0.501, y: 0.517 }, horizontality: 0.541 },
+    width: 500,
+    height: 412,
+    filename: '10_Masters/matisse_05_dessert_harmony_red.jpg',
+    imageUrl: '/artworks/10_Masters/matisse_05_dessert_harmony_red.jpg'
+  },
+  {
+    id: 'matisse_06',
+    title: '음악',
+    titleEn: 'Music',
+    artist: '앙리 마티스',
+    artistEn: 'Henri Matisse',
+    year: 1910,
+    style: 'fauvism',
+    masterTag: 'matisse',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#30646D', weight: 0.275 }, { color: '#23405D', weight: 0.23 }, { color: '#4E8585', weight: 0.206 }, { color: '#C1554A', weight: 0.122 }, { color: '#95322C', weight: 0.114 }, { color: '#685156', weight: 0.055 }],
+    brightness: 35,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.493, contrast: 0.188, saturation: 0.556, lumaHistogram: [0.001, 0.162, 0.442, 0.341, 0.054, 0, 0, 0], saturationHistogram: [0.013, 0.016, 0.067, 0.215, 0.323, 0.318, 0.047, 0.001], edgeDensity: 0, textureEnergy: 0.045, center: { x: 0.506, y: 0.479 }, horizontality: 0.479 },
+    width: 330,
+    height: 221,
+    filename: '10_Masters/matisse_06_music.jpg',
+    imageUrl: '/artworks/10_Masters/matisse_06_music.jpg'
+  },
+  {
+    id: 'matisse_07',
+    title: '붉은 화실',
+    titleEn: 'The Red Studio',
+    artist: '앙리 마티스',
+    artistEn: 'Henri Matisse',
+    year: 1911,
+    style: 'fauvism',
+    masterTag: 'matisse',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#913F29', weight: 0.665 }, { color: '#AF9E9D', weight: 0.143 }, { color: '#A26F57', weight: 0.098 }, { color: '#775434', weight: 0.061 }, { color: '#426462', weight: 0.034 }],
+    brightness: 38,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.211, contrast: 0.236, saturation: 0.604, lumaHistogram: [0, 0.003, 0.647, 0.172, 0.105, 0.059, 0.015, 0], saturationHistogram: [0.039, 0.061, 0.061, 0.075, 0.099, 0.465, 0.198, 0.002], edgeDensity: 0.073, textureEnergy: 0.083, center: { x: 0.411, y: 0.463 }, horizontality: 0.445 },
+    width: 500,
+    height: 413,
+    filename: '10_Masters/matisse_07_red_studio.jpg',
+    imageUrl: '/artworks/10_Masters/matisse_07_red_studio.jpg'
+  },
+  {
+    id: 'munch_03',
+    title: '불안',
+    titleEn: 'Anxiety',
+    artist: '에드바르 뭉크',
+    artistEn: 'Edvard Munch',
+    year: 1894,
+    style: 'expressionism',
+    masterTag: 'munch',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#201425', weight: 0.276 }, { color: '#503C44', weight: 0.22 }, { color: '#7F6564', weight: 0.143 }, { color: '#D09871', weight: 0.126 }, { color: '#CD6550', weight: 0.119 }, { color: '#DFBE96', weight: 0.115 }],
+    brightness: 37,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.752, contrast: 0.468, saturation: 0.393, lumaHistogram: [0.211, 0.146, 0.166, 0.156, 0.127, 0.126, 0.066, 0.002], saturationHistogram: [0.041, 0.214, 0.206, 0.214, 0.233, 0.088, 0.004, 0.001], edgeDensity: 0.162, textureEnergy: 0.129, center: { x: 0.49, y: 0.537 }, horizontality: 0.59 },
+    width: 376,
+    height: 500,
+    filename: '10_Masters/munch_03_anxiety.jpg',
+    imageUrl: '/artworks/10_Masters/munch_03_anxiety.jpg'
+  },
+  {
+    id: 'munch_04',
+    title: '뱀파이어',
+    titleEn: 'Vampire',
+    artist: '에드바르 뭉크',
+    artistEn: 'Edvard Munch',
+    year: 1895,
+    style: 'expressionism',
+    masterTag: 'munch',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#2D2B3F', weight: 0.487 }, { color: '#523F47', weight: 0.179 }, { color: '#6C5C61', weight: 0.147 }, { color: '#93412C', weight: 0.116 }, { color: '#D4A590', weight: 0.071 }],
+    brightness: 29,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.221, contrast: 0.296, saturation: 0.372, lumaHistogram: [0.081, 0.42, 0.33, 0.09, 0.024, 0.036, 0.019, 0], saturationHistogram: [0.06, 0.217, 0.324, 0.166, 0.112, 0.063, 0.044, 0.014], edgeDensity: 0.073, textureEnergy: 0.087, center: { x: 0.446, y: 0.581 }, horizontality: 0.507 },
+    width: 1500,
+    height: 1228,
+    filename: '10_Masters/munch_04_vampire.jpg',
+    imageUrl: '/artworks/10_Masters/munch_04_vampire.jpg'
+  },
+  {
+    id: 'munch_05',
+    title: '다리 위의 소녀들',
+    titleEn: 'The Girls on the Bridge',
+    artist: '에드바르 뭉크',
+    artistEn: 'Edvard Munch',
+    year: 1901,
+    style: 'expressionism',
+    masterTag: 'munch',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#232721', weight: 0.314 }, { color: '#718A95', weight: 0.227 }, { color: '#927867', weight: 0.208 }, { color: '#556363', weight: 0.103 }, { color: '#724A39', weight: 0.1 }, { color: '#C6BAA6', weight: 0.048 }],
+    brightness: 36,
+    orientation: 'square',
+    features: { aspectRatio: 0.915, contrast: 0.362, saturation: 0.289, lumaHistogram: [0.12, 0.197, 0.12, 0.281, 0.238, 0.023, 0.019, 0.002], saturationHistogram: [0.105, 0.305, 0.384, 0.123, 0.051, 0.017, 0.016, 0], edgeDensity: 0.171, textureEnergy: 0.124, center: { x: 0.503, y: 0.552 }, horizontality: 0.59 },
+    width: 3659,
+    height: 4000,
+    filename: '10_Masters/munch_05_girls_on_bridge.jpg',
+    imageUrl: '/artworks/10_Masters/munch_05_girls_on_bridge.jpg'
+  },
+  {
+    id: 'munch_06',
+    title: '병실에서의 죽음',
+    titleEn: 'Death in the Sickroom',
+    artist: '에드바르 뭉크',
+    artistEn: 'Edvard Munch',
+    year: 1893,
+    style: 'expressionism',
+    masterTag: 'munch',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#403D2C', weight: 0.237 }, { color: '#695338', weight: 0.227 }, { color: '#DC9B36', weight: 0.158 }, { color: '#C25925', weight: 0.154 }, { color: '#90774A', weight: 0.119 }, { color: '#CAB15D', weight: 0.104 }],
+    brightness: 39,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.693, contrast: 0.329, saturation: 0.538, lumaHistogram: [0.007, 0.124, 0.309, 0.225, 0.15, 0.172, 0.013, 0], saturationHistogram: [0.012, 0.081, 0.218, 0.096, 0.192, 0.154, 0.237, 0.011], edgeDensity: 0.092, textureEnergy: 0.11, center: { x: 0.495, y: 0.53 }, horizontality: 0.418 },
+    width: 1024,
+    height: 605,
+    filename: '10_Masters/munch_06_death_sickroom.jpg',
+    imageUrl: '/artworks/10_Masters/munch_06_death_sickroom.jpg'
+  },
+  {
+    id: 'munch_07',
+    title: '태양',
+    titleEn: 'The Sun',
+    artist: '에드바르 뭉크',
+    artistEn: 'Edvard Munch',
+    year: 1911,
+    style: 'expressionism',
+    masterTag: 'munch',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#DEC494', weight: 0.637 }, { color: '#C9965A', weight: 0.16 }, { color: '#9D7F6E', weight: 0.129 }, { color: '#655458', weight: 0.074 }],
+    brightness: 65,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.727, contrast: 0.301, saturation: 0.364, lumaHistogram: [0, 0.008, 0.032, 0.079, 0.171, 0.325, 0.309, 0.077], saturationHistogram: [0.042, 0.187, 0.312, 0.286, 0.118, 0.052, 0.003, 0], edgeDensity: 0.048, textureEnergy: 0.105, center: { x: 0.436, y: 0.6 }, horizontality: 0.586 },
+    width: 1000,
+    height: 579,
+    filename: '10_Masters/munch_07_sun.jpg',
+    imageUrl: '/artworks/10_Masters/munch_07_sun.jpg'
+  },
+  {
+    id: 'picasso_01',
+    title: '파이프를 든 소년',
+    titleEn: 'Boy with a Pipe',
+    artist: '파블로 피카소',
+    artistEn: 'Pablo Picasso',
+    year: 1905,
+    style: 'symbolism',
+    masterTag: 'picasso',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#683719', weight: 0.507 }, { color: '#34434D', weight: 0.264 }, { color: '#2C221F', weight: 0.087 }, { color: '#4A381C', weight: 0.084 }, { color: '#9C7544', weight: 0.057 }],
+    brightness: 24,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.804, contrast: 0.164, saturation: 0.6, lumaHistogram: [0.019, 0.511, 0.396, 0.054, 0.017, 0.004, 0, 0], saturationHistogram: [0.015, 0.069, 0.108, 0.109, 0.118, 0.221, 0.36, 0.001], edgeDensity: 0.031, textureEnergy: 0.072, center: { x: 0.537, y: 0.458 }, horizontality: 0.48 },
+    width: 964,
+    height: 1199,
+    filename: '10_Masters/picasso_01_Boy with a Pipe.jpg',
+    imageUrl: '/artworks/10_Masters/picasso_01_Boy%20with%20a%20Pipe.jpg'
+  },
+  {
+    id: 'picasso_02',
+    title: '아비뇽의 처녀들',
+    titleEn: 'Les Demoiselles d\'Avignon',
+    artist: '파블로 피카소',
+    artistEn: 'Pablo Picasso',
+    year: 1907,
+    style: 'cubism',
+    masterTag: 'picasso',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#C28A80', weight: 0.404 }, { color: '#C9BEB7', weight: 0.245 }, { color: '#78534C', weight: 0.222 }, { color: '#8E8B88', weight: 0.129 }],
+    brightness: 57,
+    orientation: 'square',
+    features: { aspectRatio: 0.965, contrast: 0.298, saturation: 0.267, lumaHistogram: [0, 0.006, 0.111, 0.17, 0.3, 0.297, 0.094, 0.022], saturationHistogram: [0.258, 0.183, 0.325, 0.152, 0.075, 0.007, 0, 0], edgeDensity: 0.128, textureEnergy: 0.131, center: { x: 0.468, y: 0.499 }, horizontality: 0.391 },
+    width: 330,
+    height: 342,
+    filename: '10_Masters/picasso_02_avignon_demoiselles.jpg',
+    imageUrl: '/artworks/10_Masters/picasso_02_avignon_demoiselles.jpg'
+  },
+  {
+    id: 'picasso_03',
+    title: '앞머리를 내린 여인',
+    titleEn: 'Woman with Bangs',
+    artist: '파블로 피카소',
+    artistEn: 'Pablo Picasso',
+    year: 1902,
+    style: 'symbolism',
+    masterTag: 'picasso',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#667987', weight: 0.33 }, { color: '#909DA6', weight: 0.307 }, { color: '#222A37', weight: 0.239 }, { color: '#3D5466', weight: 0.125 }],
+    brightness: 42,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.82, contrast: 0.348, saturation: 0.265, lumaHistogram: [0.046, 0.202, 0.131, 0.226, 0.288, 0.106, 0.001, 0], saturationHistogram: [0.179, 0.417, 0.175, 0.094, 0.1, 0.034, 0.001, 0], edgeDensity: 0.12, textureEnergy: 0.108, center: { x: 0.51, y: 0.536 }, horizontality: 0.418 },
+    width: 250,
+    height: 305,
+    filename: '10_Masters/picasso_03_Woman_with_Bangs.jpg',
+    imageUrl: '/artworks/10_Masters/picasso_03_Woman_with_Bangs.jpg'
+  },
+  {
+    id: 'picasso_04',
+    title: '우는 여인',
+    titleEn: 'The Weeping Woman',
+    artist: '파블로 피카소',
+    artistEn: 'Pablo Picasso',
+    year: 1937,
+    style: 'cubism',
+    masterTag: 'picasso',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#292E31', weight: 0.364 }, { color: '#CA9A1B', weight: 0.178 }, { color: '#3F5869', weight: 0.147 }, { color: '#6C642F', weight: 0.13 }, { color: '#9C4518', weight: 0.098 }, { color: '#9AA4B9', weight: 0.083 }],
+    brightness: 33,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.822, contrast: 0.372, saturation: 0.528, lumaHistogram: [0.041, 0.34, 0.217, 0.16, 0.13, 0.087, 0.023, 0.003], saturationHistogram: [0.049, 0.142, 0.169, 0.123, 0.131, 0.101, 0.12, 0.166], edgeDensity: 0.21, textureEnergy: 0.153, center: { x: 0.522, y: 0.501 }, horizontality: 0.443 },
+    width: 250,
+    height: 304,
+    filename: '10_Masters/picasso_04_weeping_woman.jpg',
+    imageUrl: '/artworks/10_Masters/picasso_04_weeping_woman.jpg'
+  },
+  {
+    id: 'picasso_05',
+    title: '늙은 기타리스트',
+    titleEn: 'The Old Guitarist',
+    artist: '파블로 피카소',
+    artistEn: 'Pablo Picasso',
+    year: 1903,
+    style: 'symbolism',
+    masterTag: 'picasso',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#272C2B', weight: 0.483 }, { color: '#384856', weight: 0.173 }, { color: '#5C737B', weight: 0.165 }, { color: '#6C573B', weight: 0.097 }, { color: '#95A49D', weight: 0.082 }],
+    brightness: 28,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.667, contrast: 0.297, saturation: 0.254, lumaHistogram: [0.097, 0.432, 0.223, 0.157, 0.058, 0.027, 0.007, 0], saturationHistogram: [0.156, 0.392, 0.239, 0.177, 0.035, 0, 0, 0], edgeDensity: 0.105, textureEnergy: 0.099, center: { x: 0.441, y: 0.445 }, horizontality: 0.508 },
+    width: 330,
+    height: 495,
+    filename: '10_Masters/picasso_05_old_guitarist.jpg',
+    imageUrl: '/artworks/10_Masters/picasso_05_old_guitarist.jpg'
+  },
+  {
+    id: 'picasso_06',
+    title: '세 악사',
+    titleEn: 'Three Musicians',
+    artist: '파블로 피카소',
+    artistEn: 'Pablo Picasso',
+    year: 1921,
+    style: 'cubism',
+    masterTag: 'picasso',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#2C1F1A', weight: 0.595 }, { color: '#5C3621', weight: 0.146 }, { color: '#685742', weight: 0.095 }, { color: '#ACA386', weight: 0.083 }, { color: '#152F4C', weight: 0.081 }],
+    brightness: 21,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.111, contrast: 0.3, saturation: 0.436, lumaHistogram: [0.26, 0.48, 0.143, 0.037, 0.027, 0.048, 0.005, 0], saturationHistogram: [0.054, 0.19, 0.14, 0.193, 0.257, 0.101, 0.05, 0.015], edgeDensity: 0.153, textureEnergy: 0.115, center: { x: 0.404, y: 0.525 }, horizontality: 0.47 },
+    width: 330,
+    height: 297,
+    filename: '10_Masters/picasso_06_three_musicians.jpg',
+    imageUrl: '/artworks/10_Masters/picasso_06_three_musicians.jpg'
+  },
+  {
+    id: 'picasso_07',
+    title: '거울 앞의 소녀',
+    titleEn: 'Girl before a Mirror',
+    artist: '파블로 피카소',
+    artistEn: 'Pablo Picasso',
+    year: 1932,
+    style: 'cubism',
+    masterTag: 'picasso',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#352D2B', weight: 0.278 }, { color: '#555553', weight: 0.229 }, { color: '#C8C4C2', weight: 0.15 }, { color: '#8F835F', weight: 0.121 }, { color: '#87888A', weight: 0.116 }, { color: '#864F36', weight: 0.107 }],
+    brightness: 40,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.801, contrast: 0.406, saturation: 0.255, lumaHistogram: [0.031, 0.227, 0.252, 0.211, 0.103, 0.09, 0.077, 0.008], saturationHistogram: [0.364, 0.202, 0.183, 0.11, 0.091, 0.044, 0.006, 0], edgeDensity: 0.279, textureEnergy: 0.192, center: { x: 0.462, y: 0.586 }, horizontality: 0.424 },
+    width: 282,
+    height: 352,
+    filename: '10_Masters/picasso_07_girl_before_mirror.jpg',
+    imageUrl: '/artworks/10_Masters/picasso_07_girl_before_mirror.jpg'
+  },
+  {
+    id: 'vangogh_01',
+    title: '별이 빛나는 밤',
+    titleEn: 'The Starry Night',
+    artist: '빈센트 반 고흐',
+    artistEn: 'Vincent van Gogh',
+    year: 1889,
+    style: 'post-impressionism',
+    masterTag: 'vangogh',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#3F5277', weight: 0.395 }, { color: '#262B2D', weight: 0.236 }, { color: '#627B96', weight: 0.218 }, { color: '#8C9E99', weight: 0.107 }, { color: '#A6A869', weight: 0.044 }],
+    brightness: 36,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.258, contrast: 0.309, saturation: 0.339, lumaHistogram: [0.04, 0.254, 0.254, 0.266, 0.13, 0.056, 0, 0], saturationHistogram: [0.124, 0.208, 0.229, 0.231, 0.177, 0.027, 0.002, 0], edgeDensity: 0.059, textureEnergy: 0.106, center: { x: 0.513, y: 0.506 }, horizontality: 0.55 },
+    width: 239,
+    height: 190,
+    filename: '10_Masters/vangogh_01_starry_night.jpg',
+    imageUrl: '/artworks/10_Masters/vangogh_01_starry_night.jpg'
+  },
+  {
+    id: 'vangogh_02',
+    title: '해바라기',
+    titleEn: 'Sunflowers',
+    artist: '빈센트 반 고흐',
+    artistEn: 'Vincent van Gogh',
+    year: 1888,
+    style: 'post-impressionism',
+    masterTag: 'vangogh',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#C29A3A', weight: 0.487 }, { color: '#B8C4B0', weight: 0.274 }, { color: '#BDAF77', weight: 0.125 }, { color: '#92692E', weight: 0.114 }],
+    brightness: 58,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.799, contrast: 0.209, saturation: 0.49, lumaHistogram: [0, 0.004, 0.017, 0.088, 0.301, 0.454, 0.137, 0], saturationHistogram: [0.211, 0.089, 0.041, 0.079, 0.087, 0.324, 0.17, 0], edgeDensity: 0.027, textureEnergy: 0.072, center: { x: 0.471, y: 0.405 }, horizontality: 0.481 },
+    width: 330,
+    height: 413,
+    filename: '10_Masters/vangogh_02_sunflowers.jpg',
+    imageUrl: '/artworks/10_Masters/vangogh_02_sunflowers.jpg'
+  },
+  {
+    id: 'vangogh_03',
+    title: '귀에 붕대를 감은 자화상',
+    titleEn: 'Self-Portrait with Bandaged Ear',
+    artist: '빈센트 반 고흐',
+    artistEn: 'Vincent van Gogh',
+    year: 1889,
+    style: 'post-impressionism',
+    masterTag: 'vangogh',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#387270', weight: 0.337 }, { color: '#BFD19D', weight: 0.2 }, { color: '#2B4646', weight: 0.159 }, { color: '#729A9D', weight: 0.133 }, { color: '#A58D68', weight: 0.089 }, { color: '#B7CECD', weight: 0.082 }],
+    brightness: 49,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.823, contrast: 0.403, saturation: 0.378, lumaHistogram: [0.001, 0.083, 0.249, 0.209, 0.14, 0.127, 0.183, 0.008], saturationHistogram: [0.084, 0.182, 0.267, 0.148, 0.227, 0.08, 0.011, 0.001], edgeDensity: 0.111, textureEnergy: 0.113, center: { x: 0.46, y: 0.418 }, horizontality: 0.467 },
+    width: 330,
+    height: 401,
+    filename: '10_Masters/vangogh_03_self_portrait_bandage.jpg',
+    imageUrl: '/artworks/10_Masters/vangogh_03_self_portrait_bandage.jpg'
+  },
+  {
+    id: 'vangogh_04',
+    title: '아를의 침실',
+    titleEn: 'Bedroom in Arles',
+    artist: '빈센트 반 고흐',
+    artistEn: 'Vincent van Gogh',
+    year: 1888,
+    style: 'post-impressionism',
+    masterTag: 'vangogh',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#8F7532', weight: 0.603 }, { color: '#8E9A92', weight: 0.24 }, { color: '#9D9853', weight: 0.08 }, { color: '#5F4F25', weight: 0.077 }],
+    brightness: 44,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.26, contrast: 0.174, saturation: 0.499, lumaHistogram: [0, 0.013, 0.066, 0.542, 0.317, 0.062, 0, 0], saturationHistogram: [0.157, 0.11, 0.034, 0.159, 0.246, 0.066, 0.065, 0.161], edgeDensity: 0.04, textureEnergy: 0.075, center: { x: 0.495, y: 0.323 }, horizontality: 0.424 },
+    width: 330,
+    height: 262,
+    filename: '10_Masters/vangogh_04_bedroom_arles.jpg',
+    imageUrl: '/artworks/10_Masters/vangogh_04_bedroom_arles.jpg'
+  },
+  {
+    id: 'vangogh_05',
+    title: '밤의 카페 테라스',
+    titleEn: 'Café Terrace at Night',
+    artist: '빈센트 반 고흐',
+    artistEn: 'Vincent van Gogh',
+    year: 1888,
+    style: 'post-impressionism',
+    masterTag: 'vangogh',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#313A3C', weight: 0.381 }, { color: '#645935', weight: 0.24 }, { color: '#8F7A2D', weight: 0.18 }, { color: '#324F88', weight: 0.127 }, { color: '#6D746E', weight: 0.072 }],
+    brightness: 30,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.803, contrast: 0.221, saturation: 0.446, lumaHistogram: [0.032, 0.244, 0.403, 0.267, 0.051, 0.002, 0, 0], saturationHistogram: [0.07, 0.159, 0.185, 0.166, 0.134, 0.212, 0.066, 0.009], edgeDensity: 0.036, textureEnergy: 0.086, center: { x: 0.449, y: 0.458 }, horizontality: 0.452 },
+    width: 330,
+    height: 411,
+    filename: '10_Masters/vangogh_05_cafe_terrace_night.jpg',
+    imageUrl: '/artworks/10_Masters/vangogh_05_cafe_terrace_night.jpg'
+  },
+  {
+    id: 'vangogh_06',
+    title: '붓꽃',
+    titleEn: 'Irises',
+    artist: '빈센트 반 고흐',
+    artistEn: 'Vincent van Gogh',
+    year: 1889,
+    style: 'post-impressionism',
+    masterTag: 'vangogh',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#719584', weight: 0.348 }, { color: '#476081', weight: 0.249 }, { color: '#8C7950', weight: 0.224 }, { color: '#5B7151', weight: 0.179 }],
+    brightness: 44,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.31, contrast: 0.18, saturation: 0.367, lumaHistogram: [0, 0.011, 0.169, 0.512, 0.278, 0.027, 0.002, 0.001], saturationHistogram: [0.033, 0.163, 0.348, 0.281, 0.137, 0.035, 0.004, 0], edgeDensity: 0.034, textureEnergy: 0.1, center: { x: 0.542, y: 0.496 }, horizontality: 0.489 },
+    width: 330,
+    height: 252,
+    filename: '10_Masters/vangogh_06_irises.jpg',
+    imageUrl: '/artworks/10_Masters/vangogh_06_irises.jpg'
+  },
+  {
+    id: 'vangogh_07',
+    title: '사이프러스가 있는 밀밭',
+    titleEn: 'Wheat Field with Cypresses',
+    artist: '빈센트 반 고흐',
+    artistEn: 'Vincent van Gogh',
+    year: 1889,
+    style: 'post-impressionism',
+    masterTag: 'vangogh',
+    category: 'western',
+    medium: 'painting',
+    palette: [{ color: '#92A1AA', weight: 0.243 }, { color: '#BBBFB9', weight: 0.183 }, { color: '#9D8725', weight: 0.172 }, { color: '#626D44', weight: 0.145 }, { color: '#70838B', weight: 0.133 }, { color: '#304230', weight: 0.124 }],
+    brightness: 50,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.274, contrast: 0.324, saturation: 0.316, lumaHistogram: [0.002, 0.074, 0.095, 0.242, 0.291, 0.229, 0.067, 0], saturationHistogram: [0.275, 0.233, 0.188, 0.086, 0.042, 0.068, 0.092, 0.016], edgeDensity: 0.078, textureEnergy: 0.108, center: { x: 0.593, y: 0.481 }, horizontality: 0.56 },
+    width: 330,
+    height: 259,
+    filename: '10_Masters/vangogh_07_wheat_field_cypresses.jpg',
+    imageUrl: '/artworks/10_Masters/vangogh_07_wheat_field_cypresses.jpg'
+  },
+  {
+    id: 'chinese_01',
+    title: '천리강산도',
+    titleEn: 'A Panorama of Rivers and Mountains',
+    artist: '왕희맹',
+    artistEn: 'Wang Ximeng',
+    year: 1113,
+    style: 'chinese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-and-color',
+    palette: [{ color: '#706A3F', weight: 0.64 }, { color: '#9C854B', weight: 0.227 }, { color: '#849065', weight: 0.071 }, { color: '#5A8186', weight: 0.062 }],
+    brightness: 40,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.909, contrast: 0.134, saturation: 0.45, lumaHistogram: [0, 0.001, 0.166, 0.592, 0.24, 0.001, 0, 0], saturationHistogram: [0.002, 0.069, 0.116, 0.393, 0.412, 0.009, 0, 0], edgeDensity: 0.001, textureEnergy: 0.051, center: { x: 0.51, y: 0.536 }, horizontality: 0.613 },
+    width: 800,
+    height: 419,
+    filename: '11_Oriental/chinese_01_thousand_li.jpg',
+    imageUrl: '/artworks/11_Oriental/chinese_01_thousand_li.jpg'
+  },
+  {
+    id: 'chinese_02',
+    title: '잠화사녀도',
+    titleEn: 'Court Ladies Wearing Flowered Headdresses',
+    artist: '주방',
+    artistEn: 'Zhou Fang',
+    year: 800,
+    style: 'chinese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-and-color',
+    palette: [{ color: '#8B763D', weight: 0.625 }, { color: '#5D471F', weight: 0.16 }, { color: '#AC9D68', weight: 0.154 }, { color: '#CEC29C', weight: 0.061 }],
+    brightness: 43,
+    orientation: 'landscape',
+    features: { aspectRatio: 2.5, contrast: 0.255, saturation: 0.53, lumaHistogram: [0.003, 0.031, 0.166, 0.425, 0.263, 0.075, 0.037, 0.001], saturationHistogram: [0.001, 0.037, 0.085, 0.214, 0.456, 0.176, 0.026, 0.005], edgeDensity: 0.077, textureEnergy: 0.094, center: { x: 0.486, y: 0.517 }, horizontality: 0.597 },
+    width: 1200,
+    height: 480,
+    filename: '11_Oriental/chinese_02_court_ladies.jpg',
+    imageUrl: '/artworks/11_Oriental/chinese_02_court_ladies.jpg'
+  },
+  {
+    id: 'chinese_03',
+    title: '새우',
+    titleEn: 'Shrimps',
+    artist: '제백석',
+    artistEn: 'Qi Baishi',
+    year: 1948,
+    style: 'chinese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-wash',
+    palette: [{ color: '#EEEEEE', weight: 0.747 }, { color: '#BCBBBC', weight: 0.138 }, { color: '#888586', weight: 0.08 }, { color: '#292729', weight: 0.035 }],
+    brightness: 84,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.329, contrast: 0.375, saturation: 0.012, lumaHistogram: [0.014, 0.013, 0.011, 0.027, 0.048, 0.083, 0.182, 0.624], saturationHistogram: [0.991, 0.006, 0.002, 0.001, 0, 0, 0, 0], edgeDensity: 0.232, textureEnergy: 0.16, center: { x: 0.521, y: 0.562 }, horizontality: 0.476 },
+    width: 280,
+    height: 850,
+    filename: '11_Oriental/chinese_03_shrimps.jpg',
+    imageUrl: '/artworks/11_Oriental/chinese_03_shrimps.jpg'
+  },
+  {
+    id: 'chinese_04',
+    title: '묵포도도',
+    titleEn: 'Ink Grapes',
+    artist: '서위',
+    artistEn: 'Xu Wei',
+    year: 1580,
+    style: 'chinese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-wash',
+    palette: [{ color: '#D1BA9E', weight: 0.78 }, { color: '#25221D', weight: 0.116 }, { color: '#706557', weight: 0.104 }],
+    brightness: 61,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.309, contrast: 0.437, saturation: 0.238, lumaHistogram: [0.052, 0.051, 0.052, 0.053, 0.063, 0.198, 0.531, 0], saturationHistogram: [0.012, 0.665, 0.316, 0.005, 0.001, 0, 0, 0.002], edgeDensity: 0.264, textureEnergy: 0.155, center: { x: 0.418, y: 0.511 }, horizontality: 0.478 },
+    width: 420,
+    height: 1358,
+    filename: '11_Oriental/chinese_04_grapes.jpg',
+    imageUrl: '/artworks/11_Oriental/chinese_04_grapes.jpg'
+  },
+  {
+    id: 'chinese_05',
+    title: '국화',
+    titleEn: 'Chrysanthemums',
+    artist: '오창석',
+    artistEn: 'Wu Changshuo',
+    year: 1915,
+    style: 'chinese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-wash',
+    palette: [{ color: '#DFD3B0', weight: 0.777 }, { color: '#B2A986', weight: 0.115 }, { color: '#898765', weight: 0.108 }],
+    brightness: 74,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.515, contrast: 0.221, saturation: 0.222, lumaHistogram: [0, 0, 0.002, 0.033, 0.1, 0.126, 0.685, 0.054], saturationHistogram: [0.005, 0.786, 0.208, 0.001, 0, 0, 0, 0], edgeDensity: 0.108, textureEnergy: 0.105, center: { x: 0.466, y: 0.61 }, horizontality: 0.525 },
+    width: 1920,
+    height: 1267,
+    filename: '11_Oriental/chinese_05_chrysanthemum.jpg',
+    imageUrl: '/artworks/11_Oriental/chinese_05_chrysanthemum.jpg'
+  },
+  {
+    id: 'chinese_06',
+    title: '묵매도',
+    titleEn: 'Ink Plum Blossoms',
+    artist: '왕면',
+    artistEn: 'Wang Mian',
+    year: 1350,
+    style: 'chinese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-wash',
+    palette: [{ color: '#E4D4BC', weight: 0.833 }, { color: '#C0AA94', weight: 0.109 }, { color: '#7F7669', weight: 0.059 }],
+    brightness: 78,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.227, contrast: 0.205, saturation: 0.18, lumaHistogram: [0, 0.004, 0.008, 0.017, 0.045, 0.093, 0.822, 0.011], saturationHistogram: [0.011, 0.964, 0.013, 0.01, 0.001, 0, 0, 0], edgeDensity: 0.089, textureEnergy: 0.075, center: { x: 0.364, y: 0.365 }, horizontality: 0.476 },
+    width: 1000,
+    height: 815,
+    filename: '11_Oriental/chinese_06_plum.jpg',
+    imageUrl: '/artworks/11_Oriental/chinese_06_plum.jpg'
+  },
+  {
+    id: 'chinese_07',
+    title: '물고기',
+    titleEn: 'Fish',
+    artist: '팔대산인',
+    artistEn: 'Bada Shanren',
+    year: 1694,
+    style: 'chinese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-wash',
+    palette: [{ color: '#E4DED8', weight: 0.48 }, { color: '#C3B09E', weight: 0.318 }, { color: '#867871', weight: 0.107 }, { color: '#45434D', weight: 0.094 }],
+    brightness: 71,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.502, contrast: 0.399, saturation: 0.141, lumaHistogram: [0.006, 0.027, 0.058, 0.07, 0.095, 0.166, 0.338, 0.24], saturationHistogram: [0.588, 0.242, 0.109, 0.047, 0.008, 0.005, 0.001, 0], edgeDensity: 0.214, textureEnergy: 0.157, center: { x: 0.51, y: 0.59 }, horizontality: 0.474 },
+    width: 602,
+    height: 1200,
+    filename: '11_Oriental/chinese_07_fish.jpg',
+    imageUrl: '/artworks/11_Oriental/chinese_07_fish.jpg'
+  },
+  {
+    id: 'chinese_08',
+    title: '작화추색도',
+    titleEn: 'Autumn Colors on the Qiao and Hua Mountains',
+    artist: '조맹부',
+    artistEn: 'Zhao Mengfu',
+    year: 1295,
+    style: 'chinese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-and-color',
+    palette: [{ color: '#C1A080', weight: 0.583 }, { color: '#94836F', weight: 0.35 }, { color: '#6C6E65', weight: 0.067 }],
+    brightness: 57,
+    orientation: 'landscape',
+    features: { aspectRatio: 4.103, contrast: 0.174, saturation: 0.29, lumaHistogram: [0, 0, 0.009, 0.146, 0.482, 0.354, 0.009, 0], saturationHistogram: [0.047, 0.242, 0.514, 0.194, 0.003, 0, 0, 0], edgeDensity: 0.021, textureEnergy: 0.071, center: { x: 0.479, y: 0.445 }, horizontality: 0.573 },
+    width: 2560,
+    height: 624,
+    filename: '11_Oriental/chinese_08_autumn.jpg',
+    imageUrl: '/artworks/11_Oriental/chinese_08_autumn.jpg'
+  },
+  {
+    id: 'chinese_09',
+    title: '사녀도',
+    titleEn: 'Portrait of a Beauty',
+    artist: '당인',
+    artistEn: 'Tang Yin',
+    year: 1510,
+    style: 'chinese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-and-color',
+    palette: [{ color: '#CABCA9', weight: 0.803 }, { color: '#8F9083', weight: 0.131 }, { color: '#495C78', weight: 0.065 }],
+    brightness: 68,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.75, contrast: 0.241, saturation: 0.174, lumaHistogram: [0, 0.004, 0.037, 0.042, 0.12, 0.404, 0.392, 0.002], saturationHistogram: [0.266, 0.666, 0.04, 0.007, 0.003, 0.007, 0.011, 0], edgeDensity: 0.085, textureEnergy: 0.082, center: { x: 0.497, y: 0.623 }, horizontality: 0.417 },
+    width: 1200,
+    height: 1600,
+    filename: '11_Oriental/chinese_09_beauty.jpg',
+    imageUrl: '/artworks/11_Oriental/chinese_09_beauty.jpg'
+  },
+  {
+    id: 'chinese_10',
+    title: '하화도',
+    titleEn: 'Lotus Pond',
+    artist: '운수평',
+    artistEn: 'Yun Shouping',
+    year: 1680,
+    style: 'chinese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-and-color',
+    palette: [{ color: '#888A85', weight: 0.314 }, { color: '#F2E4D3', weight: 0.236 }, { color: '#383836', weight: 0.22 }, { color: '#555755', weight: 0.116 }, { color: '#C3BBB2', weight: 0.114 }],
+    brightness: 54,
+    orientation: 'landscape',
+    features: { aspectRatio: 2.054, contrast: 0.51, saturation: 0.075, lumaHistogram: [0.001, 0.169, 0.143, 0.124, 0.181, 0.096, 0.107, 0.179], saturationHistogram: [0.817, 0.178, 0.005, 0.001, 0, 0, 0, 0], edgeDensity: 0.204, textureEnergy: 0.159, center: { x: 0.552, y: 0.478 }, horizontality: 0.519 },
+    width: 3200,
+    height: 1558,
+    filename: '11_Oriental/chinese_10_lotus_pond.jpg',
+    imageUrl: '/artworks/11_Oriental/chinese_10_lotus_pond.jpg'
+  },
+  {
+    id: 'chinese_12',
+    title: '한희재야연도',
+    titleEn: 'The Night Revels of Han Xizai',
+    artist: '고굉중',
+    artistEn: 'Gu Hongzhong',
+    year: 970,
+    style: 'chinese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-and-color',
+    palette: [{ color: '#725653', weight: 0.491 }, { color: '#3D343C', weight: 0.161 }, { color: '#9C7F74', weight: 0.152 }, { color: '#191825', weight: 0.109 }, { color: '#C0B6B4', weight: 0.087 }],
+    brightness: 37,
+    orientation: 'landscape',
+    features: { aspectRatio: 2.653, contrast: 0.339, saturation: 0.262, lumaHistogram: [0.073, 0.161, 0.31, 0.278, 0.092, 0.055, 0.032, 0], saturationHistogram: [0.172, 0.315, 0.326, 0.13, 0.041, 0.011, 0.003, 0.003], edgeDensity: 0.279, textureEnergy: 0.186, center: { x: 0.585, y: 0.526 }, horizontality: 0.449 },
+    width: 2560,
+    height: 965,
+    filename: '11_Oriental/chinese_12_night_revels.jpg',
+    imageUrl: '/artworks/11_Oriental/chinese_12_night_revels.jpg'
+  },
+  {
+    id: 'chinese_13',
+    title: '오색앵무도',
+    titleEn: 'Five-Colored Parakeet',
+    artist: '휘종',
+    artistEn: 'Emperor Huizong',
+    year: 1110,
+    style: 'chinese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-and-color',
+    palette: [{ color: '#987754', weight: 0.792 }, { color: '#675B49', weight: 0.124 }, { color: '#3F3D3A', weight: 0.084 }],
+    brightness: 43,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.666, contrast: 0.187, saturation: 0.408, lumaHistogram: [0.002, 0.039, 0.134, 0.451, 0.371, 0.003, 0, 0], saturationHistogram: [0.031, 0.07, 0.249, 0.427, 0.184, 0.04, 0, 0], edgeDensity: 0.039, textureEnergy: 0.089, center: { x: 0.542, y: 0.564 }, horizontality: 0.484 },
+    width: 735,
+    height: 1103,
+    filename: '11_Oriental/chinese_13_bird.jpg',
+    imageUrl: '/artworks/11_Oriental/chinese_13_bird.jpg'
+  },
+  {
+    id: 'chinese_14',
+    title: '관폭도',
+    titleEn: 'Scholar Viewing a Waterfall',
+    artist: '마원',
+    artistEn: 'Ma Yuan',
+    year: 1200,
+    style: 'chinese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-wash',
+    palette: [{ color: '#BCA188', weight: 0.211 }, { color: '#DECDC2', weight: 0.211 }, { color: '#3E3D3C', weight: 0.194 }, { color: '#645850', weight: 0.167 }, { color: '#937D6E', weight: 0.151 }, { color: '#9F3536', weight: 0.066 }],
+    brightness: 50,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.892, contrast: 0.431, saturation: 0.249, lumaHistogram: [0.001, 0.097, 0.262, 0.125, 0.156, 0.156, 0.198, 0.006], saturationHistogram: [0.223, 0.351, 0.29, 0.042, 0.039, 0.039, 0.016, 0], edgeDensity: 0.324, textureEnergy: 0.209, center: { x: 0.511, y: 0.517 }, horizontality: 0.57 },
+    width: 2501,
+    height: 1322,
+    filename: '11_Oriental/chinese_14_scholar.jpg',
+    imageUrl: '/artworks/11_Oriental/chinese_14_scholar.jpg'
+  },
+  {
+    id: 'chinese_15',
+    title: '분마도',
+    titleEn: 'Galloping Horses',
+    artist: '서비홍',
+    artistEn: 'Xu Beihong',
+    year: 1941,
+    style: 'chinese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-wash',
+    palette: [{ color: '#EDF2EF', weight: 0.668 }, { color: '#AFBDAE', weight: 0.132 }, { color: '#92856D', weight: 0.102 }, { color: '#3F3631', weight: 0.098 }],
+    brightness: 79,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.531, contrast: 0.485, saturation: 0.13, lumaHistogram: [0.025, 0.031, 0.042, 0.04, 0.054, 0.099, 0.132, 0.577], saturationHistogram: [0.708, 0.114, 0.068, 0.047, 0.03, 0.017, 0.014, 0.002], edgeDensity: 0.27, textureEnergy: 0.174, center: { x: 0.485, y: 0.554 }, horizontality: 0.534 },
+    width: 960,
+    height: 627,
+    filename: '11_Oriental/chinese_15_horses.jpg',
+    imageUrl: '/artworks/11_Oriental/chinese_15_horses.jpg'
+  },
+  {
+    id: 'japanese_01',
+    title: '가나가와 해변의 높은 파도 아래',
+    titleEn: 'The Great Wave off Kanagawa',
+    artist: '가쓰시카 호쿠사이',
+    artistEn: 'Katsushika Hokusai',
+    year: 1831,
+    style: 'japanese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'woodblock-print',
+    palette: [{ color: '#E2D3B8', weight: 0.423 }, { color: '#9DA39F', weight: 0.333 }, { color: '#2A3658', weight: 0.133 }, { color: '#5C6772', weight: 0.11 }],
+    brightness: 62,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.45, contrast: 0.449, saturation: 0.224, lumaHistogram: [0.012, 0.077, 0.086, 0.079, 0.141, 0.185, 0.318, 0.1], saturationHistogram: [0.422, 0.176, 0.262, 0.051, 0.045, 0.027, 0.012, 0.004], edgeDensity: 0.263, textureEnergy: 0.173, center: { x: 0.456, y: 0.606 }, horizontality: 0.614 },
+    width: 2560,
+    height: 1766,
+    filename: '11_Oriental/japanese_01_great_wave.jpg',
+    imageUrl: '/artworks/11_Oriental/japanese_01_great_wave.jpg'
+  },
+  {
+    id: 'japanese_03',
+    title: '뒤돌아보는 미인',
+    titleEn: 'Beauty Looking Back',
+    artist: '히시카와 모로노부',
+    artistEn: 'Hishikawa Moronobu',
+    year: 1690,
+    style: 'japanese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-and-color',
+    palette: [{ color: '#E5D0AD', weight: 0.555 }, { color: '#141313', weight: 0.215 }, { color: '#573C3B', weight: 0.154 }, { color: '#A58872', weight: 0.076 }],
+    brightness: 54,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.682, contrast: 0.652, saturation: 0.239, lumaHistogram: [0.196, 0.111, 0.046, 0.034, 0.044, 0.077, 0.321, 0.172], saturationHistogram: [0.142, 0.412, 0.311, 0.108, 0.013, 0.011, 0.001, 0.002], edgeDensity: 0.265, textureEnergy: 0.182, center: { x: 0.528, y: 0.528 }, horizontality: 0.481 },
+    width: 1363,
+    height: 2000,
+    filename: '11_Oriental/japanese_03_beauty.jpg',
+    imageUrl: '/artworks/11_Oriental/japanese_03_beauty.jpg'
+  },
+  {
+    id: 'japanese_04',
+    title: '당대 세 미인',
+    titleEn: 'Three Beauties of the Present Day',
+    artist: '기타가와 우타마로',
+    artistEn: 'Kitagawa Utamaro',
+    year: 1793,
+    style: 'japanese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'woodblock-print',
+    palette: [{ color: '#DDD3CE', weight: 0.543 }, { color: '#1A151B', weight: 0.22 }, { color: '#685F61', weight: 0.148 }, { color: '#B0A098', weight: 0.09 }],
+    brightness: 58,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.783, contrast: 0.627, saturation: 0.126, lumaHistogram: [0.142, 0.082, 0.069, 0.065, 0.04, 0.097, 0.372, 0.134], saturationHistogram: [0.672, 0.203, 0.05, 0.033, 0.02, 0.006, 0.004, 0.012], edgeDensity: 0.388, textureEnergy: 0.264, center: { x: 0.532, y: 0.487 }, horizontality: 0.503 },
+    width: 783,
+    height: 1000,
+    filename: '11_Oriental/japanese_04_beauty_3person.jpg',
+    imageUrl: '/artworks/11_Oriental/japanese_04_beauty_3person.jpg'
+  },
+  {
+    id: 'japanese_05',
+    title: '3대 오타니 오니지의 얏코 에도베에',
+    titleEn: 'Ōtani Oniji III as Yakko Edobei',
+    artist: '도슈사이 샤라쿠',
+    artistEn: 'Tōshūsai Sharaku',
+    year: 1794,
+    style: 'japanese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'woodblock-print',
+    palette: [{ color: '#7B716A', weight: 0.392 }, { color: '#E8D5BD', weight: 0.247 }, { color: '#A37F69', weight: 0.168 }, { color: '#3F403D', weight: 0.133 }, { color: '#B9A893', weight: 0.06 }],
+    brightness: 53,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.668, contrast: 0.4, saturation: 0.177, lumaHistogram: [0, 0.073, 0.074, 0.368, 0.191, 0.046, 0.189, 0.059], saturationHistogram: [0.425, 0.393, 0.078, 0.101, 0.003, 0, 0, 0], edgeDensity: 0.242, textureEnergy: 0.146, center: { x: 0.483, y: 0.553 }, horizontality: 0.445 },
+    width: 2538,
+    height: 3799,
+    filename: '11_Oriental/japanese_05_actor.jpg',
+    imageUrl: '/artworks/11_Oriental/japanese_05_actor.jpg'
+  },
+  {
+    id: 'japanese_06',
+    title: '송림도 병풍',
+    titleEn: 'Pine Trees',
+    artist: '하세가와 도하쿠',
+    artistEn: 'Hasegawa Tōhaku',
+    year: 1595,
+    style: 'japanese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-wash',
+    palette: [{ color: '#CEC488', weight: 0.796 }, { color: '#4C3E26', weight: 0.107 }, { color: '#8B7C4A', weight: 0.097 }],
+    brightness: 62,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.779, contrast: 0.359, saturation: 0.373, lumaHistogram: [0.002, 0.051, 0.054, 0.053, 0.09, 0.274, 0.477, 0], saturationHistogram: [0, 0, 0.641, 0.253, 0.106, 0, 0, 0], edgeDensity: 0.098, textureEnergy: 0.095, center: { x: 0.586, y: 0.46 }, horizontality: 0.469 },
+    width: 623,
+    height: 800,
+    filename: '11_Oriental/japanese_06_pine.jpg',
+    imageUrl: '/artworks/11_Oriental/japanese_06_pine.jpg'
+  },
+  {
+    id: 'japanese_07',
+    title: '개풍쾌청 (붉은 후지)',
+    titleEn: 'Fine Wind, Clear Morning',
+    artist: '가쓰시카 호쿠사이',
+    artistEn: 'Katsushika Hokusai',
+    year: 1831,
+    style: 'japanese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'woodblock-print',
+    palette: [{ color: '#AEB4A7', weight: 0.268 }, { color: '#BF7D6A', weight: 0.254 }, { color: '#4A6F80', weight: 0.18 }, { color: '#798686', weight: 0.127 }, { color: '#F6F0E4', weight: 0.099 }, { color: '#244765', weight: 0.071 }],
+    brightness: 57,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.45, contrast: 0.363, saturation: 0.291, lumaHistogram: [0, 0.028, 0.095, 0.188, 0.349, 0.201, 0.054, 0.086], saturationHistogram: [0.337, 0.152, 0.119, 0.262, 0.075, 0.033, 0.018, 0.003], edgeDensity: 0.15, textureEnergy: 0.134, center: { x: 0.444, y: 0.387 }, horizontality: 0.637 },
+    width: 3865,
+    height: 2665,
+    filename: '11_Oriental/japanese_07_red_fuji.jpg',
+    imageUrl: '/artworks/11_Oriental/japanese_07_red_fuji.jpg'
+  },
+  {
+    id: 'japanese_08',
+    title: '고슈 미사카 호수',
+    titleEn: 'Lake Misaka in Kai Province',
+    artist: '가쓰시카 호쿠사이',
+    artistEn: 'Katsushika Hokusai',
+    year: 1831,
+    style: 'japanese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'woodblock-print',
+    palette: [{ color: '#4268A0', weight: 0.242 }, { color: '#353435', weight: 0.194 }, { color: '#BBB2A0', weight: 0.176 }, { color: '#675F5C', weight: 0.156 }, { color: '#928E88', weight: 0.127 }, { color: '#E4D9BC', weight: 0.105 }],
+    brightness: 48,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.527, contrast: 0.42, saturation: 0.251, lumaHistogram: [0.016, 0.129, 0.22, 0.244, 0.1, 0.167, 0.09, 0.035], saturationHistogram: [0.378, 0.302, 0.058, 0.042, 0.122, 0.098, 0, 0], edgeDensity: 0.2, textureEnergy: 0.147, center: { x: 0.519, y: 0.496 }, horizontality: 0.65 },
+    width: 2686,
+    height: 1759,
+    filename: '11_Oriental/japanese_08_lake.jpg',
+    imageUrl: '/artworks/11_Oriental/japanese_08_lake.jpg'
+  },
+  {
+    id: 'japanese_09',
+    title: '아사쿠사 논과 도리노마치 축제',
+    titleEn: 'Asakusa Ricefields and Torinomachi Festival',
+    artist: '우타가와 히로시게',
+    artistEn: 'Utagawa Hiroshige',
+    year: 1857,
+    style: 'japanese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'woodblock-print',
+    palette: [{ color: '#CBBBA1', weight: 0.457 }, { color: '#867D6A', weight: 0.19 }, { color: '#606359', weight: 0.14 }, { color: '#A19981', weight: 0.123 }, { color: '#203B41', weight: 0.088 }],
+    brightness: 56,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.365, contrast: 0.364, saturation: 0.237, lumaHistogram: [0.014, 0.051, 0.083, 0.191, 0.169, 0.314, 0.178, 0], saturationHistogram: [0.061, 0.79, 0.081, 0.019, 0.013, 0.003, 0.013, 0.021], edgeDensity: 0.219, textureEnergy: 0.156, center: { x: 0.512, y: 0.389 }, horizontality: 0.676 },
+    width: 2000,
+    height: 1465,
+    filename: '11_Oriental/japanese_09_rice_field.jpg',
+    imageUrl: '/artworks/11_Oriental/japanese_09_rice_field.jpg'
+  },
+  {
+    id: 'japanese_10',
+    title: '어머니와 아이',
+    titleEn: 'Mother and Child',
+    artist: '기타가와 우타마로',
+    artistEn: 'Kitagawa Utamaro',
+    year: 1793,
+    style: 'japanese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'woodblock-print',
+    palette: [{ color: '#736953', weight: 0.285 }, { color: '#C9BB96', weight: 0.255 }, { color: '#938B6F', weight: 0.206 }, { color: '#4E4739', weight: 0.203 }, { color: '#A05739', weight: 0.051 }],
+    brightness: 47,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.687, contrast: 0.342, saturation: 0.284, lumaHistogram: [0.002, 0.049, 0.224, 0.295, 0.186, 0.134, 0.109, 0], saturationHistogram: [0.017, 0.351, 0.516, 0.054, 0.033, 0.028, 0.001, 0], edgeDensity: 0.188, textureEnergy: 0.156, center: { x: 0.508, y: 0.502 }, horizontality: 0.478 },
+    width: 1237,
+    height: 1800,
+    filename: '11_Oriental/japanese_10_mother_child.jpg',
+    imageUrl: '/artworks/11_Oriental/japanese_10_mother_child.jpg'
+  },
+  {
+    id: 'japanese_11',
+    title: '사루와카초의 밤 풍경',
+    titleEn: 'Night View of Saruwaka-machi',
+    artist: '우타가와 히로시게',
+    artistEn: 'Utagawa Hiroshige',
+    year: 1856,
+    style: 'japanese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'woodblock-print',
+    palette: [{ color: '#293B38', weight: 0.452 }, { color: '#576057', weight: 0.322 }, { color: '#769992', weight: 0.127 }, { color: '#3B7072', weight: 0.098 }],
+    brightness: 31,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.535, contrast: 0.252, saturation: 0.283, lumaHistogram: [0.005, 0.338, 0.367, 0.182, 0.099, 0.009, 0.002, 0], saturationHistogram: [0.166, 0.271, 0.31, 0.17, 0.042, 0.04, 0.001, 0], edgeDensity: 0.064, textureEnergy: 0.098, center: { x: 0.51, y: 0.558 }, horizontality: 0.524 },
+    width: 1920,
+    height: 1251,
+    filename: '11_Oriental/japanese_11_night_city.jpg',
+    imageUrl: '/artworks/11_Oriental/japanese_11_night_city.jpg'
+  },
+  {
+    id: 'japanese_12',
+    title: '고슈 가지카자와',
+    titleEn: 'Kajikazawa in Kai Province',
+    artist: '가쓰시카 호쿠사이',
+    artistEn: 'Katsushika Hokusai',
+    year: 1831,
+    style: 'japanese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'woodblock-print',
+    palette: [{ color: '#E8EAE1', weight: 0.514 }, { color: '#637A99', weight: 0.167 }, { color: '#8398B0', weight: 0.125 }, { color: '#AEBCC5', weight: 0.1 }, { color: '#455D7F', weight: 0.093 }],
+    brightness: 72,
+    orientation: 'square',
+    features: { aspectRatio: 1, contrast: 0.432, saturation: 0.174, lumaHistogram: [0, 0.003, 0.053, 0.173, 0.134, 0.091, 0.167, 0.379], saturationHistogram: [0.573, 0.108, 0.195, 0.088, 0.029, 0.007, 0, 0], edgeDensity: 0.179, textureEnergy: 0.128, center: { x: 0.507, y: 0.537 }, horizontality: 0.707 },
+    width: 1200,
+    height: 1200,
+    filename: '11_Oriental/japanese_12_fisherman.jpg',
+    imageUrl: '/artworks/11_Oriental/japanese_12_fisherman.jpg'
+  },
+  {
+    id: 'japanese_13',
+    title: '유녀들',
+    titleEn: 'Courtesans',
+    artist: '기타가와 우타마로',
+    artistEn: 'Kitagawa Utamaro',
+    year: 1794,
+    style: 'japanese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'woodblock-print',
+    palette: [{ color: '#DDBE9B', weight: 0.559 }, { color: '#150C08', weight: 0.168 }, { color: '#C29A75', weight: 0.104 }, { color: '#656057', weight: 0.086 }, { color: '#8E7D6C', weight: 0.083 }],
+    brightness: 55,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.663, contrast: 0.533, saturation: 0.357, lumaHistogram: [0.151, 0.02, 0.028, 0.097, 0.082, 0.29, 0.331, 0.001], saturationHistogram: [0.092, 0.299, 0.223, 0.212, 0.048, 0.055, 0.041, 0.029], edgeDensity: 0.22, textureEnergy: 0.157, center: { x: 0.556, y: 0.366 }, horizontality: 0.484 },
+    width: 970,
+    height: 1463,
+    filename: '11_Oriental/japanese_13_courtesans.jpg',
+    imageUrl: '/artworks/11_Oriental/japanese_13_courtesans.jpg'
+  },
+  {
+    id: 'japanese_14',
+    title: '기리후리 폭포',
+    titleEn: 'Kirifuri Waterfall',
+    artist: '가쓰시카 호쿠사이',
+    artistEn: 'Katsushika Hokusai',
+    year: 1832,
+    style: 'japanese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'woodblock-print',
+    palette: [{ color: '#E2D4AD', weight: 0.468 }, { color: '#809684', weight: 0.21 }, { color: '#AAAC83', weight: 0.146 }, { color: '#AAB6AA', weight: 0.109 }, { color: '#53747D', weight: 0.068 }],
+    brightness: 67,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.716, contrast: 0.291, saturation: 0.227, lumaHistogram: [0, 0, 0.012, 0.068, 0.241, 0.264, 0.273, 0.142], saturationHistogram: [0.139, 0.525, 0.257, 0.073, 0.005, 0, 0, 0], edgeDensity: 0.123, textureEnergy: 0.133, center: { x: 0.46, y: 0.462 }, horizontality: 0.436 },
+    width: 2779,
+    height: 3882,
+    filename: '11_Oriental/japanese_14_waterfall.jpg',
+    imageUrl: '/artworks/11_Oriental/japanese_14_waterfall.jpg'
+  },
+  {
+    id: 'japanese_15',
+    title: '가메이도 매화정원',
+    titleEn: 'Plum Park in Kameido',
+    artist: '우타가와 히로시게',
+    artistEn: 'Utagawa Hiroshige',
+    year: 1857,
+    style: 'japanese',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'woodblock-print',
+    palette: [{ color: '#EBEBD7', weight: 0.431 }, { color: '#ADC5BD', weight: 0.172 }, { color: '#18395A', weight: 0.164 }, { color: '#8AA09E', weight: 0.125 }, { color: '#417289', weight: 0.107 }],
+    brightness: 66,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.364, contrast: 0.54, saturation: 0.279, lumaHistogram: [0.001, 0.141, 0.065, 0.063, 0.079, 0.147, 0.159, 0.344], saturationHistogram: [0.499, 0.188, 0.06, 0.028, 0.032, 0.067, 0.122, 0.004], edgeDensity: 0.137, textureEnergy: 0.114, center: { x: 0.488, y: 0.371 }, horizontality: 0.549 },
+    width: 2000,
+    height: 1466,
+    filename: '11_Oriental/japanese_15_plum.jpg',
+    imageUrl: '/artworks/11_Oriental/japanese_15_plum.jpg'
+  },
+  {
+    id: 'korean_01',
+    title: '인왕제색도',
+    titleEn: 'Clearing after Rain on Mount Inwang',
+    artist: '정선',
+    artistEn: 'Jeong Seon',
+    year: 1751,
+    style: 'korean',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-wash',
+    palette: [{ color: '#AD9E8D', weight: 0.374 }, { color: '#4B4746', weight: 0.315 }, { color: '#716B64', weight: 0.31 }],
+    brightness: 45,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.749, contrast: 0.306, saturation: 0.127, lumaHistogram: [0, 0.062, 0.321, 0.214, 0.181, 0.223, 0, 0], saturationHistogram: [0.503, 0.496, 0, 0, 0, 0, 0, 0], edgeDensity: 0.103, textureEnergy: 0.119, center: { x: 0.478, y: 0.471 }, horizontality: 0.601 },
+    width: 3000,
+    height: 1715,
+    filename: '11_Oriental/korean_01_jeong_inwang.jpg',
+    imageUrl: '/artworks/11_Oriental/korean_01_jeong_inwang.jpg'
+  },
+  {
+    id: 'korean_02',
+    title: '미인도',
+    titleEn: 'Portrait of a Beauty',
+    artist: '신윤복',
+    artistEn: 'Shin Yun-bok',
+    year: 1805,
+    style: 'korean',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-and-color',
+    palette: [{ color: '#C5A167', weight: 0.446 }, { color: '#8B7051', weight: 0.431 }, { color: '#695746', weight: 0.083 }, { color: '#2F2525', weight: 0.04 }],
+    brightness: 48,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.381, contrast: 0.271, saturation: 0.431, lumaHistogram: [0.01, 0.029, 0.063, 0.399, 0.212, 0.286, 0.001, 0], saturationHistogram: [0.005, 0.032, 0.157, 0.635, 0.172, 0, 0, 0], edgeDensity: 0.079, textureEnergy: 0.095, center: { x: 0.545, y: 0.315 }, horizontality: 0.48 },
+    width: 640,
+    height: 1680,
+    filename: '11_Oriental/korean_02_shin_beauty.jpg',
+    imageUrl: '/artworks/11_Oriental/korean_02_shin_beauty.jpg'
+  },
+  {
+    id: 'korean_03',
+    title: '서당',
+    titleEn: 'A Village School',
+    artist: '김홍도',
+    artistEn: 'Kim Hong-do',
+    year: 1780,
+    style: 'korean',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-and-color',
+    palette: [{ color: '#E6D5B2', weight: 0.663 }, { color: '#C6B699', weight: 0.282 }, { color: '#918772', weight: 0.055 }],
+    brightness: 76,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.874, contrast: 0.178, saturation: 0.225, lumaHistogram: [0, 0, 0.004, 0.011, 0.045, 0.187, 0.723, 0.031], saturationHistogram: [0.003, 0.869, 0.128, 0, 0, 0, 0, 0], edgeDensity: 0.045, textureEnergy: 0.071, center: { x: 0.543, y: 0.513 }, horizontality: 0.511 },
+    width: 2500,
+    height: 2862,
+    filename: '11_Oriental/korean_03_kim_study.jpg',
+    imageUrl: '/artworks/11_Oriental/korean_03_kim_study.jpg'
+  },
+  {
+    id: 'korean_04',
+    title: '까치호랑이',
+    titleEn: 'Tiger and Magpie',
+    artist: '작자 미상 (민화)',
+    artistEn: 'Unknown folk painter',
+    year: 1800,
+    style: 'korean',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-and-color',
+    palette: [{ color: '#C6AC94', weight: 0.412 }, { color: '#977A66', weight: 0.332 }, { color: '#625445', weight: 0.15 }, { color: '#39332B', weight: 0.107 }],
+    brightness: 51,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.745, contrast: 0.349, saturation: 0.278, lumaHistogram: [0.013, 0.062, 0.143, 0.187, 0.241, 0.319, 0.034, 0], saturationHistogram: [0.011, 0.479, 0.4, 0.078, 0.023, 0.008, 0, 0], edgeDensity: 0.238, textureEnergy: 0.163, center: { x: 0.547, y: 0.55 }, horizontality: 0.475 },
+    width: 949,
+    height: 1273,
+    filename: '11_Oriental/korean_04_tiger_magpie.jpg',
+    imageUrl: '/artworks/11_Oriental/korean_04_tiger_magpie.jpg'
+  },
+  {
+    id: 'korean_05',
+    title: '모란도',
+    titleEn: 'Peonies and Birds',
+    artist: '작자 미상 (민화)',
+    artistEn: 'Unknown folk painter',
+    year: 1850,
+    style: 'korean',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-and-color',
+    palette: [{ color: '#D2C0A8', weight: 0.355 }, { color: '#FEFEFD', weight: 0.289 }, { color: '#726F6A', weight: 0.135 }, { color: '#AE907D', weight: 0.127 }, { color: '#5F2E37', weight: 0.095 }],
+    brightness: 70,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.587, contrast: 0.488, saturation: 0.185, lumaHistogram: [0.002, 0.046, 0.071, 0.09, 0.114, 0.185, 0.173, 0.318], saturationHistogram: [0.462, 0.194, 0.24, 0.031, 0.024, 0.022, 0.024, 0.003], edgeDensity: 0.276, textureEnergy: 0.175, center: { x: 0.549, y: 0.547 }, horizontality: 0.469 },
+    width: 4320,
+    height: 7360,
+    filename: '11_Oriental/korean_05_peony_birds.jpg',
+    imageUrl: '/artworks/11_Oriental/korean_05_peony_birds.jpg'
+  },
+  {
+    id: 'korean_06',
+    title: '책가도',
+    titleEn: 'Chaekgeori (Books and Scholar\'s Things)',
+    artist: '이형록',
+    artistEn: 'Yi Hyeong-rok',
+    year: 1850,
+    style: 'korean',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-and-color',
+    palette: [{ color: '#D7B387', weight: 0.681 }, { color: '#816958', weight: 0.122 }, { color: '#A98E70', weight: 0.118 }, { color: '#4E4840', weight: 0.079 }],
+    brightness: 60,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.57, contrast: 0.3, saturation: 0.355, lumaHistogram: [0, 0.031, 0.05, 0.109, 0.133, 0.452, 0.224, 0], saturationHistogram: [0.032, 0.076, 0.424, 0.423, 0.03, 0.011, 0.003, 0], edgeDensity: 0.149, textureEnergy: 0.125, center: { x: 0.524, y: 0.58 }, horizontality: 0.462 },
+    width: 736,
+    height: 1291,
+    filename: '11_Oriental/korean_06_chaekgeori.jpg',
+    imageUrl: '/artworks/11_Oriental/korean_06_chaekgeori.jpg'
+  },
+  {
+    id: 'korean_07',
+    title: '송하맹호도',
+    titleEn: 'Tiger under a Pine Tree',
+    artist: '김홍도',
+    artistEn: 'Kim Hong-do',
+    year: 1774,
+    style: 'korean',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-and-color',
+    palette: [{ color: '#A87B57', weight: 0.464 }, { color: '#564330', weight: 0.394 }, { color: '#7E5F44', weight: 0.142 }],
+    brightness: 38,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.491, contrast: 0.237, saturation: 0.459, lumaHistogram: [0, 0.114, 0.308, 0.243, 0.335, 0, 0, 0], saturationHistogram: [0, 0, 0.06, 0.754, 0.185, 0, 0, 0], edgeDensity: 0.069, textureEnergy: 0.096, center: { x: 0.499, y: 0.48 }, horizontality: 0.496 },
+    width: 560,
+    height: 1140,
+    filename: '11_Oriental/korean_07_fierce_tiger.jpg',
+    imageUrl: '/artworks/11_Oriental/korean_07_fierce_tiger.jpg'
+  },
+  {
+    id: 'korean_08',
+    title: '금강전도',
+    titleEn: 'General View of Mount Geumgang',
+    artist: '정선',
+    artistEn: 'Jeong Seon',
+    year: 1734,
+    style: 'korean',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-wash',
+    palette: [{ color: '#B69D89', weight: 0.471 }, { color: '#8E7969', weight: 0.211 }, { color: '#6E5B53', weight: 0.165 }, { color: '#463535', weight: 0.095 }, { color: '#E1CDBB', weight: 0.057 }],
+    brightness: 52,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.713, contrast: 0.318, saturation: 0.249, lumaHistogram: [0.006, 0.049, 0.118, 0.21, 0.303, 0.259, 0.042, 0.013], saturationHistogram: [0.056, 0.434, 0.457, 0.051, 0.002, 0, 0, 0], edgeDensity: 0.097, textureEnergy: 0.126, center: { x: 0.473, y: 0.612 }, horizontality: 0.499 },
+    width: 570,
+    height: 800,
+    filename: '11_Oriental/korean_08_geumgang.jpg',
+    imageUrl: '/artworks/11_Oriental/korean_08_geumgang.jpg'
+  },
+  {
+    id: 'korean_09',
+    title: '연꽃',
+    titleEn: 'Lotus',
+    artist: '작자 미상 (민화)',
+    artistEn: 'Unknown folk painter',
+    year: 1850,
+    style: 'korean',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-and-color',
+    palette: [{ color: '#CEBCA9', weight: 0.817 }, { color: '#A2947E', weight: 0.113 }, { color: '#706E63', weight: 0.069 }],
+    brightness: 69,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.734, contrast: 0.211, saturation: 0.182, lumaHistogram: [0, 0, 0.012, 0.049, 0.102, 0.488, 0.344, 0.004], saturationHistogram: [0.197, 0.745, 0.056, 0.002, 0, 0, 0, 0], edgeDensity: 0.039, textureEnergy: 0.085, center: { x: 0.476, y: 0.609 }, horizontality: 0.472 },
+    width: 2665,
+    height: 3630,
+    filename: '11_Oriental/korean_09_lotus.jpg',
+    imageUrl: '/artworks/11_Oriental/korean_09_lotus.jpg'
+  },
+  {
+    id: 'korean_10',
+    title: '몽유도원도',
+    titleEn: 'Dream Journey to the Peach Blossom Land',
+    artist: '안견',
+    artistEn: 'An Gyeon',
+    year: 1447,
+    style: 'korean',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-and-color',
+    palette: [{ color: '#C2A57A', weight: 0.609 }, { color: '#827A58', weight: 0.3 }, { color: '#575944', weight: 0.091 }],
+    brightness: 54,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.538, contrast: 0.25, saturation: 0.348, lumaHistogram: [0, 0, 0.075, 0.215, 0.286, 0.381, 0.043, 0], saturationHistogram: [0.004, 0.099, 0.553, 0.319, 0.024, 0, 0, 0], edgeDensity: 0.083, textureEnergy: 0.107, center: { x: 0.5, y: 0.521 }, horizontality: 0.564 },
+    width: 1745,
+    height: 3246,
+    filename: '11_Oriental/korean_10_bluegreen.jpg',
+    imageUrl: '/artworks/11_Oriental/korean_10_bluegreen.jpg'
+  },
+  {
+    id: 'korean_11',
+    title: '월하정인',
+    titleEn: 'Lovers under the Moon',
+    artist: '신윤복',
+    artistEn: 'Shin Yun-bok',
+    year: 1793,
+    style: 'korean',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-and-color',
+    palette: [{ color: '#BDBEA9', weight: 0.813 }, { color: '#9F9C8B', weight: 0.121 }, { color: '#7E7A6F', weight: 0.066 }],
+    brightness: 68,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.168, contrast: 0.167, saturation: 0.117, lumaHistogram: [0, 0.002, 0.003, 0.029, 0.111, 0.553, 0.302, 0], saturationHistogram: [0.616, 0.376, 0.007, 0.001, 0, 0, 0, 0], edgeDensity: 0.017, textureEnergy: 0.059, center: { x: 0.544, y: 0.506 }, horizontality: 0.495 },
+    width: 1024,
+    height: 877,
+    filename: '11_Oriental/korean_11_moonlight.jpg',
+    imageUrl: '/artworks/11_Oriental/korean_11_moonlight.jpg'
+  },
+  {
+    id: 'korean_12',
+    title: '독서여가',
+    titleEn: 'Leisure Reading',
+    artist: '정선',
+    artistEn: 'Jeong Seon',
+    year: 1740,
+    style: 'korean',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-wash',
+    palette: [{ color: '#C4A86E', weight: 0.477 }, { color: '#A98555', weight: 0.239 }, { color: '#CEC4A2', weight: 0.21 }, { color: '#65523D', weight: 0.074 }],
+    brightness: 59,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.777, contrast: 0.236, saturation: 0.401, lumaHistogram: [0, 0, 0.059, 0.053, 0.248, 0.504, 0.136, 0], saturationHistogram: [0.021, 0.146, 0.173, 0.416, 0.243, 0.002, 0, 0], edgeDensity: 0.045, textureEnergy: 0.076, center: { x: 0.548, y: 0.369 }, horizontality: 0.465 },
+    width: 800,
+    height: 1029,
+    filename: '11_Oriental/korean_12_reading_rest.jpg',
+    imageUrl: '/artworks/11_Oriental/korean_12_reading_rest.jpg'
+  },
+  {
+    id: 'korean_13',
+    title: '단오풍정',
+    titleEn: 'Dano Festival',
+    artist: '신윤복',
+    artistEn: 'Shin Yun-bok',
+    year: 1805,
+    style: 'korean',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-and-color',
+    palette: [{ color: '#CDBDB7', weight: 0.593 }, { color: '#9A8A81', weight: 0.161 }, { color: '#71635C', weight: 0.13 }, { color: '#333135', weight: 0.116 }],
+    brightness: 61,
+    orientation: 'landscape',
+    features: { aspectRatio: 1.24, contrast: 0.416, saturation: 0.153, lumaHistogram: [0.023, 0.061, 0.077, 0.1, 0.152, 0.255, 0.301, 0.031], saturationHistogram: [0.531, 0.34, 0.084, 0.033, 0.005, 0.001, 0.002, 0.004], edgeDensity: 0.185, textureEnergy: 0.156, center: { x: 0.482, y: 0.543 }, horizontality: 0.54 },
+    width: 1024,
+    height: 826,
+    filename: '11_Oriental/korean_13_festival.jpg',
+    imageUrl: '/artworks/11_Oriental/korean_13_festival.jpg'
+  },
+  {
+    id: 'korean_14',
+    title: '화조도',
+    titleEn: 'Flowers and Birds',
+    artist: '작자 미상 (민화)',
+    artistEn: 'Unknown folk painter',
+    year: 1850,
+    style: 'korean',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-and-color',
+    palette: [{ color: '#CE9E70', weight: 0.688 }, { color: '#94674C', weight: 0.124 }, { color: '#E0D6CE', weight: 0.1 }, { color: '#514339', weight: 0.088 }],
+    brightness: 58,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.396, contrast: 0.312, saturation: 0.404, lumaHistogram: [0.002, 0.026, 0.069, 0.103, 0.229, 0.423, 0.114, 0.034], saturationHistogram: [0.102, 0.046, 0.114, 0.476, 0.257, 0.006, 0, 0], edgeDensity: 0.106, textureEnergy: 0.11, center: { x: 0.413, y: 0.652 }, horizontality: 0.455 },
+    width: 1000,
+    height: 2523,
+    filename: '11_Oriental/korean_14_flowers_birds.jpg',
+    imageUrl: '/artworks/11_Oriental/korean_14_flowers_birds.jpg'
+  },
+  {
+    id: 'korean_15',
+    title: '씨름',
+    titleEn: 'Ssireum (Wrestling)',
+    artist: '김홍도',
+    artistEn: 'Kim Hong-do',
+    year: 1780,
+    style: 'korean',
+    masterTag: null,
+    category: 'oriental',
+    medium: 'ink-and-color',
+    palette: [{ color: '#D2C098', weight: 0.481 }, { color: '#A29575', weight: 0.299 }, { color: '#7E745C', weight: 0.165 }, { color: '#514C3F', weight: 0.054 }],
+    brightness: 60,
+    orientation: 'portrait',
+    features: { aspectRatio: 0.84, contrast: 0.289, saturation: 0.271, lumaHistogram: [0.003, 0.01, 0.03, 0.16, 0.239, 0.27, 0.288, 0], saturationHistogram: [0.006, 0.229, 0.744, 0.02, 0, 0, 0, 0], edgeDensity: 0.112, textureEnergy: 0.116, center: { x: 0.47, y: 0.476 }, horizontality: 0.512 },
+    width: 1747,
+    height: 2079,
+    filename: '11_Oriental/korean_15_wrestling.jpg',
+    imageUrl: '/artworks/11_Oriental/korean_15_wrestling.jpg'
+  }
+];
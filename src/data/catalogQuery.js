@@ -0,0 +1,99 @@
+// Catalog query - 작품 조회는 모두 여기를 거침 (스타일 선택, 처리 화면, 매칭)
+//
+//   queryArtworks({ movement: 'baroque' })
+//   queryArtworks({ master: ['klimt', 'matisse'], orientation: 'portrait' })
+//   queryArtworks({ tradition: 'korean', yearFrom: 1700, yearTo: 1800 })
+//
+// - 문자열 필터는 값 하나 또는 배열(그중 하나와 일치)
+// - 결과는 항상 카탈로그 순서 (같은 조건이면 같은 순서)
+
+import { ARTWORK_CATALOG } from './artworkCatalog.js';
+import { getAllStyleOptions, getStyleDefinition } from './styleRegistry.js';
+
+// 서양화는 'western', 동양화는 나라별 전통(korean / chinese / japanese)
+export const getTradition = (artwork) => {
+  return artwork.category === 'oriental' ? artwork.style : 'western';
+};
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+const buildIndex = (getKey) => {
+  const index = new Map();
+  for (const artwork of ARTWORK_CATALOG) {
+    const key = getKey(artwork);
+    if (key === null || key === undefined) continue;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(artwork);
+  }
+  return index;
+};
+
+// 카탈로그는 빌드 시 고정 → 모듈 로드 시 한 번만 색인
+const POSITION = new Map(ARTWORK_CATALOG.map((artwork, index) => [artwork, index]));
+const BY_ID = new Map(ARTWORK_CATALOG.map(artwork => [artwork.id, artwork]));
+
+const INDEXES = {
+  movement: buildIndex(artwork => artwork.style),
+  master: buildIndex(artwork => artwork.masterTag),
+  tradition: buildIndex(getTradition),
+  medium: buildIndex(artwork => artwork.medium),
+  orientation: buildIndex(artwork => artwork.orientation)
+};
+
+const lookup = (field, value) => {
+  const values = toList(value);
+  if (values.length === 1) return INDEXES[field].get(values[0]) || [];
+  return values.flatMap(item => INDEXES[field].get(item) || []);
+};
+
+const matchesYear = (artwork, yearFrom, yearTo) => {
+  if (yearFrom === undefined && yearTo === undefined) return true;
+  if (typeof artwork.year !== 'number') return false;
+  if (yearFrom !== undefined && artwork.year < yearFrom) return false;
+  if (yearTo !== undefined && artwork.year > yearTo) return false;
+  return true;
+};
+
+export const queryArtworks = (filters = {}) => {
+  const { yearFrom, yearTo } = filters;
+  const indexed = Object.keys(INDEXES).filter(field => filters[field] !== undefined && filters[field] !== null);
+
+  // 가장 작은 색인 결과에서 시작해 나머지 조건으로 거름
+  let candidates;
+  if (indexed.length === 0) {
+    candidates = ARTWORK_CATALOG;
+  } else {
+    const lists = indexed.map(field => ({ field, list: lookup(field, filters[field]) }));
+    lists.sort((a, b) => a.list.length - b.list.length);
+
+    const [smallest, ...rest] = lists;
+    const restSets = rest.map(({ list }) => new Set(list));
+    candidates = [...new Set(smallest.list)].filter(artwork => restSets.every(set => set.has(artwork)));
+  }
+
+  return candidates
+    .filter(artwork => matchesYear(artwork, yearFrom, yearTo))
+    .sort((a, b) => POSITION.get(a) - POSITION.get(b));
+};
+
+export const getArtworkById = (artworkId) => BY_ID.get(artworkId) || null;
+
+// 스타일 옵션({ type, id }) → 조회 조건 (styleRegistry 정의의 query)
+export const getStyleQuery = (styleOption) => {
+  const definition = getStyleDefinition(styleOption?.id);
+  return definition && definition.type === styleOption.type ? definition.query : null;
+};
+
+// 스타일 옵션 → 작품 목록 (스타일 선택 / 처리 화면 / 매칭 공통)
+export const resolveStyleOption = (styleOption) => {
+  const query = getStyleQuery(styleOption);
+  return query ? queryArtworks(query) : [];
+};
+
+// 선택 가능한 스타일 옵션 - 작품이 하나도 없는 옵션은 화면에 보이지 않음
+// type: 'movement' | 'master' | 'oriental' (생략 시 전체)
+export const getSelectableStyleOptions = (type) => {
+  return getAllStyleOptions()
+    .filter(option => !type || option.type === type)
+    .filter(option => resolveStyleOption(option).length > 0);
+};
@@ -0,0 +1,90 @@
+// Generation options - 변환 옵션 패널(스타일 선택 → 처리 화면 사이)의 값, 범위, 프리셋
+// 서버(api/_lib/generation.js)가 같은 범위로 다시 검사하고 모델 파라미터로 바꿈 - 범위를 바꾸면 양쪽 모두
+//
+// - styleStrength: 0 ~ 1, 높을수록 원작 화풍을 강하게 (guidance_scale)
+// - structureStrength: 0 ~ 1, 높을수록 사진의 윤곽/깊이를 그대로 (Depth control_strength)
+// - seed: null이면 매번 다른 결과, 숫자면 같은 사진 + 작품에서 같은 결과
+// - outputSize: 결과 이미지의 긴 변 (사진을 이 크기로 줄여 보냄)
+// - subjectType: 사진 종류 → 프롬프트 변수 (api/_lib/prompts)
+
+export const MAX_SEED = 2147483647;
+
+export const OUTPUT_SIZES = [
+  { value: 768, label: '768px', description: '빠름' },
+  { value: 1024, label: '1024px', description: '기본' },
+  { value: 1536, label: '1536px', description: '고화질' }
+];
+
+export const SUBJECT_TYPES = [
+  { value: 'auto', label: '자동' },
+  { value: 'person', label: '인물' },
+  { value: 'landscape', label: '풍경' },
+  { value: 'object', label: '사물' }
+];
+
+export const DEFAULT_GENERATION_OPTIONS = {
+  styleStrength: 0.5,
+  structureStrength: 0.5,
+  seed: null,
+  outputSize: 1024,
+  subjectType: 'auto'
+};
+
+// 프리셋은 시드를 건드리지 않음 (시드 고정은 따로 켜고 끔)
+export const GENERATION_PRESETS = [
+  {
+    id: 'balanced',
+    name: '기본',
+    icon: '⚖️',
+    description: '사진과 화풍의 균형',
+    values: { styleStrength: 0.5, structureStrength: 0.5, outputSize: 1024, subjectType: 'auto' }
+  },
+  {
+    id: 'faithful-portrait',
+    name: '충실한 초상화',
+    icon: '🧑‍🎨',
+    description: '얼굴과 윤곽을 최대한 그대로',
+    values: { styleStrength: 0.3, structureStrength: 0.8, outputSize: 1024, subjectType: 'person' }
+  },
+  {
+    id: 'bold-reinterpretation',
+    name: '과감한 재해석',
+    icon: '🔥',
+    description: '구도만 남기고 원작처럼 다시 그리기',
+    values: { styleStrength: 0.85, structureStrength: 0.25, outputSize: 1024, subjectType: 'auto' }
+  }
+];
+
+const clamp01 = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(1, Math.max(0, number)) : fallback;
+};
+
+// 저장해둔 값/입력값 → 범위 안의 값 (모르는 값은 기본값)
+export const normalizeGenerationOptions = (options = {}) => {
+  const seed = Number(options.seed);
+
+  return {
+    styleStrength: clamp01(options.styleStrength, DEFAULT_GENERATION_OPTIONS.styleStrength),
+    structureStrength: clamp01(options.structureStrength, DEFAULT_GENERATION_OPTIONS.structureStrength),
+    seed: options.seed !== null && Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED ? seed : null,
+    outputSize: OUTPUT_SIZES.some(size => size.value === options.outputSize)
+      ? options.outputSize
+      : DEFAULT_GENERATION_OPTIONS.outputSize,
+    subjectType: SUBJECT_TYPES.some(type => type.value === options.subjectType)
+      ? options.subjectType
+      : DEFAULT_GENERATION_OPTIONS.subjectType
+  };
+};
+
+// 현재 값과 같은 프리셋 (직접 조정했으면 null)
+export const findPreset = (options) => {
+  return GENERATION_PRESETS.find(preset => (
+    Object.entries(preset.values).every(([key, value]) => options[key] === value)
+  )) || null;
+};
+
+export const applyPreset = (options, presetId) => {
+  const preset = GENERATION_PRESETS.find(item => item.id === presetId);
+  return preset ? { ...options, ...preset.values } : options;
+};
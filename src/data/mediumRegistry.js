@@ -0,0 +1,54 @@
+// Artwork media - 작품 재료(회화/조각/모자이크/목판화/수묵)마다 달라지는 것들
+// 카탈로그의 artwork.medium → 매칭 방식, 결과 화면 설명
+// (재료별 프롬프트 템플릿은 서버의 api/_lib/prompts/templates.js - id를 같게 유지)
+//
+// - colorMode: 'greyscale'이면 매칭할 때 색상 대신 명암만 비교 (흰 대리석, 먹)
+
+export const MEDIUMS = {
+  painting: {
+    name: '회화',
+    nameEn: 'Painting',
+    colorMode: 'color',
+    resultDescription: '원작의 붓터치와 색채로 사진을 다시 그렸습니다.'
+  },
+  'marble-sculpture': {
+    name: '대리석 조각',
+    nameEn: 'Marble sculpture',
+    colorMode: 'greyscale',
+    resultDescription: '원작이 대리석 조각이라 사진 속 인물과 풍경을 돌을 깎아 만든 조각처럼 표현했습니다.'
+  },
+  mosaic: {
+    name: '모자이크',
+    nameEn: 'Mosaic',
+    colorMode: 'color',
+    resultDescription: '원작이 모자이크라 작은 유리·금 조각(테세라)을 하나하나 붙여 만든 것처럼 표현했습니다.'
+  },
+  tilework: {
+    name: '타일 장식',
+    nameEn: 'Tilework',
+    colorMode: 'color',
+    resultDescription: '원작이 유약을 바른 타일 장식이라 사진을 기하학 문양의 타일 벽처럼 표현했습니다.'
+  },
+  'woodblock-print': {
+    name: '목판화',
+    nameEn: 'Woodblock print',
+    colorMode: 'color',
+    resultDescription: '원작이 목판화라 또렷한 윤곽선과 평평한 색면으로 사진을 찍어낸 듯 표현했습니다.'
+  },
+  'ink-wash': {
+    name: '수묵화',
+    nameEn: 'Ink wash painting',
+    colorMode: 'greyscale',
+    resultDescription: '원작이 수묵화라 먹의 농담과 여백만으로 사진을 옮겨 그렸습니다.'
+  },
+  'ink-and-color': {
+    name: '수묵채색화',
+    nameEn: 'Ink and colour painting',
+    colorMode: 'color',
+    resultDescription: '원작이 먹 선 위에 은은하게 채색한 그림이라 사진을 비단 위의 채색화처럼 표현했습니다.'
+  }
+};
+
+export const DEFAULT_MEDIUM = 'painting';
+
+export const getMedium = (mediumId) => MEDIUMS[mediumId] || MEDIUMS[DEFAULT_MEDIUM];
@@ -0,0 +1,347 @@
+// Style registry - 스타일 하나당 정의 하나
+// 카드(이름/아이콘/설명), 교육 콘텐츠, 작품 조회 조건을 모두 여기서 가져옴
+//
+// - 사조 카드는 public/artworks의 사조 폴더(ARTWORK_MOVEMENTS)에서 만들어짐
+//   새 폴더를 추가하고 npm run catalog를 실행하면 기본 카드로 바로 선택 가능
+//   → 이름/설명/교육 콘텐츠를 채우려면 STYLE_DEFINITIONS에 항목 하나만 추가
+// - 폴더가 없는 사조(입체주의 등)는 해당 style의 작품이 있을 때만 보임
+// - hidden: 카드로는 보이지 않지만 작품 style의 교육 콘텐츠로 사용 (아르누보 등)
+
+import { ARTWORK_MOVEMENTS } from './artworkCatalog.js';
+
+const STYLE_DEFINITIONS = [
+  // ===== 미술 사조 =====
+  {
+    id: 'classical',
+    type: 'movement',
+    name: '그리스-로마',
+    nameEn: 'Classical',
+    icon: '⚱️',
+    description: '고대의 이상적 아름다움',
+    education: {
+      description: '고전주의는 고대 그리스-로마 문화를 이상으로 삼는 예술 양식으로, 조화, 균형, 이상적 아름다움을 추구합니다. 완벽한 비례와 절제된 감정 표현이 특징입니다.',
+      funFact: '그리스 조각의 하얀색은 원래 색이 아니라, 시간이 지나 채색이 벗겨진 것입니다. 원래는 화려한 색으로 칠해져 있었습니다.'
+    }
+  },
+  {
+    id: 'byzantine',
+    type: 'movement',
+    name: '비잔틴',
+    nameEn: 'Byzantine',
+    icon: '✨',
+    description: '신성한 황금빛 예술',
+    education: {
+      description: '비잔틴 미술은 4-15세기 비잔틴 제국의 기독교 미술로, 황금빛 배경과 평면적이고 상징적인 표현이 특징입니다. 신성함과 영성을 강조합니다.',
+      funFact: '비잔틴 성화(이콘)는 단순히 그림이 아니라 신성한 대상으로 여겨져, 특별한 의식과 기도 속에서 제작되었습니다. 금박은 신의 빛을 상징합니다.'
+    }
+  },
+  {
+    id: 'renaissance',
+    type: 'movement',
+    name: '르네상스',
+    nameEn: 'Renaissance',
+    icon: '🏛️',
+    description: '완벽한 비례와 조화',
+    education: {
+      description: '르네상스는 14-16세기 이탈리아에서 시작된 문화 운동으로, 고전 문화의 부활과 인간 중심 사상을 특징으로 합니다. 완벽한 원근법과 인체 표현이 발전했습니다.',
+      funFact: '레오나르도 다빈치는 완벽주의자여서 "모나리자"를 4년간 작업하고도 완성되지 않았다고 생각했습니다. 미켈란젤로는 시스티나 성당 천장화를 4년간 거의 누워서 그렸습니다.'
+    }
+  },
+  {
+    id: 'baroque',
+    type: 'movement',
+    name: '바로크',
+    nameEn: 'Baroque',
+    icon: '👑',
+    description: '화려하고 극적인 표현',
+    education: {
+      description: '바로크는 17세기 유럽 미술의 주류로, 극적인 명암 대비, 풍부한 색채, 역동적인 구도가 특징입니다. 권력과 종교의 웅장함을 표현했습니다.',
+      funFact: '바로크라는 말은 원래 "일그러진 진주"를 뜻하는 포르투갈어로, 처음에는 비하하는 의미였습니다. 카라바조는 빛과 그림자의 극적 대비로 바로크 회화를 혁신했습니다.'
+    }
+  },
+  {
+    id: 'rococo',
+    type: 'movement',
+    name: '로코코',
+    nameEn: 'Rococo',
+    icon: '🎀',
+    description: '우아하고 경쾌한 궁정의 낭만',
+    education: {
+      description: '로코코는 18세기 프랑스 궁정에서 꽃피운 양식으로, 바로크의 웅장함 대신 가볍고 우아한 분위기를 추구했습니다. 파스텔 색조, 곡선 장식, 사랑과 여가를 즐기는 귀족의 모습이 특징입니다.',
+      funFact: '로코코라는 이름은 정원 장식에 쓰던 조개껍데기 모양 돌 세공 "로카유(rocaille)"에서 왔습니다. 프라고나르의 "그네"는 로코코의 장난기와 낭만을 가장 잘 보여주는 작품입니다.'
+    }
+  },
+  {
+    id: 'romanticism',
+    type: 'movement',
+    name: '낭만주의',
+    nameEn: 'Romanticism',
+    icon: '🌹',
+    description: '감성과 자연의 숭고함',
+    education: {
+      description: '낭만주의는 18세기 말-19세기 초 유럽에서 발전한 예술 운동으로, 감정, 상상력, 자연의 숭고함을 강조합니다. 극적이고 감성적인 표현이 특징입니다.',
+      funFact: '낭만주의 화가들은 산업혁명에 대한 반발로 자연과 감정의 가치를 재발견했습니다. 격렬한 폭풍우나 거친 바다 같은 자연의 힘을 즐겨 그렸습니다.'
+    }
+  },
+  {
+    id: 'impressionism',
+    type: 'movement',
+    name: '인상주의',
+    nameEn: 'Impressionism',
+    icon: '🎨',
+    description: '빛과 색의 순간적 인상을 포착',
+    education: {
+      description: '인상주의는 19세기 후반 프랑스에서 시작된 미술 운동으로, 빛과 색채의 순간적인 인상을 포착하는 것이 특징입니다. 야외에서 빠른 붓터치로 자연광의 변화를 표현했습니다.',
+      funFact: '인상주의라는 이름은 비평가들이 모네의 "인상, 해돋이"를 보고 조롱하며 붙인 것이었지만, 화가들은 이를 자랑스럽게 받아들였습니다.'
+    }
+  },
+  {
+    id: 'fauvism',
+    type: 'movement',
+    name: '야수주의',
+    nameEn: 'Fauvism',
+    icon: '🦁',
+    description: '거침없는 원색의 해방',
+    education: {
+      description: '야수주의(포비즘)는 1905년 무렵 마티스, 드랭, 블라맹크가 이끈 운동으로, 대상의 실제 색과 상관없이 강렬한 원색을 자유롭게 사용했습니다. 색채 자체로 감정과 리듬을 표현한 것이 특징입니다.',
+      funFact: '1905년 살롱 도톤에서 한 비평가가 전시장 가운데 놓인 고전풍 조각을 보고 "야수들(les fauves) 사이의 도나텔로"라고 말한 것이 이름의 유래입니다. 야수주의는 3년 남짓으로 짧았지만 20세기 색채 표현을 바꾸었습니다.'
+    }
+  },
+  {
+    id: 'expressionism',
+    type: 'movement',
+    name: '표현주의',
+    nameEn: 'Expressionism',
+    icon: '😱',
+    description: '강렬한 감정과 내면 표현',
+    education: {
+      description: '표현주의는 20세기 초 독일과 북유럽에서 발전한 미술 운동으로, 내면의 감정과 주관적 경험을 강렬하게 표현합니다. 왜곡된 형태와 강렬한 색채가 특징입니다.',
+      funFact: '뭉크의 "절규"는 작가가 실제로 느낀 공포와 불안을 표현한 것으로, 당시 화산 폭발로 인한 붉은 하늘에서 영감을 받았다고 합니다.'
+    }
+  },
+  {
+    id: 'cubism',
+    type: 'movement',
+    name: '입체주의',
+    nameEn: 'Cubism',
+    icon: '📐',
+    description: '다양한 시점을 하나로 결합',
+    education: {
+      description: '입체주의는 피카소와 브라크가 창시한 혁명적 미술 운동으로, 대상을 여러 시점에서 동시에 표현합니다. 기하학적 형태로 분해하고 재구성하는 것이 특징입니다.',
+      funFact: '입체주의는 20세기 미술에 가장 큰 영향을 미친 운동 중 하나로, 추상미술의 토대가 되었습니다. 피카소의 "아비뇽의 처녀들"은 입체주의의 시작을 알린 혁명적 작품입니다.'
+    }
+  },
+  {
+    id: 'surrealism',
+    type: 'movement',
+    name: '초현실주의',
+    nameEn: 'Surrealism',
+    icon: '🌙',
+    description: '꿈과 무의식의 세계',
+    education: {
+      description: '초현실주의는 1920년대 시작된 예술 운동으로, 무의식과 꿈의 세계를 탐구합니다. 비논리적이고 환상적인 이미지 조합이 특징입니다.',
+      funFact: '달리는 자신의 그림을 그릴 때 반쯤 잠든 상태에서 꿈을 포착하려 했으며, 손에 열쇠를 들고 접시 위에서 떨어뜨려 깨어나는 기법을 사용했습니다.'
+    }
+  },
+
+  // 거장 작품의 style - 카드 없이 교육 콘텐츠로만 사용
+  {
+    id: 'art-nouveau',
+    type: 'movement',
+    hidden: true,
+    name: '아르누보',
+    nameEn: 'Art Nouveau',
+    icon: '🌿',
+    description: '식물 곡선과 황금빛 장식',
+    education: {
+      description: '아르누보는 19세기 말-20세기 초 유럽 전역에 퍼진 "새로운 예술"로, 식물의 덩굴 같은 유려한 곡선과 평면적 장식이 특징입니다. 회화뿐 아니라 건축, 포스터, 공예까지 생활 전체를 예술로 만들고자 했습니다.',
+      funFact: '빈에서는 아르누보를 "분리파(Secession)"라 불렀고, 클림트가 초대 회장이었습니다. 분리파 전시관 입구에는 "시대에는 그 시대의 예술을, 예술에는 자유를"이라는 문구가 새겨져 있습니다.'
+    }
+  },
+  {
+    id: 'post-impressionism',
+    type: 'movement',
+    hidden: true,
+    name: '후기 인상주의',
+    nameEn: 'Post-Impressionism',
+    icon: '🌻',
+    description: '색과 형태로 담은 감정과 구조',
+    education: {
+      description: '후기 인상주의는 1880-1900년대 인상주의를 넘어선 화가들(고흐, 세잔, 고갱)을 묶어 부르는 이름입니다. 빛의 순간보다 화가의 감정, 견고한 형태, 상징적인 색채를 더 중요하게 여겼습니다.',
+      funFact: '"후기 인상주의"라는 말은 화가들이 아니라 1910년 런던 전시를 기획한 비평가 로저 프라이가 만든 것입니다. 정작 고흐와 고갱, 세잔은 그 이름을 들어본 적이 없습니다.'
+    }
+  },
+  {
+    id: 'symbolism',
+    type: 'movement',
+    hidden: true,
+    name: '상징주의',
+    nameEn: 'Symbolism',
+    icon: '🔮',
+    description: '보이지 않는 감정과 관념의 상징',
+    education: {
+      description: '상징주의는 19세기 말 사실 묘사에 반대해 꿈, 신화, 죽음, 영혼 같은 보이지 않는 세계를 상징으로 표현하려 한 운동입니다. 피카소의 청색시대처럼 한 가지 색조로 감정을 전하는 작품에도 그 영향이 남아 있습니다.',
+      funFact: '피카소의 청색시대(1901-1904)는 친구 카사헤마스의 죽음 이후 시작되었습니다. 가난했던 피카소는 같은 캔버스에 여러 번 덧그리기도 해서, X선 촬영으로 숨은 그림이 발견되곤 합니다.'
+    }
+  },
+
+  // ===== 거장 (Masters) =====
+  {
+    id: 'klimt',
+    type: 'master',
+    name: '구스타프 클림트',
+    nameEn: 'Gustav Klimt',
+    style: 'art-nouveau',
+    icon: '✨',
+    description: '황금빛 장식미술, 키스',
+    education: {
+      description: '구스타프 클림트(1862-1918)는 오스트리아 분리파를 대표하는 화가입니다. 황금빛 장식과 관능적인 표현이 특징이며, "키스"는 그의 대표작입니다. 비잔틴 모자이크에서 영감을 받았습니다.',
+      funFact: '클림트는 작품에 실제 금박을 사용했습니다. 그의 "아델레 블로흐바우어의 초상"은 나치에 약탈당했다가 반환되어, 역사상 가장 비싼 그림 중 하나가 되었습니다.'
+    }
+  },
+  {
+    id: 'matisse',
+    type: 'master',
+    name: '앙리 마티스',
+    nameEn: 'Henri Matisse',
+    style: 'fauvism',
+    icon: '🎨',
+    description: '야수파, 색채의 마술사',
+    education: {
+      description: '앙리 마티스(1869-1954)는 야수파(포비즘)의 리더이자 20세기 색채 혁명의 선구자입니다. 순수하고 강렬한 색채 사용이 특징이며, 말년에는 종이 오려붙이기 작품으로 새로운 경지를 열었습니다.',
+      funFact: '마티스는 70대에 암 수술로 거동이 불편해지자, 가위와 색종이로 "춤"과 "푸른 누드" 같은 걸작을 만들었습니다. 그는 "그림은 정신의 안락의자"라고 말했습니다.'
+    }
+  },
+  {
+    id: 'munch',
+    type: 'master',
+    name: '에드바르 뭉크',
+    nameEn: 'Edvard Munch',
+    style: 'expressionism',
+    icon: '😱',
+    description: '절규, 불안의 표현',
+    education: {
+      description: '에드바르 뭉크(1863-1944)는 노르웨이 표현주의의 선구자입니다. 불안, 고독, 죽음 같은 인간의 내면을 강렬하게 표현했습니다. "절규"는 세계에서 가장 유명한 그림 중 하나입니다.',
+      funFact: '뭉크는 어머니와 누나를 결핵으로 잃은 트라우마가 평생 작품에 영향을 주었습니다. "절규"는 4개 버전이 있으며, 그 중 하나는 1억 달러 이상에 팔렸습니다.'
+    }
+  },
+  {
+    id: 'picasso',
+    type: 'master',
+    name: '파블로 피카소',
+    nameEn: 'Pablo Picasso',
+    style: 'cubism',
+    icon: '🎭',
+    description: '입체주의의 선구자',
+    education: {
+      description: '파블로 피카소(1881-1973)는 20세기 가장 영향력 있는 예술가입니다. 입체주의를 창시했으며, 평생 다양한 양식을 실험했습니다. 5만점 이상의 작품을 남긴 다작 작가입니다.',
+      funFact: '피카소의 정식 이름은 23개 단어로 이루어져 있습니다. 그는 91세까지 살며 청색시대, 장미빛시대, 입체주의, 신고전주의 등 여러 시기를 거쳤습니다.'
+    }
+  },
+  {
+    id: 'vangogh',
+    type: 'master',
+    name: '빈센트 반 고흐',
+    nameEn: 'Vincent van Gogh',
+    style: 'post-impressionism',
+    icon: '🌻',
+    description: '강렬한 색채와 붓터치',
+    education: {
+      description: '빈센트 반 고흐(1853-1890)는 후기 인상주의를 대표하는 네덜란드 화가입니다. 강렬한 색채와 역동적인 붓터치가 특징이며, 짧은 생애 동안 2000점 이상의 작품을 남겼습니다.',
+      funFact: '고흐는 생전에 단 한 점의 그림만 팔렸지만, 지금은 세계에서 가장 사랑받는 화가입니다. 동생 테오에게 보낸 편지는 그의 예술 철학을 보여주는 귀중한 자료입니다.'
+    }
+  },
+
+  // ===== 동양화 =====
+  {
+    id: 'korean',
+    type: 'oriental',
+    name: '한국 전통화',
+    nameEn: 'Korean Traditional',
+    icon: '🇰🇷',
+    description: '먹과 색의 조화, 자연미',
+    education: {
+      description: '한국 전통화는 먹과 채색을 사용한 회화로, 자연의 아름다움과 정신을 담아냅니다. 여백의 미와 절제된 표현이 특징입니다. 산수화, 인물화, 화조화 등 다양한 장르가 발전했습니다.',
+      funFact: '겸재 정선의 "인왕제색도"는 비 갠 후 인왕산을 그린 작품으로, 한국 산수화의 걸작으로 꼽힙니다. 한국화는 그리는 것보다 비우는 것을 더 중시합니다.'
+    }
+  },
+  {
+    id: 'chinese',
+    type: 'oriental',
+    name: '중국 수묵화',
+    nameEn: 'Chinese Ink Painting',
+    icon: '🇨🇳',
+    description: '여백의 미, 수묵 정신',
+    education: {
+      description: '중국 수묵화는 먹의 농담만으로 자연과 정신세계를 표현하는 예술입니다. "기운생동(氣韻生動)"이라는 생명력 있는 표현을 중시하며, 문인화 전통이 깊습니다.',
+      funFact: '중국 문인화가들은 그림을 그리기 전 긴 명상을 통해 마음을 비우고, 한 번의 붓질로 완성하는 경지를 추구했습니다. 대나무는 선비 정신을 상징하는 소재였습니다.'
+    }
+  },
+  {
+    id: 'japanese',
+    type: 'oriental',
+    name: '일본 우키요에',
+    nameEn: 'Japanese Ukiyo-e',
+    icon: '🇯🇵',
+    description: '판화의 예술, 떠도는 세계',
+    education: {
+      description: '일본 우키요에(浮世絵)는 "떠도는 세상의 그림"이란 뜻으로, 에도시대 서민들의 일상과 풍경을 목판화로 표현한 예술입니다. 대담한 구도와 선명한 색채가 특징입니다.',
+      funFact: '고흐와 모네 등 인상파 화가들은 우키요에의 평면적 구도와 대담한 색채에 큰 영향을 받았습니다. 호쿠사이의 "가나가와 해변의 높은 파도 아래"는 세계에서 가장 유명한 판화입니다.'
+    }
+  }
+];
+
+// 스타일 종류 → 작품 조회 조건 (catalogQuery.queryArtworks)
+const QUERY_BY_TYPE = {
+  movement: (id) => ({ movement: id }),
+  master: (id) => ({ master: id }),
+  oriental: (id) => ({ tradition: id })
+};
+
+const DEFAULT_EDUCATION = { description: '선택하신 스타일로 변환하고 있습니다.', funFact: '' };
+
+// 정의가 없는 사조 폴더 → 폴더 이름으로 만든 기본 카드
+const createFolderDefinition = ({ style, label }) => ({
+  id: style,
+  type: 'movement',
+  name: label,
+  nameEn: label,
+  icon: '🖼️',
+  description: `${label} 컬렉션`,
+  education: null
+});
+
+const buildRegistry = () => {
+  const definitions = new Map(STYLE_DEFINITIONS.map(definition => [definition.id, definition]));
+  const folders = new Map(ARTWORK_MOVEMENTS.map(movement => [movement.style, movement]));
+
+  // 사조: 폴더 순서(연대순) → 폴더 없는 사조 → 그 외 (거장, 동양화)
+  const folderMovements = ARTWORK_MOVEMENTS.map(movement => definitions.get(movement.style) || createFolderDefinition(movement));
+  const otherDefinitions = STYLE_DEFINITIONS.filter(definition => !folders.has(definition.id));
+
+  return [...folderMovements, ...otherDefinitions].map(definition => ({
+    ...definition,
+    hidden: Boolean(definition.hidden),
+    folder: folders.get(definition.id)?.folder || null,
+    query: QUERY_BY_TYPE[definition.type](definition.id)
+  }));
+};
+
+export const STYLE_REGISTRY = buildRegistry();
+
+const BY_ID = new Map(STYLE_REGISTRY.map(style => [style.id, style]));
+
+export const getStyleDefinition = (styleId) => BY_ID.get(styleId) || null;
+
+// 카드로 보여줄 스타일 ({ type, id, name, ... }) - 작품 유무는 catalogQuery.getSelectableStyleOptions에서 거름
+export const getAllStyleOptions = () => STYLE_REGISTRY.filter(style => !style.hidden);
+
+// 스타일 id / 작품 style → { description, funFact }
+export const getStyleEducation = (styleId) => {
+  return getStyleDefinition(styleId)?.education || DEFAULT_EDUCATION;
+};
+
+// 스타일 id → 교육 콘텐츠 (검증 스크립트용)
+export const STYLE_EDUCATION = Object.fromEntries(
+  STYLE_REGISTRY.filter(style => style.education).map(style => [style.id, style.education])
+);
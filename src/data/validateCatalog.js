@@ -0,0 +1,227 @@
+// Catalog integrity checks - 스타일 레지스트리 / ARTWORKS_DB / 교육 콘텐츠 / 디스크 이미지 교차 검사
+// 파일 시스템에 접근하지 않는 순수 함수 → 스크립트(scripts/validate-catalog.js)와 테스트에서 같이 사용
+//
+//   const { errors, warnings } = validateCatalog({ styleOptions, artworksDb, education, imageFiles, resolveStyle, checkPrompt })
+//
+// 각 항목: { type, message, ...관련 id }
+//   errors   - 사용자에게 빈 결과/깨진 이미지가 보이는 문제
+//   warnings - 동작은 하지만 정리가 필요한 문제 (고아 이미지, 교육 콘텐츠 누락 등)
+
+import { MEDIUMS } from './mediumRegistry.js';
+import { HISTOGRAM_BINS } from '../utils/imageFeatures.js';
+import { MAX_PALETTE_COLORS } from '../utils/palette.js';
+
+export const ISSUE_TYPES = {
+  MISSING_IMAGE: 'missing_image',
+  ORPHANED_IMAGE: 'orphaned_image',
+  EMPTY_STYLE: 'empty_style',
+  DUPLICATE_ID: 'duplicate_id',
+  SCHEMA: 'schema',
+  STYLE_MISMATCH: 'style_mismatch',
+  MISSING_EDUCATION: 'missing_education',
+  PROMPT: 'prompt'
+};
+
+const CATEGORIES = ['western', 'oriental'];
+const ORIENTATIONS = ['landscape', 'portrait', 'square'];
+const UNIT_FEATURES = ['contrast', 'saturation', 'edgeDensity', 'textureEnergy', 'horizontality'];
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/;
+const STYLE_OPTION_FIELDS = ['id', 'name', 'nameEn', 'icon', 'description'];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// 작품 하나의 스키마 검사 → 문제 설명 목록
+const checkArtworkSchema = (artwork) => {
+  const problems = [];
+
+  for (const field of ['id', 'title', 'artist', 'style', 'filename']) {
+    if (!isNonEmptyString(artwork[field])) problems.push(`${field} must be a non-empty string`);
+  }
+  if (artwork.year !== null && !Number.isInteger(artwork.year)) {
+    problems.push('year must be an integer or null');
+  }
+  if (artwork.masterTag !== null && !isNonEmptyString(artwork.masterTag)) {
+    problems.push('masterTag must be a string or null');
+  }
+  if (!CATEGORIES.includes(artwork.category)) {
+    problems.push(`category must be one of ${CATEGORIES.join(', ')}`);
+  }
+  if (!Array.isArray(artwork.palette) || artwork.palette.length === 0 || artwork.palette.length > MAX_PALETTE_COLORS ||
+      !artwork.palette.every(entry => HEX_COLOR.test(entry?.color) && entry.weight > 0 && entry.weight <= 1)) {
+    problems.push(`palette must be 1-${MAX_PALETTE_COLORS} { color: '#RRGGBB', weight } entries`);
+  } else if (Math.abs(artwork.palette.reduce((sum, entry) => sum + entry.weight, 0) - 1) > 0.01) {
+    problems.push('palette weights must add up to 1');
+  }
+  if (typeof artwork.brightness !== 'number' || artwork.brightness < 0 || artwork.brightness > 100) {
+    problems.push('brightness must be a number between 0 and 100');
+  }
+  if (!MEDIUMS[artwork.medium]) {
+    problems.push(`medium must be one of ${Object.keys(MEDIUMS).join(', ')}`);
+  }
+  if (!ORIENTATIONS.includes(artwork.orientation)) {
+    problems.push(`orientation must be one of ${ORIENTATIONS.join(', ')}`);
+  }
+
+  const features = artwork.features;
+  if (!features || !(features.aspectRatio > 0)) {
+    problems.push('features must include a positive aspectRatio (npm run catalog)');
+  } else {
+    const isUnit = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+    const invalid = UNIT_FEATURES.filter(field => !isUnit(features[field]));
+    if (!isUnit(features.center?.x) || !isUnit(features.center?.y)) invalid.push('center');
+    for (const field of ['lumaHistogram', 'saturationHistogram']) {
+      if (!Array.isArray(features[field]) || features[field].length !== HISTOGRAM_BINS) invalid.push(field);
+    }
+    if (invalid.length > 0) problems.push(`features out of range: ${invalid.join(', ')}`);
+  }
+
+  return problems;
+};
+
+export const validateCatalog = ({
+  styleOptions,    // getAllStyleOptions() 결과 ({ type, id, folder, ... } 목록)
+  artworksDb,      // ARTWORKS_DB (style → 작품 목록)
+  education = {},  // STYLE_EDUCATION (style id → { description, funFact })
+  imageFiles = [], // public/artworks 기준 상대 경로 목록 (생략 시 디스크 검사 안 함)
+  resolveStyle,    // 스타일 옵션 → 작품 목록 (앱이 실제로 쓰는 조회 함수)
+  checkPrompt      // 작품 → 프롬프트 문제 설명 목록 (서버 프롬프트 빌더, 생략 시 검사 안 함)
+}) => {
+  const errors = [];
+  const warnings = [];
+
+  const artworks = Object.values(artworksDb).flat();
+
+  // 1. 작품 id 중복 + 스키마
+  const artworkIds = new Map();
+  for (const artwork of artworks) {
+    if (artworkIds.has(artwork.id)) {
+      errors.push({
+        type: ISSUE_TYPES.DUPLICATE_ID,
+        id: artwork.id,
+        message: `Artwork id "${artwork.id}" is used more than once`
+      });
+    }
+    artworkIds.set(artwork.id, artwork);
+
+    for (const problem of checkArtworkSchema(artwork)) {
+      errors.push({
+        type: ISSUE_TYPES.SCHEMA,
+        id: artwork.id,
+        message: `Artwork "${artwork.id}": ${problem}`
+      });
+    }
+  }
+
+  // 2. ARTWORKS_DB 키와 작품 style 일치
+  for (const [styleKey, list] of Object.entries(artworksDb)) {
+    for (const artwork of list) {
+      if (artwork.style !== styleKey) {
+        errors.push({
+          type: ISSUE_TYPES.STYLE_MISMATCH,
+          id: artwork.id,
+          message: `Artwork "${artwork.id}" has style "${artwork.style}" but is listed under "${styleKey}"`
+        });
+      }
+    }
+  }
+
+  // 3. 스타일 옵션 id 중복 + 스키마 + 빈 목록 + 교육 콘텐츠
+  const optionIds = new Set();
+  for (const option of styleOptions) {
+    const key = `${option.type}:${option.id}`;
+    if (optionIds.has(key)) {
+      errors.push({
+        type: ISSUE_TYPES.DUPLICATE_ID,
+        id: option.id,
+        message: `Style option "${key}" is defined more than once`
+      });
+    }
+    optionIds.add(key);
+
+    for (const field of STYLE_OPTION_FIELDS) {
+      if (!isNonEmptyString(option[field])) {
+        errors.push({
+          type: ISSUE_TYPES.SCHEMA,
+          id: option.id,
+          message: `Style option "${key}": ${field} must be a non-empty string`
+        });
+      }
+    }
+
+    // 폴더가 없는 사조는 작품이 생길 때까지 숨겨질 뿐 → 경고
+    if (resolveStyle && resolveStyle(option).length === 0) {
+      const optional = option.type === 'movement' && !option.folder;
+      (optional ? warnings : errors).push({
+        type: ISSUE_TYPES.EMPTY_STYLE,
+        id: option.id,
+        message: optional
+          ? `Style option "${key}" (${option.name}) has no artworks yet and is hidden from selection`
+          : `Style option "${key}" (${option.name}) resolves to no artworks`
+      });
+    }
+
+    if (!isNonEmptyString(education[option.id]?.description)) {
+      warnings.push({
+        type: ISSUE_TYPES.MISSING_EDUCATION,
+        id: option.id,
+        message: `Style option "${key}" has no education content`
+      });
+    }
+  }
+
+  // 매칭된 작품의 style로도 교육 콘텐츠를 찾음
+  const artworkStyles = new Set(artworks.map(artwork => artwork.style));
+  for (const style of artworkStyles) {
+    if (!isNonEmptyString(education[style]?.description)) {
+      warnings.push({
+        type: ISSUE_TYPES.MISSING_EDUCATION,
+        id: style,
+        message: `Artwork style "${style}" has no education content`
+      });
+    }
+  }
+
+  // 4. 디스크 이미지 ↔ 작품 filename
+  if (imageFiles.length > 0) {
+    const files = new Set(imageFiles);
+    const referenced = new Set();
+
+    for (const artwork of artworks) {
+      if (!isNonEmptyString(artwork.filename)) continue;
+      referenced.add(artwork.filename);
+
+      if (!files.has(artwork.filename)) {
+        errors.push({
+          type: ISSUE_TYPES.MISSING_IMAGE,
+          id: artwork.id,
+          message: `Artwork "${artwork.id}" points to missing image "${artwork.filename}"`
+        });
+      }
+    }
+
+    for (const file of imageFiles) {
+      if (!referenced.has(file)) {
+        warnings.push({
+          type: ISSUE_TYPES.ORPHANED_IMAGE,
+          file,
+          message: `Image "${file}" is not referenced by any artwork`
+        });
+      }
+    }
+  }
+
+  // 5. 작품마다 서버가 프롬프트를 조립할 수 있는지 (템플릿 변수, 길이)
+  if (checkPrompt) {
+    for (const artwork of artworks) {
+      for (const problem of checkPrompt(artwork)) {
+        errors.push({
+          type: ISSUE_TYPES.PROMPT,
+          id: artwork.id,
+          message: `Artwork "${artwork.id}": ${problem}`
+        });
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+};
@@ -0,0 +1,111 @@
+// Artwork diversity - 같은 작품만 반복해서 나오지 않도록 순위를 보정
+//
+// - 최근 사용한 작품: 이번 세션에서 최근에 변환한 작품일수록 점수 − (최대 MAX_RECENCY_PENALTY)
+// - 스타일별 노출 기록: 이 브라우저에서 아직 보여주지 않은 작품은 점수 + (COVERAGE_BONUS)
+//   스타일의 작품을 모두 한 번씩 보여주면 기록을 비우고 다시 시작
+// - 깜짝 추천: 상위 SURPRISE_TOP_K개 중에서 점수 softmax 확률로 하나를 고름
+// - 비교군(random) 전략에는 적용하지 않음 - A/B 비교가 흐려지지 않도록
+
+const RECENT_KEY = 'picoart:recent-artworks'; // sessionStorage - 세션 동안만
+const COVERAGE_KEY = 'picoart:coverage';      // localStorage - 스타일별로 보여준 작품
+const MAX_RECENT = 20;
+
+export const MAX_RECENCY_PENALTY = 0.15;
+const RECENCY_HALF_LIFE = 3; // 결과 3개마다 감점이 절반
+export const COVERAGE_BONUS = 0.03;
+
+export const SURPRISE_TOP_K = 5;
+const SURPRISE_TEMPERATURE = 0.08; // 낮을수록 1위에 가깝게, 높을수록 고르게
+
+const readJson = (storage, key, fallback) => {
+  try {
+    return JSON.parse(storage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const writeJson = (storage, key, value) => {
+  try {
+    storage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Failed to persist ${key}:`, error);
+  }
+};
+
+// 스타일 선택지 → 노출 기록 키 ('movement:impressionism')
+export const getCoverageKey = (styleOption) => `${styleOption.type}:${styleOption.id}`;
+
+// 최근 변환한 작품 id (최신이 앞)
+export const loadRecentArtworks = () => {
+  const recent = typeof sessionStorage === 'undefined' ? [] : readJson(sessionStorage, RECENT_KEY, []);
+  return Array.isArray(recent) ? recent : [];
+};
+
+// { 'movement:impressionism': ['impressionist_02', ...] }
+export const loadCoverage = () => {
+  const coverage = typeof localStorage === 'undefined' ? {} : readJson(localStorage, COVERAGE_KEY, {});
+  return coverage && typeof coverage === 'object' ? coverage : {};
+};
+
+// 변환이 끝난 작품 기록 - styleArtworkIds: 이 스타일의 전체 작품 id (모두 보여줬는지 확인용)
+export const recordArtworkShown = (artworkId, styleOption, styleArtworkIds) => {
+  const recent = [artworkId, ...loadRecentArtworks().filter(id => id !== artworkId)].slice(0, MAX_RECENT);
+  writeJson(sessionStorage, RECENT_KEY, recent);
+
+  const coverage = loadCoverage();
+  const key = getCoverageKey(styleOption);
+  const seen = new Set([...(coverage[key] || []), artworkId]);
+
+  // 한 바퀴 다 보여줬으면 다음 바퀴
+  const complete = styleArtworkIds.every(id => seen.has(id));
+  coverage[key] = complete ? [] : [...seen];
+  writeJson(localStorage, COVERAGE_KEY, coverage);
+};
+
+// recent: 최근 작품 id 목록 (최신이 앞), seen: 이 스타일에서 이미 보여준 작품 id 목록
+export const applyDiversity = (ranked, { recent = [], seen = [] } = {}) => {
+  if (recent.length === 0 && seen.length === 0) return ranked;
+
+  const seenIds = new Set(seen);
+
+  return ranked
+    .map(match => {
+      if (match.strategy?.id === 'random') return match;
+
+      const position = recent.indexOf(match.artwork.id);
+      const recencyPenalty = position === -1 ? 0 : MAX_RECENCY_PENALTY * 0.5 ** (position / RECENCY_HALF_LIFE);
+      const coverageBonus = seen.length > 0 && !seenIds.has(match.artwork.id) ? COVERAGE_BONUS : 0;
+      const adjustment = coverageBonus - recencyPenalty;
+      if (adjustment === 0) return match;
+
+      return {
+        ...match,
+        score: Math.min(1, Math.max(0, match.score + adjustment)),
+        recencyPenalty,
+        coverageBonus
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+// 깜짝 추천 - 상위 k개 중 softmax(점수 / 온도) 확률로 하나 → ranked의 index
+// exclude: 지금 골라둔 작품의 index (같은 작품이 다시 나오지 않도록)
+export const sampleSurprise = (ranked, { k = SURPRISE_TOP_K, exclude = -1, random = Math.random } = {}) => {
+  const candidates = ranked
+    .slice(0, k)
+    .map((match, index) => ({ score: match.score, index }))
+    .filter(({ index }) => index !== exclude);
+  if (candidates.length === 0) return 0;
+
+  const best = Math.max(...candidates.map(candidate => candidate.score));
+  const weights = candidates.map(candidate => Math.exp((candidate.score - best) / SURPRISE_TEMPERATURE));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  let threshold = random() * total;
+  for (let i = 0; i < candidates.length; i++) {
+    threshold -= weights[i];
+    if (threshold <= 0) return candidates[i].index;
+  }
+  return candidates[candidates.length - 1].index;
+};
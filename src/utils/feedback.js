@@ -0,0 +1,82 @@
+// Match feedback - 결과 화면의 👍/👎/"다른 작품" 기록
+// - localStorage에 최근 MAX_EVENTS개만 보관 → 다음 매칭의 순위 보정에 사용 (feedbackRanker)
+// - VITE_SEND_FEEDBACK=true이면 /api/feedback으로도 전송 (전략별 만족도 집계용, 실패해도 무시)
+
+import { computeFeedbackPriors, VERDICT_VALUES } from './feedbackRanker';
+import { getSessionId } from './session';
+
+const FEEDBACK_KEY = 'picoart:feedback';
+const MAX_EVENTS = 200;
+
+const SEND_FEEDBACK = import.meta.env.VITE_SEND_FEEDBACK === 'true';
+
+export const loadFeedback = () => {
+  try {
+    const events = JSON.parse(localStorage.getItem(FEEDBACK_KEY));
+    return Array.isArray(events) ? events : [];
+  } catch {
+    return [];
+  }
+};
+
+const saveFeedback = (events) => {
+  try {
+    localStorage.setItem(FEEDBACK_KEY, JSON.stringify(events.slice(-MAX_EVENTS)));
+  } catch (error) {
+    console.warn('Failed to persist feedback:', error);
+  }
+};
+
+const sendFeedback = async (event) => {
+  const sessionId = getSessionId();
+
+  try {
+    await fetch('/api/feedback', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(sessionId ? { 'X-Session-Id': sessionId } : {})
+      },
+      body: JSON.stringify({
+        verdict: event.verdict,
+        artworkId: event.artworkId,
+        predictionId: event.predictionId,
+        strategy: event.strategy
+      })
+    });
+  } catch (error) {
+    console.warn('Failed to send feedback:', error.message);
+  }
+};
+
+// event: { verdict: 'up' | 'down' | 'another', artworkId, predictionId?, strategy?, breakdown? }
+export const recordFeedback = (event) => {
+  if (!VERDICT_VALUES[event.verdict]) {
+    throw new Error(`Unknown feedback verdict: ${event.verdict}`);
+  }
+
+  const entry = {
+    verdict: event.verdict,
+    artworkId: event.artworkId,
+    predictionId: event.predictionId || null,
+    strategy: event.strategy || null,
+    breakdown: event.breakdown || null,
+    at: Date.now()
+  };
+
+  saveFeedback([...loadFeedback(), entry]);
+  if (SEND_FEEDBACK) sendFeedback(entry);
+
+  return entry;
+};
+
+// 기록 초기화 → 순위 보정도 사라짐
+export const resetFeedback = () => {
+  try {
+    localStorage.removeItem(FEEDBACK_KEY);
+  } catch (error) {
+    console.warn('Failed to reset feedback:', error);
+  }
+};
+
+export const getFeedbackPriors = () => computeFeedbackPriors(loadFeedback());
@@ -0,0 +1,87 @@
+// Feedback re-ranker - 사용자의 👍/👎/"다른 작품" 기록으로 작품별·특징별 보정값(prior)을 만들어 순위를 조정
+//
+// - 작품 prior: 좋아요를 받은 작품은 점수 +, 싫어요/다른 작품은 − (최대 ±MAX_ARTWORK_ADJUSTMENT)
+// - 특징 prior: 좋아요를 받은 매칭에서 점수가 높았던 특징은 가중치 ↑, 싫어요는 ↓ (×(1 ± MAX_FEATURE_ADJUSTMENT))
+// - 오래된 기록일수록 영향이 줄어듦 (HALF_LIFE_DAYS마다 절반), 기록을 지우면 원래 순위로 돌아감
+// - 비교군(random) 전략에는 적용하지 않음 - A/B 비교가 흐려지지 않도록
+
+export const MAX_ARTWORK_ADJUSTMENT = 0.1;
+export const MAX_FEATURE_ADJUSTMENT = 0.2;
+export const HALF_LIFE_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 피드백 종류 → 방향과 세기
+export const VERDICT_VALUES = {
+  up: 1,
+  down: -1,
+  another: -0.5 // 결과를 보고 다른 작품을 원함 - 싫어요보다는 약하게
+};
+
+// 누적값을 -1 ~ 1로 (기록이 많아져도 한도를 넘지 않음)
+const saturate = (value) => Math.tanh(value / 2);
+
+const decay = (timestamp, now) => 0.5 ** (Math.max(0, now - timestamp) / (HALF_LIFE_DAYS * DAY_MS));
+
+// events: [{ artworkId, verdict, breakdown, at }] → { artworks: { id: 점수 보정 }, features: { feature: 가중치 배수 } }
+export const computeFeedbackPriors = (events, now = Date.now()) => {
+  const artworkTotals = {};
+  const featureTotals = {};
+
+  for (const event of events) {
+    const value = VERDICT_VALUES[event.verdict];
+    if (!value) continue;
+
+    const weight = value * decay(event.at, now);
+    artworkTotals[event.artworkId] = (artworkTotals[event.artworkId] || 0) + weight;
+
+    // 특징 점수가 0.5보다 높았던 특징일수록 이 평가의 "원인"으로 봄
+    for (const [feature, score] of Object.entries(event.breakdown || {})) {
+      featureTotals[feature] = (featureTotals[feature] || 0) + weight * (score - 0.5) * 2;
+    }
+  }
+
+  const artworks = {};
+  for (const [id, total] of Object.entries(artworkTotals)) {
+    artworks[id] = MAX_ARTWORK_ADJUSTMENT * saturate(total);
+  }
+
+  const features = {};
+  for (const [feature, total] of Object.entries(featureTotals)) {
+    features[feature] = 1 + MAX_FEATURE_ADJUSTMENT * saturate(total);
+  }
+
+  return { artworks, features };
+};
+
+// 보정한 가중치로 다시 합산 (가중치 합은 1로 유지) + 작품 보정
+const adjustScore = (match, priors) => {
+  const { weights } = match.strategy;
+  let total = 0;
+  let weightSum = 0;
+
+  for (const [feature, weight] of Object.entries(weights)) {
+    const adjusted = weight * (priors.features[feature] || 1);
+    total += match.breakdown[feature] * adjusted;
+    weightSum += adjusted;
+  }
+
+  const featureScore = weightSum > 0 ? total / weightSum : match.score;
+  return Math.min(1, Math.max(0, featureScore + (priors.artworks[match.artwork.id] || 0)));
+};
+
+// ranked: rankArtworks 결과 → 보정한 점수로 다시 정렬
+// 각 항목에 baseScore(보정 전)와 feedbackAdjustment(점수 차이)를 남김 - 설명 문구에서 그대로 밝힘
+export const rerankWithFeedback = (ranked, priors) => {
+  const hasPriors = Object.keys(priors.artworks).length > 0 || Object.keys(priors.features).length > 0;
+  if (!hasPriors) return ranked;
+
+  return ranked
+    .map(match => {
+      if (match.strategy.id === 'random') return match;
+
+      const score = adjustScore(match, priors);
+      return { ...match, score, baseScore: match.score, feedbackAdjustment: score - match.score };
+    })
+    .sort((a, b) => b.score - a.score);
+};
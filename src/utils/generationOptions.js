@@ -0,0 +1,22 @@
+// 마지막으로 사용한 변환 옵션 - 다음 변환에서 그대로 시작 (localStorage)
+
+import { DEFAULT_GENERATION_OPTIONS, normalizeGenerationOptions } from '../data/generationPresets';
+
+const OPTIONS_KEY = 'picoart:generation-options';
+
+export const loadGenerationOptions = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(OPTIONS_KEY));
+    return saved ? normalizeGenerationOptions(saved) : DEFAULT_GENERATION_OPTIONS;
+  } catch {
+    return DEFAULT_GENERATION_OPTIONS;
+  }
+};
+
+export const saveGenerationOptions = (options) => {
+  try {
+    localStorage.setItem(OPTIONS_KEY, JSON.stringify(options));
+  } catch (error) {
+    console.warn('Failed to persist generation options:', error);
+  }
+};
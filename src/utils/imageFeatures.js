@@ -0,0 +1,134 @@
+// Composition and texture features - 사진 분석(브라우저)과 카탈로그 생성(node)이 같은 코드를 사용
+//
+//   computeImageFeatures(pixels, { width, height, channels, sourceWidth, sourceHeight })
+//
+// pixels는 긴 변 64px로 줄인 이미지 (EXIF 회전 적용 후), sourceWidth/Height는 원본 크기
+// 모든 값은 0 ~ 1 (aspectRatio 제외), 카탈로그가 매번 같게 생성되도록 소수점 3자리
+
+export const HISTOGRAM_BINS = 8;
+
+const EDGE_THRESHOLD = 0.25; // 이 이상이면 윤곽선 픽셀
+const SQUARE_TOLERANCE = 0.1; // 가로/세로 비율 0.9 ~ 1.1 → 정사각형
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// 가로/세로 비율 → 'landscape' | 'portrait' | 'square'
+export const getOrientation = (width, height) => {
+  const ratio = width / height;
+  if (Math.abs(ratio - 1) <= SQUARE_TOLERANCE) return 'square';
+  return ratio > 1 ? 'landscape' : 'portrait';
+};
+
+const toHistogram = (values) => {
+  const bins = new Array(HISTOGRAM_BINS).fill(0);
+  for (const value of values) {
+    bins[Math.min(HISTOGRAM_BINS - 1, Math.floor(value * HISTOGRAM_BINS))]++;
+  }
+  return bins.map(count => round(count / (values.length || 1)));
+};
+
+export const computeImageFeatures = (pixels, {
+  width,
+  height,
+  channels = 4,
+  sourceWidth = width,
+  sourceHeight = height
+}) => {
+  const count = width * height;
+  const luma = new Float32Array(count);
+  const saturation = new Float32Array(count);
+  const colors = new Float32Array(count * 3);
+
+  let lumaSum = 0;
+  const colorSum = [0, 0, 0];
+
+  for (let i = 0; i < count; i++) {
+    const offset = i * channels;
+    const r = pixels[offset];
+    const g = pixels[offset + 1];
+    const b = pixels[offset + 2];
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+
+    luma[i] = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+    saturation[i] = max === 0 ? 0 : (max - min) / max;
+    colors[i * 3] = r;
+    colors[i * 3 + 1] = g;
+    colors[i * 3 + 2] = b;
+
+    lumaSum += luma[i];
+    colorSum[0] += r;
+    colorSum[1] += g;
+    colorSum[2] += b;
+  }
+
+  const lumaMean = lumaSum / count;
+  const colorMean = colorSum.map(sum => sum / count);
+
+  let variance = 0;
+  let saturationSum = 0;
+  for (let i = 0; i < count; i++) {
+    variance += (luma[i] - lumaMean) ** 2;
+    saturationSum += saturation[i];
+  }
+
+  // Sobel - 윤곽선 밀도, 질감 에너지, 가로/세로 선 비중
+  let edges = 0;
+  let energy = 0;
+  let horizontalEnergy = 0;
+  let verticalEnergy = 0;
+  const gradient = new Float32Array(count);
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const at = (dx, dy) => luma[(y + dy) * width + (x + dx)];
+      const gx = (at(1, -1) + 2 * at(1, 0) + at(1, 1)) - (at(-1, -1) + 2 * at(-1, 0) + at(-1, 1));
+      const gy = (at(-1, 1) + 2 * at(0, 1) + at(1, 1)) - (at(-1, -1) + 2 * at(0, -1) + at(1, -1));
+      const magnitude = Math.min(1, Math.hypot(gx, gy) / 4);
+
+      gradient[y * width + x] = magnitude;
+      energy += magnitude;
+      if (magnitude > EDGE_THRESHOLD) edges++;
+      horizontalEnergy += Math.abs(gy); // 가로선은 세로 방향 밝기 변화
+      verticalEnergy += Math.abs(gx);
+    }
+  }
+
+  const interior = Math.max(1, (width - 2) * (height - 2));
+
+  // 주제 위치 추정 - 평균과 다른 색/밝기 + 윤곽선이 몰린 곳의 무게중심
+  let weightSum = 0;
+  let centerX = 0;
+  let centerY = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const colorDistance = Math.hypot(
+        colors[i * 3] - colorMean[0],
+        colors[i * 3 + 1] - colorMean[1],
+        colors[i * 3 + 2] - colorMean[2]
+      ) / 441;
+      const saliency = (colorDistance + Math.abs(luma[i] - lumaMean) + gradient[i]) ** 2;
+
+      weightSum += saliency;
+      centerX += saliency * (x + 0.5) / width;
+      centerY += saliency * (y + 0.5) / height;
+    }
+  }
+
+  return {
+    aspectRatio: round(sourceWidth / sourceHeight),
+    contrast: round(Math.min(1, Math.sqrt(variance / count) * 2)),
+    saturation: round(saturationSum / count),
+    lumaHistogram: toHistogram(luma),
+    saturationHistogram: toHistogram(saturation),
+    edgeDensity: round(edges / interior),
+    textureEnergy: round(energy / interior),
+    center: weightSum > 0
+      ? { x: round(centerX / weightSum), y: round(centerY / weightSum) }
+      : { x: 0.5, y: 0.5 },
+    horizontality: round(horizontalEnergy + verticalEnergy > 0
+      ? horizontalEnergy / (horizontalEnergy + verticalEnergy)
+      : 0.5)
+  };
+};
@@ -0,0 +1,114 @@
+// Persist an in-progress transformation so it survives a page reload
+// 새로고침/화면 잠금 후에도 같은 예측을 이어서 기다림 (다시 결제하지 않도록)
+//
+// - 작업 정보 (예측 id, 스타일, 작품 id) → sessionStorage
+// - 사진 파일 → IndexedDB (sessionStorage에 넣기엔 너무 큼)
+
+const JOB_KEY = 'picoart:job';
+const DB_NAME = 'picoart';
+const DB_VERSION = 1;
+const PHOTO_STORE = 'photos';
+const PHOTO_KEY = 'current';
+
+// Replicate 결과 URL은 1시간 후 만료
+const JOB_MAX_AGE_MS = 60 * 60 * 1000;
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  if (typeof indexedDB === 'undefined') {
+    reject(new Error('IndexedDB is not available'));
+    return;
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(PHOTO_STORE);
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const withPhotoStore = async (mode, operation) => {
+  const db = await openDatabase();
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(PHOTO_STORE, mode);
+      const request = operation(transaction.objectStore(PHOTO_STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+// 업로드한 사진 보관 (업로드 시점에 호출)
+export const savePhoto = async (file) => {
+  try {
+    await withPhotoStore('readwrite', store => store.put({
+      blob: file,
+      name: file.name,
+      type: file.type
+    }, PHOTO_KEY));
+  } catch (error) {
+    console.warn('Failed to persist photo:', error);
+  }
+};
+
+const loadPhoto = async () => {
+  const record = await withPhotoStore('readonly', store => store.get(PHOTO_KEY));
+  if (!record) return null;
+  return new File([record.blob], record.name, { type: record.type });
+};
+
+// 예측이 생성되면 호출 - { predictionId, selectedStyle, artworkId }
+export const saveJob = (job) => {
+  try {
+    sessionStorage.setItem(JOB_KEY, JSON.stringify({ ...job, savedAt: Date.now() }));
+  } catch (error) {
+    console.warn('Failed to persist job:', error);
+  }
+};
+
+// 완료/취소/초기화 시 호출 (keepPhoto: 같은 사진으로 스타일만 다시 고를 때)
+export const clearJob = async ({ keepPhoto = false } = {}) => {
+  try {
+    sessionStorage.removeItem(JOB_KEY);
+    if (keepPhoto) return;
+    await withPhotoStore('readwrite', store => store.delete(PHOTO_KEY));
+  } catch (error) {
+    console.warn('Failed to clear job:', error);
+  }
+};
+
+// 앱 시작 시 이어서 진행할 작업 확인 → { job, photo } 또는 null
+export const loadPendingJob = async () => {
+  let job;
+
+  try {
+    job = JSON.parse(sessionStorage.getItem(JOB_KEY));
+  } catch {
+    job = null;
+  }
+
+  if (!job || !job.predictionId || !job.selectedStyle || !job.artworkId) {
+    return null;
+  }
+
+  if (Date.now() - job.savedAt > JOB_MAX_AGE_MS) {
+    await clearJob();
+    return null;
+  }
+
+  try {
+    const photo = await loadPhoto();
+    if (!photo) {
+      await clearJob();
+      return null;
+    }
+    return { job, photo };
+  } catch (error) {
+    console.warn('Failed to restore job:', error);
+    return null;
+  }
+};
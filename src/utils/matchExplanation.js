@@ -0,0 +1,125 @@
+// Match explanation - 실제로 점수를 끌어올린 특징으로 매칭 이유를 만듦
+//
+//   explainMatch({ artwork, score, breakdown, strategy }, photoAnalysis)
+//   → { score: 72, summary: '...', reasons: ['따뜻한 색감이 비슷합니다 (평균 색 차이 ΔE 8)', ...] }
+
+import { getMedium } from '../data/mediumRegistry';
+import { getAverageColor, getPaletteTemperature, paletteDistance } from './palette';
+
+const MAX_REASONS = 3;
+const MIN_REASON_SCORE = 0.6; // 이보다 낮은 특징은 이유로 들지 않음
+
+export const FEATURE_LABELS = {
+  palette: '색감',
+  brightness: '밝기',
+  aspect: '화면 비율',
+  tone: '명암·채도 분포',
+  texture: '질감',
+  composition: '구도',
+  colour: '평균 색',
+  orientation: '화면 방향'
+};
+
+const ORIENTATION_LABELS = {
+  landscape: '가로',
+  portrait: '세로',
+  square: '정사각형'
+};
+
+const TEMPERATURE_LABELS = {
+  warm: '따뜻한',
+  cool: '차가운',
+  neutral: '차분한'
+};
+
+const percent = (value) => Math.round(value * 100);
+
+// 1.78 → '1.8:1', 0.67 → '1:1.5'
+const formatRatio = (ratio) => {
+  return ratio >= 1 ? `${ratio.toFixed(1)}:1` : `1:${(1 / ratio).toFixed(1)}`;
+};
+
+// 받침 유무에 따라 '이' / '가'
+const withSubjectParticle = (word) => {
+  const code = word.charCodeAt(word.length - 1) - 0xAC00;
+  const hasFinal = code >= 0 && code <= 11171 && code % 28 !== 0;
+  return `${word}${hasFinal ? '이' : '가'}`;
+};
+
+const describeLines = (horizontality) => {
+  if (horizontality > 0.55) return '가로선이 두드러진';
+  if (horizontality < 0.45) return '세로선이 두드러진';
+  return '가로·세로가 균형 잡힌';
+};
+
+// 특징 → 근거 숫자가 들어간 문장
+const REASON_BUILDERS = {
+  palette: (photo, artwork, greyscale) => {
+    const deltaE = Math.round(paletteDistance(photo.palette, artwork.palette, { greyscale }));
+    return greyscale
+      ? `명암 구성이 비슷합니다 (평균 명도 차이 ΔE ${deltaE})`
+      : `${TEMPERATURE_LABELS[getPaletteTemperature(photo.palette)]} 색감이 비슷합니다 (평균 색 차이 ΔE ${deltaE})`;
+  },
+  brightness: (photo, artwork) =>
+    `밝기가 비슷합니다 (사진 ${photo.brightness} · 작품 ${artwork.brightness}, 100 기준)`,
+  aspect: (photo, artwork) =>
+    `화면 비율이 비슷합니다 (사진 ${formatRatio(photo.features.aspectRatio)} · 작품 ${formatRatio(artwork.features.aspectRatio)})`,
+  tone: (photo, artwork, greyscale, score) =>
+    `${greyscale ? '명암' : '명암·채도'} 분포가 ${percent(score)}% 겹칩니다`,
+  texture: (photo, artwork) =>
+    `윤곽선과 질감의 밀도가 비슷합니다 (윤곽선 비율 사진 ${percent(photo.features.edgeDensity)}% · 작품 ${percent(artwork.features.edgeDensity)}%)`,
+  composition: (photo, artwork) =>
+    `주제의 위치와 ${describeLines(artwork.features.horizontality)} 구도가 비슷합니다`,
+  colour: (photo, artwork) => {
+    const a = getAverageColor(photo.palette);
+    const b = getAverageColor(artwork.palette);
+    return `전체 평균 색이 비슷합니다 (RGB 거리 ${Math.round(Math.hypot(a.r - b.r, a.g - b.g, a.b - b.b))})`;
+  },
+  orientation: (photo, artwork) => photo.orientation === artwork.orientation
+    ? `사진과 작품 모두 ${ORIENTATION_LABELS[artwork.orientation]} 화면입니다`
+    : `화면 방향이 다릅니다 (사진 ${ORIENTATION_LABELS[photo.orientation]} · 작품 ${ORIENTATION_LABELS[artwork.orientation]})`
+};
+
+export const explainMatch = (match, photoAnalysis) => {
+  const { artwork, score, breakdown, strategy } = match;
+  const greyscale = getMedium(artwork.medium).colorMode === 'greyscale';
+
+  // 비교군 전략은 사진과 상관없이 고름 - 근거가 없으므로 그대로 밝힘
+  const features = Object.entries(strategy.weights)
+    .filter(([feature]) => REASON_BUILDERS[feature])
+    .map(([feature, weight]) => ({ feature, score: breakdown[feature], contribution: breakdown[feature] * weight }))
+    .sort((a, b) => b.contribution - a.contribution);
+
+  if (features.length === 0) {
+    return {
+      score: percent(score),
+      summary: `${strategy.name} 방식으로 사진과 상관없이 고른 작품입니다.`,
+      reasons: []
+    };
+  }
+
+  const strong = features.filter(item => item.score >= MIN_REASON_SCORE).slice(0, MAX_REASONS);
+  const drivers = strong.length > 0 ? strong : features.slice(0, 1);
+
+  const reasons = drivers.map(({ feature, score: featureScore }) => {
+    return REASON_BUILDERS[feature](photoAnalysis, artwork, greyscale, featureScore);
+  });
+
+  const summary = strong.length > 0
+    ? `일치도 ${percent(score)}점 · ${withSubjectParticle(drivers.map(item => FEATURE_LABELS[item.feature]).join(', '))} 가장 크게 작용했습니다.`
+    : `일치도 ${percent(score)}점 · 뚜렷하게 닮은 작품은 없어 가장 가까운 작품을 골랐습니다.`;
+
+  // 피드백/다양성 보정으로 점수가 바뀌었으면 그대로 밝힘
+  const adjustment = Math.round((match.feedbackAdjustment || 0) * 100);
+  if (adjustment !== 0) {
+    reasons.push(`이전에 남긴 평가가 반영되었습니다 (${adjustment > 0 ? '+' : ''}${adjustment}점)`);
+  }
+  if (match.recencyPenalty > 0) {
+    reasons.push(`최근에 변환한 작품이라 순위를 낮췄습니다 (-${Math.round(match.recencyPenalty * 100)}점)`);
+  }
+  if (match.coverageBonus > 0) {
+    reasons.push(`이 스타일에서 아직 보여드리지 않은 작품입니다 (+${Math.round(match.coverageBonus * 100)}점)`);
+  }
+
+  return { score: percent(score), summary, reasons };
+};
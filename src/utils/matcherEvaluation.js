@@ -0,0 +1,154 @@
+// Matcher evaluation - 정답이 있는 사진 묶음으로 매칭 전략의 성능을 측정 (브라우저 API 없이 node에서 실행)
+// 사진 분석은 호출하는 쪽에서 (scripts/evaluate-matcher.js → sharp), 여기서는 순위와 집계만
+//
+//   evaluateMatcher({ cases, strategy, artworks, resolveOption })
+//     cases: [{ name, analysis, expected: { artworks: [id...], styles: [id...] }, option? }]
+//     option이 있으면 그 스타일 선택지의 작품 안에서만 매칭 (앱과 같은 조건), 없으면 전체 작품
+//   → { strategy, summary: { cases, top1, top3 }, byStyle, confusion, scores, results }
+//
+//   compareReports(before, after) → 두 결과의 지표 차이 + 1위 작품이 바뀐 사진 목록
+
+import { getStrategyLabel, rankWithStrategy } from './matchingStrategies.js';
+
+export const TOP_K = 3;
+const SCORE_BINS = 10;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// 작품이 속한 스타일 id들 - 사조/전통 + 거장
+const getArtworkStyles = (artwork) => [artwork.style, artwork.masterTag].filter(Boolean);
+
+const isExpected = (artwork, expected) => {
+  if (expected.artworks?.includes(artwork.id)) return true;
+  return getArtworkStyles(artwork).some(style => expected.styles?.includes(style));
+};
+
+// 정답 스타일 - 혼동 행렬의 행 (스타일이 없으면 정답 작품의 스타일)
+const getExpectedStyle = (expected, artworksById) => {
+  if (expected.styles?.length > 0) return expected.styles[0];
+  const artwork = artworksById.get(expected.artworks?.[0]);
+  return artwork ? artwork.style : 'unknown';
+};
+
+const summarizeScores = (scores) => {
+  if (scores.length === 0) return { count: 0, mean: null, median: null, histogram: new Array(SCORE_BINS).fill(0) };
+
+  const sorted = [...scores].sort((a, b) => a - b);
+  const histogram = new Array(SCORE_BINS).fill(0);
+  for (const score of scores) {
+    histogram[Math.min(SCORE_BINS - 1, Math.floor(score * SCORE_BINS))]++;
+  }
+
+  return {
+    count: scores.length,
+    mean: round(scores.reduce((sum, score) => sum + score, 0) / scores.length),
+    median: round(sorted[Math.floor(sorted.length / 2)]),
+    histogram
+  };
+};
+
+const rate = (hits, total) => (total > 0 ? round(hits / total) : null);
+
+export const evaluateMatcher = ({ cases, strategy, artworks, resolveOption }) => {
+  const artworksById = new Map(artworks.map(artwork => [artwork.id, artwork]));
+  const results = [];
+  const byStyle = {};
+  const confusion = {};
+  const topScores = [];
+  const expectedScores = [];
+
+  for (const testCase of cases) {
+    const candidates = testCase.option ? resolveOption(testCase.option) : artworks;
+    const ranked = rankWithStrategy(strategy, testCase.analysis, candidates);
+
+    const hitIndex = ranked.findIndex(match => isExpected(match.artwork, testCase.expected));
+    const hitRank = hitIndex === -1 ? null : hitIndex + 1;
+    const top = ranked[0];
+
+    if (top) topScores.push(top.score);
+    if (hitIndex !== -1) expectedScores.push(ranked[hitIndex].score);
+
+    const expectedStyle = getExpectedStyle(testCase.expected, artworksById);
+    const predictedStyle = top ? top.artwork.style : 'none';
+
+    const styleStats = byStyle[expectedStyle] || (byStyle[expectedStyle] = { cases: 0, top1: 0, top3: 0 });
+    styleStats.cases++;
+    if (hitRank === 1) styleStats.top1++;
+    if (hitRank !== null && hitRank <= TOP_K) styleStats.top3++;
+
+    const row = confusion[expectedStyle] || (confusion[expectedStyle] = {});
+    row[predictedStyle] = (row[predictedStyle] || 0) + 1;
+
+    results.push({
+      name: testCase.name,
+      candidates: candidates.length,
+      hitRank,
+      top: ranked.slice(0, TOP_K).map(match => ({
+        id: match.artwork.id,
+        style: match.artwork.style,
+        score: round(match.score)
+      }))
+    });
+  }
+
+  for (const stats of Object.values(byStyle)) {
+    stats.top1 = rate(stats.top1, stats.cases);
+    stats.top3 = rate(stats.top3, stats.cases);
+  }
+
+  return {
+    strategy: getStrategyLabel(strategy),
+    summary: {
+      cases: results.length,
+      top1: rate(results.filter(result => result.hitRank === 1).length, results.length),
+      top3: rate(results.filter(result => result.hitRank !== null && result.hitRank <= TOP_K).length, results.length)
+    },
+    byStyle,
+    confusion,
+    scores: {
+      top: summarizeScores(topScores),        // 1위 작품 점수
+      expected: summarizeScores(expectedScores) // 가장 높은 정답 작품 점수
+    },
+    results
+  };
+};
+
+const delta = (before, after) => (before === null || after === null ? null : round(after - before));
+
+// 같은 사진 묶음에 대한 두 결과 비교 (before → after)
+export const compareReports = (before, after) => {
+  const afterByName = new Map(after.results.map(result => [result.name, result]));
+
+  const changed = before.results
+    .map(result => ({ before: result, after: afterByName.get(result.name) }))
+    .filter(({ after: next }) => next)
+    .filter(({ before: prev, after: next }) => prev.top[0]?.id !== next.top[0]?.id || prev.hitRank !== next.hitRank)
+    .map(({ before: prev, after: next }) => ({
+      name: prev.name,
+      before: { top1: prev.top[0]?.id || null, hitRank: prev.hitRank },
+      after: { top1: next.top[0]?.id || null, hitRank: next.hitRank }
+    }));
+
+  const styles = [...new Set([...Object.keys(before.byStyle), ...Object.keys(after.byStyle)])].sort();
+
+  return {
+    before: before.strategy,
+    after: after.strategy,
+    summary: {
+      top1: { before: before.summary.top1, after: after.summary.top1, delta: delta(before.summary.top1, after.summary.top1) },
+      top3: { before: before.summary.top3, after: after.summary.top3, delta: delta(before.summary.top3, after.summary.top3) },
+      meanTopScore: {
+        before: before.scores.top.mean,
+        after: after.scores.top.mean,
+        delta: delta(before.scores.top.mean, after.scores.top.mean)
+      }
+    },
+    // 스타일별 top-3 적중률
+    byStyle: Object.fromEntries(styles.map(style => {
+      const prev = before.byStyle[style]?.top3 ?? null;
+      const next = after.byStyle[style]?.top3 ?? null;
+      return [style, { before: prev, after: next, delta: delta(prev, next) }];
+    })),
+    changed
+  };
+};
@@ -0,0 +1,180 @@
+// Matching strategies - 매칭 방식(전략)별 특징 점수와 가중치, 세션별 A/B 배정
+//
+// 전략마다 { id, name, version, weights, traffic, scoreFeatures(photo, artwork) }
+// - scoreFeatures: 특징별 점수 (각 0 ~ 1), 최종 점수는 weights로 가중 합
+// - traffic: A/B 배정 비율 (합계 100)
+// - 결과와 함께 전략 id/버전/점수를 서버에 기록 → 어떤 전략의 결과를 사용자가 끝까지 쓰는지 비교
+//
+// VITE_MATCHING_STRATEGY=<id> 이면 배정 없이 해당 전략만 사용 (개발/비교용)
+//
+// 오프라인 평가(scripts/evaluate-matcher.js)가 node에서 불러오므로 import에 .js 확장자 사용
+
+import { getMedium } from '../data/mediumRegistry.js';
+import { getAverageColor, paletteSimilarity } from './palette.js';
+import { getSessionId } from './session.js';
+
+// 배정 해시에 섞는 실험 이름 - 비율을 크게 바꾸면 이름도 바꿔서 새로 배정
+const EXPERIMENT_ID = 'matching-2026-10';
+
+const closeness = (a, b, range) => 1 - Math.min(1, Math.abs(a - b) / range);
+
+// 히스토그램 교집합 - 두 분포가 겹치는 비율 (0 ~ 1)
+const histogramOverlap = (a, b) => {
+  return a.reduce((sum, value, index) => sum + Math.min(value, b[index]), 0);
+};
+
+// 비율 차이는 로그 기준 - 1:1 vs 4:3과 16:9 vs 21:9가 비슷한 차이로
+const compareAspect = (photoRatio, artworkRatio) => {
+  return Math.exp(-1.5 * Math.abs(Math.log(photoRatio / artworkRatio)));
+};
+
+// 32-bit FNV-1a
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// 특징별 점수 (각 0 ~ 1) - composition/palette 전략이 공유
+export const calculateFeatureScores = (photoAnalysis, artwork) => {
+  const photo = photoAnalysis.features;
+  const art = artwork.features;
+
+  // 흰 대리석/수묵처럼 색이 없는 재료는 명암만 비교 (색으로 비교하면 돌/종이 색에 끌려감)
+  const greyscale = getMedium(artwork.medium).colorMode === 'greyscale';
+
+  const lumaOverlap = histogramOverlap(photo.lumaHistogram, art.lumaHistogram);
+  const saturationOverlap = histogramOverlap(photo.saturationHistogram, art.saturationHistogram);
+
+  const centerDistance = Math.hypot(photo.center.x - art.center.x, photo.center.y - art.center.y);
+
+  return {
+    palette: paletteSimilarity(photoAnalysis.palette, artwork.palette, { greyscale }),
+    brightness: closeness(photoAnalysis.brightness, artwork.brightness, 100),
+    aspect: compareAspect(photo.aspectRatio, art.aspectRatio),
+    tone: greyscale ? lumaOverlap : (lumaOverlap + saturationOverlap) / 2,
+    texture: (closeness(photo.edgeDensity, art.edgeDensity, 0.5) + closeness(photo.textureEnergy, art.textureEnergy, 0.25)) / 2,
+    composition: (closeness(centerDistance, 0, 0.5) + closeness(photo.horizontality, art.horizontality, 0.25)) / 2
+  };
+};
+
+// 예전 매칭 (대표색 하나로 비교하던 방식) - 평균색 RGB 거리 70%, 밝기 20%, 방향 10%
+const calculateLegacyScores = (photoAnalysis, artwork) => {
+  const photo = getAverageColor(photoAnalysis.palette);
+  const art = getAverageColor(artwork.palette);
+  const distance = Math.hypot(photo.r - art.r, photo.g - art.g, photo.b - art.b);
+
+  return {
+    colour: Math.max(0, 1 - distance / 441), // RGB 공간 최대 거리 ≈ 441
+    brightness: closeness(photoAnalysis.brightness, artwork.brightness, 100),
+    orientation: photoAnalysis.orientation === artwork.orientation ? 1 : 0.5
+  };
+};
+
+// 비교군 - 사진과 상관없는 점수 (같은 사진 + 작품이면 항상 같은 값)
+const calculateRandomScores = (photoAnalysis, artwork) => {
+  const photoKey = photoAnalysis.palette.map(entry => entry.color).join('');
+  return { random: hashString(`${photoKey}:${artwork.id}`) / 0xffffffff };
+};
+
+export const MATCHING_STRATEGIES = {
+  composition: {
+    id: 'composition',
+    name: '색·구도·질감',
+    version: 2,
+    traffic: 70,
+    weights: {
+      palette: 0.4,      // 색 구성 (ΔE2000 EMD)
+      brightness: 0.1,   // 전체 밝기
+      aspect: 0.15,      // 실제 가로/세로 비율
+      tone: 0.1,         // 명암/채도 분포 (히스토그램)
+      texture: 0.1,      // 윤곽선 밀도, 질감 에너지
+      composition: 0.15  // 주제 위치, 가로선/세로선 비중
+    },
+    scoreFeatures: calculateFeatureScores
+  },
+  palette: {
+    id: 'palette',
+    name: '팔레트',
+    version: 1,
+    traffic: 10,
+    weights: {
+      palette: 0.7,
+      brightness: 0.2,
+      aspect: 0.1
+    },
+    scoreFeatures: calculateFeatureScores
+  },
+  legacy: {
+    id: 'legacy',
+    name: '평균색',
+    version: 1,
+    traffic: 10,
+    weights: {
+      colour: 0.7,
+      brightness: 0.2,
+      orientation: 0.1
+    },
+    scoreFeatures: calculateLegacyScores
+  },
+  random: {
+    id: 'random',
+    name: '무작위 비교군',
+    version: 1,
+    traffic: 10,
+    weights: {
+      random: 1
+    },
+    scoreFeatures: calculateRandomScores
+  }
+};
+
+export const DEFAULT_STRATEGY = 'composition';
+
+export const getStrategy = (strategyId) => MATCHING_STRATEGIES[strategyId] || MATCHING_STRATEGIES[DEFAULT_STRATEGY];
+
+// 전략 id@버전 - 서버 기록/집계용
+export const getStrategyLabel = (strategy) => `${strategy.id}@${strategy.version}`;
+
+// 세션 id 해시 → 0 ~ 99 구간 → traffic 비율에 따라 전략 배정
+// 세션 id가 없으면(저장소 사용 불가) 기본 전략
+export const assignStrategy = (sessionId) => {
+  if (!sessionId) return MATCHING_STRATEGIES[DEFAULT_STRATEGY];
+
+  const bucket = hashString(`${EXPERIMENT_ID}:${sessionId}`) % 100;
+  let upper = 0;
+  for (const strategy of Object.values(MATCHING_STRATEGIES)) {
+    upper += strategy.traffic;
+    if (bucket < upper) return strategy;
+  }
+  return MATCHING_STRATEGIES[DEFAULT_STRATEGY];
+};
+
+// 이 브라우저에 배정된 전략 (같은 세션이면 항상 같음)
+export const getSessionStrategy = () => {
+  const forced = import.meta.env?.VITE_MATCHING_STRATEGY;
+  if (forced && MATCHING_STRATEGIES[forced]) return MATCHING_STRATEGIES[forced];
+  return assignStrategy(getSessionId());
+};
+
+// 특징별 점수의 가중 합 (0 ~ 1)
+export const scoreWithStrategy = (strategy, photoAnalysis, artwork) => {
+  const breakdown = strategy.scoreFeatures(photoAnalysis, artwork);
+  const score = Object.entries(strategy.weights)
+    .reduce((total, [feature, weight]) => total + breakdown[feature] * weight, 0);
+  return { score, breakdown };
+};
+
+// 전략 하나로 작품 순위 (best first) - 각 항목: { artwork, score, strategyScore, breakdown, strategy }
+// strategyScore: 전략이 준 점수 그대로 - 이후 피드백/다양성 보정은 score만 바꾸고 이 값은 유지 (서버 기록용)
+export const rankWithStrategy = (strategy, photoAnalysis, artworks) => {
+  return artworks
+    .map(artwork => {
+      const { score, breakdown } = scoreWithStrategy(strategy, photoAnalysis, artwork);
+      return { artwork, score, strategyScore: score, breakdown, strategy };
+    })
+    .sort((a, b) => b.score - a.score);
+};
@@ -0,0 +1,340 @@
+// Palette extraction and comparison - 사진 분석(브라우저)과 카탈로그 생성(node)이 같은 코드를 사용
+//
+//   extractPalette(pixels, { channels: 4 }) → [{ color: '#RRGGBB', weight: 0.42 }, ...]
+//   paletteSimilarity(photoPalette, artworkPalette) → 0 ~ 1
+//
+// - 추출: median cut으로 최대 6개 → k-means 몇 번으로 다듬기 (median cut만으로는 비중이 1/2, 1/4…로 고정됨)
+//         → 눈으로 구분 안 되는 색(ΔE2000 < 10)은 3개가 될 때까지 합침
+// - 비교: CIELAB ΔE2000을 거리로 쓰는 earth mover's distance (가중치만큼 색을 옮기는 비용)
+
+export const MAX_PALETTE_COLORS = 6;
+export const MIN_PALETTE_COLORS = 3;
+
+const MERGE_DELTA_E = 10;
+const SIMILARITY_SCALE = 50; // ΔE 50 이상 떨어진 팔레트 = 유사도 0
+const MIN_ALPHA = 128;       // 투명한 픽셀은 제외 (PNG 배경 등)
+const REFINE_ITERATIONS = 4;
+const GREYSCALE_PHOTO_CHROMA = 0.5;
+
+const toHex = (r, g, b) => '#' + [r, g, b]
+  .map(value => Math.round(value).toString(16).padStart(2, '0'))
+  .join('')
+  .toUpperCase();
+
+const hexToRgb = (hex) => {
+  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+  return result ? {
+    r: parseInt(result[1], 16),
+    g: parseInt(result[2], 16),
+    b: parseInt(result[3], 16)
+  } : null;
+};
+
+// ===== CIELAB / ΔE2000 =====
+
+const toLinear = (channel) => {
+  const value = channel / 255;
+  return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+};
+
+const labF = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+
+// sRGB → CIELAB (D65)
+export const rgbToLab = ({ r, g, b }) => {
+  const lr = toLinear(r);
+  const lg = toLinear(g);
+  const lb = toLinear(b);
+
+  const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047;
+  const y = 0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb;
+  const z = (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / 1.08883;
+
+  const fx = labF(x);
+  const fy = labF(y);
+  const fz = labF(z);
+
+  return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+};
+
+export const hexToLab = (hex) => rgbToLab(hexToRgb(hex) || { r: 0, g: 0, b: 0 });
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+const hueAngle = (b, a) => {
+  if (a === 0 && b === 0) return 0;
+  const angle = toDegrees(Math.atan2(b, a));
+  return angle < 0 ? angle + 360 : angle;
+};
+
+// CIEDE2000 (Sharma et al. 2005) - 사람 눈에 보이는 색 차이, 1 ≈ 겨우 구분되는 차이
+export const deltaE2000 = (lab1, lab2) => {
+  const C1 = Math.hypot(lab1.a, lab1.b);
+  const C2 = Math.hypot(lab2.a, lab2.b);
+  const Cbar7 = ((C1 + C2) / 2) ** 7;
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + 25 ** 7)));
+
+  const a1 = (1 + G) * lab1.a;
+  const a2 = (1 + G) * lab2.a;
+  const C1p = Math.hypot(a1, lab1.b);
+  const C2p = Math.hypot(a2, lab2.b);
+  const h1p = hueAngle(lab1.b, a1);
+  const h2p = hueAngle(lab2.b, a2);
+
+  const dLp = lab2.L - lab1.L;
+  const dCp = C2p - C1p;
+
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(toRadians(dhp / 2));
+
+  const Lbarp = (lab1.L + lab2.L) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hbarp = (h1p + h2p) / 2;
+    else if (h1p + h2p < 360) hbarp = (h1p + h2p + 360) / 2;
+    else hbarp = (h1p + h2p - 360) / 2;
+  }
+
+  const T = 1 -
+    0.17 * Math.cos(toRadians(hbarp - 30)) +
+    0.24 * Math.cos(toRadians(2 * hbarp)) +
+    0.32 * Math.cos(toRadians(3 * hbarp + 6)) -
+    0.20 * Math.cos(toRadians(4 * hbarp - 63));
+
+  const dTheta = 30 * Math.exp(-(((hbarp - 275) / 25) ** 2));
+  const Cbarp7 = Cbarp ** 7;
+  const RC = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + 25 ** 7));
+  const SL = 1 + (0.015 * (Lbarp - 50) ** 2) / Math.sqrt(20 + (Lbarp - 50) ** 2);
+  const SC = 1 + 0.045 * Cbarp;
+  const SH = 1 + 0.015 * Cbarp * T;
+  const RT = -Math.sin(toRadians(2 * dTheta)) * RC;
+
+  return Math.sqrt(
+    (dLp / SL) ** 2 +
+    (dCp / SC) ** 2 +
+    (dHp / SH) ** 2 +
+    RT * (dCp / SC) * (dHp / SH)
+  );
+};
+
+// ===== 추출 (median cut + k-means) =====
+
+// 픽셀 버퍼(RGB 또는 RGBA) → [[r, g, b], ...]
+const collectPixels = (data, channels) => {
+  const pixels = [];
+  for (let i = 0; i < data.length; i += channels) {
+    if (channels === 4 && data[i + 3] < MIN_ALPHA) continue;
+    pixels.push([data[i], data[i + 1], data[i + 2]]);
+  }
+  return pixels;
+};
+
+// 가장 넓게 퍼진 채널과 그 범위
+const widestChannel = (box) => {
+  let best = { channel: 0, range: 0 };
+  for (let channel = 0; channel < 3; channel++) {
+    let min = 255;
+    let max = 0;
+    for (const pixel of box) {
+      if (pixel[channel] < min) min = pixel[channel];
+      if (pixel[channel] > max) max = pixel[channel];
+    }
+    if (max - min > best.range) best = { channel, range: max - min };
+  }
+  return best;
+};
+
+const averageColor = (box) => {
+  const sum = [0, 0, 0];
+  for (const pixel of box) {
+    sum[0] += pixel[0];
+    sum[1] += pixel[1];
+    sum[2] += pixel[2];
+  }
+  return { r: sum[0] / box.length, g: sum[1] / box.length, b: sum[2] / box.length };
+};
+
+// 픽셀이 많고 색 범위가 넓은 상자부터 중앙값에서 나눔
+const medianCut = (pixels, maxBoxes) => {
+  const boxes = [pixels];
+
+  while (boxes.length < maxBoxes) {
+    let target = -1;
+    let targetScore = 0;
+    let targetChannel = 0;
+
+    boxes.forEach((box, index) => {
+      const { channel, range } = widestChannel(box);
+      const score = range * box.length;
+      if (box.length > 1 && score > targetScore) {
+        target = index;
+        targetScore = score;
+        targetChannel = channel;
+      }
+    });
+
+    if (target === -1) break; // 더 나눌 색이 없음 (단색 이미지)
+
+    const box = boxes[target].sort((a, b) => a[targetChannel] - b[targetChannel]);
+    const middle = Math.floor(box.length / 2);
+    boxes.splice(target, 1, box.slice(0, middle), box.slice(middle));
+  }
+
+  return boxes.map(box => ({ rgb: averageColor(box), count: box.length }));
+};
+
+// median cut 결과를 초기값으로 k-means - 각 픽셀을 가장 가까운 색에 다시 배정
+const refine = (pixels, entries) => {
+  let clusters = entries;
+
+  for (let iteration = 0; iteration < REFINE_ITERATIONS; iteration++) {
+    const sums = clusters.map(() => ({ r: 0, g: 0, b: 0, count: 0 }));
+
+    for (const pixel of pixels) {
+      let nearest = 0;
+      let nearestDistance = Infinity;
+      clusters.forEach(({ rgb }, index) => {
+        const distance = (pixel[0] - rgb.r) ** 2 + (pixel[1] - rgb.g) ** 2 + (pixel[2] - rgb.b) ** 2;
+        if (distance < nearestDistance) {
+          nearest = index;
+          nearestDistance = distance;
+        }
+      });
+
+      const sum = sums[nearest];
+      sum.r += pixel[0];
+      sum.g += pixel[1];
+      sum.b += pixel[2];
+      sum.count++;
+    }
+
+    clusters = sums
+      .filter(sum => sum.count > 0)
+      .map(sum => ({ rgb: { r: sum.r / sum.count, g: sum.g / sum.count, b: sum.b / sum.count }, count: sum.count }));
+  }
+
+  return clusters;
+};
+
+const mergeEntries = (a, b) => {
+  const count = a.count + b.count;
+  const mix = (channel) => (a.rgb[channel] * a.count + b.rgb[channel] * b.count) / count;
+  const rgb = { r: mix('r'), g: mix('g'), b: mix('b') };
+  return { rgb, count, lab: rgbToLab(rgb) };
+};
+
+// 거의 같은 색끼리 합침 (최소 MIN_PALETTE_COLORS개는 남김)
+const mergeSimilar = (entries) => {
+  const merged = entries.map(entry => ({ ...entry, lab: rgbToLab(entry.rgb) }));
+
+  while (merged.length > MIN_PALETTE_COLORS) {
+    let closest = null;
+    for (let i = 0; i < merged.length; i++) {
+      for (let j = i + 1; j < merged.length; j++) {
+        const distance = deltaE2000(merged[i].lab, merged[j].lab);
+        if (!closest || distance < closest.distance) closest = { i, j, distance };
+      }
+    }
+
+    if (closest.distance >= MERGE_DELTA_E) break;
+    const combined = mergeEntries(merged[closest.i], merged[closest.j]);
+    merged.splice(closest.j, 1);
+    merged.splice(closest.i, 1, combined);
+  }
+
+  return merged;
+};
+
+// pixels: Uint8Array / Uint8ClampedArray (RGB 또는 RGBA), channels: 3 | 4
+// 결과: 비중이 큰 순서, weight 합계 = 1 (소수점 3자리)
+export const extractPalette = (pixels, { channels = 4, maxColors = MAX_PALETTE_COLORS } = {}) => {
+  const collected = collectPixels(pixels, channels);
+  if (collected.length === 0) return [];
+
+  const entries = mergeSimilar(refine(collected, medianCut(collected, maxColors)))
+    .sort((a, b) => b.count - a.count);
+
+  const total = entries.reduce((sum, entry) => sum + entry.count, 0);
+  return entries.map(entry => ({
+    color: toHex(entry.rgb.r, entry.rgb.g, entry.rgb.b),
+    weight: Math.round(entry.count / total * 1000) / 1000
+  }));
+};
+
+// ===== 비교 (earth mover's distance) =====
+
+// 팔레트 간 EMD - 가중치를 질량으로, ΔE2000을 운반 비용으로
+// 팔레트가 최대 6색이라 싼 간선부터 채우는 greedy 운송으로 충분히 근사
+// greyscale: B(작품)의 색은 무시하고 명도 위주로 비교 (대리석, 수묵 등 색이 없는 작품)
+//            A(사진)의 채도는 절반만 남겨 색이 강한 사진이 돌/먹과 너무 쉽게 맞지 않도록
+export const paletteDistance = (paletteA, paletteB, { greyscale = false } = {}) => {
+  if (paletteA.length === 0 || paletteB.length === 0) return Infinity;
+
+  const normalize = (palette) => {
+    const total = palette.reduce((sum, entry) => sum + entry.weight, 0) || 1;
+    return palette.map(entry => entry.weight / total);
+  };
+
+  const supply = normalize(paletteA);
+  const demand = normalize(paletteB);
+  const toLab = (chroma) => (entry) => {
+    const lab = hexToLab(entry.color);
+    return { L: lab.L, a: lab.a * chroma, b: lab.b * chroma };
+  };
+  const labsA = paletteA.map(toLab(greyscale ? GREYSCALE_PHOTO_CHROMA : 1));
+  const labsB = paletteB.map(toLab(greyscale ? 0 : 1));
+
+  const edges = [];
+  labsA.forEach((labA, i) => {
+    labsB.forEach((labB, j) => edges.push({ i, j, cost: deltaE2000(labA, labB) }));
+  });
+  edges.sort((a, b) => a.cost - b.cost);
+
+  let distance = 0;
+  for (const { i, j, cost } of edges) {
+    const flow = Math.min(supply[i], demand[j]);
+    if (flow <= 0) continue;
+    distance += flow * cost;
+    supply[i] -= flow;
+    demand[j] -= flow;
+  }
+
+  return distance;
+};
+
+export const paletteSimilarity = (paletteA, paletteB, options) => {
+  return Math.max(0, 1 - paletteDistance(paletteA, paletteB, options) / SIMILARITY_SCALE);
+};
+
+// 팔레트 색온도 - 가중 평균 a*/b* 기준 ('warm' | 'cool' | 'neutral')
+export const getPaletteTemperature = (palette) => {
+  let a = 0;
+  let b = 0;
+  for (const entry of palette) {
+    const lab = hexToLab(entry.color);
+    a += lab.a * entry.weight;
+    b += lab.b * entry.weight;
+  }
+
+  if (Math.hypot(a, b) < 8) return 'neutral';
+  return b > 0 || a > 15 ? 'warm' : 'cool';
+};
+
+// 팔레트의 가중 평균 색 (RGB) - 예전 평균색 매칭(legacy 전략)용
+export const getAverageColor = (palette) => {
+  const sum = { r: 0, g: 0, b: 0 };
+  for (const entry of palette) {
+    const rgb = hexToRgb(entry.color) || { r: 0, g: 0, b: 0 };
+    sum.r += rgb.r * entry.weight;
+    sum.g += rgb.g * entry.weight;
+    sum.b += rgb.b * entry.weight;
+  }
+  return sum;
+};
@@ -0,0 +1,166 @@
+// Photo decoding & analysis - Web Worker(src/workers/photoAnalysis.worker.js)와
+// 워커를 쓸 수 없는 브라우저의 메인 스레드 경로가 같은 코드를 사용
+//
+//   analyzePhoto(file, { maxMegapixels })          → { palette, brightness, orientation, features }
+//   resizePhoto(file, { maxSide, maxMegapixels })  → JPEG Blob (EXIF 회전이 적용된 상태로 저장)
+
+import { computeImageFeatures, getOrientation } from './imageFeatures';
+import { extractPalette } from './palette';
+
+// 사진 분석 크기 - 카탈로그 생성(scripts/build-artwork-catalog.js)과 같게
+export const ANALYSIS_SIZE = 64;
+
+// 이보다 큰 사진은 디코딩 직후 줄이고 나서 분석/리사이즈 (휴대폰 48MP 사진 등)
+export const DEFAULT_MAX_MEGAPIXELS = 12;
+
+const JPEG_QUALITY = 0.95;
+
+const createCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+const canvasToBlob = (canvas, type, quality) => {
+  if (typeof canvas.convertToBlob === 'function') {
+    return canvas.convertToBlob({ type, quality });
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error('Failed to encode image'));
+    }, type, quality);
+  });
+};
+
+// 비율을 유지한 채 긴 변을 maxSide 이하로
+export const fitWithin = (width, height, maxSide) => {
+  const scale = Math.min(1, maxSide / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+};
+
+// 비율을 유지한 채 화소 수를 maxMegapixels 이하로
+const fitMegapixels = (width, height, maxMegapixels) => {
+  const scale = Math.min(1, Math.sqrt((maxMegapixels * 1e6) / (width * height)));
+  return {
+    width: Math.max(1, Math.floor(width * scale)),
+    height: Math.max(1, Math.floor(height * scale))
+  };
+};
+
+// <img> 디코딩 - createImageBitmap이 없거나 EXIF 옵션을 못 쓰는 브라우저 (메인 스레드 전용)
+// 최신 브라우저는 <img>도 EXIF 회전을 적용
+const decodeWithImage = (file) => {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    const url = URL.createObjectURL(file);
+
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Failed to decode photo'));
+    };
+    img.src = url;
+  });
+};
+
+// EXIF 회전을 적용해서 디코딩 (휴대폰 세로 사진이 가로로 분석/전송되지 않도록)
+// → { source, width, height, release } - source는 drawImage에 바로 쓸 수 있는 이미지
+const decodePhoto = async (file, maxMegapixels) => {
+  let source;
+  let width;
+  let height;
+  let release = () => {};
+
+  try {
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    source = bitmap;
+    width = bitmap.width;
+    height = bitmap.height;
+    release = () => bitmap.close();
+  } catch (error) {
+    if (typeof document === 'undefined') throw error; // 워커에는 <img>가 없음
+    source = await decodeWithImage(file);
+    width = source.naturalWidth;
+    height = source.naturalHeight;
+  }
+
+  const limited = fitMegapixels(width, height, maxMegapixels);
+  if (limited.width === width && limited.height === height) {
+    return { source, width, height, release };
+  }
+
+  // 큰 사진은 먼저 줄이고 원본은 바로 해제
+  try {
+    const canvas = createCanvas(limited.width, limited.height);
+    canvas.getContext('2d').drawImage(source, 0, 0, limited.width, limited.height);
+    return { source: canvas, ...limited, release: () => {} };
+  } finally {
+    release();
+  }
+};
+
+const drawScaled = (photo, maxSide) => {
+  const { width, height } = fitWithin(photo.width, photo.height, maxSide);
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(photo.source, 0, 0, width, height);
+  return { canvas, ctx, width, height };
+};
+
+// Extract palette, brightness, orientation and composition/texture features from the photo
+export const analyzePhoto = async (file, { maxMegapixels = DEFAULT_MAX_MEGAPIXELS } = {}) => {
+  const photo = await decodePhoto(file, maxMegapixels);
+
+  try {
+    // 비율을 유지한 채 긴 변을 64px로 (작품 분석과 같은 조건)
+    const { ctx, width, height } = drawScaled(photo, ANALYSIS_SIZE);
+    const pixels = ctx.getImageData(0, 0, width, height).data;
+
+    // 작품과 같은 방식: RGB 평균 / 255 * 100
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < pixels.length; i += 4) {
+      sum += pixels[i] + pixels[i + 1] + pixels[i + 2];
+      count += 3;
+    }
+
+    return {
+      palette: extractPalette(pixels, { channels: 4 }),
+      brightness: Math.floor(sum / count / 255 * 100),
+      orientation: getOrientation(photo.width, photo.height),
+      features: computeImageFeatures(pixels, {
+        width,
+        height,
+        channels: 4,
+        sourceWidth: photo.width,
+        sourceHeight: photo.height
+      })
+    };
+  } finally {
+    photo.release();
+  }
+};
+
+// 긴 변 기준으로 축소한 JPEG (서버 해상도 제한 대응)
+// 회전이 픽셀에 반영되므로 EXIF가 없는 JPEG이어도 방향이 맞음
+export const resizePhoto = async (file, { maxSide, maxMegapixels = DEFAULT_MAX_MEGAPIXELS }) => {
+  const photo = await decodePhoto(file, maxMegapixels);
+
+  try {
+    const { canvas } = drawScaled(photo, maxSide);
+    return await canvasToBlob(canvas, 'image/jpeg', JPEG_QUALITY);
+  } finally {
+    photo.release();
+  }
+};
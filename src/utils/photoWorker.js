@@ -0,0 +1,81 @@
+// Photo worker client - 사진 분석/리사이즈를 Web Worker로 보내고 결과를 Promise로
+// 워커(OffscreenCanvas)를 쓸 수 없거나 워커에서 실패하면 메인 스레드에서 같은 코드로 처리
+//
+// VITE_MAX_PHOTO_MEGAPIXELS - 이보다 큰 사진은 디코딩 직후 축소 (기본 12MP)
+
+import { analyzePhoto, DEFAULT_MAX_MEGAPIXELS, resizePhoto } from './photoAnalysis';
+
+const MAX_PHOTO_MEGAPIXELS = Number(import.meta.env.VITE_MAX_PHOTO_MEGAPIXELS) || DEFAULT_MAX_MEGAPIXELS;
+
+const MAIN_THREAD_TASKS = {
+  analyze: analyzePhoto,
+  resize: resizePhoto
+};
+
+const supportsWorker = () =>
+  typeof Worker !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined' &&
+  typeof createImageBitmap === 'function';
+
+let worker = null;
+let nextId = 0;
+const pending = new Map(); // id → { resolve, reject }
+
+const rejectAll = (error) => {
+  for (const { reject } of pending.values()) reject(error);
+  pending.clear();
+};
+
+const getWorker = () => {
+  if (worker) return worker;
+
+  worker = new Worker(new URL('../workers/photoAnalysis.worker.js', import.meta.url), { type: 'module' });
+
+  worker.onmessage = ({ data }) => {
+    const task = pending.get(data.id);
+    if (!task) return;
+    pending.delete(data.id);
+
+    if (data.error) task.reject(new Error(data.error));
+    else task.resolve(data.result);
+  };
+
+  // 워커 스크립트를 불러오지 못함 (CSP 등) - 다음 요청은 새 워커로
+  worker.onerror = (event) => {
+    event.preventDefault();
+    worker.terminate();
+    worker = null;
+    rejectAll(new Error('Photo worker failed'));
+  };
+
+  return worker;
+};
+
+const runInWorker = (task, file, options) => {
+  return new Promise((resolve, reject) => {
+    const id = ++nextId;
+    pending.set(id, { resolve, reject });
+    getWorker().postMessage({ id, task, file, options });
+  });
+};
+
+const runTask = async (task, file, options = {}) => {
+  const taskOptions = { maxMegapixels: MAX_PHOTO_MEGAPIXELS, ...options };
+
+  if (supportsWorker()) {
+    try {
+      return await runInWorker(task, file, taskOptions);
+    } catch (error) {
+      // 메인 스레드에는 <img> 디코딩 경로가 있어서 한 번 더 시도
+      console.warn('Photo worker failed, retrying on main thread:', error.message);
+    }
+  }
+
+  return MAIN_THREAD_TASKS[task](file, taskOptions);
+};
+
+// → { palette, brightness, orientation, features }
+export const analyzePhotoFile = (file) => runTask('analyze', file);
+
+// → JPEG Blob, 긴 변 maxSide 이하
+export const resizePhotoFile = (file, maxSide) => runTask('resize', file, { maxSide });
@@ -0,0 +1,23 @@
+// 브라우저별 세션 id - 서버가 IP와 함께 rate limit / 하루 한도 계산에 사용,
+// 매칭 전략 A/B 배정에도 사용 (같은 브라우저는 항상 같은 전략)
+const SESSION_KEY = 'picoart:session';
+
+// 랜덤 id (세션 id, 변환 요청 id) - crypto.randomUUID는 보안 컨텍스트(HTTPS/localhost)에서만 있음
+// LAN의 휴대폰처럼 일반 HTTP로 접속하면 getRandomValues로 만든 16진수 문자열 사용
+export const createRandomId = () => {
+  if (typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+  return Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+export const getSessionId = () => {
+  try {
+    let sessionId = localStorage.getItem(SESSION_KEY);
+    if (!sessionId) {
+      sessionId = createRandomId();
+      localStorage.setItem(SESSION_KEY, sessionId);
+    }
+    return sessionId;
+  } catch {
+    return null; // 저장소 사용 불가 → 서버는 IP 기준으로만 제한
+  }
+};
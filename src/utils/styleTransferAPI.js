@@ -1,6 +1,10 @@
 // v16: XLabs FLUX Depth ControlNet with optimized prompts
 // 깊이 정보 기반으로 사진 구조를 완벽하게 유지하면서 화풍만 변경
 
+import { DEFAULT_GENERATION_OPTIONS } from '../data/generationPresets';
+import { resizePhotoFile } from './photoWorker';
+import { createRandomId, getSessionId } from './session';
+
 const fileToBase64 = async (file) => {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
@@ -10,255 +14,454 @@ const fileToBase64 = async (file) => {
   });
 };
 
+// 긴 변 기준으로 축소 (서버 해상도 제한 대응) - EXIF 회전 적용, Web Worker에서 처리
 const resizeImage = async (file, maxWidth = 1024) => {
-  return new Promise((resolve) => {
-    const img = new Image();
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    
-    img.onload = () => {
-      let width = img.width;
-      let height = img.height;
-      
-      if (width > maxWidth) {
-        height = (height * maxWidth) / width;
-        width = maxWidth;
-      }
-      
-      canvas.width = width;
-      canvas.height = height;
-      ctx.drawImage(img, 0, 0, width, height);
-      
-      canvas.toBlob((blob) => {
-        resolve(new File([blob], file.name, { type: 'image/jpeg' }));
-      }, 'image/jpeg', 0.95);
-    };
-    
-    img.src = URL.createObjectURL(file);
-  });
+  try {
+    const blob = await resizePhotoFile(file, maxWidth);
+    return new File([blob], file.name, { type: 'image/jpeg' });
+  } catch (error) {
+    throw new StyleTransferError(TRANSFER_ERRORS.INVALID_IMAGE, error.message || 'Failed to decode image');
+  }
+};
+
+// Mock 모드는 명시적으로 켰을 때만 (VITE_MOCK_STYLE_TRANSFER=true)
+// 실패 시 자동 대체하지 않음 - 원본 사진이 결과처럼 보이는 것을 방지
+export const MOCK_MODE = import.meta.env.VITE_MOCK_STYLE_TRANSFER === 'true';
+
+// 변환 실패 유형
+export const TRANSFER_ERRORS = {
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  PROVIDER_REJECTED: 'provider_rejected',
+  QUOTA: 'quota',
+  INVALID_IMAGE: 'invalid_image',
+  RATE_LIMITED: 'rate_limited', // 짧은 시간에 요청이 너무 많음 (잠시 후 가능)
+  DAILY_LIMIT: 'daily_limit', // 오늘 변환 횟수 소진 (내일 가능)
+  ABORTED: 'aborted' // 사용자가 취소하거나 화면을 떠남 (오류로 표시하지 않음)
+};
+
+export const TRANSFER_ERROR_MESSAGES = {
+  [TRANSFER_ERRORS.NETWORK]: '서버와 연결할 수 없습니다. 네트워크 상태를 확인해주세요.',
+  [TRANSFER_ERRORS.TIMEOUT]: '변환 시간이 너무 오래 걸리고 있습니다. 잠시 후 다시 시도해주세요.',
+  [TRANSFER_ERRORS.PROVIDER_REJECTED]: 'AI 서비스가 이 요청을 처리하지 못했습니다. 다른 사진이나 작품으로 시도해주세요.',
+  [TRANSFER_ERRORS.QUOTA]: '현재 사용량 한도를 초과했습니다. 잠시 후 다시 시도해주세요.',
+  [TRANSFER_ERRORS.INVALID_IMAGE]: '사진을 처리할 수 없습니다. JPG 또는 PNG 사진으로 다시 시도해주세요.',
+  [TRANSFER_ERRORS.RATE_LIMITED]: '요청이 너무 많습니다. 잠시 후 다시 시도해주세요.',
+  [TRANSFER_ERRORS.DAILY_LIMIT]: '오늘 사용할 수 있는 변환 횟수를 모두 사용했습니다. 내일 다시 이용해주세요.'
+};
+
+// 서버가 알려준 한도/대기 시간(details)이 있으면 문구에 포함
+export const getTransferErrorMessage = (type, details = {}) => {
+  const { limit, retryAfter } = details || {};
+
+  if (type === TRANSFER_ERRORS.RATE_LIMITED && retryAfter) {
+    return `요청이 너무 많습니다. ${retryAfter}초 후 다시 시도해주세요.`;
+  }
+  if (type === TRANSFER_ERRORS.DAILY_LIMIT && limit) {
+    return `오늘 사용할 수 있는 변환 횟수(${limit}회)를 모두 사용했습니다. 내일 다시 이용해주세요.`;
+  }
+  return TRANSFER_ERROR_MESSAGES[type] || '오류가 발생했습니다. 다시 시도해주세요.';
 };
 
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// 자동 재시도 대상 (일시적 오류)
+const TRANSIENT_ERRORS = [TRANSFER_ERRORS.NETWORK, TRANSFER_ERRORS.TIMEOUT];
+
+export const isTransientError = (type) => TRANSIENT_ERRORS.includes(type);
+
+export class StyleTransferError extends Error {
+  constructor(type, message, details) {
+    super(message);
+    this.name = 'StyleTransferError';
+    this.type = type;
+    this.details = details;
+  }
+}
+
+const createAbortError = () => new StyleTransferError(TRANSFER_ERRORS.ABORTED, 'Style transfer canceled');
 
-// v16: Depth ControlNet 최적화 프롬프트
-// Depth 컨트롤은 3차원 구조를 유지하므로 프롬프트에서 이를 강조
-const createDepthArtisticPrompt = (artwork) => {
-  const artist = artwork.artistEn || artwork.artist;
-  const style = artwork.style;
+export const isAbortError = (error) => {
+  return error?.type === TRANSFER_ERRORS.ABORTED || error?.name === 'AbortError';
+};
+
+// signal이 abort되면 즉시 reject되는 sleep
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
   
-  // 화가별 Depth-optimized 프롬프트
-  const artistPrompts = {
-    // 인상주의 - 빛과 대기 표현
-    'Claude Monet': 
-      'soft impressionist brushstrokes, dappled natural light, ' +
-      'vibrant outdoor colors, atmospheric perspective, ' +
-      'maintaining depth and composition, plein-air painting style',
-    
-    'Pierre-Auguste Renoir': 
-      'warm luminous tones, soft focus effects, ' +
-      'joyful atmosphere with natural lighting, ' +
-      'preserving spatial relationships, impressionist portrait style',
-    
-    'Edgar Degas': 
-      'dynamic composition, ballet scene aesthetics, ' +
-      'indoor natural lighting, pastel color palette, ' +
-      'maintaining depth and movement, impressionist style',
-    
-    // 표현주의 - 감정과 형태
-    'Edvard Munch': 
-      'expressive emotional brushstrokes, swirling undulating forms, ' +
-      'dramatic color palette, psychological intensity, ' +
-      'preserving original depth structure, expressionist masterpiece',
-    
-    'Egon Schiele': 
-      'angular expressive lines, emotional psychological depth, ' +
-      'expressive gestures and poses, muted earth tones, ' +
-      'maintaining composition, expressionist portrait style',
-    
-    // 후기인상주의 - 구조와 감정
-    'Vincent van Gogh': 
-      'thick impasto oil paint texture, swirling dynamic brushwork, ' +
-      'vibrant colors with emotional intensity, ' +
-      'preserving subject positioning and depth, post-impressionist masterpiece',
-    
-    'Paul Cézanne': 
-      'geometric structured forms, balanced composition, ' +
-      'muted natural colors, architectural perspective, ' +
-      'maintaining spatial depth, post-impressionist style',
-    
-    'Paul Gauguin':
-      'bold flat color areas, decorative patterns, ' +
-      'exotic tropical atmosphere, simplified forms, ' +
-      'preserving composition, post-impressionist style',
-    
-    // 야수주의 - 색채 표현
-    'Henri Matisse': 
-      'bold vibrant colors, simplified decorative forms, ' +
-      'ornate patterns and shapes, joyful composition, ' +
-      'maintaining original structure, fauvist painting style',
-    
-    // 입체주의 - 다시점 표현
-    'Pablo Picasso': 
-      'geometric fragmented forms, analytical multiple perspectives, ' +
-      'cubist angular shapes, earth tone palette, ' +
-      'maintaining recognizable subject with multiple angles, modernist masterpiece',
-    
-    // 아르누보/상징주의
-    'Gustav Klimt':
-      'ornate decorative patterns, gold leaf symbolic details, ' +
-      'art nouveau elegance, Byzantine influences, ' +
-      'preserving subject and depth, Vienna Secession style',
-    
-    // 상징주의
-    'Odilon Redon':
-      'dreamlike symbolic imagery, mystical atmosphere, ' +
-      'soft pastel colors, spiritual depth, ' +
-      'maintaining composition, symbolist style'
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
   };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
   
-  // 스타일별 기본 Depth-aware 키워드
-  const styleKeywords = {
-    'impressionism': 
-      'soft brushstrokes, natural dappled light, outdoor atmosphere, ' +
-      'atmospheric perspective, maintaining spatial depth',
-    
-    'expressionism': 
-      'emotional bold expression, dramatic colors, expressive forms, ' +
-      'psychological intensity, preserving composition',
-    
-    'fauvism': 
-      'wild vibrant colors, simplified bold forms, decorative patterns, ' +
-      'maintaining structure, fauvist style',
-    
-    'cubism': 
-      'geometric fragmented shapes, multiple perspectives, angular forms, ' +
-      'preserving recognizable subject, cubist analysis',
-    
-    'surrealism': 
-      'dreamlike quality, imaginative elements, surreal atmosphere, ' +
-      'maintaining depth relationships, surrealist style',
-    
-    'romanticism': 
-      'dramatic lighting, emotional sublime atmosphere, heroic beauty, ' +
-      'preserving spatial composition, romantic style',
-    
-    'baroque': 
-      'dramatic chiaroscuro, rich vibrant colors, ornate details, ' +
-      'maintaining depth and drama, baroque style',
-    
-    'renaissance': 
-      'realistic proportions, balanced harmonious composition, classical beauty, ' +
-      'preserving spatial relationships, renaissance style'
-  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const withSessionHeader = (headers = {}) => {
+  const sessionId = getSessionId();
+  return sessionId ? { ...headers, 'X-Session-Id': sessionId } : headers;
+};
+
+// 서버 에러 코드 → 실패 유형
+const ERROR_CODE_TYPES = {
+  RATE_LIMITED: TRANSFER_ERRORS.RATE_LIMITED,
+  DAILY_QUOTA_EXCEEDED: TRANSFER_ERRORS.DAILY_LIMIT,
+  IMAGE_REQUIRED: TRANSFER_ERRORS.INVALID_IMAGE,
+  INVALID_IMAGE: TRANSFER_ERRORS.INVALID_IMAGE,
+  IMAGE_TOO_LARGE: TRANSFER_ERRORS.INVALID_IMAGE,
+  UNSUPPORTED_IMAGE_TYPE: TRANSFER_ERRORS.INVALID_IMAGE,
+  INVALID_IMAGE_DIMENSIONS: TRANSFER_ERRORS.INVALID_IMAGE,
+  PROVIDER_QUOTA_EXCEEDED: TRANSFER_ERRORS.QUOTA,
+  PROVIDER_RATE_LIMITED: TRANSFER_ERRORS.QUOTA,
+  PROVIDER_REJECTED: TRANSFER_ERRORS.PROVIDER_REJECTED,
+  PROVIDER_UNREACHABLE: TRANSFER_ERRORS.NETWORK,
+  PROVIDER_ERROR: TRANSFER_ERRORS.NETWORK
+};
+
+const getErrorTypeForResponse = (status, code) => {
+  if (ERROR_CODE_TYPES[code]) return ERROR_CODE_TYPES[code];
+  if (status === 402 || status === 429) return TRANSFER_ERRORS.QUOTA;
+  if (status === 413 || status === 415) return TRANSFER_ERRORS.INVALID_IMAGE;
+  if (status >= 400 && status < 500) return TRANSFER_ERRORS.PROVIDER_REJECTED;
+  return TRANSFER_ERRORS.NETWORK;
+};
+
+// 일시적 오류는 지수 백오프로 재시도 (1s → 2s → 4s ...)
+export const withBackoff = async (task, { retries = 2, baseDelayMs = 1000, onRetry, signal } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      const transient = error instanceof StyleTransferError && isTransientError(error.type);
+      if (!transient || attempt >= retries) throw error;
+      
+      const delay = baseDelayMs * 2 ** attempt;
+      if (onRetry) onRetry(attempt + 1, retries, delay, error);
+      await sleep(delay, signal);
+    }
+  }
+};
+
+// API 호출 - 네트워크/서버 에러를 StyleTransferError로 변환
+const fetchJson = async (url, options = {}) => {
+  let response;
+
+  try {
+    response = await fetch(url, { ...options, headers: withSessionHeader(options.headers) });
+  } catch (error) {
+    if (options.signal?.aborted) throw createAbortError();
+    throw new StyleTransferError(TRANSFER_ERRORS.NETWORK, error.message);
+  }
+
+  if (!response.ok) {
+    // 서버 에러 본문: { error, code, details? }
+    const errorBody = await response.json().catch(() => ({}));
+    console.error('Server error:', errorBody);
+    throw new StyleTransferError(
+      getErrorTypeForResponse(response.status, errorBody.code),
+      errorBody.error || `Server error: ${response.status}`,
+      { status: response.status, code: errorBody.code, ...errorBody.details }
+    );
+  }
+
+  return response.json();
+};
+
+// 결과 이미지 다운로드
+const downloadImage = async (url, signal) => {
+  let response;
+  try {
+    response = await fetch(url, { signal });
+  } catch (error) {
+    if (signal?.aborted) throw createAbortError();
+    throw new StyleTransferError(TRANSFER_ERRORS.NETWORK, error.message);
+  }
   
-  const artistStyle = artistPrompts[artist] || styleKeywords[style] || 
-    'artistic painting style, maintaining original composition and depth';
+  if (!response.ok) {
+    throw new StyleTransferError(TRANSFER_ERRORS.NETWORK, `Result download failed: ${response.status}`);
+  }
   
-  // Depth ControlNet에 최적화된 최종 프롬프트
-  return `A beautiful high-quality painting in the style of ${artist}, ` +
-    `${artistStyle}, ` +
-    `photorealistic interpretation, ` +
-    `preserving facial features and spatial relationships, ` +
-    `masterpiece quality, detailed artistic rendering`;
+  return response.blob();
 };
 
-// v16: XLabs FLUX Depth ControlNet으로 스타일 변환
-export const applyStyleTransfer = async (photoFile, artwork, onProgress) => {
+// 진행 중인 예측을 provider에서 취소 (화면 이탈 시에도 전송되도록 keepalive)
+export const cancelPrediction = async (predictionId) => {
   try {
-    // 1024x1024로 리사이즈 (XLabs 모델 최적 해상도)
-    const resizedPhoto = await resizeImage(photoFile, 1024);
-    const photoBase64 = await fileToBase64(resizedPhoto);
-    
-    // Depth-optimized 프롬프트 생성
-    const prompt = createDepthArtisticPrompt(artwork);
-    
-    if (onProgress) onProgress('AI 분석 중...');
-    
-    // v16 Serverless function 호출
-    const createResponse = await fetch('/api/replicate', {
+    await fetch('/api/cancel-prediction', {
       method: 'POST',
-      headers: {
+      headers: withSessionHeader({
         'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        image: photoBase64,
-        prompt: prompt,
-        style: artwork.style
-      })
+      }),
+      body: JSON.stringify({ id: predictionId }),
+      keepalive: true
+    });
+  } catch (error) {
+    console.warn('Failed to cancel prediction:', error);
+  }
+};
+
+const TERMINAL_STATUSES = ['succeeded', 'failed', 'canceled'];
+const isTerminalStatus = (status) => TERMINAL_STATUSES.includes(status);
+
+// 예측 최대 대기 시간 (최대 3분)
+const PREDICTION_TIMEOUT_MS = 3 * 60 * 1000;
+const POLL_INTERVAL_MS = 2000;
+
+// 상태 → 진행 문구 (progress는 서버가 모델 로그에서 계산, 없으면 추정치)
+const reportPredictionProgress = (state, fallbackPercent, onProgress) => {
+  if (!onProgress) return;
+  
+  if (state.status === 'starting') {
+    onProgress('AI 모델을 준비하고 있습니다...');
+    return;
+  }
+  
+  const percent = state.progress ?? fallbackPercent;
+  if (percent === undefined || percent === null) {
+    onProgress('예술 작품 생성 중...');
+    return;
+  }
+  onProgress(`예술 작품 생성 중... ${Math.floor(Math.min(99, percent))}%`);
+};
+
+// SSE로 상태 변경을 push 받음 (webhook → /api/prediction-events)
+const subscribeToPrediction = (predictionId, { signal, onUpdate, deadline }) => {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/prediction-events?id=${encodeURIComponent(predictionId)}`);
+    let failuresInRow = 0;
+    
+    const finish = (callback, value) => {
+      source.close();
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      callback(value);
+    };
+    const onAbort = () => finish(reject, createAbortError());
+    const timer = setTimeout(() => {
+      finish(reject, new StyleTransferError(TRANSFER_ERRORS.TIMEOUT, 'Processing timeout'));
+    }, Math.max(0, deadline - Date.now()));
+    
+    source.addEventListener('status', (event) => {
+      failuresInRow = 0;
+      const state = JSON.parse(event.data);
+      if (isTerminalStatus(state.status)) {
+        finish(resolve, state);
+      } else {
+        onUpdate(state);
+      }
     });
     
-    if (!createResponse.ok) {
-      const errorText = await createResponse.text();
-      console.error('Server error:', errorText);
-      throw new Error(`Server error: ${createResponse.status}`);
+    // 서버가 보낸 실패 이벤트 → polling으로 전환
+    source.addEventListener('failure', (event) => {
+      finish(reject, new StyleTransferError(TRANSFER_ERRORS.NETWORK, `Event stream failed: ${event.data}`));
+    });
+    
+    // 연결 오류 - 서버가 스트림을 닫은 후 자동 재연결은 정상, 연속 실패만 포기
+    source.onerror = () => {
+      failuresInRow++;
+      if (source.readyState === EventSource.CLOSED || failuresInRow >= 3) {
+        finish(reject, new StyleTransferError(TRANSFER_ERRORS.NETWORK, 'Event stream unavailable'));
+      }
+    };
+    
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener('abort', onAbort, { once: true });
+  });
+};
+
+// 2초 간격 polling (SSE fallback)
+const pollPrediction = async (predictionId, { signal, onUpdate, onRetry, deadline }) => {
+  let attempts = 0;
+  
+  while (Date.now() < deadline) {
+    await sleep(POLL_INTERVAL_MS, signal);
+    attempts++;
+    
+    // 상태 확인 실패는 예측을 새로 만들지 않고 확인만 재시도
+    const state = await withBackoff(
+      () => fetchJson(`/api/check-prediction?id=${encodeURIComponent(predictionId)}`, { signal }),
+      { retries: 3, onRetry, signal }
+    );
+    
+    if (isTerminalStatus(state.status)) return state;
+    onUpdate(state, 10 + attempts);
+  }
+  
+  throw new StyleTransferError(TRANSFER_ERRORS.TIMEOUT, 'Processing timeout');
+};
+
+// 예측이 끝날 때까지 대기 → 최종 상태 반환
+const waitForPrediction = async (prediction, { signal, onUpdate, onRetry }) => {
+  if (isTerminalStatus(prediction.status)) return prediction;
+  
+  const deadline = Date.now() + PREDICTION_TIMEOUT_MS;
+  onUpdate(prediction, 10);
+  
+  if (typeof EventSource !== 'undefined') {
+    try {
+      return await subscribeToPrediction(prediction.id, { signal, onUpdate, deadline });
+    } catch (error) {
+      if (isAbortError(error) || error.type === TRANSFER_ERRORS.TIMEOUT) throw error;
+      console.warn('Event stream unavailable, falling back to polling:', error.message);
     }
+  }
+  
+  return pollPrediction(prediction.id, { signal, onUpdate, onRetry, deadline });
+};
+
+// 예측 시작(생성 또는 기존 예측 조회) → 완료 대기 → 결과 다운로드
+// options.onPredictionCreated: 예측 id가 정해지면 호출 (새로고침 후 재개용 저장)
+const runPrediction = async (startPrediction, onProgress, { signal, onPredictionCreated } = {}) => {
+  // 실패한 단계 기록: transfer (생성/polling) | download (결과 받기)
+  let stage = 'transfer';
+  let predictionId = null;
+  let finished = false;
+  
+  // 일시적 오류 재시도 시 진행 상태에 표시
+  const onRetry = (attempt, retries) => {
+    if (onProgress) onProgress(`연결이 불안정합니다. 다시 시도 중... (${attempt}/${retries})`);
+  };
+  
+  try {
+    const prediction = await startPrediction(onRetry);
     
-    const prediction = await createResponse.json();
+    predictionId = prediction.id;
+    // 캐시된 결과는 이미 완료 상태 - 재개할 작업이 없음
+    if (onPredictionCreated && !prediction.cached) onPredictionCreated(prediction);
     
     if (onProgress) onProgress('고품질 예술 작품 생성 중...');
     
-    // 결과 polling (XLabs는 약 54초 소요)
-    let result = prediction;
-    let attempts = 0;
-    const maxAttempts = 90; // 최대 3분
+    // 결과 대기 (XLabs는 약 54초 소요) - SSE push 우선, 안 되면 polling
+    const result = await waitForPrediction(prediction, {
+      signal,
+      onRetry,
+      onUpdate: (state, fallbackPercent) => reportPredictionProgress(state, fallbackPercent, onProgress)
+    });
     
-    while (result.status !== 'succeeded' && result.status !== 'failed' && attempts < maxAttempts) {
-      await sleep(2000); // 2초마다 확인
-      attempts++;
-      
-      const checkResponse = await fetch(`/api/check-prediction?id=${prediction.id}`);
-      
-      if (!checkResponse.ok) {
-        throw new Error('Failed to check status');
-      }
-      
-      result = await checkResponse.json();
-      
-      if (onProgress) {
-        const progress = Math.min(95, 10 + (attempts * 1.0));
-        onProgress(`예술 작품 생성 중... ${Math.floor(progress)}%`);
-      }
-    }
+    finished = isTerminalStatus(result.status);
     
-    if (result.status === 'failed') {
-      throw new Error('Style transfer failed');
+    if (result.status === 'failed' || result.status === 'canceled') {
+      // predictionStatus: 예측 자체가 끝남 (새로고침 후 재개한 작업은 이어갈 예측이 없음)
+      throw new StyleTransferError(
+        TRANSFER_ERRORS.PROVIDER_REJECTED,
+        result.error || `Style transfer ${result.status}`,
+        { predictionStatus: result.status }
+      );
     }
     
     if (result.status !== 'succeeded') {
-      throw new Error('Processing timeout');
+      throw new StyleTransferError(TRANSFER_ERRORS.TIMEOUT, 'Processing timeout');
     }
     
     const resultUrl = Array.isArray(result.output) ? result.output[0] : result.output;
     
     if (!resultUrl) {
-      throw new Error('No result image');
+      throw new StyleTransferError(TRANSFER_ERRORS.PROVIDER_REJECTED, 'No result image');
     }
     
     // 이미지 다운로드
-    const imageResponse = await fetch(resultUrl);
-    const blob = await imageResponse.blob();
+    stage = 'download';
+    if (onProgress) onProgress('완성된 작품을 받아오는 중...');
+    
+    const blob = await withBackoff(() => downloadImage(resultUrl, signal), { onRetry, signal });
     const localUrl = URL.createObjectURL(blob);
     
     return {
       success: true,
       resultUrl: localUrl,
       blob,
-      remoteUrl: resultUrl
+      remoteUrl: resultUrl,
+      predictionId,
+      cached: Boolean(prediction.cached)
     };
     
   } catch (error) {
+    if (isAbortError(error)) {
+      // 아직 진행 중인 예측은 provider에서도 취소 (비용 발생 방지)
+      if (predictionId && !finished) cancelPrediction(predictionId);
+      return {
+        success: false,
+        error: 'Style transfer canceled',
+        errorType: TRANSFER_ERRORS.ABORTED,
+        failedStage: stage
+      };
+    }
+    
     console.error('Style transfer error:', error);
     return {
       success: false,
-      error: error.message
+      error: error.message,
+      errorType: error instanceof StyleTransferError ? error.type : TRANSFER_ERRORS.NETWORK,
+      errorDetails: error.details,
+      failedStage: stage
     };
   }
 };
 
-// Mock (무료 티어용)
-export const mockStyleTransfer = async (photoFile, onProgress) => {
+// v16: XLabs FLUX Depth ControlNet으로 스타일 변환
+// 프롬프트는 서버가 작품 id로 조립 (api/_lib/prompts) - 템플릿을 바꿔도 클라이언트 배포 불필요
+// options.match: { strategy: 'composition@2', score: 0.72 } - 이 작품을 고른 매칭 전략 (서버 기록용)
+// options.generation: 변환 옵션 (src/data/generationPresets.js) - 없으면 기본값
+//   subjectType은 프롬프트 변수로, 나머지는 모델 파라미터로 서버에서 검사 후 사용
+export const applyStyleTransfer = async (photoFile, artwork, onProgress, options = {}) => {
+  const { signal, match } = options;
+  const { subjectType, outputSize, ...controls } = options.generation || DEFAULT_GENERATION_OPTIONS;
+  // 재시도해도 같은 id → 서버가 이미 만든 예측을 돌려줌 (5xx 후 재시도로 예측이 두 번 생기지 않음)
+  const requestId = createRandomId();
+  
+  return runPrediction(async (onRetry) => {
+    // 출력 크기로 리사이즈 - 결과 이미지는 입력(Depth 컨트롤 이미지)과 같은 크기
+    const resizedPhoto = await resizeImage(photoFile, outputSize);
+    const photoBase64 = await fileToBase64(resizedPhoto);
+    if (signal?.aborted) throw createAbortError();
+    
+    if (onProgress) onProgress('AI 분석 중...');
+    
+    // v16 Serverless function 호출
+    // 같은 사진 + 작품 + 변환 옵션 + 템플릿 버전이면 서버가 이전 결과를 돌려줌
+    return withBackoff(() => fetchJson('/api/replicate', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        image: photoBase64,
+        artworkId: artwork.id,
+        subjectType,
+        generation: { ...controls, outputSize },
+        match,
+        requestId
+      }),
+      signal
+    }), { onRetry, signal });
+  }, onProgress, options);
+};
+
+// 새로고침 전에 만든 예측을 이어서 대기 (새 예측을 만들지 않음)
+export const resumeStyleTransfer = async (predictionId, onProgress, options = {}) => {
+  const { signal } = options;
+  
+  if (onProgress) onProgress('진행 중이던 변환을 이어서 확인하고 있습니다...');
+  
+  return runPrediction((onRetry) => withBackoff(
+    () => fetchJson(`/api/check-prediction?id=${encodeURIComponent(predictionId)}`, { signal }),
+    { onRetry, signal }
+  ), onProgress, options);
+};
+
+// Mock (개발용) - 원본 사진을 그대로 돌려줌, 결과에 isMock 표시
+export const mockStyleTransfer = async (photoFile, onProgress, { signal } = {}) => {
+  const canceled = { success: false, error: 'Style transfer canceled', errorType: TRANSFER_ERRORS.ABORTED };
+  if (signal?.aborted) return canceled;
+  
   return new Promise((resolve) => {
     let progress = 0;
+    
     const interval = setInterval(() => {
       progress += 10;
       if (onProgress) onProgress(`처리 중... ${progress}%`);
@@ -274,19 +477,24 @@ export const mockStyleTransfer = async (photoFile, onProgress) => {
         });
       }
     }, 200);
+    
+    signal?.addEventListener('abort', () => {
+      clearInterval(interval);
+      resolve(canceled);
+    }, { once: true });
   });
 };
 
 // Main function
-export const processStyleTransfer = async (photoFile, artwork, apiKey, onProgress) => {
-  // v16: XLabs Depth ControlNet 시도
-  const result = await applyStyleTransfer(photoFile, artwork, onProgress);
-  
-  // 실패시 Mock (무료 티어)
-  if (!result.success) {
-    console.warn('API failed, using mock version');
-    return mockStyleTransfer(photoFile, onProgress);
+// API 토큰은 서버(/api/replicate)에만 있음 - 클라이언트는 키를 다루지 않음
+// options.signal: AbortController.signal - abort 시 polling 중단 + 예측 취소
+export const processStyleTransfer = async (photoFile, artwork, onProgress, options = {}) => {
+  if (MOCK_MODE) {
+    console.warn('Mock mode enabled - returning original photo');
+    return mockStyleTransfer(photoFile, onProgress, options);
   }
   
-  return result;
+  // v16: XLabs Depth ControlNet
+  // 실패 시 { success: false, error, errorType } 그대로 반환
+  return applyStyleTransfer(photoFile, artwork, onProgress, options);
 };
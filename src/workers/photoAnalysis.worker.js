@@ -0,0 +1,20 @@
+// Photo analysis worker - 큰 사진의 디코딩/분석/리사이즈를 메인 스레드 밖에서
+// 메시지: { id, task: 'analyze' | 'resize', file, options } → { id, result } | { id, error }
+
+import { analyzePhoto, resizePhoto } from '../utils/photoAnalysis';
+
+const TASKS = {
+  analyze: analyzePhoto,
+  resize: resizePhoto
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, task, file, options } = data;
+
+  try {
+    const result = await TASKS[task](file, options);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || 'Photo processing failed' });
+  }
+};
@@ -1,9 +1,18 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { apiRoutes } from './scripts/vite-api-routes.js'
 
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    port: 3000
+export default defineConfig(({ mode }) => {
+  // 로컬 API 라우트가 .env 값을 process.env로 읽을 수 있도록
+  const env = loadEnv(mode, process.cwd(), '')
+  for (const [key, value] of Object.entries(env)) {
+    if (process.env[key] === undefined) process.env[key] = value
+  }
+
+  return {
+    plugins: [react(), apiRoutes()],
+    server: {
+      port: 3000
+    }
   }
 })